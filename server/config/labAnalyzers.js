@@ -0,0 +1,24 @@
+// Analyzer interface listeners. Instruments connect over TCP, one port per
+// protocol: ASTM E1394 records framed with the E1381 low-level protocol, and
+// HL7 v2 ORU messages framed with MLLP. Serial-only analyzers are connected
+// through a serial-to-TCP device server.
+
+const listeners = {
+  enabled: process.env.LAB_ANALYZER_ENABLED === 'true',
+  // Loopback by default; set to the instrument network's interface to accept analyzers
+  host: process.env.LAB_ANALYZER_HOST || '127.0.0.1',
+  astmPort: parseInt(process.env.LAB_ANALYZER_ASTM_PORT, 10) || 5600,
+  hl7Port: parseInt(process.env.LAB_ANALYZER_HL7_PORT, 10) || 5601,
+  // Drop a connection that sends nothing for this long
+  idleTimeoutMs: (parseInt(process.env.LAB_ANALYZER_IDLE_TIMEOUT_SECONDS, 10) || 300) * 1000,
+  // Largest message buffered before the connection is dropped
+  maxMessageBytes: parseInt(process.env.LAB_ANALYZER_MAX_MESSAGE_BYTES, 10) || 1024 * 1024
+};
+
+// Result statuses that carry no value to post (ASTM R-9 / HL7 OBX-11)
+const SKIPPED_RESULT_STATUSES = ['X', 'I', 'D'];
+
+module.exports = {
+  listeners,
+  SKIPPED_RESULT_STATUSES
+};
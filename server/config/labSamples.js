@@ -0,0 +1,28 @@
+// Specimen types and the container each is collected in. One sample (and one
+// accession label) is taken per sample type on an order.
+//
+// Label settings apply to the ZPL output for thermal label printers; sizes
+// are in dots (203 dpi printers: 8 dots per mm).
+
+const SAMPLE_TYPES = ['blood', 'urine', 'stool', 'sputum', 'csf', 'other'];
+
+const containers = {
+  blood: { code: 'BLD', container: 'Vacutainer tube' },
+  urine: { code: 'URN', container: 'Sterile urine container' },
+  stool: { code: 'STL', container: 'Stool container' },
+  sputum: { code: 'SPT', container: 'Sterile sputum container' },
+  csf: { code: 'CSF', container: 'Sterile CSF tube' },
+  other: { code: 'OTH', container: 'Specimen container' }
+};
+
+const label = {
+  width: parseInt(process.env.LAB_LABEL_WIDTH_DOTS, 10) || 400,
+  height: parseInt(process.env.LAB_LABEL_HEIGHT_DOTS, 10) || 200,
+  barcodeHeight: parseInt(process.env.LAB_LABEL_BARCODE_HEIGHT_DOTS, 10) || 60
+};
+
+module.exports = {
+  SAMPLE_TYPES,
+  containers,
+  label
+};
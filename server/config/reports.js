@@ -0,0 +1,28 @@
+// Letterhead and verification settings for lab and radiology report PDFs.
+//
+// Signature images are optional: a PNG or JPEG named after the signer's
+// employee ID (e.g. storage/signatures/EMP0042.png). Without one the report
+// carries the electronic signature text only.
+
+const letterhead = {
+  name: process.env.HOSPITAL_NAME || 'Hospital Management System',
+  address: process.env.HOSPITAL_ADDRESS || '',
+  phone: process.env.HOSPITAL_PHONE || '',
+  email: process.env.HOSPITAL_EMAIL || '',
+  website: process.env.HOSPITAL_WEBSITE || '',
+  registration: process.env.HOSPITAL_REGISTRATION || '',
+  logoPath: process.env.HOSPITAL_LOGO_PATH || ''
+};
+
+const SIGNATURE_DIR = process.env.REPORT_SIGNATURE_DIR || 'storage/signatures';
+
+// The QR code links here; it must be reachable from outside the hospital network
+const VERIFY_BASE_URL = (process.env.REPORT_VERIFY_BASE_URL || process.env.API_URL || 'http://localhost:5000').replace(/\/+$/, '');
+
+const verificationUrl = (code) => `${VERIFY_BASE_URL}/api/reports/verify/${code}`;
+
+module.exports = {
+  letterhead,
+  SIGNATURE_DIR,
+  verificationUrl
+};
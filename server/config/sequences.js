@@ -0,0 +1,123 @@
+// Document numbering configuration
+//
+// Format tokens: {PREFIX}, {YYYY}, {YY}, {MM}, {DD}, {SEQ:n} (zero-padded to n digits).
+// Reset rules: 'daily', 'monthly', 'yearly' or 'never'.
+// Every setting can be overridden per sequence through the environment, e.g.
+// SEQUENCE_PATIENT_FORMAT, SEQUENCE_PATIENT_PREFIX, SEQUENCE_PATIENT_RESET.
+
+const definitions = {
+  patient: {
+    prefix: 'PAT',
+    format: '{PREFIX}{YYYY}{SEQ:6}',
+    reset: 'yearly',
+    table: 'patients',
+    column: 'patient_id'
+  },
+  opd_appointment: {
+    prefix: 'OPD',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:4}',
+    reset: 'daily',
+    table: 'opd_appointments',
+    column: 'appointment_number'
+  },
+  ipd_admission: {
+    prefix: 'ADM',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:4}',
+    reset: 'daily',
+    table: 'ipd_admissions',
+    column: 'admission_number'
+  },
+  emergency_case: {
+    prefix: 'ER',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:4}',
+    reset: 'daily',
+    table: 'emergency_cases',
+    column: 'case_number'
+  },
+  lab_order: {
+    prefix: 'LAB',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:5}',
+    reset: 'daily',
+    table: 'lab_orders',
+    column: 'order_number'
+  },
+  lab_sample: {
+    prefix: 'S',
+    format: '{PREFIX}{YY}{MM}{DD}{SEQ:5}',
+    reset: 'daily',
+    table: 'lab_samples',
+    column: 'accession_number'
+  },
+  radiology_order: {
+    prefix: 'RAD',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:5}',
+    reset: 'daily',
+    table: 'radiology_orders',
+    column: 'order_number'
+  },
+  bill: {
+    prefix: 'BILL',
+    format: '{PREFIX}{YYYY}{SEQ:7}',
+    reset: 'yearly',
+    table: 'patient_bills',
+    column: 'bill_number'
+  },
+  insurance_claim: {
+    prefix: 'CLM',
+    format: '{PREFIX}{YYYY}{SEQ:6}',
+    reset: 'yearly',
+    table: 'insurance_claims',
+    column: 'claim_number'
+  },
+  ambulance_request: {
+    prefix: 'REQ',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:4}',
+    reset: 'daily',
+    table: 'ambulance_requests',
+    column: 'request_number'
+  },
+  family_account: {
+    prefix: 'FAM',
+    format: '{PREFIX}{YYYY}{SEQ:5}',
+    reset: 'yearly',
+    table: 'family_accounts',
+    column: 'account_number'
+  },
+  prescription: {
+    prefix: 'RX',
+    format: '{PREFIX}{YYYY}{MM}{DD}{SEQ:5}',
+    reset: 'daily',
+    table: 'prescriptions',
+    column: 'prescription_number'
+  },
+  purchase_order: {
+    prefix: 'PO',
+    format: '{PREFIX}{YYYY}{SEQ:5}',
+    reset: 'yearly',
+    table: 'purchase_orders',
+    column: 'po_number'
+  }
+};
+
+const envOverride = (key, setting) => process.env[`SEQUENCE_${key.toUpperCase()}_${setting}`];
+
+const getSequenceDefinition = (key) => {
+  const definition = definitions[key];
+  if (!definition) {
+    return null;
+  }
+
+  return {
+    ...definition,
+    prefix: envOverride(key, 'PREFIX') || definition.prefix,
+    format: envOverride(key, 'FORMAT') || definition.format,
+    reset: envOverride(key, 'RESET') || definition.reset
+  };
+};
+
+module.exports = {
+  // 'postgres' (default) or 'redis'
+  backend: process.env.SEQUENCE_BACKEND || 'postgres',
+  definitions,
+  getSequenceDefinition
+};
@@ -0,0 +1,40 @@
+// WHO Surgical Safety Checklist (2009), used for any phase that has no
+// active items configured in surgical_checklist_items.
+//
+// Phases run in order: sign in (before induction of anaesthesia), time out
+// (before skin incision) and sign out (before the patient leaves the theatre).
+
+const PHASES = ['sign_in', 'time_out', 'sign_out'];
+
+const defaultItems = {
+  sign_in: [
+    { code: 'identity_site_procedure_consent', label: 'Patient has confirmed identity, site, procedure and consent' },
+    { code: 'site_marked', label: 'Site marked, or not applicable' },
+    { code: 'anaesthesia_safety_check', label: 'Anaesthesia machine and medication check complete' },
+    { code: 'pulse_oximeter', label: 'Pulse oximeter on the patient and functioning' },
+    { code: 'known_allergy', label: 'Known allergies reviewed' },
+    { code: 'difficult_airway', label: 'Difficult airway or aspiration risk assessed; equipment and assistance available if needed' },
+    { code: 'blood_loss_risk', label: 'Risk of >500 ml blood loss (7 ml/kg in children) assessed; access and fluids planned if needed' }
+  ],
+  time_out: [
+    { code: 'team_introduced', label: 'All team members have introduced themselves by name and role' },
+    { code: 'confirm_patient_site_procedure', label: 'Surgeon, anaesthetist and nurse confirm patient, site and procedure' },
+    { code: 'antibiotic_prophylaxis', label: 'Antibiotic prophylaxis given within the last 60 minutes, or not applicable' },
+    { code: 'surgeon_critical_events', label: 'Surgeon reviewed critical or unexpected steps, duration and anticipated blood loss' },
+    { code: 'anaesthesia_concerns', label: 'Anaesthesia team reviewed patient-specific concerns' },
+    { code: 'sterility_confirmed', label: 'Nursing team confirmed sterility and equipment issues' },
+    { code: 'imaging_displayed', label: 'Essential imaging displayed, or not applicable', is_required: false }
+  ],
+  sign_out: [
+    { code: 'procedure_recorded', label: 'Name of the procedure recorded' },
+    { code: 'counts_correct', label: 'Instrument, sponge and needle counts correct, or not applicable' },
+    { code: 'specimen_labelled', label: 'Specimen labelled, including patient name, or not applicable' },
+    { code: 'equipment_problems', label: 'Any equipment problems to be addressed have been identified' },
+    { code: 'recovery_concerns', label: 'Key concerns for recovery and management of the patient reviewed' }
+  ]
+};
+
+module.exports = {
+  PHASES,
+  defaultItems
+};
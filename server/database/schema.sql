@@ -4,6 +4,10 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Fuzzy and phonetic matching for patient search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE EXTENSION IF NOT EXISTS fuzzystrmatch;
+
 -- Users and Authentication
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -46,6 +50,20 @@ CREATE TABLE staff (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Family accounts group patients for consolidated billing
+CREATE TABLE family_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    account_number VARCHAR(20) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    billing_address TEXT,
+    billing_phone VARCHAR(15),
+    billing_email VARCHAR(100),
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Patients
 CREATE TABLE patients (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -71,9 +89,51 @@ CREATE TABLE patients (
     insurance_policy_number VARCHAR(50),
     allergies TEXT,
     medical_history TEXT,
+    no_show_count INTEGER NOT NULL DEFAULT 0,
+    is_unidentified BOOLEAN DEFAULT false, -- placeholder record from an unknown-patient ER registration
+    family_account_id UUID REFERENCES family_accounts(id),
+    family_role VARCHAR(20) CHECK (family_role IN ('guarantor', 'member')),
+    merged_into_id UUID REFERENCES patients(id),
+    merged_at TIMESTAMP,
+    search_vector TSVECTOR GENERATED ALWAYS AS (
+        to_tsvector('simple',
+            coalesce(first_name, '') || ' ' || coalesce(middle_name, '') || ' ' || coalesce(last_name, '') || ' ' ||
+            coalesce(patient_id, '') || ' ' || coalesce(email, '') || ' ' || coalesce(city, ''))
+    ) STORED,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((family_account_id IS NULL) = (family_role IS NULL))
+);
+
+-- Patient merge audit trail
+CREATE TABLE patient_merge_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    surviving_patient_id UUID REFERENCES patients(id) NOT NULL,
+    merged_patient_id UUID REFERENCES patients(id) NOT NULL,
+    moved_records JSONB NOT NULL, -- rows moved per table
+    filled_fields JSONB,
+    merged_patient_snapshot JSONB NOT NULL,
+    reason TEXT NOT NULL,
+    merged_by UUID REFERENCES users(id),
+    merged_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Links between patient records, one row per direction: related_patient_id
+-- is the patient's <relationship>
+CREATE TABLE patient_relationships (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    related_patient_id UUID REFERENCES patients(id) NOT NULL,
+    relationship VARCHAR(20) CHECK (relationship IN ('parent', 'child', 'spouse', 'sibling', 'guardian', 'ward', 'grandparent', 'grandchild', 'other')) NOT NULL,
+    is_guardian BOOLEAN DEFAULT false,
+    is_emergency_contact BOOLEAN DEFAULT false,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(patient_id, related_patient_id),
+    CHECK (patient_id <> related_patient_id)
 );
 
 -- Departments
@@ -114,6 +174,25 @@ CREATE TABLE beds (
 );
 
 -- OPD Appointments
+CREATE TABLE opd_appointment_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    doctor_id UUID REFERENCES staff(id) NOT NULL,
+    department_id UUID REFERENCES departments(id),
+    appointment_type VARCHAR(50),
+    appointment_time TIME NOT NULL,
+    duration_minutes INTEGER,
+    recurrence_rule JSONB NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE,
+    occurrence_count INTEGER,
+    status VARCHAR(20) CHECK (status IN ('active', 'cancelled', 'completed')) DEFAULT 'active',
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 CREATE TABLE opd_appointments (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     appointment_number VARCHAR(20) UNIQUE NOT NULL,
@@ -126,11 +205,78 @@ CREATE TABLE opd_appointments (
     status VARCHAR(20) CHECK (status IN ('scheduled', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show')) DEFAULT 'scheduled',
     chief_complaint TEXT,
     consultation_fee DECIMAL(8,2),
+    duration_minutes INTEGER DEFAULT 15,
+    series_id UUID REFERENCES opd_appointment_series(id),
+    is_overbooked BOOLEAN DEFAULT false,
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE opd_appointment_status_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    appointment_id UUID REFERENCES opd_appointments(id) NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    changed_by UUID REFERENCES users(id), -- NULL for system jobs
+    reason TEXT,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Doctor availability: weekly sessions plus date-specific exceptions
+CREATE TABLE doctor_availability_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID REFERENCES staff(id) NOT NULL,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    slot_duration_minutes INTEGER NOT NULL DEFAULT 15,
+    break_start_time TIME,
+    break_end_time TIME,
+    max_overbook INTEGER NOT NULL DEFAULT 0, -- cap on extra bookings per session
+    effective_from DATE,
+    effective_to DATE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_time > start_time)
+);
+
+CREATE TABLE doctor_availability_exceptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID REFERENCES staff(id) NOT NULL,
+    exception_date DATE NOT NULL,
+    exception_type VARCHAR(20) CHECK (exception_type IN ('leave', 'custom_hours')) NOT NULL,
+    start_time TIME,
+    end_time TIME,
+    slot_duration_minutes INTEGER,
+    reason TEXT,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- OPD token queue (one row per check-in; token numbers restart daily per doctor)
+CREATE TABLE opd_queue_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    doctor_id UUID REFERENCES staff(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    appointment_id UUID REFERENCES opd_appointments(id),
+    queue_date DATE NOT NULL,
+    token_number INTEGER NOT NULL,
+    source VARCHAR(20) CHECK (source IN ('appointment', 'walk_in')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('waiting', 'called', 'completed', 'skipped', 'cancelled')) DEFAULT 'waiting',
+    priority INTEGER DEFAULT 0,
+    recall_count INTEGER DEFAULT 0,
+    checked_in_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    called_at TIMESTAMP,
+    skipped_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (doctor_id, queue_date, token_number)
+);
+
 -- IPD Admissions
 CREATE TABLE ipd_admissions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -144,11 +290,26 @@ CREATE TABLE ipd_admissions (
     diagnosis TEXT,
     treatment_plan TEXT,
     status VARCHAR(20) CHECK (status IN ('admitted', 'discharged', 'transferred', 'deceased')) DEFAULT 'admitted',
+    discharge_summary TEXT,
+    follow_up_instructions TEXT,
     total_amount DECIMAL(10,2),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE TABLE ipd_bed_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    admission_id UUID REFERENCES ipd_admissions(id) NOT NULL,
+    from_bed_id UUID REFERENCES beds(id),
+    to_bed_id UUID REFERENCES beds(id) NOT NULL,
+    from_ward_id UUID REFERENCES wards(id),
+    to_ward_id UUID REFERENCES wards(id),
+    reason TEXT,
+    transferred_by UUID REFERENCES users(id),
+    transferred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Operation Theatre
 CREATE TABLE operation_theatres (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -157,6 +318,7 @@ CREATE TABLE operation_theatres (
     ot_type VARCHAR(50) CHECK (ot_type IN ('major', 'minor', 'cardiac', 'neuro', 'orthopedic')),
     status VARCHAR(20) CHECK (status IN ('available', 'occupied', 'maintenance', 'cleaning')) DEFAULT 'available',
     equipment_list TEXT,
+    turnaround_minutes INTEGER CHECK (turnaround_minutes >= 0), -- cleaning/setup gap between cases; OT_TURNAROUND_MINUTES when empty
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -171,14 +333,61 @@ CREATE TABLE ot_schedules (
     scheduled_date DATE NOT NULL,
     scheduled_start_time TIME NOT NULL,
     scheduled_end_time TIME NOT NULL,
-    actual_start_time TIME,
-    actual_end_time TIME,
+    actual_start_time TIMESTAMP,
+    actual_end_time TIMESTAMP,
     status VARCHAR(20) CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled', 'postponed')) DEFAULT 'scheduled',
+    priority VARCHAR(20) CHECK (priority IN ('elective', 'urgent', 'emergency')) DEFAULT 'elective',
+    admission_id UUID REFERENCES ipd_admissions(id),
+    postponement_count INTEGER NOT NULL DEFAULT 0,
+    postponement_reason TEXT,
+    cancellation_reason TEXT,
+    cancelled_at TIMESTAMP,
+    cancelled_by UUID REFERENCES users(id),
+    created_by UUID REFERENCES users(id),
+    sign_in_completed_at TIMESTAMP,
+    sign_in_completed_by UUID REFERENCES users(id),
+    time_out_completed_at TIMESTAMP,
+    time_out_completed_by UUID REFERENCES users(id),
+    sign_out_completed_at TIMESTAMP,
+    sign_out_completed_by UUID REFERENCES users(id),
     notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (scheduled_end_time > scheduled_start_time)
+);
+
+-- Surgical safety checklist items; a phase with no active items uses the WHO defaults
+CREATE TABLE surgical_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    phase VARCHAR(20) CHECK (phase IN ('sign_in', 'time_out', 'sign_out')) NOT NULL,
+    code VARCHAR(50) NOT NULL,
+    label VARCHAR(300) NOT NULL,
+    is_required BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Checklist copied onto each case, so later item changes don't alter its record
+CREATE TABLE surgical_checklist_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ot_schedule_id UUID REFERENCES ot_schedules(id) ON DELETE CASCADE NOT NULL,
+    phase VARCHAR(20) CHECK (phase IN ('sign_in', 'time_out', 'sign_out')) NOT NULL,
+    item_code VARCHAR(50) NOT NULL,
+    label VARCHAR(300) NOT NULL,
+    is_required BOOLEAN DEFAULT true,
+    display_order INTEGER DEFAULT 0,
+    is_confirmed BOOLEAN DEFAULT false,
+    confirmed_by UUID REFERENCES users(id),
+    confirmed_at TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(ot_schedule_id, phase, item_code)
+);
+
 -- Emergency Department
 CREATE TABLE emergency_cases (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -190,7 +399,71 @@ CREATE TABLE emergency_cases (
     vital_signs JSONB,
     assigned_doctor_id UUID REFERENCES staff(id),
     status VARCHAR(20) CHECK (status IN ('waiting', 'in_treatment', 'admitted', 'discharged', 'referred')) DEFAULT 'waiting',
-    discharge_time TIMESTAMP,
+    arrival_mode VARCHAR(20) CHECK (arrival_mode IN ('walk_in', 'ambulance', 'police', 'referral')) DEFAULT 'walk_in',
+    last_triaged_at TIMESTAMP,
+    treatment_started_at TIMESTAMP,
+    discharge_time TIMESTAMP, -- time of any disposition (admitted, discharged or referred)
+    admission_id UUID REFERENCES ipd_admissions(id),
+    referred_to VARCHAR(200),
+    disposition_notes TEXT,
+    disposed_by UUID REFERENCES users(id),
+    registered_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every triage and re-triage of an emergency case, with the vitals taken
+CREATE TABLE emergency_triage_assessments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    case_id UUID REFERENCES emergency_cases(id) NOT NULL,
+    triage_level VARCHAR(20) CHECK (triage_level IN ('critical', 'urgent', 'less_urgent', 'non_urgent')) NOT NULL,
+    vital_signs JSONB,
+    notes TEXT,
+    assessed_by UUID REFERENCES users(id),
+    assessed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Vital signs observations for ER and IPD patients, scored with NEWS2
+CREATE TABLE vital_observations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    emergency_case_id UUID REFERENCES emergency_cases(id),
+    admission_id UUID REFERENCES ipd_admissions(id),
+    respiratory_rate INTEGER,
+    oxygen_saturation INTEGER,
+    spo2_scale SMALLINT CHECK (spo2_scale IN (1, 2)) DEFAULT 1,
+    on_supplemental_oxygen BOOLEAN DEFAULT false,
+    systolic_bp INTEGER,
+    diastolic_bp INTEGER,
+    heart_rate INTEGER,
+    consciousness VARCHAR(20) CHECK (consciousness IN ('alert', 'confusion', 'voice', 'pain', 'unresponsive')),
+    temperature DECIMAL(4,1), -- degrees Celsius
+    news2_score INTEGER NOT NULL,
+    news2_risk VARCHAR(20) CHECK (news2_risk IN ('low', 'low_medium', 'medium', 'high')) NOT NULL,
+    news2_components JSONB NOT NULL,
+    is_complete BOOLEAN NOT NULL,
+    notes TEXT,
+    observed_at TIMESTAMP NOT NULL,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((emergency_case_id IS NULL) <> (admission_id IS NULL))
+);
+
+CREATE TABLE vital_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    observation_id UUID REFERENCES vital_observations(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    emergency_case_id UUID REFERENCES emergency_cases(id),
+    admission_id UUID REFERENCES ipd_admissions(id),
+    doctor_id UUID REFERENCES staff(id),
+    news2_score INTEGER NOT NULL,
+    risk VARCHAR(20) CHECK (risk IN ('low_medium', 'medium', 'high')) NOT NULL,
+    previous_risk VARCHAR(20),
+    status VARCHAR(20) CHECK (status IN ('open', 'acknowledged')) DEFAULT 'open',
+    notified_user_id UUID REFERENCES users(id),
+    acknowledged_by UUID REFERENCES users(id),
+    acknowledged_at TIMESTAMP,
+    acknowledgement_notes TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -226,7 +499,7 @@ CREATE TABLE drug_inventory (
     batch_number VARCHAR(50) NOT NULL,
     expiry_date DATE NOT NULL,
     quantity_received INTEGER NOT NULL,
-    quantity_available INTEGER NOT NULL,
+    quantity_available INTEGER NOT NULL CHECK (quantity_available >= 0),
     purchase_price DECIMAL(8,2),
     supplier VARCHAR(100),
     received_date DATE,
@@ -234,6 +507,286 @@ CREATE TABLE drug_inventory (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- E-prescriptions, written against an OPD appointment or an IPD admission
+CREATE TABLE prescriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prescription_number VARCHAR(20) UNIQUE NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    doctor_id UUID REFERENCES staff(id) NOT NULL,
+    appointment_id UUID REFERENCES opd_appointments(id),
+    admission_id UUID REFERENCES ipd_admissions(id),
+    status VARCHAR(20) CHECK (status IN ('active', 'partially_dispensed', 'dispensed', 'cancelled')) DEFAULT 'active',
+    notes TEXT,
+    prescribed_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP,
+    cancelled_by UUID REFERENCES users(id),
+    cancellation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((appointment_id IS NULL) <> (admission_id IS NULL))
+);
+
+CREATE TABLE prescription_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prescription_id UUID REFERENCES prescriptions(id) ON DELETE CASCADE NOT NULL,
+    drug_id UUID REFERENCES drugs(id) NOT NULL,
+    dose VARCHAR(50) NOT NULL,
+    route VARCHAR(50),
+    frequency VARCHAR(50) NOT NULL,
+    duration_days INTEGER CHECK (duration_days > 0),
+    quantity_prescribed INTEGER NOT NULL CHECK (quantity_prescribed > 0),
+    quantity_dispensed INTEGER NOT NULL DEFAULT 0,
+    quantity_returned INTEGER NOT NULL DEFAULT 0,
+    instructions TEXT,
+    status VARCHAR(20) CHECK (status IN ('pending', 'partially_dispensed', 'dispensed', 'cancelled')) DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (quantity_dispensed BETWEEN 0 AND quantity_prescribed),
+    CHECK (quantity_returned BETWEEN 0 AND quantity_dispensed)
+);
+
+-- One pharmacy hand-over; each line records the batch it was picked from
+CREATE TABLE dispensations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    prescription_id UUID REFERENCES prescriptions(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    total_amount DECIMAL(10,2) DEFAULT 0,
+    notes TEXT,
+    dispensed_by UUID REFERENCES users(id),
+    dispensed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE dispensation_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispensation_id UUID REFERENCES dispensations(id) ON DELETE CASCADE NOT NULL,
+    prescription_item_id UUID REFERENCES prescription_items(id) NOT NULL,
+    drug_id UUID REFERENCES drugs(id) NOT NULL,
+    inventory_id UUID REFERENCES drug_inventory(id) NOT NULL,
+    batch_number VARCHAR(50) NOT NULL,
+    expiry_date DATE NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    quantity_returned INTEGER NOT NULL DEFAULT 0,
+    unit_price DECIMAL(8,2),
+    amount DECIMAL(10,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (quantity_returned BETWEEN 0 AND quantity)
+);
+
+CREATE TABLE drug_returns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    dispensation_item_id UUID REFERENCES dispensation_items(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    inventory_id UUID REFERENCES drug_inventory(id) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason TEXT NOT NULL,
+    restocked BOOLEAN NOT NULL, -- false when the returned stock is discarded (damaged, expired, opened)
+    refund_amount DECIMAL(10,2) DEFAULT 0,
+    returned_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drug safety alerts (allergy, interaction, duplicate therapy) overridden with a reason
+CREATE TABLE drug_alert_overrides (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    prescription_id UUID REFERENCES prescriptions(id) NOT NULL,
+    drug_id UUID REFERENCES drugs(id),
+    alert_code VARCHAR(300) NOT NULL,
+    alert_type VARCHAR(30) CHECK (alert_type IN ('allergy', 'interaction', 'duplicate_therapy')) NOT NULL,
+    severity VARCHAR(20) CHECK (severity IN ('minor', 'moderate', 'major', 'contraindicated')) NOT NULL,
+    message TEXT NOT NULL,
+    reason TEXT NOT NULL,
+    stage VARCHAR(20) CHECK (stage IN ('prescribe', 'dispense')) NOT NULL,
+    overridden_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Drug suppliers, purchase orders and goods receipts
+CREATE TABLE suppliers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) UNIQUE NOT NULL,
+    contact_person VARCHAR(100),
+    phone VARCHAR(20),
+    email VARCHAR(100),
+    address TEXT,
+    lead_time_days INTEGER CHECK (lead_time_days >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_orders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    po_number VARCHAR(20) UNIQUE NOT NULL,
+    supplier_id UUID REFERENCES suppliers(id) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('draft', 'ordered', 'partially_received', 'received', 'cancelled')) DEFAULT 'draft',
+    expected_date DATE,
+    total_amount DECIMAL(12,2) DEFAULT 0,
+    notes TEXT,
+    created_by UUID REFERENCES users(id),
+    ordered_by UUID REFERENCES users(id),
+    ordered_at TIMESTAMP,
+    cancelled_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE purchase_order_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID REFERENCES purchase_orders(id) ON DELETE CASCADE NOT NULL,
+    drug_id UUID REFERENCES drugs(id) NOT NULL,
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0,
+    unit_cost DECIMAL(8,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(purchase_order_id, drug_id),
+    CHECK (quantity_received BETWEEN 0 AND quantity_ordered)
+);
+
+CREATE TABLE goods_receipts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    purchase_order_id UUID REFERENCES purchase_orders(id) NOT NULL,
+    supplier_invoice_number VARCHAR(50),
+    notes TEXT,
+    received_by UUID REFERENCES users(id),
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE goods_receipt_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    goods_receipt_id UUID REFERENCES goods_receipts(id) ON DELETE CASCADE NOT NULL,
+    purchase_order_item_id UUID REFERENCES purchase_order_items(id) NOT NULL,
+    inventory_id UUID REFERENCES drug_inventory(id) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    unit_cost DECIMAL(8,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stock ledger: one row per change to a batch's quantity_available
+CREATE TABLE drug_stock_movements (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    drug_id UUID REFERENCES drugs(id) NOT NULL,
+    inventory_id UUID REFERENCES drug_inventory(id) NOT NULL,
+    movement_type VARCHAR(20) CHECK (movement_type IN ('receipt', 'dispense', 'return', 'adjustment', 'expiry_writeoff')) NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity <> 0), -- signed: positive into stock, negative out of it
+    balance_after INTEGER NOT NULL CHECK (balance_after >= 0),
+    reference_type VARCHAR(30),
+    reference_id UUID,
+    reason TEXT,
+    performed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Low-stock and expiry alerts raised by the stock check job; resolved once the condition clears
+CREATE TABLE drug_stock_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    drug_id UUID REFERENCES drugs(id) NOT NULL,
+    inventory_id UUID REFERENCES drug_inventory(id),
+    alert_type VARCHAR(20) CHECK (alert_type IN ('low_stock', 'near_expiry', 'expired')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('open', 'resolved')) DEFAULT 'open',
+    details JSONB,
+    raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP,
+    CHECK ((alert_type = 'low_stock') = (inventory_id IS NULL))
+);
+
+-- Patient clinical records
+CREATE TABLE patient_allergies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    allergen VARCHAR(200) NOT NULL,
+    allergen_type VARCHAR(20) CHECK (allergen_type IN ('drug', 'food', 'environmental', 'other')) NOT NULL,
+    allergen_code VARCHAR(50),
+    reaction TEXT,
+    severity VARCHAR(20) CHECK (severity IN ('mild', 'moderate', 'severe', 'life_threatening')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('active', 'inactive', 'resolved', 'entered_in_error')) DEFAULT 'active',
+    onset_date DATE,
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE patient_problems (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    problem VARCHAR(200) NOT NULL,
+    icd10_code VARCHAR(10),
+    status VARCHAR(20) CHECK (status IN ('active', 'inactive', 'resolved', 'entered_in_error')) DEFAULT 'active',
+    onset_date DATE,
+    resolution_date DATE,
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (resolution_date IS NULL OR onset_date IS NULL OR resolution_date >= onset_date)
+);
+
+CREATE TABLE patient_medications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    drug_id UUID REFERENCES drugs(id),
+    medication_name VARCHAR(200) NOT NULL,
+    dose VARCHAR(50),
+    route VARCHAR(50),
+    frequency VARCHAR(50),
+    indication VARCHAR(200),
+    start_date DATE,
+    end_date DATE,
+    status VARCHAR(20) CHECK (status IN ('active', 'discontinued', 'completed', 'entered_in_error')) DEFAULT 'active',
+    notes TEXT,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Consents
+CREATE TABLE consent_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) NOT NULL,
+    consent_type VARCHAR(30) CHECK (consent_type IN ('treatment', 'surgery', 'anesthesia', 'procedure', 'blood_transfusion', 'data_sharing', 'sms_contact')) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    body TEXT NOT NULL,
+    language VARCHAR(10) DEFAULT 'en',
+    version INTEGER NOT NULL,
+    requires_witness BOOLEAN DEFAULT true,
+    validity_days INTEGER CHECK (validity_days > 0),
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(code, version)
+);
+
+CREATE TABLE patient_consents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    template_id UUID REFERENCES consent_templates(id) NOT NULL,
+    consent_type VARCHAR(30) NOT NULL,
+    template_version INTEGER NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('granted', 'revoked')) DEFAULT 'granted',
+    signed_by_name VARCHAR(100) NOT NULL,
+    signer_relationship VARCHAR(50) DEFAULT 'self',
+    signature_path VARCHAR(255) NOT NULL,
+    witness_name VARCHAR(100),
+    witness_staff_id UUID REFERENCES staff(id),
+    reference_type VARCHAR(50),
+    reference_id UUID,
+    signed_at TIMESTAMP NOT NULL,
+    expires_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id),
+    revocation_reason TEXT,
+    recorded_by UUID REFERENCES users(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Laboratory
 CREATE TABLE lab_test_categories (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -249,14 +802,55 @@ CREATE TABLE lab_tests (
     test_name VARCHAR(200) NOT NULL,
     category_id UUID REFERENCES lab_test_categories(id),
     sample_type VARCHAR(50) CHECK (sample_type IN ('blood', 'urine', 'stool', 'sputum', 'csf', 'other')),
-    normal_range VARCHAR(100),
+    result_type VARCHAR(20) CHECK (result_type IN ('numeric', 'text', 'panel')) DEFAULT 'numeric',
+    normal_range VARCHAR(100), -- display text; flagging uses lab_reference_ranges
     unit VARCHAR(20),
+    delta_percent DECIMAL(6,2), -- delta check limits; LAB_DELTA_PERCENT applies when both are empty
+    delta_absolute DECIMAL(12,4),
     price DECIMAL(8,2),
     turnaround_time INTEGER, -- in hours
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Analytes reported under a panel test (e.g. haemoglobin, WBC, platelets under CBC)
+CREATE TABLE lab_test_components (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_test_id UUID REFERENCES lab_tests(id) NOT NULL,
+    code VARCHAR(20) NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    result_type VARCHAR(20) CHECK (result_type IN ('numeric', 'text')) DEFAULT 'numeric',
+    unit VARCHAR(20),
+    delta_percent DECIMAL(6,2),
+    delta_absolute DECIMAL(12,4),
+    display_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lab_test_id, code)
+);
+
+-- Reference and critical limits by sex and age (in days, so neonatal ranges fit)
+CREATE TABLE lab_reference_ranges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_test_id UUID REFERENCES lab_tests(id) NOT NULL,
+    component_id UUID REFERENCES lab_test_components(id),
+    sex VARCHAR(10) CHECK (sex IN ('male', 'female', 'any')) DEFAULT 'any',
+    age_min_days INTEGER NOT NULL DEFAULT 0 CHECK (age_min_days >= 0),
+    age_max_days INTEGER CHECK (age_max_days IS NULL OR age_max_days > age_min_days), -- exclusive; NULL for no upper limit
+    low_value DECIMAL(12,4),
+    high_value DECIMAL(12,4),
+    critical_low DECIMAL(12,4),
+    critical_high DECIMAL(12,4),
+    normal_text VARCHAR(100), -- expected value for text results, e.g. 'Negative'
+    unit VARCHAR(20),
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (low_value IS NULL OR high_value IS NULL OR low_value <= high_value),
+    CHECK (critical_low IS NULL OR low_value IS NULL OR critical_low <= low_value),
+    CHECK (critical_high IS NULL OR high_value IS NULL OR critical_high >= high_value)
+);
+
 CREATE TABLE lab_orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     order_number VARCHAR(20) UNIQUE NOT NULL,
@@ -267,6 +861,168 @@ CREATE TABLE lab_orders (
     status VARCHAR(20) CHECK (status IN ('ordered', 'sample_collected', 'in_progress', 'completed', 'cancelled')) DEFAULT 'ordered',
     total_amount DECIMAL(8,2),
     notes TEXT,
+    ordered_by UUID REFERENCES users(id),
+    cancelled_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One specimen container, labelled with its accession number (the barcode)
+CREATE TABLE lab_samples (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    accession_number VARCHAR(20) UNIQUE NOT NULL,
+    lab_order_id UUID REFERENCES lab_orders(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    sample_type VARCHAR(50) CHECK (sample_type IN ('blood', 'urine', 'stool', 'sputum', 'csf', 'other')) NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('collected', 'received', 'rejected', 'processed')) DEFAULT 'collected',
+    collected_by UUID REFERENCES users(id),
+    collected_at TIMESTAMP NOT NULL,
+    received_by UUID REFERENCES users(id),
+    received_at TIMESTAMP,
+    rejected_by UUID REFERENCES users(id),
+    rejected_at TIMESTAMP,
+    rejection_reason TEXT,
+    processed_by UUID REFERENCES users(id),
+    processed_at TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((status = 'rejected') = (rejection_reason IS NOT NULL))
+);
+
+-- The tests on a lab order, each with its own status
+CREATE TABLE lab_order_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_order_id UUID REFERENCES lab_orders(id) ON DELETE CASCADE NOT NULL,
+    lab_test_id UUID REFERENCES lab_tests(id) NOT NULL,
+    sample_id UUID REFERENCES lab_samples(id), -- latest sample taken for the test
+    status VARCHAR(20) CHECK (status IN ('ordered', 'sample_collected', 'in_progress', 'resulted', 'completed', 'cancelled')) DEFAULT 'ordered', -- resulted: awaiting verification
+    price DECIMAL(8,2),
+    cancelled_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(lab_order_id, lab_test_id)
+);
+
+-- Instruments that send results over the ASTM or HL7 listener, matched on the sender in the message header
+CREATE TABLE lab_analyzers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    code VARCHAR(50) UNIQUE NOT NULL, -- ASTM H-5 sender name or HL7 MSH-3 sending application
+    name VARCHAR(100) NOT NULL,
+    protocol VARCHAR(10) CHECK (protocol IN ('astm', 'hl7')) NOT NULL,
+    host VARCHAR(45) NOT NULL, -- messages are only accepted from this address
+    is_active BOOLEAN DEFAULT true,
+    last_message_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The analyzer's own test codes; codes without a mapping are matched to test or component codes
+CREATE TABLE lab_analyzer_test_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    analyzer_id UUID REFERENCES lab_analyzers(id) ON DELETE CASCADE NOT NULL,
+    analyzer_code VARCHAR(50) NOT NULL,
+    lab_test_id UUID REFERENCES lab_tests(id) NOT NULL,
+    component_id UUID REFERENCES lab_test_components(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(analyzer_id, analyzer_code)
+);
+
+-- One value per test, or per component for panels. The range used is copied onto the result.
+-- Entered results are released once verified by a second user.
+CREATE TABLE lab_results (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_order_item_id UUID REFERENCES lab_order_items(id) NOT NULL,
+    lab_test_id UUID REFERENCES lab_tests(id) NOT NULL,
+    component_id UUID REFERENCES lab_test_components(id),
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    value_numeric DECIMAL(12,4),
+    value_text VARCHAR(500),
+    unit VARCHAR(20),
+    reference_range_id UUID REFERENCES lab_reference_ranges(id),
+    reference_low DECIMAL(12,4),
+    reference_high DECIMAL(12,4),
+    reference_critical_low DECIMAL(12,4),
+    reference_critical_high DECIMAL(12,4),
+    reference_text VARCHAR(100),
+    flag VARCHAR(20) CHECK (flag IN ('normal', 'low', 'high', 'critical_low', 'critical_high', 'abnormal')),
+    is_critical BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) CHECK (status IN ('entered', 'verified', 'amended')) DEFAULT 'entered',
+    previous_result_id UUID REFERENCES lab_results(id), -- compared against for the delta check
+    delta_change DECIMAL(12,4),
+    delta_percent DECIMAL(8,2),
+    delta_flag BOOLEAN NOT NULL DEFAULT false,
+    delta_reviewed_by UUID REFERENCES users(id),
+    delta_reviewed_at TIMESTAMP,
+    delta_review_notes TEXT,
+    notes TEXT,
+    analyzer_id UUID REFERENCES lab_analyzers(id), -- set when the result came from an instrument
+    entered_by UUID REFERENCES users(id), -- null for analyzer results
+    entered_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    verified_by UUID REFERENCES users(id),
+    verified_at TIMESTAMP,
+    amended_by UUID REFERENCES users(id),
+    amended_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (value_numeric IS NOT NULL OR value_text IS NOT NULL),
+    CHECK (verified_by IS NULL OR verified_by <> entered_by),
+    CHECK ((status = 'entered') = (verified_at IS NULL))
+);
+
+-- Every change to an entered or released result, with the values it replaced
+CREATE TABLE lab_result_amendments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_result_id UUID REFERENCES lab_results(id) NOT NULL,
+    stage VARCHAR(20) CHECK (stage IN ('before_release', 'after_release')) NOT NULL,
+    previous_value_numeric DECIMAL(12,4),
+    previous_value_text VARCHAR(500),
+    previous_unit VARCHAR(20),
+    previous_flag VARCHAR(20),
+    previous_status VARCHAR(20) NOT NULL,
+    previous_entered_by UUID REFERENCES users(id),
+    previous_verified_by UUID REFERENCES users(id),
+    previous_verified_at TIMESTAMP,
+    new_value_numeric DECIMAL(12,4),
+    new_value_text VARCHAR(500),
+    reason TEXT NOT NULL,
+    amended_by UUID REFERENCES users(id) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Critical values stay open until the ordering doctor acknowledges them
+CREATE TABLE lab_critical_alerts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    lab_result_id UUID REFERENCES lab_results(id) NOT NULL,
+    lab_order_id UUID REFERENCES lab_orders(id) NOT NULL,
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    doctor_id UUID REFERENCES staff(id),
+    notified_user_id UUID REFERENCES users(id),
+    status VARCHAR(20) CHECK (status IN ('open', 'acknowledged')) DEFAULT 'open',
+    acknowledged_by UUID REFERENCES users(id),
+    acknowledged_at TIMESTAMP,
+    acknowledgement_notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every message received from an analyzer, kept raw so it can be reprocessed
+CREATE TABLE lab_analyzer_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    analyzer_id UUID REFERENCES lab_analyzers(id),
+    protocol VARCHAR(10) CHECK (protocol IN ('astm', 'hl7')) NOT NULL,
+    sender VARCHAR(100),
+    control_id VARCHAR(50),
+    remote_address VARCHAR(45),
+    raw_message TEXT NOT NULL,
+    status VARCHAR(20) CHECK (status IN ('received', 'processed', 'partial', 'unmatched', 'rejected', 'error')) DEFAULT 'received',
+    outcome JSONB, -- per specimen: the results posted and the values that could not be
+    error_message TEXT,
+    processed_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -297,10 +1053,47 @@ CREATE TABLE radiology_orders (
     status VARCHAR(20) CHECK (status IN ('ordered', 'scheduled', 'in_progress', 'completed', 'cancelled')) DEFAULT 'ordered',
     priority VARCHAR(20) CHECK (priority IN ('routine', 'urgent', 'stat')) DEFAULT 'routine',
     price DECIMAL(8,2),
+    ordered_by UUID REFERENCES users(id),
+    cancelled_by UUID REFERENCES users(id),
+    cancelled_at TIMESTAMP,
+    cancellation_reason TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- One report per study: drafted, then signed off by a radiologist, which completes the order
+CREATE TABLE radiology_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    radiology_order_id UUID REFERENCES radiology_orders(id) UNIQUE NOT NULL,
+    technique TEXT,
+    findings TEXT NOT NULL,
+    impression TEXT NOT NULL,
+    is_critical BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) CHECK (status IN ('draft', 'final')) DEFAULT 'draft',
+    reported_by UUID REFERENCES users(id) NOT NULL,
+    reported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    verified_by UUID REFERENCES users(id),
+    verified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((status = 'final') = (verified_at IS NOT NULL))
+);
+
+-- Report PDFs handed out, one row per distinct content. The QR code on the PDF
+-- carries the verification code; a later amendment changes the content hash,
+-- so older copies show as superseded.
+CREATE TABLE issued_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    verification_code VARCHAR(32) UNIQUE NOT NULL,
+    report_type VARCHAR(20) CHECK (report_type IN ('lab', 'radiology')) NOT NULL,
+    source_id UUID NOT NULL, -- lab_orders.id or radiology_orders.id
+    patient_id UUID REFERENCES patients(id) NOT NULL,
+    content_hash CHAR(64) NOT NULL,
+    issued_by UUID REFERENCES users(id),
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(report_type, source_id, content_hash)
+);
+
 -- Blood Bank
 CREATE TABLE blood_donors (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -433,14 +1226,103 @@ CREATE TABLE ambulance_requests (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Document numbering counters (see config/sequences.js)
+CREATE TABLE sequence_counters (
+    sequence_name VARCHAR(50) NOT NULL,
+    period_key VARCHAR(20) NOT NULL,
+    last_value BIGINT NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (sequence_name, period_key)
+);
+
+-- In-app notifications, also pushed to the user's Socket.IO room
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(200) NOT NULL,
+    message TEXT,
+    priority VARCHAR(20) CHECK (priority IN ('low', 'normal', 'high', 'critical')) DEFAULT 'normal',
+    data JSONB,
+    is_read BOOLEAN DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_patients_patient_id ON patients(patient_id);
 CREATE INDEX idx_patients_phone ON patients(phone);
+CREATE INDEX idx_patients_date_of_birth ON patients(date_of_birth);
+CREATE INDEX idx_patients_search_vector ON patients USING GIN(search_vector);
+CREATE INDEX idx_patients_full_name_trgm ON patients USING GIN(lower(first_name || ' ' || last_name) gin_trgm_ops);
+CREATE INDEX idx_patient_merge_log_surviving ON patient_merge_log(surviving_patient_id);
+CREATE INDEX idx_patient_merge_log_merged ON patient_merge_log(merged_patient_id);
+CREATE INDEX idx_patient_relationships_related ON patient_relationships(related_patient_id);
+CREATE INDEX idx_patients_family_account ON patients(family_account_id);
+CREATE UNIQUE INDEX idx_patients_family_guarantor ON patients(family_account_id) WHERE family_role = 'guarantor';
+CREATE INDEX idx_patient_allergies_patient ON patient_allergies(patient_id, status);
+CREATE INDEX idx_patient_problems_patient ON patient_problems(patient_id, status);
+CREATE INDEX idx_patient_medications_patient ON patient_medications(patient_id, status);
+CREATE UNIQUE INDEX idx_consent_templates_active_code ON consent_templates(code) WHERE is_active = true;
+CREATE INDEX idx_patient_consents_patient ON patient_consents(patient_id, consent_type, status);
+CREATE INDEX idx_patient_consents_reference ON patient_consents(reference_type, reference_id);
 CREATE INDEX idx_opd_appointments_date ON opd_appointments(appointment_date);
 CREATE INDEX idx_opd_appointments_doctor ON opd_appointments(doctor_id);
+CREATE INDEX idx_opd_appointments_series ON opd_appointments(series_id);
+CREATE INDEX idx_opd_appointments_open ON opd_appointments(appointment_date, appointment_time) WHERE status IN ('scheduled', 'confirmed');
+CREATE INDEX idx_opd_appointment_status_history_appointment ON opd_appointment_status_history(appointment_id, changed_at);
+CREATE UNIQUE INDEX idx_opd_queue_tokens_appointment ON opd_queue_tokens(appointment_id) WHERE appointment_id IS NOT NULL;
+CREATE INDEX idx_doctor_availability_templates_doctor ON doctor_availability_templates(doctor_id, day_of_week);
+CREATE INDEX idx_doctor_availability_exceptions_doctor ON doctor_availability_exceptions(doctor_id, exception_date);
 CREATE INDEX idx_ipd_admissions_patient ON ipd_admissions(patient_id);
+CREATE UNIQUE INDEX idx_ipd_admissions_active_bed ON ipd_admissions(bed_id) WHERE status = 'admitted';
+CREATE INDEX idx_ipd_bed_transfers_admission ON ipd_bed_transfers(admission_id);
+CREATE INDEX idx_ot_schedules_theatre_date ON ot_schedules(ot_id, scheduled_date) WHERE status IN ('scheduled', 'in_progress');
+CREATE INDEX idx_ot_schedules_surgeon_date ON ot_schedules(surgeon_id, scheduled_date) WHERE status IN ('scheduled', 'in_progress');
+CREATE INDEX idx_ot_schedules_anesthetist_date ON ot_schedules(anesthetist_id, scheduled_date) WHERE status IN ('scheduled', 'in_progress');
+CREATE UNIQUE INDEX idx_surgical_checklist_items_active_code ON surgical_checklist_items(phase, code) WHERE is_active = true;
+CREATE INDEX idx_drug_inventory_fefo ON drug_inventory(drug_id, expiry_date) WHERE quantity_available > 0;
+CREATE INDEX idx_prescriptions_patient ON prescriptions(patient_id, created_at);
+CREATE INDEX idx_prescriptions_open ON prescriptions(created_at) WHERE status IN ('active', 'partially_dispensed');
+CREATE INDEX idx_prescription_items_prescription ON prescription_items(prescription_id);
+CREATE INDEX idx_dispensations_prescription ON dispensations(prescription_id);
+CREATE INDEX idx_dispensation_items_dispensation ON dispensation_items(dispensation_id);
+CREATE INDEX idx_drug_returns_item ON drug_returns(dispensation_item_id);
+CREATE INDEX idx_drug_alert_overrides_prescription ON drug_alert_overrides(prescription_id);
+CREATE INDEX idx_drug_alert_overrides_patient ON drug_alert_overrides(patient_id, created_at);
+CREATE INDEX idx_purchase_orders_supplier ON purchase_orders(supplier_id, created_at);
+CREATE INDEX idx_purchase_orders_status ON purchase_orders(status);
+CREATE INDEX idx_purchase_order_items_order ON purchase_order_items(purchase_order_id);
+CREATE INDEX idx_goods_receipts_order ON goods_receipts(purchase_order_id);
+CREATE INDEX idx_goods_receipt_items_receipt ON goods_receipt_items(goods_receipt_id);
+CREATE INDEX idx_drug_stock_movements_drug ON drug_stock_movements(drug_id, created_at);
+CREATE INDEX idx_drug_stock_movements_batch ON drug_stock_movements(inventory_id, created_at);
+CREATE INDEX idx_drug_stock_movements_reference ON drug_stock_movements(reference_type, reference_id);
+CREATE UNIQUE INDEX idx_drug_stock_alerts_open ON drug_stock_alerts(drug_id, alert_type, COALESCE(inventory_id, '00000000-0000-0000-0000-000000000000'::uuid)) WHERE status = 'open';
+CREATE INDEX idx_emergency_cases_open ON emergency_cases(triage_level, arrival_time) WHERE status IN ('waiting', 'in_treatment');
+CREATE INDEX idx_emergency_cases_patient ON emergency_cases(patient_id);
+CREATE INDEX idx_emergency_triage_assessments_case ON emergency_triage_assessments(case_id, assessed_at);
+CREATE INDEX idx_vital_observations_patient ON vital_observations(patient_id, observed_at);
+CREATE INDEX idx_vital_observations_case ON vital_observations(emergency_case_id, observed_at);
+CREATE INDEX idx_vital_observations_admission ON vital_observations(admission_id, observed_at);
+CREATE INDEX idx_vital_alerts_open ON vital_alerts(doctor_id, created_at) WHERE status = 'open';
+CREATE INDEX idx_notifications_user ON notifications(user_id, is_read, created_at);
 CREATE INDEX idx_lab_orders_patient ON lab_orders(patient_id);
+CREATE INDEX idx_lab_orders_open ON lab_orders(order_date) WHERE status NOT IN ('completed', 'cancelled');
+CREATE INDEX idx_lab_order_items_order ON lab_order_items(lab_order_id);
+CREATE INDEX idx_lab_order_items_sample ON lab_order_items(sample_id);
+CREATE INDEX idx_lab_samples_order ON lab_samples(lab_order_id);
+CREATE INDEX idx_lab_samples_worklist ON lab_samples(status, collected_at) WHERE status IN ('collected', 'received');
+CREATE INDEX idx_lab_reference_ranges_test ON lab_reference_ranges(lab_test_id, component_id) WHERE is_active = true;
+CREATE UNIQUE INDEX idx_lab_results_item_component ON lab_results(lab_order_item_id, COALESCE(component_id, '00000000-0000-0000-0000-000000000000'::uuid));
+CREATE INDEX idx_lab_results_patient ON lab_results(patient_id, lab_test_id, entered_at);
+CREATE INDEX idx_lab_results_unverified ON lab_results(entered_at) WHERE status = 'entered';
+CREATE INDEX idx_lab_result_amendments_result ON lab_result_amendments(lab_result_id, created_at);
+CREATE INDEX idx_lab_critical_alerts_open ON lab_critical_alerts(doctor_id, created_at) WHERE status = 'open';
+CREATE INDEX idx_lab_analyzer_messages_status ON lab_analyzer_messages(status, created_at);
 CREATE INDEX idx_radiology_orders_patient ON radiology_orders(patient_id);
+CREATE INDEX idx_radiology_orders_open ON radiology_orders(order_date) WHERE status NOT IN ('completed', 'cancelled');
+CREATE INDEX idx_issued_reports_source ON issued_reports(report_type, source_id, issued_at);
 CREATE INDEX idx_patient_bills_patient ON patient_bills(patient_id);
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_staff_employee_id ON staff(employee_id);
@@ -17,6 +17,8 @@ const { sequelize, connectMongoDB, redisClient } = require('./config/database');
 const logger = require('./config/logger');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
 const { authenticateToken } = require('./middleware/authMiddleware');
+const { authenticateSocket, handleJoinRoom } = require('./middleware/socketAuthMiddleware');
+const { userRoom } = require('./services/notificationService');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -39,6 +41,15 @@ const ambulanceRoutes = require('./routes/ambulanceRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const complianceRoutes = require('./routes/complianceRoutes');
+const consentRoutes = require('./routes/consentRoutes');
+const familyAccountRoutes = require('./routes/familyAccountRoutes');
+const vitalsRoutes = require('./routes/vitalsRoutes');
+const reportVerificationRoutes = require('./routes/reportVerificationRoutes');
+
+// Import background jobs
+const { startNoShowJob } = require('./jobs/noShowJob');
+const { startStockAlertJob } = require('./jobs/stockAlertJob');
+const { startAnalyzerListeners } = require('./jobs/analyzerListener');
 
 const app = express();
 const server = createServer(app);
@@ -117,12 +128,17 @@ app.use(session({
 }));
 
 // Socket.io for real-time features
+io.use(authenticateSocket);
+
 io.on('connection', (socket) => {
-  logger.info(`User connected: ${socket.id}`);
+  logger.info(`User connected: ${socket.id} (user ${socket.user.id})`);
+
+  // Notifications go to user_<id>; a socket only ever receives its own user's
+  socket.join(userRoom(socket.user.id));
   
   socket.on('join_room', (room) => {
-    socket.join(room);
-    logger.info(`User ${socket.id} joined room: ${room}`);
+    handleJoinRoom(socket, room);
+    logger.info(`User ${socket.id} requested room: ${room}`);
   });
   
   socket.on('disconnect', () => {
@@ -148,6 +164,7 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/reports/verify', reportVerificationRoutes);
 app.use('/api/patients', authenticateToken, patientRoutes);
 app.use('/api/opd', authenticateToken, opdRoutes);
 app.use('/api/ipd', authenticateToken, ipdRoutes);
@@ -167,6 +184,9 @@ app.use('/api/ambulance', authenticateToken, ambulanceRoutes);
 app.use('/api/notifications', authenticateToken, notificationRoutes);
 app.use('/api/analytics', authenticateToken, analyticsRoutes);
 app.use('/api/compliance', authenticateToken, complianceRoutes);
+app.use('/api/consents', authenticateToken, consentRoutes);
+app.use('/api/family-accounts', authenticateToken, familyAccountRoutes);
+app.use('/api/vitals', authenticateToken, vitalsRoutes);
 
 // Static files
 app.use('/uploads', express.static('uploads'));
@@ -197,6 +217,11 @@ async function startServer() {
       logger.info(`HMS Server running on port ${PORT}`);
       logger.info(`API Documentation available at http://localhost:${PORT}/api-docs`);
     });
+
+    // Start background jobs
+    startNoShowJob();
+    startStockAlertJob(io);
+    startAnalyzerListeners(io);
   } catch (error) {
     logger.error('Failed to start server:', error);
     process.exit(1);
@@ -0,0 +1,149 @@
+const net = require('net');
+const { listeners } = require('../config/labAnalyzers');
+const { logger } = require('../config/logger');
+const astm = require('../services/astmParser');
+const hl7 = require('../services/hl7Parser');
+const { receiveMessage } = require('../services/analyzerResultService');
+
+// IPv4 peers show up as ::ffff:10.0.0.5 on a dual-stack socket
+const remoteAddressOf = (socket) => (socket.remoteAddress || '').replace(/^::ffff:/, '');
+
+/**
+ * Per-connection handling. Messages from one connection are posted one after
+ * another, in the order they arrived.
+ */
+const prepareSocket = (socket, protocol) => {
+  const remoteAddress = remoteAddressOf(socket);
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    queue = queue.then(task).catch((error) => {
+      logger.error(`Analyzer ${protocol} message from ${remoteAddress} failed: ${error.message}`);
+    });
+  };
+
+  socket.setTimeout(listeners.idleTimeoutMs);
+  socket.on('timeout', () => socket.destroy());
+  socket.on('error', (error) => logger.warn(`Analyzer ${protocol} connection ${remoteAddress}: ${error.message}`));
+  logger.info(`Analyzer ${protocol} connection from ${remoteAddress}`);
+
+  return { remoteAddress, enqueue };
+};
+
+// ASTM E1381: ACK the ENQ and every good frame, NAK bad ones, post on EOT
+const handleAstmConnection = (io) => (socket) => {
+  const { remoteAddress, enqueue } = prepareSocket(socket, 'astm');
+  let buffer = Buffer.alloc(0);
+  let text = '';
+  let lastFrameNumber = null;
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    if (buffer.length + text.length > listeners.maxMessageBytes) {
+      logger.warn(`Analyzer astm connection ${remoteAddress} sent an oversized message; dropping it`);
+      socket.destroy();
+      return;
+    }
+
+    while (buffer.length > 0) {
+      const byte = buffer[0];
+
+      if (byte === astm.STX) {
+        const end = buffer.indexOf(astm.LF);
+        if (end === -1) return; // wait for the rest of the frame
+
+        const frame = astm.decodeFrame(buffer.slice(0, end + 1));
+        buffer = buffer.slice(end + 1);
+        if (!frame) {
+          socket.write(Buffer.from([astm.NAK]));
+          continue;
+        }
+        // A repeated frame number means our ACK was lost and the frame resent
+        if (frame.frameNumber !== lastFrameNumber) {
+          text += frame.text;
+          lastFrameNumber = frame.frameNumber;
+        }
+        socket.write(Buffer.from([astm.ACK]));
+        continue;
+      }
+
+      buffer = buffer.slice(1);
+      if (byte === astm.ENQ) {
+        text = '';
+        lastFrameNumber = null;
+        socket.write(Buffer.from([astm.ACK]));
+      } else if (byte === astm.EOT && text) {
+        const messages = astm.splitMessages(text);
+        text = '';
+        lastFrameNumber = null;
+        messages.forEach((raw) => enqueue(() => receiveMessage({ protocol: 'astm', raw, remoteAddress }, io)));
+      }
+    }
+  });
+};
+
+// HL7 over MLLP: every message gets an ACK once it has been stored and posted
+const handleHl7Connection = (io) => (socket) => {
+  const { remoteAddress, enqueue } = prepareSocket(socket, 'hl7');
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (data) => {
+    buffer = Buffer.concat([buffer, data]);
+    if (buffer.length > listeners.maxMessageBytes) {
+      logger.warn(`Analyzer hl7 connection ${remoteAddress} sent an oversized message; dropping it`);
+      socket.destroy();
+      return;
+    }
+
+    for (;;) {
+      const start = buffer.indexOf(hl7.VT);
+      if (start === -1) {
+        buffer = Buffer.alloc(0);
+        return;
+      }
+      const end = buffer.indexOf(Buffer.from([hl7.FS, hl7.CR]), start);
+      if (end === -1) {
+        buffer = buffer.slice(start);
+        return;
+      }
+
+      const raw = buffer.slice(start + 1, end).toString('utf8');
+      buffer = buffer.slice(end + 2);
+
+      enqueue(async () => {
+        const { message, parsed } = await receiveMessage({ protocol: 'hl7', raw, remoteAddress }, io);
+        const ack = {
+          error: ['AE', message.error_message],
+          rejected: ['AR', message.error_message]
+        }[message.status] || ['AA', ''];
+        if (!socket.destroyed) {
+          socket.write(hl7.frame(hl7.buildAck(parsed, ...ack)));
+        }
+      });
+    }
+  });
+};
+
+const listen = (name, port, handler) => {
+  const server = net.createServer(handler);
+  server.on('error', (error) => logger.error(`Analyzer ${name} listener failed: ${error.message}`));
+  server.listen(port, listeners.host, () => {
+    logger.info(`Analyzer ${name} listener on ${listeners.host}:${port}`);
+  });
+  return server;
+};
+
+const startAnalyzerListeners = (io) => {
+  if (!listeners.enabled) {
+    logger.info('Lab analyzer listeners disabled');
+    return null;
+  }
+
+  return {
+    astm: listen('astm', listeners.astmPort, handleAstmConnection(io)),
+    hl7: listen('hl7', listeners.hl7Port, handleHl7Connection(io))
+  };
+};
+
+module.exports = {
+  startAnalyzerListeners
+};
@@ -0,0 +1,41 @@
+const cron = require('node-cron');
+const { logger } = require('../config/logger');
+const { markOverdueNoShows } = require('../services/noShowService');
+
+// Every 10 minutes by default; override with NO_SHOW_CRON
+const NO_SHOW_CRON = process.env.NO_SHOW_CRON || '*/10 * * * *';
+
+let running = false;
+
+const runNoShowSweep = async () => {
+  // Skip a tick if the previous sweep is still going
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const marked = await markOverdueNoShows();
+    if (marked.length > 0) {
+      logger.info(`Marked ${marked.length} OPD appointment(s) as no-show`);
+    }
+  } catch (error) {
+    logger.error(`No-show sweep failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+const startNoShowJob = () => {
+  if (process.env.NO_SHOW_JOB_ENABLED === 'false') {
+    logger.info('No-show job disabled');
+    return null;
+  }
+
+  return cron.schedule(NO_SHOW_CRON, runNoShowSweep);
+};
+
+module.exports = {
+  runNoShowSweep,
+  startNoShowJob
+};
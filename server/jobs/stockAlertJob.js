@@ -0,0 +1,41 @@
+const cron = require('node-cron');
+const { logger } = require('../config/logger');
+const { runStockChecks } = require('../services/stockService');
+
+// Hourly by default; override with PHARMACY_STOCK_CRON
+const PHARMACY_STOCK_CRON = process.env.PHARMACY_STOCK_CRON || '0 * * * *';
+
+let running = false;
+
+const runStockAlertCheck = async (io) => {
+  // Skip a tick if the previous check is still going
+  if (running) {
+    return;
+  }
+
+  running = true;
+  try {
+    const { raised, resolved } = await runStockChecks(io);
+    if (raised.length > 0 || resolved.length > 0) {
+      logger.info(`Pharmacy stock check raised ${raised.length} and resolved ${resolved.length} alert(s)`);
+    }
+  } catch (error) {
+    logger.error(`Pharmacy stock check failed: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+const startStockAlertJob = (io) => {
+  if (process.env.PHARMACY_STOCK_JOB_ENABLED === 'false') {
+    logger.info('Pharmacy stock alert job disabled');
+    return null;
+  }
+
+  return cron.schedule(PHARMACY_STOCK_CRON, () => runStockAlertCheck(io));
+};
+
+module.exports = {
+  runStockAlertCheck,
+  startStockAlertJob
+};
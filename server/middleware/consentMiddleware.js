@@ -0,0 +1,41 @@
+const { validationResult } = require('express-validator');
+const { findValidConsent } = require('../services/consentService');
+
+/**
+ * Block a request unless the patient has a valid consent of the given type,
+ * e.g. router.get('/:id/export', [...validators], requireConsent('data_sharing', (req) => req.params.id), ...)
+ * Requests that failed validation are passed on for the handler to reject.
+ */
+const requireConsent = (consentType, getPatientId) => {
+  return async (req, res, next) => {
+    try {
+      if (!validationResult(req).isEmpty()) {
+        return next();
+      }
+
+      const patientId = getPatientId(req);
+      const consent = patientId ? await findValidConsent(patientId, consentType) : null;
+
+      if (!consent) {
+        return res.status(409).json({
+          success: false,
+          message: `A valid ${consentType.replace(/_/g, ' ')} consent is required`,
+          consent_required: consentType
+        });
+      }
+
+      req.consent = consent;
+      next();
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify patient consent',
+        error: error.message
+      });
+    }
+  };
+};
+
+module.exports = {
+  requireConsent
+};
@@ -0,0 +1,95 @@
+const jwt = require('jsonwebtoken');
+const { User, Staff } = require('../models');
+const { logSecurityEvent } = require('../config/logger');
+const { redisClient } = require('../config/database');
+const { userRoom } = require('../services/notificationService');
+
+// Shared rooms carry patient details, so each is limited to the roles that may
+// read the matching REST resource
+const ROOM_RULES = [
+  { pattern: /^opd_queue_[0-9a-f-]{36}$/i, roles: ['admin', 'receptionist', 'doctor', 'nurse'] },
+  { pattern: /^emergency_board$/, roles: ['admin', 'doctor', 'nurse', 'receptionist'] }
+];
+
+// Socket.IO handshake verification; mirrors authenticateToken for HTTP
+const authenticateSocket = async (socket, next) => {
+  try {
+    const authHeader = socket.handshake.headers['authorization'];
+    const token = socket.handshake.auth?.token || (authHeader && authHeader.split(' ')[1]);
+
+    if (!token) {
+      return next(new Error('Access token required'));
+    }
+
+    const isBlacklisted = await redisClient.get(`blacklist:${token}`);
+    if (isBlacklisted) {
+      return next(new Error('Token has been invalidated'));
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'hms-jwt-secret');
+
+    const user = await User.findByPk(decoded.userId, {
+      include: [{
+        model: Staff,
+        as: 'staff'
+      }],
+      attributes: { exclude: ['password_hash'] }
+    });
+
+    if (!user || !user.is_active) {
+      return next(new Error('User not found or inactive'));
+    }
+
+    if (user.locked_until && new Date() < user.locked_until) {
+      return next(new Error('Account is temporarily locked'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token has expired'));
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token'));
+    }
+
+    next(new Error('Authentication failed'));
+  }
+};
+
+// A socket may join its own user room and any shared room its role allows
+const canJoinRoom = (user, room) => {
+  if (typeof room !== 'string') {
+    return false;
+  }
+
+  if (room === userRoom(user.id)) {
+    return true;
+  }
+
+  const rule = ROOM_RULES.find(({ pattern }) => pattern.test(room));
+  return Boolean(rule && rule.roles.includes(user.role));
+};
+
+const handleJoinRoom = (socket, room) => {
+  if (!canJoinRoom(socket.user, room)) {
+    logSecurityEvent('unauthorized_room_join_attempt', socket.user.id, {
+      ip: socket.handshake.address,
+      userAgent: socket.handshake.headers['user-agent'],
+      room,
+      userRole: socket.user.role
+    });
+    socket.emit('room_denied', { room, message: 'Insufficient permissions' });
+    return;
+  }
+
+  socket.join(room);
+};
+
+module.exports = {
+  authenticateSocket,
+  canJoinRoom,
+  handleJoinRoom
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+// Signatures are kept outside the public /uploads folder and served only
+// through authenticated routes
+const CONSENT_STORAGE_DIR = path.resolve(process.env.CONSENT_STORAGE_DIR || 'storage/consents');
+
+const SIGNATURE_TYPES = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg'
+};
+
+const signatureUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(CONSENT_STORAGE_DIR, { recursive: true }, (error) => cb(error, CONSENT_STORAGE_DIR));
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomUUID()}${SIGNATURE_TYPES[file.mimetype]}`);
+    }
+  }),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (!SIGNATURE_TYPES[file.mimetype]) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+});
+
+// Wrap multer so upload errors get the API's JSON error shape
+const handleUpload = (upload) => (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error instanceof multer.MulterError ? `Invalid upload: ${error.message}` : 'Failed to process upload',
+        error: error.message
+      });
+    }
+    next();
+  });
+};
+
+module.exports = {
+  CONSENT_STORAGE_DIR,
+  signatureUpload: handleUpload(signatureUpload.single('signature'))
+};
@@ -0,0 +1,785 @@
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { ConsentTemplate, PatientConsent, Patient, Staff, User } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { signatureUpload, CONSENT_STORAGE_DIR } = require('../middleware/uploadMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  CONSENT_TYPES,
+  publishTemplate,
+  recordConsent,
+  revokeConsent,
+  findValidConsent
+} = require('../services/consentService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+// Remove an uploaded signature when the consent it belongs to is not saved
+const discardUpload = (file) => {
+  if (file) {
+    fs.unlink(file.path, () => {});
+  }
+};
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ConsentTemplate:
+ *       type: object
+ *       required:
+ *         - code
+ *         - consent_type
+ *         - title
+ *         - body
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         code:
+ *           type: string
+ *           description: Stable identifier shared by all versions, e.g. GENERAL_SURGERY
+ *         consent_type:
+ *           type: string
+ *           enum: [treatment, surgery, anesthesia, procedure, blood_transfusion, data_sharing, sms_contact]
+ *         title:
+ *           type: string
+ *         body:
+ *           type: string
+ *         language:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           readOnly: true
+ *         requires_witness:
+ *           type: boolean
+ *         validity_days:
+ *           type: integer
+ *           description: Days a signed consent stays valid; empty means until revoked
+ *         is_active:
+ *           type: boolean
+ *           readOnly: true
+ *     PatientConsent:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         template_id:
+ *           type: string
+ *           format: uuid
+ *         consent_type:
+ *           type: string
+ *         template_version:
+ *           type: integer
+ *         status:
+ *           type: string
+ *           enum: [granted, revoked]
+ *         signed_by_name:
+ *           type: string
+ *         signer_relationship:
+ *           type: string
+ *         witness_name:
+ *           type: string
+ *         reference_type:
+ *           type: string
+ *         reference_id:
+ *           type: string
+ *           format: uuid
+ *         signed_at:
+ *           type: string
+ *           format: date-time
+ *         expires_at:
+ *           type: string
+ *           format: date-time
+ *         revoked_at:
+ *           type: string
+ *           format: date-time
+ *         revocation_reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/consents/templates:
+ *   get:
+ *     summary: Get consent templates
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: consent_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *         description: Include superseded versions
+ *     responses:
+ *       200:
+ *         description: List of templates
+ */
+router.get('/templates',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('consent_type').optional().isIn(CONSENT_TYPES).withMessage('Valid consent type required'),
+    query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = {};
+      if (req.query.consent_type) where.consent_type = req.query.consent_type;
+      if (req.query.include_inactive !== 'true') where.is_active = true;
+
+      const templates = await ConsentTemplate.findAll({
+        where,
+        order: [['code', 'ASC'], ['version', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: templates
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch consent templates',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/templates:
+ *   post:
+ *     summary: Publish a consent template or a new version of one
+ *     description: Reusing an existing code publishes the next version and retires the previous one.
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConsentTemplate'
+ *     responses:
+ *       201:
+ *         description: Template version published
+ */
+router.post('/templates',
+  authorize('admin'),
+  [
+    body('code').trim().matches(/^[A-Z0-9_]{2,50}$/).withMessage('Code must be 2-50 uppercase letters, digits or underscores'),
+    body('consent_type').isIn(CONSENT_TYPES).withMessage('Valid consent type required'),
+    body('title').trim().isLength({ min: 3, max: 200 }).withMessage('Title must be 3-200 characters'),
+    body('body').trim().isLength({ min: 10 }).withMessage('Template body required'),
+    body('language').optional().isLength({ min: 2, max: 10 }).withMessage('Valid language code required'),
+    body('requires_witness').optional().isBoolean().toBoolean().withMessage('requires_witness must be a boolean'),
+    body('validity_days').optional().isInt({ min: 1 }).withMessage('Validity must be a positive number of days')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const template = await publishTemplate(req.body, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: `Consent template ${template.code} v${template.version} published`,
+        data: template
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to publish consent template',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/templates/{id}:
+ *   get:
+ *     summary: Get a consent template version
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Template details
+ *       404:
+ *         description: Template not found
+ */
+router.get('/templates/:id',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid template ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const template = await ConsentTemplate.findByPk(req.params.id);
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consent template not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: template
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch consent template',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents:
+ *   post:
+ *     summary: Record a signed patient consent
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *               - template_id
+ *               - signed_by_name
+ *               - signature
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *               template_id:
+ *                 type: string
+ *                 format: uuid
+ *               signed_by_name:
+ *                 type: string
+ *               signer_relationship:
+ *                 type: string
+ *                 description: self, parent, spouse, guardian, ...
+ *               witness_name:
+ *                 type: string
+ *               witness_staff_id:
+ *                 type: string
+ *                 format: uuid
+ *               reference_type:
+ *                 type: string
+ *                 description: Record the consent is for, e.g. ot_schedule
+ *               reference_id:
+ *                 type: string
+ *                 format: uuid
+ *               signed_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now; cannot be in the future or before the template version was published
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: PNG or JPEG signature image
+ *     responses:
+ *       201:
+ *         description: Consent recorded
+ *       400:
+ *         description: Validation failed, or signed_at is in the future or before the version was published
+ *       409:
+ *         description: Template version has been superseded
+ */
+router.post('/',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  signatureUpload,
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('template_id').isUUID().withMessage('Valid template ID required'),
+    body('signed_by_name').trim().isLength({ min: 2, max: 100 }).withMessage('Signer name must be 2-100 characters'),
+    body('signer_relationship').optional().trim().isLength({ max: 50 }).withMessage('Signer relationship too long'),
+    body('witness_name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Witness name must be 2-100 characters'),
+    body('witness_staff_id').optional().isUUID().withMessage('Valid witness staff ID required'),
+    body('reference_type').optional().trim().isLength({ max: 50 }).withMessage('Reference type too long'),
+    body('reference_id').optional().isUUID().withMessage('Valid reference ID required'),
+    body('signed_at').optional().isISO8601().withMessage('Valid signed time required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        discardUpload(req.file);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Signature image required'
+        });
+      }
+
+      const consent = await recordConsent(req.body, path.basename(req.file.path), req.user.id);
+
+      logMedicalEvent('patient_consent_recorded', consent.patient_id, req.user.id, {
+        consent_id: consent.id,
+        consent_type: consent.consent_type,
+        template_version: consent.template_version,
+        witness_name: consent.witness_name
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Consent recorded successfully',
+        data: consent
+      });
+    } catch (error) {
+      discardUpload(req.file);
+
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents:
+ *   get:
+ *     summary: Get patient consents
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: consent_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [granted, revoked]
+ *     responses:
+ *       200:
+ *         description: Consents, newest first
+ */
+router.get('/',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('patient_id').isUUID().withMessage('Valid patient ID required'),
+    query('consent_type').optional().isIn(CONSENT_TYPES).withMessage('Valid consent type required'),
+    query('status').optional().isIn(['granted', 'revoked']).withMessage('Valid status required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { patient_id: req.query.patient_id };
+      if (req.query.consent_type) where.consent_type = req.query.consent_type;
+      if (req.query.status) where.status = req.query.status;
+
+      const consents = await PatientConsent.findAll({
+        where,
+        include: [{
+          model: ConsentTemplate,
+          as: 'template',
+          attributes: ['id', 'code', 'title', 'version']
+        }],
+        order: [['signed_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: consents
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch consents',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/check:
+ *   get:
+ *     summary: Check whether a patient has a valid consent of a type
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: consent_type
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Whether a valid consent exists, and the consent if so
+ */
+router.get('/check',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('patient_id').isUUID().withMessage('Valid patient ID required'),
+    query('consent_type').isIn(CONSENT_TYPES).withMessage('Valid consent type required'),
+    query('reference_type').optional().trim().isLength({ max: 50 }).withMessage('Reference type too long'),
+    query('reference_id').optional().isUUID().withMessage('Valid reference ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const consent = await findValidConsent(req.query.patient_id, req.query.consent_type, {
+        referenceType: req.query.reference_type,
+        referenceId: req.query.reference_id
+      });
+
+      res.json({
+        success: true,
+        data: {
+          valid: Boolean(consent),
+          consent
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/{id}:
+ *   get:
+ *     summary: Get a consent record with its template text
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent details
+ *       404:
+ *         description: Consent not found
+ */
+router.get('/:id',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid consent ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const consent = await PatientConsent.findByPk(req.params.id, {
+        include: [
+          {
+            model: ConsentTemplate,
+            as: 'template'
+          },
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: Staff,
+            as: 'witness_staff',
+            attributes: ['id', 'first_name', 'last_name', 'designation']
+          },
+          {
+            model: User,
+            as: 'revoked_by_user',
+            attributes: ['id', 'username', 'role']
+          }
+        ]
+      });
+
+      if (!consent) {
+        return res.status(404).json({
+          success: false,
+          message: 'Consent not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: consent
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/{id}/signature:
+ *   get:
+ *     summary: Download the signature image of a consent
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signature image
+ *       404:
+ *         description: Consent or signature not found
+ */
+router.get('/:id/signature',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid consent ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const consent = await PatientConsent.findByPk(req.params.id, {
+        attributes: ['id', 'patient_id', 'signature_path']
+      });
+
+      if (!consent || !consent.signature_path) {
+        return res.status(404).json({
+          success: false,
+          message: 'Signature not found'
+        });
+      }
+
+      logMedicalEvent('patient_consent_signature_accessed', consent.patient_id, req.user.id, {
+        consent_id: consent.id
+      });
+
+      res.sendFile(path.join(CONSENT_STORAGE_DIR, path.basename(consent.signature_path)));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch signature',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/consents/{id}/revoke:
+ *   patch:
+ *     summary: Revoke a patient consent
+ *     tags: [Consents]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Consent revoked
+ *       409:
+ *         description: Consent already revoked
+ */
+router.patch('/:id/revoke',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid consent ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const consent = await revokeConsent(req.params.id, req.body.reason, req.user.id);
+
+      logMedicalEvent('patient_consent_revoked', consent.patient_id, req.user.id, {
+        consent_id: consent.id,
+        consent_type: consent.consent_type,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Consent revoked successfully',
+        data: consent
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke consent',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,809 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { EmergencyCase, EmergencyTriageAssessment, Patient, Staff, IPDAdmission, User } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  TRIAGE_LEVELS,
+  DISPOSITIONS,
+  registerCase,
+  retriageCase,
+  assignDoctor,
+  disposeCase,
+  identifyPatient,
+  getTriageBoard,
+  broadcastBoard
+} = require('../services/emergencyService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+const caseIncludes = [
+  {
+    model: Patient,
+    as: 'patient',
+    attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'phone', 'is_unidentified']
+  },
+  {
+    model: Staff,
+    as: 'assigned_doctor',
+    attributes: ['id', 'first_name', 'last_name', 'specialization']
+  }
+];
+
+const vitalSignsValidators = (field) => [
+  body(field).optional().isObject().withMessage('Vital signs must be an object'),
+  body(`${field}.heart_rate`).optional().isFloat({ min: 0, max: 300 }).withMessage('Heart rate must be 0-300'),
+  body(`${field}.respiratory_rate`).optional().isFloat({ min: 0, max: 80 }).withMessage('Respiratory rate must be 0-80'),
+  body(`${field}.oxygen_saturation`).optional().isFloat({ min: 0, max: 100 }).withMessage('Oxygen saturation must be 0-100'),
+  body(`${field}.temperature`).optional().isFloat({ min: 25, max: 115 }).withMessage('Temperature out of range'),
+  body(`${field}.blood_pressure`).optional().matches(/^\d{2,3}\/\d{2,3}$/).withMessage('Blood pressure must look like 120/80')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     EmergencyCase:
+ *       type: object
+ *       required:
+ *         - triage_level
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         case_number:
+ *           type: string
+ *           readOnly: true
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         triage_level:
+ *           type: string
+ *           enum: [critical, urgent, less_urgent, non_urgent]
+ *         arrival_time:
+ *           type: string
+ *           format: date-time
+ *         arrival_mode:
+ *           type: string
+ *           enum: [walk_in, ambulance, police, referral]
+ *         chief_complaint:
+ *           type: string
+ *         vital_signs:
+ *           type: object
+ *           properties:
+ *             blood_pressure:
+ *               type: string
+ *             heart_rate:
+ *               type: number
+ *             temperature:
+ *               type: number
+ *             respiratory_rate:
+ *               type: number
+ *             oxygen_saturation:
+ *               type: number
+ *         assigned_doctor_id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [waiting, in_treatment, admitted, discharged, referred]
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /api/emergency/board:
+ *   get:
+ *     summary: Get the live triage board
+ *     description: |
+ *       Open cases sorted by acuity, then by arrival. The same board is pushed to the
+ *       `emergency_board` Socket.IO room as `emergency_board_updated` after every change.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Waiting and in-treatment cases with counts per triage level
+ */
+router.get('/board',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  async (req, res) => {
+    try {
+      const board = await getTriageBoard();
+
+      res.json({
+        success: true,
+        data: board
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch triage board',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases:
+ *   post:
+ *     summary: Register an emergency case
+ *     description: |
+ *       Send `patient_id` for a known patient, or `unknown_patient: true` to register an
+ *       unidentified patient under a placeholder record that can be identified later.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/EmergencyCase'
+ *               - type: object
+ *                 properties:
+ *                   unknown_patient:
+ *                     type: boolean
+ *                   alias:
+ *                     type: string
+ *                     description: Temporary name for an unknown patient, e.g. "Trauma Alpha"
+ *                   estimated_age:
+ *                     type: integer
+ *                   gender:
+ *                     type: string
+ *                     enum: [male, female, other]
+ *                   triage_notes:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Case registered
+ *       404:
+ *         description: Patient or doctor not found
+ *       409:
+ *         description: Patient already has an open emergency case
+ */
+router.post('/cases',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    body('unknown_patient').optional().isBoolean().withMessage('unknown_patient must be a boolean'),
+    body('patient_id').if(body('unknown_patient').not().equals('true')).isUUID().withMessage('Valid patient ID required unless the patient is unknown'),
+    body('alias').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Alias must be 2-50 characters'),
+    body('estimated_age').optional().isInt({ min: 0, max: 120 }).withMessage('Estimated age must be 0-120'),
+    body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Valid gender required'),
+    body('triage_level').isIn(TRIAGE_LEVELS).withMessage('Valid triage level required'),
+    body('arrival_time').optional().isISO8601().withMessage('Valid arrival time required'),
+    body('arrival_mode').optional().isIn(['walk_in', 'ambulance', 'police', 'referral']).withMessage('Valid arrival mode required'),
+    body('chief_complaint').optional().trim().isLength({ max: 1000 }).withMessage('Chief complaint too long'),
+    body('assigned_doctor_id').optional().isUUID().withMessage('Valid doctor ID required'),
+    body('triage_notes').optional().trim().isLength({ max: 1000 }).withMessage('Triage notes too long'),
+    ...vitalSignsValidators('vital_signs')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const created = await registerCase({
+        ...req.body,
+        unknown_patient: req.body.unknown_patient === true || req.body.unknown_patient === 'true'
+      }, req.user.id);
+      const emergencyCase = await EmergencyCase.findByPk(created.id, { include: caseIncludes });
+      await broadcastBoard(req.app.get('io'));
+
+      logMedicalEvent('emergency_case_registered', emergencyCase.patient_id, req.user.id, {
+        case_id: emergencyCase.id,
+        case_number: emergencyCase.case_number,
+        triage_level: emergencyCase.triage_level,
+        unknown_patient: emergencyCase.patient.is_unidentified
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Emergency case ${emergencyCase.case_number} registered`,
+        data: emergencyCase
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register emergency case',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases:
+ *   get:
+ *     summary: Get emergency cases with filters
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: triage_level
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Arrival date
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Emergency cases, latest arrival first
+ */
+router.get('/cases',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('status').optional().isIn(['waiting', 'in_treatment', ...DISPOSITIONS]).withMessage('Valid status required'),
+    query('triage_level').optional().isIn(TRIAGE_LEVELS).withMessage('Valid triage level required'),
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.triage_level) where.triage_level = req.query.triage_level;
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+      if (req.query.date) {
+        where.arrival_time = {
+          [Op.gte]: moment(req.query.date).startOf('day').toDate(),
+          [Op.lt]: moment(req.query.date).endOf('day').toDate()
+        };
+      }
+
+      const { count, rows: cases } = await EmergencyCase.findAndCountAll({
+        where,
+        include: caseIncludes,
+        limit,
+        offset,
+        order: [['arrival_time', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          cases,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch emergency cases',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases/{id}:
+ *   get:
+ *     summary: Get an emergency case with its triage history
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Case details with every triage assessment, oldest first
+ *       404:
+ *         description: Case not found
+ */
+router.get('/cases/:id',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid case ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const emergencyCase = await EmergencyCase.findByPk(req.params.id, {
+        include: [
+          ...caseIncludes,
+          {
+            model: EmergencyTriageAssessment,
+            as: 'triage_assessments',
+            include: [{
+              model: User,
+              as: 'assessed_by_user',
+              attributes: ['id', 'username', 'role']
+            }]
+          },
+          {
+            model: IPDAdmission,
+            as: 'admission',
+            attributes: ['id', 'admission_number', 'bed_id', 'status']
+          }
+        ],
+        order: [[{ model: EmergencyTriageAssessment, as: 'triage_assessments' }, 'assessed_at', 'ASC']]
+      });
+
+      if (!emergencyCase) {
+        return res.status(404).json({
+          success: false,
+          message: 'Emergency case not found'
+        });
+      }
+
+      logMedicalEvent('emergency_case_accessed', emergencyCase.patient_id, req.user.id, {
+        case_id: emergencyCase.id
+      });
+
+      res.json({
+        success: true,
+        data: emergencyCase
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch emergency case',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases/{id}/triage:
+ *   patch:
+ *     summary: Re-triage an open case
+ *     description: Records a new assessment in the case's triage history and updates the current level and vitals.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - triage_level
+ *             properties:
+ *               triage_level:
+ *                 type: string
+ *                 enum: [critical, urgent, less_urgent, non_urgent]
+ *               vital_signs:
+ *                 type: object
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Case re-triaged
+ *       409:
+ *         description: Case is already closed
+ */
+router.patch('/cases/:id/triage',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid case ID required'),
+    body('triage_level').isIn(TRIAGE_LEVELS).withMessage('Valid triage level required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    ...vitalSignsValidators('vital_signs')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { emergencyCase, assessment, previousLevel } = await retriageCase(req.params.id, req.body, req.user.id);
+      await broadcastBoard(req.app.get('io'));
+
+      logMedicalEvent('emergency_case_retriaged', emergencyCase.patient_id, req.user.id, {
+        case_id: emergencyCase.id,
+        from_level: previousLevel,
+        to_level: emergencyCase.triage_level
+      });
+
+      res.json({
+        success: true,
+        message: 'Case re-triaged successfully',
+        data: {
+          case: emergencyCase,
+          assessment
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to re-triage case',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases/{id}/assign:
+ *   patch:
+ *     summary: Assign a doctor to an open case
+ *     description: A waiting case moves to in_treatment when a doctor is assigned.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctor_id
+ *             properties:
+ *               doctor_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Doctor assigned
+ *       409:
+ *         description: Case is already closed
+ */
+router.patch('/cases/:id/assign',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid case ID required'),
+    body('doctor_id').isUUID().withMessage('Valid doctor ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const assigned = await assignDoctor(req.params.id, req.body.doctor_id);
+      const emergencyCase = await EmergencyCase.findByPk(assigned.id, { include: caseIncludes });
+      await broadcastBoard(req.app.get('io'));
+
+      logMedicalEvent('emergency_case_doctor_assigned', emergencyCase.patient_id, req.user.id, {
+        case_id: emergencyCase.id,
+        doctor_id: req.body.doctor_id
+      });
+
+      res.json({
+        success: true,
+        message: 'Doctor assigned successfully',
+        data: emergencyCase
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign doctor',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases/{id}/disposition:
+ *   post:
+ *     summary: Close a case as admitted, discharged or referred
+ *     description: Admission creates the IPD admission and claims the bed in the same transaction.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - disposition
+ *             properties:
+ *               disposition:
+ *                 type: string
+ *                 enum: [admitted, discharged, referred]
+ *               bed_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required when admitting
+ *               doctor_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Admitting doctor; defaults to the assigned doctor
+ *               diagnosis:
+ *                 type: string
+ *               treatment_plan:
+ *                 type: string
+ *               referred_to:
+ *                 type: string
+ *                 description: Required when referring
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Case closed
+ *       409:
+ *         description: Case already closed, bed unavailable or patient already admitted
+ */
+router.post('/cases/:id/disposition',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid case ID required'),
+    body('disposition').isIn(DISPOSITIONS).withMessage('Valid disposition required'),
+    body('bed_id').if(body('disposition').equals('admitted')).isUUID().withMessage('Valid bed ID required to admit'),
+    body('doctor_id').optional().isUUID().withMessage('Valid doctor ID required'),
+    body('diagnosis').optional().trim().isLength({ max: 2000 }).withMessage('Diagnosis too long'),
+    body('treatment_plan').optional().trim().isLength({ max: 2000 }).withMessage('Treatment plan too long'),
+    body('referred_to').if(body('disposition').equals('referred')).trim().isLength({ min: 2, max: 200 }).withMessage('Referral destination required'),
+    body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const closed = await disposeCase(req.params.id, req.body, req.user.id);
+      const emergencyCase = await EmergencyCase.findByPk(closed.id, {
+        include: [
+          ...caseIncludes,
+          {
+            model: IPDAdmission,
+            as: 'admission',
+            attributes: ['id', 'admission_number', 'bed_id', 'status']
+          }
+        ]
+      });
+      await broadcastBoard(req.app.get('io'));
+
+      logMedicalEvent('emergency_case_disposed', emergencyCase.patient_id, req.user.id, {
+        case_id: emergencyCase.id,
+        disposition: emergencyCase.status,
+        admission_id: emergencyCase.admission_id,
+        referred_to: emergencyCase.referred_to
+      });
+
+      res.json({
+        success: true,
+        message: `Case ${emergencyCase.case_number} ${emergencyCase.status}`,
+        data: emergencyCase
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to close emergency case',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/emergency/cases/{id}/identify:
+ *   patch:
+ *     summary: Identify the unknown patient on a case
+ *     description: |
+ *       Send `patient_id` when the patient is already registered; the placeholder record is
+ *       merged into it. Otherwise send demographics to complete the placeholder record.
+ *     tags: [Emergency]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               date_of_birth:
+ *                 type: string
+ *                 format: date
+ *               gender:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient identified
+ *       409:
+ *         description: Patient on the case is already identified
+ */
+router.patch('/cases/:id/identify',
+  authorize('admin', 'receptionist', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid case ID required'),
+    body('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    body('first_name').if(body('patient_id').not().exists()).trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+    body('last_name').if(body('patient_id').not().exists()).trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+    body('date_of_birth').if(body('patient_id').not().exists()).isISO8601().withMessage('Valid date of birth required'),
+    body('gender').optional().isIn(['male', 'female', 'other']).withMessage('Valid gender required'),
+    body('phone').optional().isMobilePhone().withMessage('Valid phone number required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await identifyPatient(req.params.id, req.body, req.user.id);
+      await broadcastBoard(req.app.get('io'));
+
+      logMedicalEvent('emergency_patient_identified', patient.id, req.user.id, {
+        case_id: req.params.id,
+        merged: Boolean(req.body.patient_id)
+      });
+
+      res.json({
+        success: true,
+        message: 'Patient identified successfully',
+        data: patient
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to identify patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
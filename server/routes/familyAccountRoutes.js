@@ -0,0 +1,652 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { Op } = require('sequelize');
+const { FamilyAccount } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  createFamilyAccount,
+  getFamilyAccount,
+  addMember,
+  removeMember,
+  setGuarantor,
+  getFamilyStatement
+} = require('../services/familyAccountService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FamilyAccount:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         account_number:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *         billing_address:
+ *           type: string
+ *         billing_phone:
+ *           type: string
+ *         billing_email:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/family-accounts:
+ *   get:
+ *     summary: Get family accounts
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Account number or name
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: List of family accounts
+ */
+router.get('/',
+  authorize('admin', 'receptionist'),
+  [
+    query('search').optional().trim().isLength({ min: 2 }).withMessage('Search must be at least 2 characters'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = { is_active: true };
+      if (req.query.search) {
+        where[Op.or] = [
+          { account_number: { [Op.iLike]: `%${req.query.search}%` } },
+          { name: { [Op.iLike]: `%${req.query.search}%` } }
+        ];
+      }
+
+      const { count, rows: accounts } = await FamilyAccount.findAndCountAll({
+        where,
+        limit,
+        offset,
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          accounts,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch family accounts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts:
+ *   post:
+ *     summary: Open a family account for consolidated billing
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/FamilyAccount'
+ *               - type: object
+ *                 required:
+ *                   - guarantor_patient_id
+ *                 properties:
+ *                   guarantor_patient_id:
+ *                     type: string
+ *                     format: uuid
+ *                     description: Member responsible for the account; billing details default to theirs
+ *                   member_ids:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       format: uuid
+ *     responses:
+ *       201:
+ *         description: Family account created
+ *       409:
+ *         description: A patient already belongs to another family account
+ */
+router.post('/',
+  authorize('admin', 'receptionist'),
+  [
+    body('guarantor_patient_id').isUUID().withMessage('Valid guarantor patient ID required'),
+    body('member_ids').optional().isArray({ max: 20 }).withMessage('Members must be a list of up to 20 patients'),
+    body('member_ids.*').isUUID().withMessage('Valid member patient ID required'),
+    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('billing_phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+    body('billing_email').optional().isEmail().withMessage('Valid email required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const created = await createFamilyAccount(req.body, req.user.id);
+      const account = await getFamilyAccount(created.id);
+
+      logMedicalEvent('family_account_created', req.body.guarantor_patient_id, req.user.id, {
+        family_account_id: account.id,
+        account_number: account.account_number,
+        member_ids: account.members.map((member) => member.id)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Family account ${account.account_number} created`,
+        data: account
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create family account',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}:
+ *   get:
+ *     summary: Get a family account with its members
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Family account details
+ *       404:
+ *         description: Family account not found
+ */
+router.get('/:id',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const account = await getFamilyAccount(req.params.id);
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Family account not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: account
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch family account',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}:
+ *   put:
+ *     summary: Update family account billing details
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FamilyAccount'
+ *     responses:
+ *       200:
+ *         description: Family account updated
+ *       404:
+ *         description: Family account not found
+ */
+router.put('/:id',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required'),
+    body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('billing_phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+    body('billing_email').optional().isEmail().withMessage('Valid email required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const account = await FamilyAccount.findOne({
+        where: { id: req.params.id, is_active: true }
+      });
+
+      if (!account) {
+        return res.status(404).json({
+          success: false,
+          message: 'Family account not found'
+        });
+      }
+
+      const changes = {};
+      ['name', 'billing_address', 'billing_phone', 'billing_email'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      });
+
+      await account.update(changes);
+
+      res.json({
+        success: true,
+        message: 'Family account updated successfully',
+        data: account
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update family account',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}/members:
+ *   post:
+ *     summary: Add a patient to a family account
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Member added
+ *       409:
+ *         description: Patient already belongs to a family account
+ */
+router.post('/:id/members',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required'),
+    body('patient_id').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await addMember(req.params.id, req.body.patient_id);
+
+      logMedicalEvent('family_account_member_added', patient.id, req.user.id, {
+        family_account_id: req.params.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Member added to family account',
+        data: await getFamilyAccount(req.params.id)
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add family account member',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}/members/{patientId}:
+ *   delete:
+ *     summary: Remove a patient from a family account
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       409:
+ *         description: The guarantor cannot be removed
+ */
+router.delete('/:id/members/:patientId',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required'),
+    param('patientId').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await removeMember(req.params.id, req.params.patientId);
+
+      logMedicalEvent('family_account_member_removed', patient.id, req.user.id, {
+        family_account_id: req.params.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Member removed from family account'
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove family account member',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}/guarantor:
+ *   patch:
+ *     summary: Make another member the account guarantor
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       200:
+ *         description: Guarantor changed
+ *       404:
+ *         description: Patient is not a member of this account
+ */
+router.patch('/:id/guarantor',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required'),
+    body('patient_id').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await setGuarantor(req.params.id, req.body.patient_id);
+
+      logMedicalEvent('family_account_guarantor_changed', patient.id, req.user.id, {
+        family_account_id: req.params.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Guarantor updated successfully',
+        data: await getFamilyAccount(req.params.id)
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update guarantor',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/family-accounts/{id}/statement:
+ *   get:
+ *     summary: Get a consolidated billing statement for all members
+ *     tags: [Family Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Bills per member with member and account totals
+ *       404:
+ *         description: Family account not found
+ */
+router.get('/:id/statement',
+  authorize('admin', 'receptionist', 'accountant'),
+  [
+    param('id').isUUID().withMessage('Valid family account ID required'),
+    query('from').optional().isISO8601().withMessage('Valid from date required'),
+    query('to').optional().isISO8601().withMessage('Valid to date required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const statement = await getFamilyStatement(req.params.id, {
+        from: req.query.from,
+        to: req.query.to
+      });
+
+      res.json({
+        success: true,
+        data: statement
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate family statement',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,624 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { IPDAdmission, IPDBedTransfer, Bed, Ward, Patient, Staff } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const { admitPatient, transferPatient, dischargePatient } = require('../services/admissionService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     IPDAdmission:
+ *       type: object
+ *       required:
+ *         - patient_id
+ *         - doctor_id
+ *         - bed_id
+ *         - admission_type
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         admission_number:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         doctor_id:
+ *           type: string
+ *           format: uuid
+ *         bed_id:
+ *           type: string
+ *           format: uuid
+ *         admission_date:
+ *           type: string
+ *           format: date-time
+ *         admission_type:
+ *           type: string
+ *           enum: [emergency, planned, transfer]
+ *         diagnosis:
+ *           type: string
+ *         treatment_plan:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [admitted, discharged, transferred, deceased]
+ */
+
+const admissionIncludes = [
+  {
+    model: Patient,
+    as: 'patient',
+    attributes: ['id', 'patient_id', 'first_name', 'last_name', 'phone', 'gender', 'date_of_birth']
+  },
+  {
+    model: Staff,
+    as: 'doctor',
+    attributes: ['id', 'first_name', 'last_name', 'specialization']
+  },
+  {
+    model: Bed,
+    as: 'bed',
+    attributes: ['id', 'bed_number', 'bed_type', 'daily_rate'],
+    include: [{
+      model: Ward,
+      as: 'ward',
+      attributes: ['id', 'name', 'ward_type', 'floor_number']
+    }]
+  }
+];
+
+/**
+ * @swagger
+ * /api/ipd/wards:
+ *   get:
+ *     summary: Get wards with bed occupancy
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of wards
+ */
+router.get('/wards',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  async (req, res) => {
+    try {
+      const wards = await Ward.findAll({
+        where: { is_active: true },
+        order: [['floor_number', 'ASC'], ['name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: wards
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch wards',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/beds:
+ *   get:
+ *     summary: Get beds with optional ward and status filters
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: ward_id
+ *         schema:
+ *           type: string
+ *         description: Filter by ward ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, occupied, maintenance, reserved]
+ *         description: Filter by bed status
+ *     responses:
+ *       200:
+ *         description: List of beds
+ */
+router.get('/beds',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    query('ward_id').optional().isUUID().withMessage('Valid ward ID required'),
+    query('status').optional().isIn(['available', 'occupied', 'maintenance', 'reserved']).withMessage('Valid bed status required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const whereClause = { is_active: true };
+
+      if (req.query.ward_id) {
+        whereClause.ward_id = req.query.ward_id;
+      }
+
+      if (req.query.status) {
+        whereClause.status = req.query.status;
+      }
+
+      const beds = await Bed.findAll({
+        where: whereClause,
+        include: [{
+          model: Ward,
+          as: 'ward',
+          attributes: ['id', 'name', 'ward_type', 'floor_number']
+        }],
+        order: [['ward_id', 'ASC'], ['bed_number', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: beds
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch beds',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/admissions:
+ *   post:
+ *     summary: Admit a patient to a bed
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/IPDAdmission'
+ *     responses:
+ *       201:
+ *         description: Patient admitted successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Patient or bed not found
+ *       409:
+ *         description: Bed not available or patient already admitted
+ */
+router.post('/admissions',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('doctor_id').isUUID().withMessage('Valid doctor ID required'),
+    body('bed_id').isUUID().withMessage('Valid bed ID required'),
+    body('admission_date').optional().isISO8601().withMessage('Valid admission date required'),
+    body('admission_type').isIn(['emergency', 'planned', 'transfer']).withMessage('Valid admission type required'),
+    body('diagnosis').optional().trim().isLength({ max: 2000 }).withMessage('Diagnosis too long'),
+    body('treatment_plan').optional().trim().isLength({ max: 2000 }).withMessage('Treatment plan too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const doctor = await Staff.findByPk(req.body.doctor_id);
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+
+      const admission = await admitPatient(req.body);
+
+      const completeAdmission = await IPDAdmission.findByPk(admission.id, {
+        include: admissionIncludes
+      });
+
+      logMedicalEvent('ipd_patient_admitted', admission.patient_id, req.user.id, {
+        admission_id: admission.id,
+        admission_number: admission.admission_number,
+        bed_id: admission.bed_id,
+        doctor_id: admission.doctor_id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Patient admitted successfully',
+        data: completeAdmission
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to admit patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/admissions:
+ *   get:
+ *     summary: Get IPD admissions with filters
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by admission status
+ *       - in: query
+ *         name: ward_id
+ *         schema:
+ *           type: string
+ *         description: Filter by current ward
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *         description: Filter by patient ID
+ *       - in: query
+ *         name: doctor_id
+ *         schema:
+ *           type: string
+ *         description: Filter by doctor ID
+ *     responses:
+ *       200:
+ *         description: List of admissions
+ */
+router.get('/admissions',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    query('status').optional().isIn(['admitted', 'discharged', 'transferred', 'deceased']).withMessage('Valid status required'),
+    query('ward_id').optional().isUUID().withMessage('Valid ward ID required'),
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('doctor_id').optional().isUUID().withMessage('Valid doctor ID required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const whereClause = {};
+
+      if (req.query.status) {
+        whereClause.status = req.query.status;
+      }
+
+      if (req.query.patient_id) {
+        whereClause.patient_id = req.query.patient_id;
+      }
+
+      if (req.query.doctor_id) {
+        whereClause.doctor_id = req.query.doctor_id;
+      }
+
+      if (req.query.ward_id) {
+        whereClause['$bed.ward_id$'] = req.query.ward_id;
+      }
+
+      const { count, rows: admissions } = await IPDAdmission.findAndCountAll({
+        where: whereClause,
+        include: admissionIncludes,
+        limit,
+        offset,
+        distinct: true,
+        order: [['admission_date', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          admissions,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch admissions',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/admissions/{id}:
+ *   get:
+ *     summary: Get admission by ID with bed transfer history
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     responses:
+ *       200:
+ *         description: Admission details
+ *       404:
+ *         description: Admission not found
+ */
+router.get('/admissions/:id',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid admission ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admission = await IPDAdmission.findByPk(req.params.id, {
+        include: [
+          ...admissionIncludes,
+          {
+            model: IPDBedTransfer,
+            as: 'bed_transfers'
+          }
+        ],
+        order: [[{ model: IPDBedTransfer, as: 'bed_transfers' }, 'transferred_at', 'ASC']]
+      });
+
+      if (!admission) {
+        return res.status(404).json({
+          success: false,
+          message: 'Admission not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: admission
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch admission',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/admissions/{id}/transfer:
+ *   patch:
+ *     summary: Transfer an admitted patient to another bed or ward
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - to_bed_id
+ *             properties:
+ *               to_bed_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient transferred successfully
+ *       409:
+ *         description: Target bed not available or admission not active
+ */
+router.patch('/admissions/:id/transfer',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid admission ID required'),
+    body('to_bed_id').isUUID().withMessage('Valid target bed ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { admission, transfer } = await transferPatient(req.params.id, req.body, req.user.id);
+
+      const completeAdmission = await IPDAdmission.findByPk(admission.id, {
+        include: admissionIncludes
+      });
+
+      logMedicalEvent('ipd_patient_transferred', admission.patient_id, req.user.id, {
+        admission_id: admission.id,
+        from_bed_id: transfer.from_bed_id,
+        to_bed_id: transfer.to_bed_id,
+        reason: transfer.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Patient transferred successfully',
+        data: completeAdmission
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to transfer patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ipd/admissions/{id}/discharge:
+ *   patch:
+ *     summary: Discharge patient and release the bed
+ *     tags: [IPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Admission ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [discharged, transferred, deceased]
+ *               discharge_date:
+ *                 type: string
+ *                 format: date-time
+ *               discharge_summary:
+ *                 type: string
+ *               follow_up_instructions:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patient discharged successfully
+ *       409:
+ *         description: Admission not active
+ */
+router.patch('/admissions/:id/discharge',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid admission ID required'),
+    body('status').optional().isIn(['discharged', 'transferred', 'deceased']).withMessage('Valid discharge status required'),
+    body('discharge_date').optional().isISO8601().withMessage('Valid discharge date required'),
+    body('discharge_summary').optional().trim().isLength({ max: 5000 }).withMessage('Discharge summary too long'),
+    body('follow_up_instructions').optional().trim().isLength({ max: 2000 }).withMessage('Follow-up instructions too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const admission = await dischargePatient(req.params.id, req.body);
+
+      logMedicalEvent('ipd_patient_discharged', admission.patient_id, req.user.id, {
+        admission_id: admission.id,
+        status: admission.status,
+        discharge_date: admission.discharge_date
+      });
+
+      res.json({
+        success: true,
+        message: 'Patient discharged successfully',
+        data: admission
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to discharge patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
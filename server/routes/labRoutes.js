@@ -0,0 +1,2935 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const {
+  LabTest,
+  LabTestCategory,
+  LabOrder,
+  LabOrderItem,
+  LabSample,
+  LabTestComponent,
+  LabReferenceRange,
+  LabResult,
+  LabResultAmendment,
+  LabCriticalAlert,
+  LabAnalyzer,
+  LabAnalyzerTestCode,
+  LabAnalyzerMessage,
+  Patient,
+  Staff
+} = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  createLabOrder,
+  cancelLabOrder,
+  cancelLabOrderItem,
+  collectSamples,
+  receiveSample,
+  rejectSample,
+  processSample
+} = require('../services/labOrderService');
+const {
+  enterResults,
+  verifyResults,
+  amendResult,
+  acknowledgeCriticalAlert
+} = require('../services/labResultService');
+const { reprocessMessage } = require('../services/analyzerResultService');
+const { buildLabel } = require('../services/labLabelService');
+const { issueReport } = require('../services/reportDocumentService');
+const { SAMPLE_TYPES } = require('../config/labSamples');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+const ORDER_STATUSES = ['ordered', 'sample_collected', 'in_progress', 'completed', 'cancelled'];
+const SAMPLE_STATUSES = ['collected', 'received', 'rejected', 'processed'];
+const RESULT_TYPES = ['numeric', 'text', 'panel'];
+const RELEASED_RESULT_STATUSES = ['verified', 'amended'];
+const ANALYZER_MESSAGE_STATUSES = ['received', 'processed', 'partial', 'unmatched', 'rejected', 'error'];
+
+// Lab staff see results as soon as they are entered; everyone else only once released
+const seesUnreleasedResults = (user) => ['admin', 'lab_technician'].includes(user.role);
+
+const patientAttributes = ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender'];
+
+// Postgres compares UUIDs case-insensitively, so duplicates are checked the same way
+const hasUniqueIds = (ids) => new Set(ids.map((id) => String(id).toLowerCase())).size === ids.length;
+
+const testAttributes = ['id', 'test_code', 'test_name', 'sample_type', 'result_type', 'unit', 'normal_range', 'turnaround_time'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LabOrder:
+ *       type: object
+ *       required:
+ *         - patient_id
+ *         - test_ids
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         order_number:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         doctor_id:
+ *           type: string
+ *           format: uuid
+ *         priority:
+ *           type: string
+ *           enum: [routine, urgent, stat]
+ *         status:
+ *           type: string
+ *           enum: [ordered, sample_collected, in_progress, completed, cancelled]
+ *         total_amount:
+ *           type: number
+ *         notes:
+ *           type: string
+ *     LabSample:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         accession_number:
+ *           type: string
+ *           description: Printed on the label as a Code 128 barcode
+ *         lab_order_id:
+ *           type: string
+ *           format: uuid
+ *         sample_type:
+ *           type: string
+ *           enum: [blood, urine, stool, sputum, csf, other]
+ *         status:
+ *           type: string
+ *           enum: [collected, received, rejected, processed]
+ *         rejection_reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/lab/tests:
+ *   get:
+ *     summary: Get the lab test catalogue
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sample_type
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active tests by name
+ */
+router.get('/tests',
+  [
+    query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search term too long'),
+    query('category_id').optional().isUUID().withMessage('Valid category ID required'),
+    query('sample_type').optional().isIn(SAMPLE_TYPES).withMessage('Valid sample type required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { is_active: true };
+      if (req.query.category_id) where.category_id = req.query.category_id;
+      if (req.query.sample_type) where.sample_type = req.query.sample_type;
+      if (req.query.search) {
+        where[Op.or] = [
+          { test_name: { [Op.iLike]: `%${req.query.search}%` } },
+          { test_code: { [Op.iLike]: `%${req.query.search}%` } }
+        ];
+      }
+
+      const tests = await LabTest.findAll({
+        where,
+        include: [{ model: LabTestCategory, as: 'category', attributes: ['id', 'name'] }],
+        order: [['test_name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: tests
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch lab tests',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/tests:
+ *   post:
+ *     summary: Add a test to the catalogue
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - test_code
+ *               - test_name
+ *               - sample_type
+ *             properties:
+ *               test_code:
+ *                 type: string
+ *               test_name:
+ *                 type: string
+ *               category_id:
+ *                 type: string
+ *               sample_type:
+ *                 type: string
+ *                 enum: [blood, urine, stool, sputum, csf, other]
+ *               result_type:
+ *                 type: string
+ *                 enum: [numeric, text, panel]
+ *               normal_range:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *               price:
+ *                 type: number
+ *               turnaround_time:
+ *                 type: integer
+ *                 description: Hours
+ *     responses:
+ *       201:
+ *         description: Test created
+ *       409:
+ *         description: Test code already exists
+ */
+router.post('/tests',
+  authorize('admin', 'lab_technician'),
+  [
+    body('test_code').trim().isLength({ min: 2, max: 20 }).withMessage('Test code is required'),
+    body('test_name').trim().isLength({ min: 2, max: 200 }).withMessage('Test name is required'),
+    body('category_id').optional().isUUID().withMessage('Valid category ID required'),
+    body('sample_type').isIn(SAMPLE_TYPES).withMessage('Valid sample type required'),
+    body('result_type').optional().isIn(RESULT_TYPES).withMessage('Valid result type required'),
+    body('normal_range').optional().trim().isLength({ max: 100 }).withMessage('Normal range too long'),
+    body('unit').optional().trim().isLength({ max: 20 }).withMessage('Unit too long'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number'),
+    body('turnaround_time').optional().isInt({ min: 1 }).withMessage('Turnaround time must be a positive number of hours')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await LabTest.findOne({ where: { test_code: req.body.test_code } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A test with this code already exists'
+        });
+      }
+
+      const test = await LabTest.create({
+        test_code: req.body.test_code,
+        test_name: req.body.test_name,
+        category_id: req.body.category_id,
+        sample_type: req.body.sample_type,
+        result_type: req.body.result_type || 'numeric',
+        normal_range: req.body.normal_range,
+        unit: req.body.unit,
+        price: req.body.price,
+        turnaround_time: req.body.turnaround_time
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Lab test created successfully',
+        data: test
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create lab test',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/tests/{id}:
+ *   get:
+ *     summary: Get a test with its panel components and reference ranges
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Test details
+ *       404:
+ *         description: Test not found
+ */
+router.get('/tests/:id',
+  [
+    param('id').isUUID().withMessage('Valid test ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const test = await LabTest.findByPk(req.params.id, {
+        include: [
+          { model: LabTestCategory, as: 'category', attributes: ['id', 'name'] },
+          { model: LabTestComponent, as: 'components', where: { is_active: true }, required: false },
+          { model: LabReferenceRange, as: 'referenceRanges', where: { is_active: true }, required: false }
+        ],
+        order: [
+          [{ model: LabTestComponent, as: 'components' }, 'display_order', 'ASC'],
+          [{ model: LabReferenceRange, as: 'referenceRanges' }, 'age_min_days', 'ASC']
+        ]
+      });
+
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab test not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: test
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch lab test',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/tests/{id}/components:
+ *   post:
+ *     summary: Add a component to a panel test
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: HGB
+ *               name:
+ *                 type: string
+ *                 example: Haemoglobin
+ *               result_type:
+ *                 type: string
+ *                 enum: [numeric, text]
+ *               unit:
+ *                 type: string
+ *               display_order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Component added
+ *       400:
+ *         description: Test is not a panel
+ *       409:
+ *         description: Component code already used on this test
+ */
+router.post('/tests/:id/components',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid test ID required'),
+    body('code').trim().isLength({ min: 1, max: 20 }).withMessage('Component code is required'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Component name is required'),
+    body('result_type').optional().isIn(['numeric', 'text']).withMessage('Valid result type required'),
+    body('unit').optional().trim().isLength({ max: 20 }).withMessage('Unit too long'),
+    body('display_order').optional().isInt({ min: 0 }).withMessage('Display order must be a positive integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const test = await LabTest.findByPk(req.params.id);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab test not found'
+        });
+      }
+      if (test.result_type !== 'panel') {
+        return res.status(400).json({
+          success: false,
+          message: 'Components can only be added to panel tests'
+        });
+      }
+
+      const existing = await LabTestComponent.findOne({ where: { lab_test_id: test.id, code: req.body.code } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'This test already has a component with that code'
+        });
+      }
+
+      const component = await LabTestComponent.create({
+        lab_test_id: test.id,
+        code: req.body.code,
+        name: req.body.name,
+        result_type: req.body.result_type || 'numeric',
+        unit: req.body.unit,
+        display_order: req.body.display_order || 0
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Component added successfully',
+        data: component
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add component',
+        error: error.message
+      });
+    }
+  }
+);
+
+const rangeValidators = [
+  body('sex').optional().isIn(['male', 'female', 'any']).withMessage('Sex must be male, female or any'),
+  body('age_min_days').optional().isInt({ min: 0 }).withMessage('Minimum age must be a positive number of days'),
+  body('age_max_days').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Maximum age must be a positive number of days'),
+  body(['low_value', 'high_value', 'critical_low', 'critical_high']).optional({ nullable: true }).isFloat()
+    .withMessage('Limits must be numbers'),
+  body('normal_text').optional({ nullable: true }).trim().isLength({ max: 100 }).withMessage('Expected text too long'),
+  body('unit').optional().trim().isLength({ max: 20 }).withMessage('Unit too long')
+];
+
+// Limits must nest: critical low <= low <= high <= critical high
+const rangeProblem = (range) => {
+  const limits = ['critical_low', 'low_value', 'high_value', 'critical_high']
+    .map((field) => range[field])
+    .filter((value) => value !== null && value !== undefined)
+    .map(Number);
+  if (limits.some((value, index) => index > 0 && value < limits[index - 1])) {
+    return 'Limits must run critical low, low, high, critical high in increasing order';
+  }
+  if (range.age_max_days !== null && range.age_max_days !== undefined
+    && Number(range.age_max_days) <= Number(range.age_min_days || 0)) {
+    return 'Maximum age must be above the minimum age';
+  }
+  return null;
+};
+
+/**
+ * @swagger
+ * /api/lab/tests/{id}/reference-ranges:
+ *   post:
+ *     summary: Add a reference range to a test or panel component
+ *     description: >
+ *       Ranges apply by sex and age in days (`age_max_days` is exclusive, leave it out
+ *       for no upper limit). The most specific matching range is used when flagging.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               component_id:
+ *                 type: string
+ *               sex:
+ *                 type: string
+ *                 enum: [male, female, any]
+ *               age_min_days:
+ *                 type: integer
+ *               age_max_days:
+ *                 type: integer
+ *               low_value:
+ *                 type: number
+ *               high_value:
+ *                 type: number
+ *               critical_low:
+ *                 type: number
+ *               critical_high:
+ *                 type: number
+ *               normal_text:
+ *                 type: string
+ *               unit:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Range added
+ *       404:
+ *         description: Test or component not found
+ */
+router.post('/tests/:id/reference-ranges',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid test ID required'),
+    body('component_id').optional().isUUID().withMessage('Valid component ID required'),
+    ...rangeValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const problem = rangeProblem(req.body);
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+
+      const test = await LabTest.findByPk(req.params.id);
+      if (!test) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab test not found'
+        });
+      }
+
+      if (req.body.component_id) {
+        const component = await LabTestComponent.findOne({ where: { id: req.body.component_id, lab_test_id: test.id } });
+        if (!component) {
+          return res.status(404).json({
+            success: false,
+            message: 'Component not found on this test'
+          });
+        }
+      }
+
+      const range = await LabReferenceRange.create({
+        lab_test_id: test.id,
+        component_id: req.body.component_id || null,
+        sex: req.body.sex || 'any',
+        age_min_days: req.body.age_min_days || 0,
+        age_max_days: req.body.age_max_days,
+        low_value: req.body.low_value,
+        high_value: req.body.high_value,
+        critical_low: req.body.critical_low,
+        critical_high: req.body.critical_high,
+        normal_text: req.body.normal_text,
+        unit: req.body.unit
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Reference range added successfully',
+        data: range
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add reference range',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/reference-ranges/{id}:
+ *   put:
+ *     summary: Update or retire a reference range
+ *     description: Results already entered keep the limits they were flagged against.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Range updated
+ *       404:
+ *         description: Range not found
+ */
+router.put('/reference-ranges/:id',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid reference range ID required'),
+    ...rangeValidators,
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const range = await LabReferenceRange.findByPk(req.params.id);
+      if (!range) {
+        return res.status(404).json({
+          success: false,
+          message: 'Reference range not found'
+        });
+      }
+
+      const fields = [
+        'sex', 'age_min_days', 'age_max_days', 'low_value', 'high_value',
+        'critical_low', 'critical_high', 'normal_text', 'unit', 'is_active'
+      ];
+      const updates = fields.reduce((picked, field) => {
+        if (req.body[field] !== undefined) {
+          picked[field] = req.body[field];
+        }
+        return picked;
+      }, {});
+
+      const problem = rangeProblem({ ...range.toJSON(), ...updates });
+      if (problem) {
+        return res.status(400).json({
+          success: false,
+          message: problem
+        });
+      }
+
+      await range.update(updates);
+
+      res.json({
+        success: true,
+        message: 'Reference range updated successfully',
+        data: range
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update reference range',
+        error: error.message
+      });
+    }
+  }
+);
+
+
+/**
+ * @swagger
+ * /api/lab/orders:
+ *   post:
+ *     summary: Order lab tests for a patient
+ *     description: The ordering doctor defaults to the signed-in user's staff record.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *               - test_ids
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *               doctor_id:
+ *                 type: string
+ *               priority:
+ *                 type: string
+ *                 enum: [routine, urgent, stat]
+ *               notes:
+ *                 type: string
+ *               test_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Lab order created
+ *       400:
+ *         description: Validation failed, e.g. the same test listed twice
+ *       404:
+ *         description: Patient, doctor or test not found
+ */
+router.post('/orders',
+  authorize('admin', 'doctor'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('doctor_id').optional().isUUID().withMessage('Valid doctor ID required'),
+    body('priority').optional().isIn(['routine', 'urgent', 'stat']).withMessage('Valid priority required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    body('test_ids').isArray({ min: 1, max: 50 }).withMessage('At least one test is required')
+      .custom(hasUniqueIds).withMessage('Each test can be ordered once'),
+    body('test_ids.*').isUUID().withMessage('Valid test ID required').toLowerCase()
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let doctorId = req.body.doctor_id;
+      if (!doctorId) {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id } });
+        if (!staff) {
+          return res.status(400).json({
+            success: false,
+            message: 'doctor_id is required'
+          });
+        }
+        doctorId = staff.id;
+      }
+
+      const { order, items } = await createLabOrder({ ...req.body, doctor_id: doctorId }, req.user.id);
+
+      logMedicalEvent('lab_order_created', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        order_number: order.order_number,
+        test_ids: items.map((item) => item.lab_test_id),
+        priority: order.priority
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Lab order created successfully',
+        data: {
+          ...order.toJSON(),
+          items
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create lab order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders:
+ *   get:
+ *     summary: Get lab orders
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lab orders, latest first
+ */
+router.get('/orders',
+  authorize('admin', 'doctor', 'nurse', 'lab_technician'),
+  [
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isIn(ORDER_STATUSES).withMessage('Valid status required'),
+    query('priority').optional().isIn(['routine', 'urgent', 'stat']).withMessage('Valid priority required'),
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.priority) where.priority = req.query.priority;
+      if (req.query.date) {
+        where.order_date = {
+          [Op.between]: [moment(req.query.date).startOf('day').toDate(), moment(req.query.date).endOf('day').toDate()]
+        };
+      }
+
+      const { count, rows: orders } = await LabOrder.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          }
+        ],
+        limit,
+        offset,
+        order: [['order_date', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch lab orders',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}:
+ *   get:
+ *     summary: Get a lab order with its tests and samples
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lab order details
+ *       404:
+ *         description: Lab order not found
+ */
+router.get('/orders/:id',
+  authorize('admin', 'doctor', 'nurse', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await LabOrder.findByPk(req.params.id, {
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: patientAttributes
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          },
+          {
+            model: LabOrderItem,
+            as: 'items',
+            include: [
+              { model: LabTest, as: 'test', attributes: testAttributes },
+              {
+                model: LabResult,
+                as: 'results',
+                where: seesUnreleasedResults(req.user) ? undefined : { status: RELEASED_RESULT_STATUSES },
+                required: false,
+                include: [{ model: LabTestComponent, as: 'component', attributes: ['id', 'code', 'name', 'display_order'] }]
+              }
+            ]
+          },
+          {
+            model: LabSample,
+            as: 'samples'
+          }
+        ],
+        order: [[{ model: LabSample, as: 'samples' }, 'collected_at', 'ASC']]
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch lab order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/report/pdf:
+ *   get:
+ *     summary: Download the lab report as a PDF
+ *     description: >
+ *       Verified results only, on the hospital letterhead with flagged values, the verifiers'
+ *       signatures and a QR code that checks the report is genuine. Tests not yet verified are
+ *       listed as pending.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The report
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Lab order not found
+ *       409:
+ *         description: No verified results yet
+ */
+router.get('/orders/:id/report/pdf',
+  authorize('admin', 'doctor', 'nurse', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { issued, pdf, filename } = await issueReport('lab', req.params.id, req.user.id);
+
+      logMedicalEvent('lab_report_downloaded', issued.patient_id, req.user.id, {
+        lab_order_id: req.params.id,
+        issued_report_id: issued.id
+      });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdf.length
+      });
+      res.send(pdf);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate lab report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a lab order
+ *     description: Fails if any test on the order is already being run.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Lab order cancelled
+ *       409:
+ *         description: Order is closed or has tests in progress
+ */
+router.patch('/orders/:id/cancel',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await cancelLabOrder(req.params.id, req.body.reason, req.user.id);
+
+      logMedicalEvent('lab_order_cancelled', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Lab order cancelled successfully',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel lab order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/items/{itemId}/cancel:
+ *   patch:
+ *     summary: Cancel one test on a lab order
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Test cancelled; the order total is recalculated
+ *       409:
+ *         description: Test is already being run
+ */
+router.patch('/orders/:id/items/:itemId/cancel',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required'),
+    param('itemId').isUUID().withMessage('Valid test item ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, item } = await cancelLabOrderItem(req.params.id, req.params.itemId, req.body.reason, req.user.id);
+
+      logMedicalEvent('lab_test_cancelled', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        lab_order_item_id: item.id,
+        lab_test_id: item.lab_test_id,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Test cancelled successfully',
+        data: { order, item }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel test',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/samples:
+ *   post:
+ *     summary: Collect samples for a lab order
+ *     description: >
+ *       Tests awaiting collection (or the listed `item_ids`) are grouped by sample type.
+ *       Each group gets one sample with its own accession number, returned with a
+ *       printable label.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               item_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               collected_at:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Samples collected, with labels
+ *       409:
+ *         description: Nothing is awaiting collection
+ */
+router.post('/orders/:id/samples',
+  authorize('admin', 'nurse', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required'),
+    body('item_ids').optional().isArray({ min: 1 }).withMessage('item_ids must be a non-empty array'),
+    body('item_ids.*').isUUID().withMessage('Valid test item ID required'),
+    body('collected_at').optional().isISO8601().withMessage('Valid collection time required'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.body.collected_at && moment(req.body.collected_at).isAfter(moment())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Collection time cannot be in the future'
+        });
+      }
+
+      const { order, samples } = await collectSamples(req.params.id, {
+        itemIds: req.body.item_ids,
+        collectedAt: req.body.collected_at,
+        notes: req.body.notes
+      }, req.user.id);
+      const patient = await Patient.findByPk(order.patient_id, { attributes: patientAttributes });
+
+      logMedicalEvent('lab_samples_collected', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        accession_numbers: samples.map(({ sample }) => sample.accession_number)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Samples collected successfully',
+        data: {
+          order_status: order.status,
+          samples: samples.map(({ sample, tests }) => ({
+            ...sample.toJSON(),
+            tests,
+            label: buildLabel(sample, { order, patient, tests })
+          }))
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to collect samples',
+        error: error.message
+      });
+    }
+  }
+);
+
+const sampleIncludes = [
+  {
+    model: LabOrder,
+    as: 'order',
+    attributes: ['id', 'order_number', 'priority', 'status', 'doctor_id']
+  },
+  {
+    model: Patient,
+    as: 'patient',
+    attributes: patientAttributes
+  },
+  {
+    model: LabOrderItem,
+    as: 'items',
+    include: [{ model: LabTest, as: 'test', attributes: testAttributes }]
+  }
+];
+
+/**
+ * @swagger
+ * /api/lab/samples:
+ *   get:
+ *     summary: Get the sample worklist
+ *     description: Defaults to samples waiting to be received or processed, stat orders first.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [collected, received, rejected, processed]
+ *       - in: query
+ *         name: sample_type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Samples
+ */
+router.get('/samples',
+  authorize('admin', 'nurse', 'lab_technician'),
+  [
+    query('status').optional().isIn(SAMPLE_STATUSES).withMessage('Valid status required'),
+    query('sample_type').optional().isIn(SAMPLE_TYPES).withMessage('Valid sample type required'),
+    query('date').optional().isISO8601().withMessage('Valid date required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { status: req.query.status || ['collected', 'received'] };
+      if (req.query.sample_type) where.sample_type = req.query.sample_type;
+      if (req.query.date) {
+        where.collected_at = {
+          [Op.between]: [moment(req.query.date).startOf('day').toDate(), moment(req.query.date).endOf('day').toDate()]
+        };
+      }
+
+      const samples = await LabSample.findAll({
+        where,
+        include: sampleIncludes,
+        limit: 500,
+        order: [['collected_at', 'ASC']]
+      });
+
+      const priorityRank = { stat: 0, urgent: 1, routine: 2 };
+      samples.sort((a, b) => priorityRank[a.order.priority] - priorityRank[b.order.priority]);
+
+      res.json({
+        success: true,
+        data: samples
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch samples',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/samples/accession/{accession}:
+ *   get:
+ *     summary: Look up a sample by its accession number (barcode scan)
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: accession
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sample with its order, patient and tests
+ *       404:
+ *         description: Sample not found
+ */
+router.get('/samples/accession/:accession',
+  authorize('admin', 'nurse', 'lab_technician'),
+  [
+    param('accession').trim().isLength({ min: 1, max: 20 }).withMessage('Valid accession number required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sample = await LabSample.findOne({
+        where: { accession_number: req.params.accession.toUpperCase() },
+        include: sampleIncludes
+      });
+
+      if (!sample) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sample not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: sample
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch sample',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/samples/{id}/label:
+ *   get:
+ *     summary: Reprint a sample label
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, zpl]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Label content, or raw ZPL for a label printer
+ *       404:
+ *         description: Sample not found
+ */
+router.get('/samples/:id/label',
+  authorize('admin', 'nurse', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid sample ID required'),
+    query('format').optional().isIn(['json', 'zpl']).withMessage('Format must be json or zpl')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sample = await LabSample.findByPk(req.params.id, { include: sampleIncludes });
+      if (!sample) {
+        return res.status(404).json({
+          success: false,
+          message: 'Sample not found'
+        });
+      }
+
+      const label = buildLabel(sample, {
+        order: sample.order,
+        patient: sample.patient,
+        tests: sample.items.map((item) => item.test)
+      });
+
+      if (req.query.format === 'zpl') {
+        return res.type('text/plain').send(label.zpl);
+      }
+
+      res.json({
+        success: true,
+        data: label
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to build sample label',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/samples/{id}/receive:
+ *   patch:
+ *     summary: Receive a collected sample in the lab
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sample received
+ *       409:
+ *         description: Sample is not awaiting receipt
+ */
+router.patch('/samples/:id/receive',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid sample ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const sample = await receiveSample(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Sample received successfully',
+        data: sample
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to receive sample',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/samples/{id}/reject:
+ *   patch:
+ *     summary: Reject a sample
+ *     description: The sample's tests go back to awaiting collection so a new sample can be taken.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: Haemolysed
+ *     responses:
+ *       200:
+ *         description: Sample rejected
+ *       409:
+ *         description: Sample has already been processed or rejected
+ */
+router.patch('/samples/:id/reject',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid sample ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Rejection reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { sample, order, recollect } = await rejectSample(req.params.id, req.body.reason, req.user.id);
+
+      logMedicalEvent('lab_sample_rejected', sample.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        sample_id: sample.id,
+        accession_number: sample.accession_number,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Sample rejected',
+        data: {
+          sample,
+          order_status: order.status,
+          tests_to_recollect: recollect
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reject sample',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/samples/{id}/process:
+ *   patch:
+ *     summary: Mark a received sample as processed
+ *     description: The sample's tests move to in progress.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sample processed
+ *       409:
+ *         description: Sample has not been received
+ */
+router.patch('/samples/:id/process',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid sample ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { sample, order } = await processSample(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Sample processed',
+        data: {
+          sample,
+          order_status: order.status
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process sample',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/items/{itemId}/results:
+ *   post:
+ *     summary: Enter results for a test
+ *     description: >
+ *       Numeric and text tests take one entry; panels take one entry per component
+ *       (`component_code`) and can be entered in parts. Values are flagged against the
+ *       reference range for the patient's sex and age, and delta-checked against the
+ *       patient's previous released value. Critical values notify the ordering doctor
+ *       at once and stay open until they acknowledge them. Once every value is in, the
+ *       test is `resulted` and waits for verification by another user.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - results
+ *             properties:
+ *               results:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - value
+ *                   properties:
+ *                     component_code:
+ *                       type: string
+ *                     value:
+ *                       oneOf:
+ *                         - type: number
+ *                         - type: string
+ *                     unit:
+ *                       type: string
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Results recorded with their flags
+ *       400:
+ *         description: Value, unit or component does not match the test
+ *       409:
+ *         description: Sample not processed yet, or results already entered
+ */
+router.post('/orders/:id/items/:itemId/results',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required'),
+    param('itemId').isUUID().withMessage('Valid test item ID required'),
+    body('results').isArray({ min: 1, max: 100 }).withMessage('At least one result is required')
+      .custom((results) => {
+        const codes = results.map((result) => result.component_code).filter(Boolean);
+        return new Set(codes).size === codes.length;
+      }).withMessage('Each component can be entered once'),
+    body('results.*.component_code').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Valid component code required'),
+    body('results.*.value').exists({ checkNull: true }).withMessage('Result value is required'),
+    body('results.*.unit').optional().trim().isLength({ max: 20 }).withMessage('Unit too long'),
+    body('results.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, item, results, criticalAlerts } = await enterResults(
+        req.params.id,
+        req.params.itemId,
+        req.body.results,
+        req.user.id,
+        req.app.get('io')
+      );
+
+      logMedicalEvent('lab_results_entered', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        lab_order_item_id: item.id,
+        result_ids: results.map((result) => result.id),
+        critical_alert_ids: criticalAlerts.map((alert) => alert.id)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Results entered successfully',
+        data: {
+          results,
+          item_status: item.status,
+          order_status: order.status,
+          critical_alerts: criticalAlerts
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enter results',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/orders/{id}/items/{itemId}/verify:
+ *   post:
+ *     summary: Verify and release a test's results
+ *     description: >
+ *       The verifier must be a different user from whoever entered each value. Results
+ *       flagged by the delta check are only released with `delta_review_notes`.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               delta_review_notes:
+ *                 type: string
+ *                 example: Confirmed on repeat from the same sample; patient transfused yesterday
+ *     responses:
+ *       200:
+ *         description: Results released and the test completed
+ *       403:
+ *         description: The verifier entered some of the results
+ *       409:
+ *         description: Test not awaiting verification, or delta flags need review notes
+ */
+router.post('/orders/:id/items/:itemId/verify',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid lab order ID required'),
+    param('itemId').isUUID().withMessage('Valid test item ID required'),
+    body('delta_review_notes').optional().trim().isLength({ min: 1, max: 1000 }).withMessage('Review notes must be 1-1000 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, item, results } = await verifyResults(
+        req.params.id,
+        req.params.itemId,
+        { deltaReviewNotes: req.body.delta_review_notes },
+        req.user.id
+      );
+
+      logMedicalEvent('lab_results_verified', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        lab_order_item_id: item.id,
+        result_ids: results.map((result) => result.id),
+        delta_reviewed_ids: results.filter((result) => result.delta_reviewed_at).map((result) => result.id)
+      });
+
+      res.json({
+        success: true,
+        message: 'Results verified successfully',
+        data: {
+          results,
+          item_status: item.status,
+          order_status: order.status
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify results',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/results/pending-verification:
+ *   get:
+ *     summary: Get results awaiting verification
+ *     description: Oldest first. Pass `delta_flag=true` for those held by the delta check.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: delta_flag
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Unverified results with their previous values
+ */
+router.get('/results/pending-verification',
+  authorize('admin', 'lab_technician'),
+  [
+    query('delta_flag').optional().isBoolean().withMessage('delta_flag must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { status: 'entered' };
+      if (req.query.delta_flag !== undefined) {
+        where.delta_flag = req.query.delta_flag === 'true';
+      }
+
+      const results = await LabResult.findAll({
+        where,
+        include: [
+          { model: LabTest, as: 'test', attributes: ['id', 'test_code', 'test_name'] },
+          { model: LabTestComponent, as: 'component', attributes: ['id', 'code', 'name'] },
+          { model: LabResult, as: 'previousResult', attributes: ['id', 'value_numeric', 'value_text', 'unit', 'flag', 'entered_at'] },
+          {
+            model: LabOrderItem,
+            as: 'item',
+            attributes: ['id', 'lab_order_id', 'status'],
+            include: [{ model: LabOrder, as: 'order', attributes: ['id', 'order_number', 'priority'] }]
+          },
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          }
+        ],
+        limit: 200,
+        order: [['entered_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: results
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch results awaiting verification',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/results/{id}:
+ *   put:
+ *     summary: Correct or amend a result
+ *     description: >
+ *       Before release the value is corrected and must be verified by someone other than
+ *       the corrector. After release the result is marked `amended` and the ordering doctor
+ *       is notified. The replaced value is kept in the result's amendment history either way.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - value
+ *               - reason
+ *             properties:
+ *               value:
+ *                 oneOf:
+ *                   - type: number
+ *                   - type: string
+ *               notes:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: Transcription error, analyser printout shows 4.1
+ *     responses:
+ *       200:
+ *         description: Result amended
+ *       400:
+ *         description: Value does not match the result type
+ *       404:
+ *         description: Result not found
+ */
+router.put('/results/:id',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid result ID required'),
+    body('value').exists({ checkNull: true }).withMessage('Result value is required'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long'),
+    body('reason').trim().isLength({ min: 3, max: 1000 }).withMessage('Reason for the amendment is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, result, released, criticalAlert } = await amendResult(
+        req.params.id,
+        { value: req.body.value, notes: req.body.notes, reason: req.body.reason },
+        req.user.id,
+        req.app.get('io')
+      );
+
+      logMedicalEvent(released ? 'lab_result_amended' : 'lab_result_corrected', order.patient_id, req.user.id, {
+        lab_order_id: order.id,
+        lab_result_id: result.id,
+        reason: req.body.reason,
+        critical_alert_id: criticalAlert ? criticalAlert.id : undefined
+      });
+
+      res.json({
+        success: true,
+        message: released ? 'Result amended successfully' : 'Result corrected successfully',
+        data: {
+          result,
+          critical_alert: criticalAlert
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to amend result',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/results/{id}/amendments:
+ *   get:
+ *     summary: Get a result's amendment history
+ *     description: Each entry keeps the value, flag and verification it replaced.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Amendments, oldest first
+ *       404:
+ *         description: Result not found
+ */
+router.get('/results/:id/amendments',
+  authorize('admin', 'doctor', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid result ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const result = await LabResult.findByPk(req.params.id);
+      if (!result || (!seesUnreleasedResults(req.user) && !RELEASED_RESULT_STATUSES.includes(result.status))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lab result not found'
+        });
+      }
+
+      const amendments = await LabResultAmendment.findAll({
+        where: { lab_result_id: result.id },
+        order: [['created_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          result,
+          amendments
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch amendment history',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/critical-alerts:
+ *   get:
+ *     summary: Get critical result alerts
+ *     description: Doctors see the alerts on their own orders; admins and lab staff see all of them.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged]
+ *           default: open
+ *     responses:
+ *       200:
+ *         description: Alerts with their results, latest first
+ */
+router.get('/critical-alerts',
+  authorize('admin', 'doctor', 'lab_technician'),
+  [
+    query('status').optional().isIn(['open', 'acknowledged']).withMessage('Valid status required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { status: req.query.status || 'open' };
+      if (req.user.role === 'doctor') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id } });
+        if (!staff) {
+          return res.json({ success: true, data: [] });
+        }
+        where.doctor_id = staff.id;
+      }
+
+      const alerts = await LabCriticalAlert.findAll({
+        where,
+        include: [
+          {
+            model: LabResult,
+            as: 'result',
+            include: [
+              { model: LabTest, as: 'test', attributes: ['id', 'test_code', 'test_name'] },
+              { model: LabTestComponent, as: 'component', attributes: ['id', 'code', 'name'] }
+            ]
+          },
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: LabOrder,
+            as: 'order',
+            attributes: ['id', 'order_number', 'priority']
+          }
+        ],
+        limit: 200,
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: alerts
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch critical alerts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/critical-alerts/{id}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge a critical result
+ *     description: Only the ordering doctor can acknowledge.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 example: Potassium replacement started, repeat in 4 hours
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       403:
+ *         description: Not the ordering doctor
+ *       409:
+ *         description: Already acknowledged
+ */
+router.patch('/critical-alerts/:id/acknowledge',
+  authorize('doctor'),
+  [
+    param('id').isUUID().withMessage('Valid alert ID required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const alert = await acknowledgeCriticalAlert(req.params.id, req.body.notes, req.user.id);
+
+      logMedicalEvent('lab_critical_value_acknowledged', alert.patient_id, req.user.id, {
+        alert_id: alert.id,
+        lab_result_id: alert.lab_result_id,
+        lab_order_id: alert.lab_order_id
+      });
+
+      res.json({
+        success: true,
+        message: 'Critical result acknowledged',
+        data: alert
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to acknowledge critical result',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzers:
+ *   get:
+ *     summary: Get the analyzers registered for the result listener
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Analyzers with their test code mappings
+ */
+router.get('/analyzers',
+  authorize('admin', 'lab_technician'),
+  async (req, res) => {
+    try {
+      const analyzers = await LabAnalyzer.findAll({
+        include: [{
+          model: LabAnalyzerTestCode,
+          as: 'testCodes',
+          include: [
+            { model: LabTest, as: 'test', attributes: ['id', 'test_code', 'test_name'] },
+            { model: LabTestComponent, as: 'component', attributes: ['id', 'code', 'name'] }
+          ]
+        }],
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: analyzers
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch analyzers',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzers:
+ *   post:
+ *     summary: Register an analyzer
+ *     description: >
+ *       `code` must match the sender the analyzer puts in its messages: ASTM H-5 or
+ *       HL7 MSH-3, and messages must come from `host`. Messages from unregistered
+ *       senders or other addresses are stored but not posted.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - name
+ *               - protocol
+ *               - host
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: COBAS6000
+ *               name:
+ *                 type: string
+ *               protocol:
+ *                 type: string
+ *                 enum: [astm, hl7]
+ *               host:
+ *                 type: string
+ *                 description: The IP address the analyzer connects from
+ *     responses:
+ *       201:
+ *         description: Analyzer registered
+ *       409:
+ *         description: Code already registered
+ */
+router.post('/analyzers',
+  authorize('admin'),
+  [
+    body('code').trim().isLength({ min: 1, max: 50 }).withMessage('Analyzer code is required'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Analyzer name is required'),
+    body('protocol').isIn(['astm', 'hl7']).withMessage('Protocol must be astm or hl7'),
+    body('host').isIP().withMessage('Host must be an IP address')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await LabAnalyzer.findOne({ where: { code: req.body.code } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'An analyzer with this code is already registered'
+        });
+      }
+
+      const analyzer = await LabAnalyzer.create({
+        code: req.body.code,
+        name: req.body.name,
+        protocol: req.body.protocol,
+        host: req.body.host
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Analyzer registered successfully',
+        data: analyzer
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to register analyzer',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzers/{id}:
+ *   put:
+ *     summary: Update an analyzer
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               host:
+ *                 type: string
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Analyzer updated
+ *       404:
+ *         description: Analyzer not found
+ */
+router.put('/analyzers/:id',
+  authorize('admin'),
+  [
+    param('id').isUUID().withMessage('Valid analyzer ID required'),
+    body('name').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Analyzer name cannot be empty'),
+    body('host').optional().isIP().withMessage('Host must be an IP address'),
+    body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const analyzer = await LabAnalyzer.findByPk(req.params.id);
+      if (!analyzer) {
+        return res.status(404).json({
+          success: false,
+          message: 'Analyzer not found'
+        });
+      }
+
+      const updates = {};
+      ['name', 'host', 'is_active'].forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+      await analyzer.update(updates);
+
+      res.json({
+        success: true,
+        message: 'Analyzer updated successfully',
+        data: analyzer
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update analyzer',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzers/{id}/test-codes:
+ *   post:
+ *     summary: Map an analyzer's test code to a test or panel component
+ *     description: >
+ *       Only needed when the analyzer's code differs from the test code or component code.
+ *       Posting a code that is already mapped replaces the mapping.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - analyzer_code
+ *               - test_id
+ *             properties:
+ *               analyzer_code:
+ *                 type: string
+ *                 example: "687"
+ *               test_id:
+ *                 type: string
+ *                 format: uuid
+ *               component_code:
+ *                 type: string
+ *                 description: Required for panel tests
+ *     responses:
+ *       201:
+ *         description: Mapping saved
+ *       400:
+ *         description: Panel test without a component, or component on a single test
+ *       404:
+ *         description: Analyzer, test or component not found
+ */
+router.post('/analyzers/:id/test-codes',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid analyzer ID required'),
+    body('analyzer_code').trim().isLength({ min: 1, max: 50 }).withMessage('Analyzer test code is required'),
+    body('test_id').isUUID().withMessage('Valid test ID required'),
+    body('component_code').optional().trim().isLength({ min: 1, max: 20 }).withMessage('Valid component code required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const [analyzer, test] = await Promise.all([
+        LabAnalyzer.findByPk(req.params.id),
+        LabTest.findByPk(req.body.test_id)
+      ]);
+      if (!analyzer || !test) {
+        return res.status(404).json({
+          success: false,
+          message: analyzer ? 'Lab test not found' : 'Analyzer not found'
+        });
+      }
+      if ((test.result_type === 'panel') !== Boolean(req.body.component_code)) {
+        return res.status(400).json({
+          success: false,
+          message: test.result_type === 'panel'
+            ? 'A component code is required for panel tests'
+            : 'Only panel tests have components'
+        });
+      }
+
+      let component = null;
+      if (req.body.component_code) {
+        component = await LabTestComponent.findOne({ where: { lab_test_id: test.id, code: req.body.component_code } });
+        if (!component) {
+          return res.status(404).json({
+            success: false,
+            message: 'Component not found on this test'
+          });
+        }
+      }
+
+      const [mapping] = await LabAnalyzerTestCode.upsert({
+        analyzer_id: analyzer.id,
+        analyzer_code: req.body.analyzer_code,
+        lab_test_id: test.id,
+        component_id: component ? component.id : null
+      }, { conflictFields: ['analyzer_id', 'analyzer_code'] });
+
+      res.status(201).json({
+        success: true,
+        message: 'Test code mapped successfully',
+        data: mapping
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to map test code',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzer-messages:
+ *   get:
+ *     summary: Get messages received from analyzers
+ *     description: Each message records which results were posted and why any were not.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processed, partial, unmatched, rejected, error]
+ *       - in: query
+ *         name: analyzer_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Messages, latest first
+ */
+router.get('/analyzer-messages',
+  authorize('admin', 'lab_technician'),
+  [
+    query('status').optional().isIn(ANALYZER_MESSAGE_STATUSES).withMessage('Valid status required'),
+    query('analyzer_id').optional().isUUID().withMessage('Valid analyzer ID required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.analyzer_id) where.analyzer_id = req.query.analyzer_id;
+
+      const { count, rows: messages } = await LabAnalyzerMessage.findAndCountAll({
+        where,
+        include: [{ model: LabAnalyzer, as: 'analyzer', attributes: ['id', 'code', 'name'] }],
+        limit,
+        offset,
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          messages,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch analyzer messages',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/lab/analyzer-messages/{id}/reprocess:
+ *   post:
+ *     summary: Post a stored analyzer message again
+ *     description: >
+ *       For messages that were unmatched, rejected or only partly posted, once the sample,
+ *       analyzer or test code mapping has been fixed. Results already posted are skipped, not duplicated.
+ *     tags: [Laboratory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Message reprocessed with its new outcome
+ *       404:
+ *         description: Message not found
+ *       409:
+ *         description: Every result in the message was already posted
+ */
+router.post('/analyzer-messages/:id/reprocess',
+  authorize('admin', 'lab_technician'),
+  [
+    param('id').isUUID().withMessage('Valid message ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const message = await reprocessMessage(req.params.id, req.app.get('io'));
+
+      res.json({
+        success: true,
+        message: `Message ${message.status}`,
+        data: message
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reprocess analyzer message',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
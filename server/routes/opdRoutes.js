@@ -1,25 +1,42 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const { Op } = require('sequelize');
-const { OPDAppointment, Patient, Staff, Department } = require('../models');
+const { sequelize } = require('../config/database');
+const {
+  OPDAppointment,
+  Patient,
+  Staff,
+  Department,
+  DoctorAvailabilityTemplate,
+  DoctorAvailabilityException,
+  OPDAppointmentStatusHistory,
+  OPDAppointmentSeries,
+  User
+} = require('../models');
 const { authorize } = require('../middleware/authMiddleware');
 const { logMedicalEvent } = require('../config/logger');
+const { generateNumber } = require('../services/sequenceService');
+const {
+  toMinutes,
+  listFreeSlots,
+  lockDoctorSchedule,
+  assertBookable,
+  getNoShowRate
+} = require('../services/doctorAvailabilityService');
+const {
+  checkIn,
+  callNext,
+  skipToken,
+  recallToken,
+  completeConsultation,
+  getQueueBoard,
+  broadcastQueue
+} = require('../services/opdQueueService');
+const { transitionAppointment, recordStatusChange } = require('../services/appointmentStatusService');
+const { bookSeries, cancelSeries, rescheduleSeries } = require('../services/appointmentSeriesService');
+const ServiceError = require('../utils/serviceError');
 const router = express.Router();
 
-// Generate unique appointment number
-const generateAppointmentNumber = async () => {
-  const today = new Date();
-  const dateStr = today.toISOString().slice(0, 10).replace(/-/g, '');
-  const count = await OPDAppointment.count({
-    where: {
-      appointment_number: {
-        [Op.like]: `OPD${dateStr}%`
-      }
-    }
-  });
-  return `OPD${dateStr}${String(count + 1).padStart(4, '0')}`;
-};
-
 /**
  * @swagger
  * components:
@@ -62,6 +79,15 @@ const generateAppointmentNumber = async () => {
  *           type: string
  *         consultation_fee:
  *           type: number
+ *         duration_minutes:
+ *           type: integer
+ *           description: Defaults to the slot length of the doctor's session
+ *         allow_overbook:
+ *           type: boolean
+ *           description: Book into a taken slot if the session still has overbooking allowance
+ *         is_overbooked:
+ *           type: boolean
+ *           readOnly: true
  *         notes:
  *           type: string
  */
@@ -86,7 +112,7 @@ const generateAppointmentNumber = async () => {
  *       400:
  *         description: Validation error
  *       409:
- *         description: Time slot not available
+ *         description: Time slot not available or outside the doctor's availability
  */
 router.post('/appointments',
   authorize('admin', 'receptionist', 'doctor', 'nurse'),
@@ -98,7 +124,9 @@ router.post('/appointments',
     body('appointment_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
     body('appointment_type').isIn(['consultation', 'follow_up', 'emergency', 'routine_checkup']).withMessage('Valid appointment type required'),
     body('chief_complaint').optional().trim().isLength({ max: 500 }).withMessage('Chief complaint too long'),
-    body('consultation_fee').optional().isFloat({ min: 0 }).withMessage('Valid consultation fee required')
+    body('consultation_fee').optional().isFloat({ min: 0 }).withMessage('Valid consultation fee required'),
+    body('duration_minutes').optional().isInt({ min: 5, max: 240 }).toInt().withMessage('Duration must be between 5 and 240 minutes'),
+    body('allow_overbook').optional().isBoolean().withMessage('allow_overbook must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -111,7 +139,7 @@ router.post('/appointments',
         });
       }
 
-      const { patient_id, doctor_id, appointment_date, appointment_time } = req.body;
+      const { patient_id, doctor_id, appointment_date, appointment_time, allow_overbook, ...details } = req.body;
 
       // Check if patient exists
       const patient = await Patient.findByPk(patient_id);
@@ -131,33 +159,35 @@ router.post('/appointments',
         });
       }
 
-      // Check if time slot is available
-      const existingAppointment = await OPDAppointment.findOne({
-        where: {
+      // Check the doctor's availability and book under the schedule lock
+      const appointment = await sequelize.transaction(async (transaction) => {
+        await lockDoctorSchedule(doctor_id, appointment_date, transaction);
+
+        const { duration_minutes, is_overbooked } = await assertBookable(
           doctor_id,
           appointment_date,
           appointment_time,
-          status: {
-            [Op.notIn]: ['cancelled', 'no_show']
-          }
-        }
-      });
+          req.body.duration_minutes,
+          { allowOverbook: allow_overbook === true || allow_overbook === 'true', transaction }
+        );
 
-      if (existingAppointment) {
-        return res.status(409).json({
-          success: false,
-          message: 'Time slot not available'
-        });
-      }
+        const appointmentNumber = await generateNumber('opd_appointment', { transaction });
+
+        const created = await OPDAppointment.create({
+          ...details,
+          patient_id,
+          doctor_id,
+          appointment_date,
+          appointment_time,
+          duration_minutes,
+          is_overbooked,
+          appointment_number: appointmentNumber,
+          status: 'scheduled'
+        }, { transaction });
 
-      // Generate appointment number
-      const appointmentNumber = await generateAppointmentNumber();
+        await recordStatusChange(created.id, null, 'scheduled', { actorId: req.user.id, transaction });
 
-      // Create appointment
-      const appointment = await OPDAppointment.create({
-        ...req.body,
-        appointment_number: appointmentNumber,
-        status: 'scheduled'
+        return created;
       });
 
       // Fetch complete appointment data
@@ -183,10 +213,11 @@ router.post('/appointments',
 
       logMedicalEvent('opd_appointment_booked', patient_id, req.user.id, {
         appointment_id: appointment.id,
-        appointment_number: appointmentNumber,
+        appointment_number: appointment.appointment_number,
         doctor_id,
         appointment_date,
-        appointment_time
+        appointment_time,
+        is_overbooked: appointment.is_overbooked
       });
 
       res.status(201).json({
@@ -195,6 +226,14 @@ router.post('/appointments',
         data: completeAppointment
       });
     } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to book appointment',
@@ -460,6 +499,8 @@ router.get('/appointments/:id',
  *               appointment_time:
  *                 type: string
  *                 format: time
+ *               duration_minutes:
+ *                 type: integer
  *               chief_complaint:
  *                 type: string
  *               notes:
@@ -476,6 +517,7 @@ router.put('/appointments/:id',
     param('id').isUUID().withMessage('Valid appointment ID required'),
     body('appointment_date').optional().isISO8601().withMessage('Valid appointment date required'),
     body('appointment_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required'),
+    body('duration_minutes').optional().isInt({ min: 5, max: 240 }).toInt().withMessage('Duration must be between 5 and 240 minutes'),
     body('chief_complaint').optional().trim().isLength({ max: 500 }).withMessage('Chief complaint too long'),
     body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
   ],
@@ -506,37 +548,40 @@ router.put('/appointments/:id',
         });
       }
 
-      // If changing date/time, check availability
-      if (req.body.appointment_date || req.body.appointment_time) {
+      // Store original data for audit
+      const originalData = appointment.toJSON();
+
+      // Status changes must go through PATCH /appointments/:id/status
+      const changes = { ...req.body };
+      delete changes.status;
+      delete changes.appointment_number;
+      delete changes.is_overbooked;
+
+      // If changing date/time/duration, re-check availability under the schedule lock
+      if (req.body.appointment_date || req.body.appointment_time || req.body.duration_minutes) {
         const newDate = req.body.appointment_date || appointment.appointment_date;
         const newTime = req.body.appointment_time || appointment.appointment_time;
 
-        const conflictingAppointment = await OPDAppointment.findOne({
-          where: {
-            id: { [Op.ne]: appointment.id },
-            doctor_id: appointment.doctor_id,
-            appointment_date: newDate,
-            appointment_time: newTime,
-            status: { [Op.notIn]: ['cancelled', 'no_show'] }
-          }
-        });
-
-        if (conflictingAppointment) {
-          return res.status(409).json({
-            success: false,
-            message: 'Time slot not available'
-          });
-        }
-      }
+        await sequelize.transaction(async (transaction) => {
+          await lockDoctorSchedule(appointment.doctor_id, newDate, transaction);
 
-      // Store original data for audit
-      const originalData = appointment.toJSON();
+          const { duration_minutes, is_overbooked } = await assertBookable(
+            appointment.doctor_id,
+            newDate,
+            newTime,
+            req.body.duration_minutes || appointment.duration_minutes,
+            { excludeAppointmentId: appointment.id, transaction }
+          );
 
-      await appointment.update(req.body);
+          await appointment.update({ ...changes, duration_minutes, is_overbooked }, { transaction });
+        });
+      } else {
+        await appointment.update(changes);
+      }
 
       logMedicalEvent('opd_appointment_updated', appointment.patient_id, req.user.id, {
         appointment_id: appointment.id,
-        changes: req.body,
+        changes,
         original: originalData
       });
 
@@ -546,6 +591,14 @@ router.put('/appointments/:id',
         data: appointment
       });
     } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to update appointment',
@@ -560,6 +613,9 @@ router.put('/appointments/:id',
  * /api/opd/appointments/{id}/status:
  *   patch:
  *     summary: Update appointment status
+ *     description: |
+ *       Only legal transitions are accepted: scheduled → confirmed → in_progress → completed.
+ *       Cancellation and no-show are allowed only before the visit is in progress.
  *     tags: [OPD]
  *     security:
  *       - bearerAuth: []
@@ -582,17 +638,22 @@ router.put('/appointments/:id',
  *               status:
  *                 type: string
  *                 enum: [confirmed, in_progress, completed, cancelled, no_show]
+ *               reason:
+ *                 type: string
  *               notes:
  *                 type: string
  *     responses:
  *       200:
  *         description: Status updated successfully
+ *       409:
+ *         description: Transition not allowed from the current status
  */
 router.patch('/appointments/:id/status',
   authorize('admin', 'receptionist', 'doctor', 'nurse'),
   [
     param('id').isUUID().withMessage('Valid appointment ID required'),
     body('status').isIn(['confirmed', 'in_progress', 'completed', 'cancelled', 'no_show']).withMessage('Valid status required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long'),
     body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
   ],
   async (req, res) => {
@@ -606,26 +667,19 @@ router.patch('/appointments/:id/status',
         });
       }
 
-      const appointment = await OPDAppointment.findByPk(req.params.id);
-      if (!appointment) {
-        return res.status(404).json({
-          success: false,
-          message: 'Appointment not found'
-        });
-      }
-
-      const { status, notes } = req.body;
-      const previousStatus = appointment.status;
+      const { status, reason, notes } = req.body;
 
-      await appointment.update({
-        status,
-        notes: notes || appointment.notes
+      const { appointment, previousStatus } = await transitionAppointment(req.params.id, status, {
+        actorId: req.user.id,
+        reason: reason || notes,
+        changes: notes ? { notes } : {}
       });
 
       logMedicalEvent('opd_appointment_status_changed', appointment.patient_id, req.user.id, {
         appointment_id: appointment.id,
         previous_status: previousStatus,
         new_status: status,
+        reason,
         notes
       });
 
@@ -635,6 +689,14 @@ router.patch('/appointments/:id/status',
         data: appointment
       });
     } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
       res.status(500).json({
         success: false,
         message: 'Failed to update appointment status',
@@ -644,6 +706,81 @@ router.patch('/appointments/:id/status',
   }
 );
 
+/**
+ * @swagger
+ * /api/opd/appointments/{id}/history:
+ *   get:
+ *     summary: Get the status transition history of an appointment
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Appointment ID
+ *     responses:
+ *       200:
+ *         description: Status transitions in chronological order
+ *       404:
+ *         description: Appointment not found
+ */
+router.get('/appointments/:id/history',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid appointment ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const appointment = await OPDAppointment.findByPk(req.params.id, {
+        attributes: ['id', 'appointment_number', 'status']
+      });
+
+      if (!appointment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment not found'
+        });
+      }
+
+      const history = await OPDAppointmentStatusHistory.findAll({
+        where: { appointment_id: appointment.id },
+        include: [{
+          model: User,
+          as: 'changed_by_user',
+          attributes: ['id', 'username', 'role']
+        }],
+        order: [['changed_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          appointment,
+          history
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch appointment history',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/opd/appointments/today:
@@ -792,4 +929,1336 @@ router.get('/doctor-schedule/:doctor_id',
   }
 );
 
+/**
+ * @swagger
+ * /api/opd/appointment-series:
+ *   post:
+ *     summary: Book a recurring series of OPD appointments
+ *     description: |
+ *       Every occurrence is checked against the doctor's availability. Either all
+ *       occurrences are booked, or nothing is booked and the clashing ones are returned.
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *               - doctor_id
+ *               - start_date
+ *               - appointment_time
+ *               - appointment_type
+ *               - recurrence
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *               doctor_id:
+ *                 type: string
+ *                 format: uuid
+ *               department_id:
+ *                 type: string
+ *                 format: uuid
+ *               start_date:
+ *                 type: string
+ *                 format: date
+ *               appointment_time:
+ *                 type: string
+ *               duration_minutes:
+ *                 type: integer
+ *               appointment_type:
+ *                 type: string
+ *                 enum: [consultation, follow_up, emergency, routine_checkup]
+ *               recurrence:
+ *                 type: object
+ *                 properties:
+ *                   frequency:
+ *                     type: string
+ *                     enum: [daily, weekly]
+ *                   interval:
+ *                     type: integer
+ *                   days_of_week:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                       example: mon
+ *                   count:
+ *                     type: integer
+ *                   weeks:
+ *                     type: integer
+ *                   until:
+ *                     type: string
+ *                     format: date
+ *     responses:
+ *       201:
+ *         description: Series booked
+ *       409:
+ *         description: One or more occurrences clash; none were booked
+ */
+router.post('/appointment-series',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('doctor_id').isUUID().withMessage('Valid doctor ID required'),
+    body('department_id').optional().isUUID().withMessage('Valid department ID required'),
+    body('start_date').isISO8601().withMessage('Valid start date required'),
+    body('appointment_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
+    body('duration_minutes').optional().isInt({ min: 5, max: 240 }).toInt().withMessage('Duration must be between 5 and 240 minutes'),
+    body('appointment_type').isIn(['consultation', 'follow_up', 'emergency', 'routine_checkup']).withMessage('Valid appointment type required'),
+    body('recurrence.frequency').isIn(['daily', 'weekly']).withMessage('Recurrence frequency must be daily or weekly'),
+    body('recurrence.interval').optional().isInt({ min: 1, max: 12 }).withMessage('Recurrence interval must be between 1 and 12'),
+    body('recurrence.days_of_week').optional().isArray({ max: 7 }).withMessage('Days of week must be an array'),
+    body('recurrence.count').optional().isInt({ min: 1, max: 52 }).withMessage('Occurrence count must be between 1 and 52'),
+    body('recurrence.weeks').optional().isInt({ min: 1, max: 52 }).withMessage('Weeks must be between 1 and 52'),
+    body('recurrence.until').optional().isISO8601().withMessage('Valid until date required'),
+    body('chief_complaint').optional().trim().isLength({ max: 500 }).withMessage('Chief complaint too long'),
+    body('consultation_fee').optional().isFloat({ min: 0 }).withMessage('Valid consultation fee required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await Patient.findByPk(req.body.patient_id);
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const doctor = await Staff.findByPk(req.body.doctor_id);
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+
+      const { series, appointments } = await bookSeries(req.body, req.user.id);
+
+      logMedicalEvent('opd_appointment_series_booked', patient.id, req.user.id, {
+        series_id: series.id,
+        doctor_id: doctor.id,
+        occurrences: appointments.length,
+        start_date: series.start_date,
+        end_date: series.end_date
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `${appointments.length} appointments booked successfully`,
+        data: {
+          series,
+          appointments
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to book appointment series',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/appointment-series/{id}:
+ *   get:
+ *     summary: Get an appointment series with its occurrences
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Series ID
+ *     responses:
+ *       200:
+ *         description: Series details
+ *       404:
+ *         description: Series not found
+ */
+router.get('/appointment-series/:id',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid series ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const series = await OPDAppointmentSeries.findByPk(req.params.id, {
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name', 'phone']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name', 'specialization']
+          },
+          {
+            model: OPDAppointment,
+            as: 'appointments',
+            attributes: ['id', 'appointment_number', 'appointment_date', 'appointment_time', 'duration_minutes', 'status']
+          }
+        ],
+        order: [[{ model: OPDAppointment, as: 'appointments' }, 'appointment_date', 'ASC']]
+      });
+
+      if (!series) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appointment series not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: series
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch appointment series',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/appointment-series/{id}/cancel:
+ *   post:
+ *     summary: Cancel one occurrence or the remaining occurrences of a series
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [occurrence, remaining]
+ *               appointment_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Required when scope is occurrence
+ *               from_date:
+ *                 type: string
+ *                 format: date
+ *                 description: First date affected when scope is remaining (defaults to today)
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Occurrences cancelled
+ */
+router.post('/appointment-series/:id/cancel',
+  authorize('admin', 'receptionist', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid series ID required'),
+    body('scope').isIn(['occurrence', 'remaining']).withMessage('Scope must be occurrence or remaining'),
+    body('appointment_id').if(body('scope').equals('occurrence')).isUUID().withMessage('Valid appointment ID required'),
+    body('from_date').optional().isISO8601().withMessage('Valid from date required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { series, cancelled } = await cancelSeries(req.params.id, req.body, req.user.id);
+
+      logMedicalEvent('opd_appointment_series_cancelled', series.patient_id, req.user.id, {
+        series_id: series.id,
+        scope: req.body.scope,
+        cancelled,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: `${cancelled.length} appointment(s) cancelled`,
+        data: {
+          series,
+          cancelled
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel appointment series',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/appointment-series/{id}/reschedule:
+ *   post:
+ *     summary: Reschedule one occurrence or the remaining occurrences of a series
+ *     description: All moves are checked first; if any clash, nothing is changed and the clashes are returned.
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Series ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [occurrence, remaining]
+ *               appointment_id:
+ *                 type: string
+ *                 format: uuid
+ *               appointment_date:
+ *                 type: string
+ *                 format: date
+ *                 description: New date for a single occurrence
+ *               from_date:
+ *                 type: string
+ *                 format: date
+ *               appointment_time:
+ *                 type: string
+ *               shift_days:
+ *                 type: integer
+ *                 description: Move remaining occurrences by this many days
+ *     responses:
+ *       200:
+ *         description: Occurrences rescheduled
+ *       400:
+ *         description: A new slot is in the past; nothing was changed
+ *       409:
+ *         description: One or more new slots clash; nothing was changed
+ */
+router.post('/appointment-series/:id/reschedule',
+  authorize('admin', 'receptionist', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid series ID required'),
+    body('scope').isIn(['occurrence', 'remaining']).withMessage('Scope must be occurrence or remaining'),
+    body('appointment_id').if(body('scope').equals('occurrence')).isUUID().withMessage('Valid appointment ID required'),
+    body('appointment_date').optional().isISO8601().withMessage('Valid appointment date required'),
+    body('from_date').optional().isISO8601().withMessage('Valid from date required'),
+    body('appointment_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid time format required (HH:MM)'),
+    body('shift_days').optional().isInt({ min: -30, max: 90 }).withMessage('Shift must be between -30 and 90 days')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.body.appointment_time && !req.body.shift_days && !req.body.appointment_date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a new appointment_time, appointment_date or shift_days'
+        });
+      }
+
+      const { series, rescheduled } = await rescheduleSeries(req.params.id, req.body, req.user.id);
+
+      logMedicalEvent('opd_appointment_series_rescheduled', series.patient_id, req.user.id, {
+        series_id: series.id,
+        scope: req.body.scope,
+        rescheduled
+      });
+
+      res.json({
+        success: true,
+        message: `${rescheduled.length} appointment(s) rescheduled`,
+        data: {
+          series,
+          rescheduled
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reschedule appointment series',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/queue/{doctor_id}:
+ *   get:
+ *     summary: Get today's token queue for a doctor
+ *     description: Live updates are pushed as `opd_queue_updated` to the Socket.IO room `opd_queue_<doctor_id>`.
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     responses:
+ *       200:
+ *         description: Current, waiting and skipped tokens with estimated waits
+ */
+router.get('/queue/:doctor_id',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('doctor_id').isUUID().withMessage('Valid doctor ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const board = await getQueueBoard(req.params.doctor_id);
+
+      res.json({
+        success: true,
+        data: board
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch queue',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/queue/check-in:
+ *   post:
+ *     summary: Check in a patient and issue a queue token
+ *     description: Pass `appointment_id` for a booked patient, or `doctor_id` and `patient_id` for a walk-in.
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               appointment_id:
+ *                 type: string
+ *                 format: uuid
+ *               doctor_id:
+ *                 type: string
+ *                 format: uuid
+ *               patient_id:
+ *                 type: string
+ *                 format: uuid
+ *     responses:
+ *       201:
+ *         description: Token issued
+ *       409:
+ *         description: Patient already in queue or appointment not for today
+ */
+router.post('/queue/check-in',
+  authorize('admin', 'receptionist', 'nurse'),
+  [
+    body('appointment_id').optional().isUUID().withMessage('Valid appointment ID required'),
+    body('doctor_id').if(body('appointment_id').not().exists()).isUUID().withMessage('Valid doctor ID required for walk-in'),
+    body('patient_id').if(body('appointment_id').not().exists()).isUUID().withMessage('Valid patient ID required for walk-in')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.body.appointment_id) {
+        const doctor = await Staff.findByPk(req.body.doctor_id);
+        if (!doctor) {
+          return res.status(404).json({
+            success: false,
+            message: 'Doctor not found'
+          });
+        }
+      }
+
+      const token = await checkIn(req.body);
+      const board = await broadcastQueue(req.app.get('io'), token.doctor_id);
+
+      logMedicalEvent('opd_queue_checked_in', token.patient_id, req.user.id, {
+        token_id: token.id,
+        token_number: token.token_number,
+        doctor_id: token.doctor_id,
+        appointment_id: token.appointment_id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Token ${token.token_number} issued`,
+        data: {
+          token,
+          estimated_wait_minutes: (board.waiting.find((entry) => entry.id === token.id) || {}).estimated_wait_minutes
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check in patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/queue/{doctor_id}/call-next:
+ *   post:
+ *     summary: Complete the current token and call the next waiting patient
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctor_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     responses:
+ *       200:
+ *         description: Next token called, or null when the queue is empty
+ */
+router.post('/queue/:doctor_id/call-next',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('doctor_id').isUUID().withMessage('Valid doctor ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const token = await callNext(req.params.doctor_id, req.user.id);
+      const board = await broadcastQueue(req.app.get('io'), req.params.doctor_id);
+
+      res.json({
+        success: true,
+        message: token ? `Token ${token.token_number} called` : 'No patients waiting',
+        data: board
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to call next token',
+        error: error.message
+      });
+    }
+  }
+);
+
+// Shared handler for token actions that change one token and rebroadcast the board
+const tokenActionHandler = (handler, action, done) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const token = await handler(req.params.id, req.user.id);
+    const board = await broadcastQueue(req.app.get('io'), token.doctor_id);
+
+    res.json({
+      success: true,
+      message: `Token ${token.token_number} ${done}`,
+      data: board
+    });
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: `Failed to ${action} token`,
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/opd/queue/tokens/{id}/skip:
+ *   patch:
+ *     summary: Skip a waiting or called token
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token updated
+ *       409:
+ *         description: Action not allowed in the token's current status
+ */
+router.patch('/queue/tokens/:id/skip',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid token ID required')
+  ],
+  tokenActionHandler(skipToken, 'skip', 'skipped')
+);
+
+/**
+ * @swagger
+ * /api/opd/queue/tokens/{id}/recall:
+ *   patch:
+ *     summary: Recall a skipped token to the front of the waiting list
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token updated
+ *       409:
+ *         description: Action not allowed in the token's current status
+ */
+router.patch('/queue/tokens/:id/recall',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid token ID required')
+  ],
+  tokenActionHandler(recallToken, 'recall', 'recalled')
+);
+
+/**
+ * @swagger
+ * /api/opd/queue/tokens/{id}/complete:
+ *   patch:
+ *     summary: Complete the consultation for a called token
+ *     tags: [OPD Queue]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Token ID
+ *     responses:
+ *       200:
+ *         description: Token updated
+ *       409:
+ *         description: Action not allowed in the token's current status
+ */
+router.patch('/queue/tokens/:id/complete',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid token ID required')
+  ],
+  tokenActionHandler(completeConsultation, 'complete', 'completed')
+);
+
+// Doctors may only manage their own availability
+const canManageSchedule = async (req, doctorId) => {
+  if (req.user.role !== 'doctor') {
+    return true;
+  }
+  const staff = await Staff.findOne({ where: { user_id: req.user.id } });
+  return Boolean(staff && staff.id === doctorId);
+};
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/slots:
+ *   get:
+ *     summary: Get a doctor's free appointment slots for a date
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Date to search
+ *     responses:
+ *       200:
+ *         description: Working sessions and free slots
+ */
+router.get('/doctors/:id/slots',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required'),
+    query('date').isISO8601().withMessage('Valid date required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const doctor = await Staff.findByPk(req.params.id);
+      if (!doctor) {
+        return res.status(404).json({
+          success: false,
+          message: 'Doctor not found'
+        });
+      }
+
+      const { sessions, slots } = await listFreeSlots(doctor.id, req.query.date);
+
+      res.json({
+        success: true,
+        data: {
+          doctor_id: doctor.id,
+          date: req.query.date,
+          sessions,
+          slots
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch available slots',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/availability:
+ *   get:
+ *     summary: Get a doctor's weekly availability template and upcoming exceptions
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     responses:
+ *       200:
+ *         description: Availability template and exceptions
+ */
+router.get('/doctors/:id/availability',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const templates = await DoctorAvailabilityTemplate.findAll({
+        where: { doctor_id: req.params.id, is_active: true },
+        order: [['day_of_week', 'ASC'], ['start_time', 'ASC']]
+      });
+
+      const exceptions = await DoctorAvailabilityException.findAll({
+        where: {
+          doctor_id: req.params.id,
+          exception_date: { [Op.gte]: new Date().toISOString().split('T')[0] }
+        },
+        order: [['exception_date', 'ASC'], ['start_time', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          templates,
+          exceptions
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch doctor availability',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/no-show-rate:
+ *   get:
+ *     summary: Get a doctor's historical no-show rate used for overbooking
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     responses:
+ *       200:
+ *         description: No-show count, sample size and rate over the lookback window
+ */
+router.get('/doctors/:id/no-show-rate',
+  authorize('admin', 'receptionist', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const stats = await getNoShowRate(req.params.id);
+
+      res.json({
+        success: true,
+        data: {
+          doctor_id: req.params.id,
+          ...stats
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch no-show rate',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/availability:
+ *   put:
+ *     summary: Replace a doctor's weekly availability template
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - sessions
+ *             properties:
+ *               sessions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     day_of_week:
+ *                       type: integer
+ *                       description: 0 = Sunday ... 6 = Saturday
+ *                     start_time:
+ *                       type: string
+ *                     end_time:
+ *                       type: string
+ *                     slot_duration_minutes:
+ *                       type: integer
+ *                     break_start_time:
+ *                       type: string
+ *                     break_end_time:
+ *                       type: string
+ *                     max_overbook:
+ *                       type: integer
+ *                       description: Cap on extra bookings per session; the actual allowance follows the doctor's no-show rate
+ *                     effective_from:
+ *                       type: string
+ *                       format: date
+ *                     effective_to:
+ *                       type: string
+ *                       format: date
+ *     responses:
+ *       200:
+ *         description: Availability template updated
+ */
+router.put('/doctors/:id/availability',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required'),
+    body('sessions').isArray().withMessage('Sessions array required'),
+    body('sessions.*.day_of_week').isInt({ min: 0, max: 6 }).withMessage('Day of week must be 0-6'),
+    body('sessions.*.start_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time required (HH:MM)'),
+    body('sessions.*.end_time').matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time required (HH:MM)'),
+    body('sessions.*.slot_duration_minutes').optional().isInt({ min: 5, max: 240 }).toInt().withMessage('Slot duration must be between 5 and 240 minutes'),
+    body('sessions.*.break_start_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid break start time required (HH:MM)'),
+    body('sessions.*.break_end_time').optional().matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid break end time required (HH:MM)'),
+    body('sessions.*.max_overbook').optional().isInt({ min: 0, max: 20 }).withMessage('Max overbook must be between 0 and 20'),
+    body('sessions.*.effective_from').optional().isISO8601().withMessage('Valid effective from date required'),
+    body('sessions.*.effective_to').optional().isISO8601().withMessage('Valid effective to date required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!(await canManageSchedule(req, req.params.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const { sessions } = req.body;
+
+      // Sessions must be well-formed and must not overlap on the same day
+      for (const session of sessions) {
+        const start = toMinutes(session.start_time);
+        const end = toMinutes(session.end_time);
+
+        if (end <= start) {
+          return res.status(400).json({
+            success: false,
+            message: `Session ${session.start_time}-${session.end_time} must end after it starts`
+          });
+        }
+
+        if (Boolean(session.break_start_time) !== Boolean(session.break_end_time)) {
+          return res.status(400).json({
+            success: false,
+            message: 'Break start and end time must be given together'
+          });
+        }
+
+        if (session.break_start_time) {
+          const breakStart = toMinutes(session.break_start_time);
+          const breakEnd = toMinutes(session.break_end_time);
+          if (breakStart < start || breakEnd > end || breakEnd <= breakStart) {
+            return res.status(400).json({
+              success: false,
+              message: `Break ${session.break_start_time}-${session.break_end_time} must fall within its session`
+            });
+          }
+        }
+
+        const clash = sessions.find((other) => other !== session
+          && Number(other.day_of_week) === Number(session.day_of_week)
+          && toMinutes(other.start_time) < end
+          && start < toMinutes(other.end_time));
+
+        if (clash) {
+          return res.status(400).json({
+            success: false,
+            message: `Sessions ${session.start_time}-${session.end_time} and ${clash.start_time}-${clash.end_time} overlap`
+          });
+        }
+      }
+
+      const templates = await sequelize.transaction(async (transaction) => {
+        await DoctorAvailabilityTemplate.update(
+          { is_active: false },
+          { where: { doctor_id: req.params.id, is_active: true }, transaction }
+        );
+
+        return DoctorAvailabilityTemplate.bulkCreate(
+          sessions.map((session) => ({
+            doctor_id: req.params.id,
+            day_of_week: session.day_of_week,
+            start_time: session.start_time,
+            end_time: session.end_time,
+            slot_duration_minutes: session.slot_duration_minutes || 15,
+            break_start_time: session.break_start_time || null,
+            break_end_time: session.break_end_time || null,
+            max_overbook: session.max_overbook || 0,
+            effective_from: session.effective_from || null,
+            effective_to: session.effective_to || null,
+            is_active: true
+          })),
+          { transaction }
+        );
+      });
+
+      res.json({
+        success: true,
+        message: 'Doctor availability updated successfully',
+        data: templates
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update doctor availability',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/availability/exceptions:
+ *   post:
+ *     summary: Add a leave day or custom working hours for a date
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - exception_date
+ *               - exception_type
+ *             properties:
+ *               exception_date:
+ *                 type: string
+ *                 format: date
+ *               exception_type:
+ *                 type: string
+ *                 enum: [leave, custom_hours]
+ *               start_time:
+ *                 type: string
+ *               end_time:
+ *                 type: string
+ *               slot_duration_minutes:
+ *                 type: integer
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exception created
+ */
+router.post('/doctors/:id/availability/exceptions',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required'),
+    body('exception_date').isISO8601().withMessage('Valid exception date required'),
+    body('exception_type').isIn(['leave', 'custom_hours']).withMessage('Valid exception type required'),
+    body('start_time').if(body('exception_type').equals('custom_hours')).matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid start time required (HH:MM)'),
+    body('end_time').if(body('exception_type').equals('custom_hours')).matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).withMessage('Valid end time required (HH:MM)'),
+    body('slot_duration_minutes').optional().isInt({ min: 5, max: 240 }).toInt().withMessage('Slot duration must be between 5 and 240 minutes'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!(await canManageSchedule(req, req.params.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const isCustomHours = req.body.exception_type === 'custom_hours';
+
+      if (isCustomHours && toMinutes(req.body.end_time) <= toMinutes(req.body.start_time)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Custom hours must end after they start'
+        });
+      }
+
+      const exception = await DoctorAvailabilityException.create({
+        doctor_id: req.params.id,
+        exception_date: req.body.exception_date,
+        exception_type: req.body.exception_type,
+        start_time: isCustomHours ? req.body.start_time : null,
+        end_time: isCustomHours ? req.body.end_time : null,
+        slot_duration_minutes: isCustomHours ? req.body.slot_duration_minutes : null,
+        reason: req.body.reason,
+        created_by: req.user.id
+      });
+
+      // Existing bookings are left in place; report them so they can be rescheduled
+      const affectedAppointments = await OPDAppointment.findAll({
+        where: {
+          doctor_id: req.params.id,
+          appointment_date: req.body.exception_date,
+          status: { [Op.notIn]: ['cancelled', 'no_show', 'completed'] }
+        },
+        attributes: ['id', 'appointment_number', 'appointment_time', 'patient_id'],
+        order: [['appointment_time', 'ASC']]
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Availability exception created successfully',
+        data: {
+          exception,
+          affected_appointments: affectedAppointments
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create availability exception',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/opd/doctors/{id}/availability/exceptions/{exceptionId}:
+ *   delete:
+ *     summary: Remove an availability exception
+ *     tags: [OPD]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Doctor ID
+ *       - in: path
+ *         name: exceptionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Exception ID
+ *     responses:
+ *       200:
+ *         description: Exception removed
+ *       404:
+ *         description: Exception not found
+ */
+router.delete('/doctors/:id/availability/exceptions/:exceptionId',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid doctor ID required'),
+    param('exceptionId').isUUID().withMessage('Valid exception ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!(await canManageSchedule(req, req.params.id))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      const deleted = await DoctorAvailabilityException.destroy({
+        where: { id: req.params.exceptionId, doctor_id: req.params.id }
+      });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: 'Availability exception not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Availability exception removed successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove availability exception',
+        error: error.message
+      });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,1509 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { OTSchedule, OperationTheatre, Patient, Staff, IPDAdmission, SurgicalChecklistItem } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  scheduleSurgery,
+  updateSchedule,
+  postponeSurgery,
+  cancelSurgery,
+  startSurgery,
+  completeSurgery,
+  getDayList
+} = require('../services/otSchedulingService');
+const { getChecklist, confirmItems, completePhase } = require('../services/surgicalChecklistService');
+const { PHASES, defaultItems } = require('../config/surgicalChecklist');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+const TIME_PATTERN = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const scheduleIncludes = [
+  {
+    model: OperationTheatre,
+    as: 'theatre',
+    attributes: ['id', 'ot_number', 'name', 'ot_type', 'status']
+  },
+  {
+    model: Patient,
+    as: 'patient',
+    attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender']
+  },
+  {
+    model: Staff,
+    as: 'surgeon',
+    attributes: ['id', 'first_name', 'last_name', 'specialization']
+  },
+  {
+    model: Staff,
+    as: 'anesthetist',
+    attributes: ['id', 'first_name', 'last_name']
+  }
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OTSchedule:
+ *       type: object
+ *       required:
+ *         - ot_id
+ *         - patient_id
+ *         - surgeon_id
+ *         - procedure_name
+ *         - scheduled_date
+ *         - scheduled_start_time
+ *         - scheduled_end_time
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         ot_id:
+ *           type: string
+ *           format: uuid
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         surgeon_id:
+ *           type: string
+ *           format: uuid
+ *         anesthetist_id:
+ *           type: string
+ *           format: uuid
+ *         admission_id:
+ *           type: string
+ *           format: uuid
+ *         procedure_name:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [elective, urgent, emergency]
+ *         scheduled_date:
+ *           type: string
+ *           format: date
+ *         scheduled_start_time:
+ *           type: string
+ *           example: "09:00"
+ *         scheduled_end_time:
+ *           type: string
+ *           example: "11:30"
+ *         actual_start_time:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         actual_end_time:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *         status:
+ *           type: string
+ *           enum: [scheduled, in_progress, completed, cancelled, postponed]
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/ot/theatres:
+ *   get:
+ *     summary: Get operation theatres
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [available, occupied, maintenance, cleaning]
+ *     responses:
+ *       200:
+ *         description: Active theatres
+ */
+router.get('/theatres',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('status').optional().isIn(['available', 'occupied', 'maintenance', 'cleaning']).withMessage('Valid status required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { is_active: true };
+      if (req.query.status) where.status = req.query.status;
+
+      const theatres = await OperationTheatre.findAll({
+        where,
+        order: [['ot_number', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: theatres
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch operation theatres',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/theatres/{id}:
+ *   patch:
+ *     summary: Update a theatre's status or turnaround time
+ *     description: |
+ *       Use this to release a theatre after cleaning (`available`) or take it out of
+ *       service (`maintenance`). `occupied` is set only by starting a case.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [available, maintenance, cleaning]
+ *               turnaround_minutes:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Gap kept free after each case; null uses the default
+ *     responses:
+ *       200:
+ *         description: Theatre updated
+ *       404:
+ *         description: Theatre not found
+ *       409:
+ *         description: A case is in progress in this theatre
+ */
+router.patch('/theatres/:id',
+  authorize('admin', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid theatre ID required'),
+    body('status').optional().isIn(['available', 'maintenance', 'cleaning']).withMessage('Valid status required'),
+    body('turnaround_minutes').optional({ values: 'null' }).isInt({ min: 0, max: 240 }).withMessage('Turnaround must be 0-240 minutes')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const theatre = await OperationTheatre.findOne({ where: { id: req.params.id, is_active: true } });
+      if (!theatre) {
+        return res.status(404).json({
+          success: false,
+          message: 'Operation theatre not found'
+        });
+      }
+
+      if (req.body.status && theatre.status === 'occupied') {
+        const running = await OTSchedule.findOne({ where: { ot_id: theatre.id, status: 'in_progress' } });
+        if (running) {
+          return res.status(409).json({
+            success: false,
+            message: 'Complete the case in progress before changing the theatre status',
+            running_schedule_id: running.id
+          });
+        }
+      }
+
+      const updates = {};
+      if (req.body.status) updates.status = req.body.status;
+      if (req.body.turnaround_minutes !== undefined) updates.turnaround_minutes = req.body.turnaround_minutes;
+      await theatre.update(updates);
+
+      res.json({
+        success: true,
+        message: 'Operation theatre updated successfully',
+        data: theatre
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update operation theatre',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules:
+ *   post:
+ *     summary: Book a surgery
+ *     description: |
+ *       Rejected with 409 when the slot overlaps another scheduled or running case in the
+ *       same theatre (including the theatre's turnaround time after each case) or for the
+ *       same surgeon or anesthetist. The clashing cases are listed in `conflicts`.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OTSchedule'
+ *     responses:
+ *       201:
+ *         description: Surgery scheduled
+ *       404:
+ *         description: Patient, theatre or staff not found
+ *       409:
+ *         description: Slot conflicts with another case or the theatre is under maintenance
+ */
+router.post('/schedules',
+  authorize('admin', 'doctor', 'receptionist'),
+  [
+    body('ot_id').isUUID().withMessage('Valid theatre ID required'),
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('surgeon_id').isUUID().withMessage('Valid surgeon ID required'),
+    body('anesthetist_id').optional().isUUID().withMessage('Valid anesthetist ID required'),
+    body('admission_id').optional().isUUID().withMessage('Valid admission ID required'),
+    body('procedure_name').trim().isLength({ min: 2, max: 200 }).withMessage('Procedure name is required'),
+    body('priority').optional().isIn(['elective', 'urgent', 'emergency']).withMessage('Valid priority required'),
+    body('scheduled_date').isISO8601().withMessage('Valid date required'),
+    body('scheduled_start_time').matches(TIME_PATTERN).withMessage('Valid start time required (HH:MM)'),
+    body('scheduled_end_time').matches(TIME_PATTERN).withMessage('Valid end time required (HH:MM)'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (moment(req.body.scheduled_date).isBefore(moment(), 'day')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot schedule a surgery in the past'
+        });
+      }
+
+      const schedule = await scheduleSurgery(req.body, req.user.id);
+
+      logMedicalEvent('surgery_scheduled', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        ot_id: schedule.ot_id,
+        procedure_name: schedule.procedure_name,
+        scheduled_date: schedule.scheduled_date,
+        scheduled_start_time: schedule.scheduled_start_time
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Surgery scheduled successfully',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to schedule surgery',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules:
+ *   get:
+ *     summary: Get OT schedules
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: ot_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: surgeon_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Schedules by date and start time
+ */
+router.get('/schedules',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('ot_id').optional().isUUID().withMessage('Valid theatre ID required'),
+    query('surgeon_id').optional().isUUID().withMessage('Valid surgeon ID required'),
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isIn(['scheduled', 'in_progress', 'completed', 'cancelled', 'postponed']).withMessage('Valid status required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.date) where.scheduled_date = req.query.date;
+      if (req.query.ot_id) where.ot_id = req.query.ot_id;
+      if (req.query.surgeon_id) where.surgeon_id = req.query.surgeon_id;
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+      if (req.query.status) where.status = req.query.status;
+
+      const { count, rows: schedules } = await OTSchedule.findAndCountAll({
+        where,
+        include: scheduleIncludes,
+        limit,
+        offset,
+        order: [['scheduled_date', 'ASC'], ['scheduled_start_time', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          schedules,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch OT schedules',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}:
+ *   get:
+ *     summary: Get an OT schedule
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Schedule details
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/schedules/:id',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await OTSchedule.findByPk(req.params.id, {
+        include: [
+          ...scheduleIncludes,
+          {
+            model: IPDAdmission,
+            as: 'admission',
+            attributes: ['id', 'admission_number', 'status']
+          }
+        ]
+      });
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'OT schedule not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: schedule
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch OT schedule',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}:
+ *   put:
+ *     summary: Update a scheduled surgery
+ *     description: Changing the theatre, team, date or times re-runs the conflict checks.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OTSchedule'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *       404:
+ *         description: Schedule not found
+ *       409:
+ *         description: Schedule is no longer editable or the new slot conflicts
+ */
+router.put('/schedules/:id',
+  authorize('admin', 'doctor', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    body('ot_id').optional().isUUID().withMessage('Valid theatre ID required'),
+    body('surgeon_id').optional().isUUID().withMessage('Valid surgeon ID required'),
+    body('anesthetist_id').optional({ values: 'null' }).isUUID().withMessage('Valid anesthetist ID required'),
+    body('admission_id').optional({ values: 'null' }).isUUID().withMessage('Valid admission ID required'),
+    body('procedure_name').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Procedure name too short'),
+    body('priority').optional().isIn(['elective', 'urgent', 'emergency']).withMessage('Valid priority required'),
+    body('scheduled_date').optional().isISO8601().withMessage('Valid date required'),
+    body('scheduled_start_time').optional().matches(TIME_PATTERN).withMessage('Valid start time required (HH:MM)'),
+    body('scheduled_end_time').optional().matches(TIME_PATTERN).withMessage('Valid end time required (HH:MM)'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.body.scheduled_date && moment(req.body.scheduled_date).isBefore(moment(), 'day')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move a surgery into the past'
+        });
+      }
+
+      const schedule = await updateSchedule(req.params.id, req.body);
+
+      logMedicalEvent('surgery_schedule_updated', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        updated_fields: Object.keys(req.body)
+      });
+
+      res.json({
+        success: true,
+        message: 'OT schedule updated successfully',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update OT schedule',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/postpone:
+ *   post:
+ *     summary: Postpone a surgery
+ *     description: |
+ *       With a new `scheduled_date` and times the case is rebooked there, subject to the
+ *       usual conflict checks. Without them it is marked `postponed` and its slot is freed
+ *       until it is rebooked through this endpoint.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               ot_id:
+ *                 type: string
+ *                 description: Move to another theatre when rebooking
+ *               scheduled_date:
+ *                 type: string
+ *                 format: date
+ *               scheduled_start_time:
+ *                 type: string
+ *               scheduled_end_time:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Surgery postponed or rebooked
+ *       409:
+ *         description: Surgery cannot be postponed or the new slot conflicts
+ */
+router.post('/schedules/:id/postpone',
+  authorize('admin', 'doctor', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Postponement reason is required'),
+    body('ot_id').optional().isUUID().withMessage('Valid theatre ID required'),
+    body('scheduled_date').optional().isISO8601().withMessage('Valid date required'),
+    body('scheduled_start_time')
+      .if(body('scheduled_date').exists())
+      .matches(TIME_PATTERN).withMessage('Valid start time required (HH:MM)'),
+    body('scheduled_end_time')
+      .if(body('scheduled_date').exists())
+      .matches(TIME_PATTERN).withMessage('Valid end time required (HH:MM)')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.body.scheduled_date && moment(req.body.scheduled_date).isBefore(moment(), 'day')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot postpone a surgery into the past'
+        });
+      }
+
+      const schedule = await postponeSurgery(req.params.id, req.body);
+
+      logMedicalEvent('surgery_postponed', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        reason: req.body.reason,
+        rebooked_for: req.body.scheduled_date || null,
+        postponement_count: schedule.postponement_count
+      });
+
+      res.json({
+        success: true,
+        message: schedule.status === 'scheduled'
+          ? 'Surgery rebooked successfully'
+          : 'Surgery postponed successfully',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to postpone surgery',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/cancel:
+ *   post:
+ *     summary: Cancel a surgery
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Surgery cancelled
+ *       409:
+ *         description: Surgery has already started or finished
+ */
+router.post('/schedules/:id/cancel',
+  authorize('admin', 'doctor', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await cancelSurgery(req.params.id, req.body.reason, req.user.id);
+
+      logMedicalEvent('surgery_cancelled', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Surgery cancelled successfully',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel surgery',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/start:
+ *   post:
+ *     summary: Record the actual start of a surgery
+ *     description: |
+ *       Requires a completed sign in checklist and a valid surgery consent for the case.
+ *       The theatre is marked occupied.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               started_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Surgery started
+ *       409:
+ *         description: Sign in incomplete, consent missing, theatre busy or surgery not in a startable state
+ */
+router.post('/schedules/:id/start',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    body('started_at').optional().isISO8601().withMessage('Valid start time required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await startSurgery(req.params.id, {
+        startedAt: req.body.started_at ? new Date(req.body.started_at) : null
+      });
+
+      logMedicalEvent('surgery_started', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        ot_id: schedule.ot_id,
+        actual_start_time: schedule.actual_start_time
+      });
+
+      res.json({
+        success: true,
+        message: 'Surgery started',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start surgery',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/complete:
+ *   post:
+ *     summary: Record the actual end of a surgery
+ *     description: |
+ *       Requires a completed sign out checklist. The theatre is marked for cleaning until
+ *       it is set available again.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ended_at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Surgery completed
+ *       409:
+ *         description: Sign out incomplete or surgery is not in progress
+ */
+router.post('/schedules/:id/complete',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    body('ended_at').optional().isISO8601().withMessage('Valid end time required'),
+    body('notes').optional().trim().isLength({ max: 2000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const schedule = await completeSurgery(req.params.id, {
+        endedAt: req.body.ended_at,
+        notes: req.body.notes
+      });
+
+      logMedicalEvent('surgery_completed', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        actual_start_time: schedule.actual_start_time,
+        actual_end_time: schedule.actual_end_time
+      });
+
+      res.json({
+        success: true,
+        message: 'Surgery completed',
+        data: schedule
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete surgery',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/checklist-items:
+ *   get:
+ *     summary: Get the surgical safety checklist configuration
+ *     description: Phases without active configured items use the WHO default items.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Items per phase, with `uses_defaults` when the WHO list applies
+ */
+router.get('/checklist-items',
+  authorize('admin', 'doctor', 'nurse'),
+  async (req, res) => {
+    try {
+      const items = await SurgicalChecklistItem.findAll({
+        where: { is_active: true },
+        order: [['phase', 'ASC'], ['display_order', 'ASC'], ['created_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: PHASES.map((phase) => {
+          const configured = items.filter((item) => item.phase === phase);
+          return {
+            phase,
+            uses_defaults: configured.length === 0,
+            items: configured.length > 0 ? configured : defaultItems[phase]
+          };
+        })
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch checklist items',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/checklist-items:
+ *   post:
+ *     summary: Add a surgical safety checklist item
+ *     description: |
+ *       Once a phase has any active item, only the configured items are used for it. New
+ *       items apply to checklists started afterwards; existing cases keep their copy.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - phase
+ *               - code
+ *               - label
+ *             properties:
+ *               phase:
+ *                 type: string
+ *                 enum: [sign_in, time_out, sign_out]
+ *               code:
+ *                 type: string
+ *               label:
+ *                 type: string
+ *               is_required:
+ *                 type: boolean
+ *               display_order:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Item created
+ *       409:
+ *         description: An active item with this code already exists in the phase
+ */
+router.post('/checklist-items',
+  authorize('admin'),
+  [
+    body('phase').isIn(PHASES).withMessage('Valid checklist phase required'),
+    body('code').trim().matches(/^[a-z0-9_]{2,50}$/).withMessage('Code must be 2-50 lowercase letters, digits or underscores'),
+    body('label').trim().isLength({ min: 3, max: 300 }).withMessage('Label is required'),
+    body('is_required').optional().isBoolean().toBoolean().withMessage('is_required must be a boolean'),
+    body('display_order').optional().isInt({ min: 0 }).withMessage('Display order must be a non-negative integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await SurgicalChecklistItem.findOne({
+        where: { phase: req.body.phase, code: req.body.code, is_active: true }
+      });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'An active checklist item with this code already exists'
+        });
+      }
+
+      const item = await SurgicalChecklistItem.create({
+        phase: req.body.phase,
+        code: req.body.code,
+        label: req.body.label,
+        is_required: req.body.is_required !== false,
+        display_order: req.body.display_order || 0,
+        is_active: true,
+        created_by: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Checklist item created successfully',
+        data: item
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create checklist item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/checklist-items/{id}:
+ *   put:
+ *     summary: Update or retire a surgical safety checklist item
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               label:
+ *                 type: string
+ *               is_required:
+ *                 type: boolean
+ *               display_order:
+ *                 type: integer
+ *               is_active:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Item updated
+ *       404:
+ *         description: Item not found
+ */
+router.put('/checklist-items/:id',
+  authorize('admin'),
+  [
+    param('id').isUUID().withMessage('Valid checklist item ID required'),
+    body('label').optional().trim().isLength({ min: 3, max: 300 }).withMessage('Label too short'),
+    body('is_required').optional().isBoolean().toBoolean().withMessage('is_required must be a boolean'),
+    body('display_order').optional().isInt({ min: 0 }).withMessage('Display order must be a non-negative integer'),
+    body('is_active').optional().isBoolean().toBoolean().withMessage('is_active must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const item = await SurgicalChecklistItem.findByPk(req.params.id);
+      if (!item) {
+        return res.status(404).json({
+          success: false,
+          message: 'Checklist item not found'
+        });
+      }
+
+      if (req.body.is_active === true && !item.is_active) {
+        const clash = await SurgicalChecklistItem.findOne({
+          where: { phase: item.phase, code: item.code, is_active: true, id: { [Op.ne]: item.id } }
+        });
+        if (clash) {
+          return res.status(409).json({
+            success: false,
+            message: 'An active checklist item with this code already exists'
+          });
+        }
+      }
+
+      const updates = {};
+      ['label', 'is_required', 'display_order', 'is_active'].forEach((field) => {
+        if (req.body[field] !== undefined) {
+          updates[field] = req.body[field];
+        }
+      });
+      await item.update(updates);
+
+      res.json({
+        success: true,
+        message: 'Checklist item updated successfully',
+        data: item
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update checklist item',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/checklist:
+ *   get:
+ *     summary: Get a case's surgical safety checklist
+ *     description: The checklist is copied onto the case from the current configuration on first use.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sign in, time out and sign out with their items and outstanding required items
+ *       404:
+ *         description: Schedule not found
+ */
+router.get('/schedules/:id/checklist',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const checklist = await getChecklist(req.params.id);
+
+      res.json({
+        success: true,
+        data: checklist
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch surgical checklist',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/checklist/{phase}:
+ *   patch:
+ *     summary: Confirm checklist items in a phase
+ *     description: |
+ *       Each confirmed item records the signed-in user and the time. Sign in is filled in
+ *       before the case starts; time out and sign out while it is in progress, each after
+ *       the previous phase is completed.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: phase
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sign_in, time_out, sign_out]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     code:
+ *                       type: string
+ *                     confirmed:
+ *                       type: boolean
+ *                       description: false clears a confirmation (defaults to true)
+ *                     notes:
+ *                       type: string
+ *     responses:
+ *       200:
+ *         description: Updated checklist
+ *       400:
+ *         description: Unknown item codes
+ *       409:
+ *         description: Phase already complete or not yet open
+ */
+router.patch('/schedules/:id/checklist/:phase',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    param('phase').isIn(PHASES).withMessage('Valid checklist phase required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one checklist item is required'),
+    body('items.*.code').isString().notEmpty().withMessage('Item code is required'),
+    body('items.*.confirmed').optional().isBoolean().toBoolean().withMessage('confirmed must be a boolean'),
+    body('items.*.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const checklist = await confirmItems(req.params.id, req.params.phase, req.body.items, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Checklist updated',
+        data: checklist
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update surgical checklist',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/schedules/{id}/checklist/{phase}/complete:
+ *   post:
+ *     summary: Complete a checklist phase
+ *     description: All required items must be confirmed. A completed phase can no longer be changed.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: phase
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [sign_in, time_out, sign_out]
+ *     responses:
+ *       200:
+ *         description: Phase completed
+ *       409:
+ *         description: Required items outstanding, or phase not open
+ */
+router.post('/schedules/:id/checklist/:phase/complete',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid schedule ID required'),
+    param('phase').isIn(PHASES).withMessage('Valid checklist phase required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const checklist = await completePhase(req.params.id, req.params.phase, req.user.id);
+
+      const schedule = await OTSchedule.findByPk(req.params.id, { attributes: ['id', 'patient_id'] });
+      logMedicalEvent('surgical_checklist_phase_completed', schedule.patient_id, req.user.id, {
+        schedule_id: schedule.id,
+        phase: req.params.phase
+      });
+
+      res.json({
+        success: true,
+        message: 'Checklist phase completed',
+        data: checklist
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to complete checklist phase',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/ot/day-list:
+ *   get:
+ *     summary: Get the OT list for a day, grouped by theatre
+ *     description: Each case includes `ready_at`, when the theatre is free again after turnaround.
+ *     tags: [Operation Theatre]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: ot_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Theatres with their cases in start order
+ */
+router.get('/day-list',
+  authorize('admin', 'doctor', 'nurse', 'receptionist'),
+  [
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('ot_id').optional().isUUID().withMessage('Valid theatre ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const date = req.query.date || moment().format('YYYY-MM-DD');
+      const theatres = await getDayList(date, { otId: req.query.ot_id });
+
+      res.json({
+        success: true,
+        data: {
+          date,
+          theatres
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch OT list',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,10 +1,86 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
-const { Patient, OPDAppointment, IPDAdmission, LabOrder, RadiologyOrder } = require('../models');
+const { Op } = require('sequelize');
+const {
+  Patient,
+  OPDAppointment,
+  IPDAdmission,
+  LabOrder,
+  RadiologyOrder,
+  PatientMergeLog,
+  PatientAllergy,
+  FamilyAccount,
+  User
+} = require('../models');
 const { authorize } = require('../middleware/authMiddleware');
+const { requireConsent } = require('../middleware/consentMiddleware');
 const { logMedicalEvent } = require('../config/logger');
+const { generateNumber } = require('../services/sequenceService');
+const { findDuplicateCandidates, DUPLICATE_SCORE_THRESHOLD } = require('../services/patientMatchingService');
+const { mergePatients } = require('../services/patientMergeService');
+const { searchPatients } = require('../services/patientSearchService');
+const { getPatientTimeline, TIMELINE_EVENT_TYPES } = require('../services/patientTimelineService');
+const {
+  getClinicalSummary,
+  listClinicalRecords,
+  createClinicalRecord,
+  updateClinicalRecord,
+  removeClinicalRecord
+} = require('../services/patientClinicalService');
+const {
+  RELATIONSHIP_TYPES,
+  linkPatients,
+  updateRelationship,
+  unlinkPatients,
+  getRelationships,
+  resolveContactPoints,
+  getNotificationContact
+} = require('../services/patientRelationshipService');
+const ServiceError = require('../utils/serviceError');
 const router = express.Router();
 
+// Most timeline events included in one record export
+const EXPORT_EVENT_LIMIT = 1000;
+
+// Copy only the listed fields that are present in the request body
+const pick = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) {
+    picked[field] = source[field];
+  }
+  return picked;
+}, {});
+
+// Allergy, problem and medication endpoints answer validation and service
+// errors the same way, so their handlers share this wrapper
+const clinicalListHandler = (failureMessage, handler) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await handler(req, res);
+  } catch (error) {
+    if (error instanceof ServiceError) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        ...error.details
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: failureMessage,
+      error: error.message
+    });
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -43,36 +119,35 @@ const router = express.Router();
  *           type: string
  */
 
-// Generate unique patient ID
-const generatePatientId = async () => {
-  const year = new Date().getFullYear();
-  const count = await Patient.count({
-    where: {
-      patient_id: {
-        [Op.like]: `PAT${year}%`
-      }
-    }
-  });
-  return `PAT${year}${String(count + 1).padStart(6, '0')}`;
-};
-
 /**
  * @swagger
  * /api/patients:
  *   post:
  *     summary: Register a new patient
+ *     description: |
+ *       Existing patients are matched on name, date of birth, phone and address. If any
+ *       candidate scores at or above the duplicate threshold the patient is not created and
+ *       the scored candidates are returned; resend with `confirm_new: true` to register anyway.
  *     tags: [Patients]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             $ref: '#/components/schemas/Patient'
+ *             allOf:
+ *               - $ref: '#/components/schemas/Patient'
+ *               - type: object
+ *                 properties:
+ *                   confirm_new:
+ *                     type: boolean
+ *                     description: Register even though likely duplicates were found
  *     responses:
  *       201:
  *         description: Patient registered successfully
  *       400:
  *         description: Validation error
+ *       409:
+ *         description: Likely duplicate patients found
  *       500:
  *         description: Server error
  */
@@ -85,7 +160,8 @@ router.post('/',
     body('gender').isIn(['male', 'female', 'other']).withMessage('Valid gender required'),
     body('phone').isMobilePhone().withMessage('Valid phone number required'),
     body('email').optional().isEmail().withMessage('Valid email required'),
-    body('blood_group').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Valid blood group required')
+    body('blood_group').optional().isIn(['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']).withMessage('Valid blood group required'),
+    body('confirm_new').optional().isBoolean().withMessage('confirm_new must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -98,44 +174,45 @@ router.post('/',
         });
       }
 
-      // Check if patient already exists
-      const existingPatient = await Patient.findOne({
-        where: {
-          phone: req.body.phone,
-          is_active: true
-        }
-      });
+      const { confirm_new, ...patientData } = req.body;
+      const confirmed = confirm_new === true || confirm_new === 'true';
 
-      if (existingPatient) {
+      // Check for likely duplicates of an existing patient
+      const candidates = await findDuplicateCandidates(patientData);
+      const likelyDuplicates = candidates.filter((candidate) => candidate.score >= DUPLICATE_SCORE_THRESHOLD);
+
+      if (likelyDuplicates.length > 0 && !confirmed) {
         return res.status(409).json({
           success: false,
-          message: 'Patient with this phone number already exists',
-          patient: {
-            id: existingPatient.id,
-            patient_id: existingPatient.patient_id,
-            name: `${existingPatient.first_name} ${existingPatient.last_name}`
-          }
+          message: 'Possible duplicate patient records found',
+          threshold: DUPLICATE_SCORE_THRESHOLD,
+          candidates
         });
       }
 
       // Generate patient ID
-      const patientId = await generatePatientId();
+      const patientId = await generateNumber('patient');
 
       // Create patient
       const patient = await Patient.create({
-        ...req.body,
+        ...patientData,
         patient_id: patientId
       });
 
       logMedicalEvent('patient_registered', patient.id, req.user.id, {
         patient_id: patientId,
-        name: `${patient.first_name} ${patient.last_name}`
+        name: `${patient.first_name} ${patient.last_name}`,
+        duplicate_override: likelyDuplicates.map((candidate) => ({
+          patient_id: candidate.patient.id,
+          score: candidate.score
+        }))
       });
 
       res.status(201).json({
         success: true,
         message: 'Patient registered successfully',
-        data: patient
+        data: patient,
+        candidates
       });
     } catch (error) {
       res.status(500).json({
@@ -147,6 +224,78 @@ router.post('/',
   }
 );
 
+/**
+ * @swagger
+ * /api/patients/duplicates/check:
+ *   post:
+ *     summary: Score existing patients that may be the same person
+ *     tags: [Patients]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               first_name:
+ *                 type: string
+ *               last_name:
+ *                 type: string
+ *               date_of_birth:
+ *                 type: string
+ *                 format: date
+ *               phone:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               exclude_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Leave this patient out, e.g. when checking an existing record
+ *     responses:
+ *       200:
+ *         description: Scored duplicate candidates, best first
+ */
+router.post('/duplicates/check',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    body('first_name').optional().trim().isLength({ max: 50 }).withMessage('First name too long'),
+    body('last_name').optional().trim().isLength({ max: 50 }).withMessage('Last name too long'),
+    body('date_of_birth').optional().isISO8601().withMessage('Valid date of birth required'),
+    body('phone').optional().trim().isLength({ max: 20 }).withMessage('Phone number too long'),
+    body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long'),
+    body('exclude_id').optional().isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const candidates = await findDuplicateCandidates(req.body, { excludeId: req.body.exclude_id });
+
+      res.json({
+        success: true,
+        data: {
+          threshold: DUPLICATE_SCORE_THRESHOLD,
+          candidates
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check for duplicate patients',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/patients:
@@ -240,6 +389,104 @@ router.get('/',
   }
 );
 
+/**
+ * @swagger
+ * /api/patients/search:
+ *   get:
+ *     summary: Ranked patient search with fuzzy and phonetic name matching
+ *     description: |
+ *       Matches the term against name, patient ID, phone, email and city using full-text,
+ *       trigram and Double Metaphone matching, so misspellings such as "Sarma" find "Sharma".
+ *       Results are ordered by relevance, then most recent visit.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Search term
+ *       - in: query
+ *         name: gender
+ *         schema:
+ *           type: string
+ *           enum: [male, female, other]
+ *       - in: query
+ *         name: age_min
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: age_max
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: last_visit_from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: last_visit_to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ranked list of patients
+ */
+router.get('/search',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    query('q').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Search term must be 2-100 characters'),
+    query('gender').optional().isIn(['male', 'female', 'other']).withMessage('Valid gender required'),
+    query('age_min').optional().isInt({ min: 0, max: 150 }).withMessage('Minimum age must be 0-150'),
+    query('age_max').optional().isInt({ min: 0, max: 150 }).withMessage('Maximum age must be 0-150'),
+    query('last_visit_from').optional().isISO8601().withMessage('Valid last visit from date required'),
+    query('last_visit_to').optional().isISO8601().withMessage('Valid last visit to date required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { q, gender, age_min, age_max, last_visit_from, last_visit_to } = req.query;
+      if (!q && !gender && !age_min && !age_max && !last_visit_from && !last_visit_to) {
+        return res.status(400).json({
+          success: false,
+          message: 'Provide a search term or at least one filter'
+        });
+      }
+
+      const result = await searchPatients(req.query);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to search patients',
+        error: error.message
+      });
+    }
+  }
+);
+
 /**
  * @swagger
  * /api/patients/{id}:
@@ -301,14 +548,31 @@ router.get('/:id',
             as: 'radiology_orders',
             limit: 10,
             order: [['order_date', 'DESC']]
+          },
+          {
+            model: PatientAllergy,
+            as: 'allergy_records',
+            where: { status: 'active' },
+            required: false
+          },
+          {
+            model: FamilyAccount,
+            as: 'family_account',
+            attributes: ['id', 'account_number', 'name']
           }
         ]
       });
 
       if (!patient) {
+        const merged = await Patient.findOne({
+          where: { id: req.params.id, merged_into_id: { [Op.ne]: null } },
+          attributes: ['id', 'merged_into_id']
+        });
+
         return res.status(404).json({
           success: false,
-          message: 'Patient not found'
+          message: merged ? 'Patient record was merged into another patient' : 'Patient not found',
+          ...(merged && { merged_into_id: merged.merged_into_id })
         });
       }
 
@@ -332,9 +596,10 @@ router.get('/:id',
 
 /**
  * @swagger
- * /api/patients/{id}:
- *   put:
- *     summary: Update patient information
+ * /api/patients/{id}/timeline:
+ *   get:
+ *     summary: Get a patient's merged clinical and billing timeline
+ *     description: Visits, admissions, emergency cases, surgeries, lab and radiology orders, bills and claims, newest first.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -343,26 +608,45 @@ router.get('/:id',
  *         schema:
  *           type: string
  *         description: Patient ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/Patient'
+ *       - in: query
+ *         name: types
+ *         schema:
+ *           type: string
+ *         description: Comma-separated event types (visit, admission, emergency, surgery, lab_order, radiology_order, bill, claim)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
  *     responses:
  *       200:
- *         description: Patient updated successfully
+ *         description: Paginated timeline events
  *       404:
  *         description: Patient not found
  */
-router.put('/:id',
-  authorize('admin', 'receptionist', 'doctor'),
+router.get('/:id/timeline',
+  authorize('admin', 'doctor', 'nurse'),
   [
     param('id').isUUID().withMessage('Valid patient ID required'),
-    body('first_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
-    body('last_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
-    body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
-    body('email').optional().isEmail().withMessage('Valid email required')
+    query('types').optional().custom((value) => [].concat(value).join(',').split(',').every((type) => TIMELINE_EVENT_TYPES.includes(type.trim())))
+      .withMessage(`Event types must be among: ${TIMELINE_EVENT_TYPES.join(', ')}`),
+    query('from').optional().isISO8601().withMessage('Valid from date required'),
+    query('to').optional().isISO8601().withMessage('Valid to date required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
   ],
   async (req, res) => {
     try {
@@ -376,7 +660,8 @@ router.put('/:id',
       }
 
       const patient = await Patient.findOne({
-        where: { id: req.params.id, is_active: true }
+        where: { id: req.params.id, is_active: true },
+        attributes: ['id', 'patient_id', 'first_name', 'last_name']
       });
 
       if (!patient) {
@@ -386,25 +671,30 @@ router.put('/:id',
         });
       }
 
-      // Store original data for audit
-      const originalData = patient.toJSON();
-
-      await patient.update(req.body);
+      const timeline = await getPatientTimeline(patient.id, {
+        // ?types=a,b and ?types=a&types=b are both accepted
+        types: req.query.types ? [].concat(req.query.types).join(',').split(',').map((type) => type.trim()) : undefined,
+        from: req.query.from,
+        to: req.query.to,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
 
-      logMedicalEvent('patient_updated', patient.id, req.user.id, {
-        changes: req.body,
-        original: originalData
+      logMedicalEvent('patient_timeline_accessed', patient.id, req.user.id, {
+        accessed_by: req.user.role
       });
 
       res.json({
         success: true,
-        message: 'Patient updated successfully',
-        data: patient
+        data: {
+          patient,
+          ...timeline
+        }
       });
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: 'Failed to update patient',
+        message: 'Failed to fetch patient timeline',
         error: error.message
       });
     }
@@ -413,9 +703,12 @@ router.put('/:id',
 
 /**
  * @swagger
- * /api/patients/{id}/deactivate:
- *   patch:
- *     summary: Deactivate patient (soft delete)
+ * /api/patients/{id}/export:
+ *   get:
+ *     summary: Export a patient's record for sharing outside the hospital
+ *     description: |
+ *       Requires a granted, unexpired general `data_sharing` consent. Includes the patient record,
+ *       active allergies, problems and home medications, and up to 1000 timeline events.
  *     tags: [Patients]
  *     parameters:
  *       - in: path
@@ -424,17 +717,32 @@ router.put('/:id',
  *         schema:
  *           type: string
  *         description: Patient ID
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
  *     responses:
  *       200:
- *         description: Patient deactivated successfully
+ *         description: The exported record
  *       404:
  *         description: Patient not found
+ *       409:
+ *         description: No valid data sharing consent
  */
-router.patch('/:id/deactivate',
-  authorize('admin'),
+router.get('/:id/export',
+  authorize('admin', 'doctor'),
   [
-    param('id').isUUID().withMessage('Valid patient ID required')
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('from').optional().isISO8601().withMessage('Valid from date required'),
+    query('to').optional().isISO8601().withMessage('Valid to date required')
   ],
+  requireConsent('data_sharing', (req) => req.params.id),
   async (req, res) => {
     try {
       const errors = validationResult(req);
@@ -457,20 +765,1544 @@ router.patch('/:id/deactivate',
         });
       }
 
-      await patient.update({ is_active: false });
+      const [clinicalSummary, timeline] = await Promise.all([
+        getClinicalSummary(patient.id),
+        getPatientTimeline(patient.id, { from: req.query.from, to: req.query.to, limit: EXPORT_EVENT_LIMIT })
+      ]);
 
-      logMedicalEvent('patient_deactivated', patient.id, req.user.id, {
-        reason: req.body.reason || 'Not specified'
+      logMedicalEvent('patient_record_exported', patient.id, req.user.id, {
+        consent_id: req.consent.id,
+        from: req.query.from,
+        to: req.query.to,
+        events: timeline.events.length
       });
 
       res.json({
         success: true,
-        message: 'Patient deactivated successfully'
+        data: {
+          exported_at: new Date(),
+          consent: {
+            id: req.consent.id,
+            signed_at: req.consent.signed_at,
+            expires_at: req.consent.expires_at
+          },
+          patient,
+          clinical_summary: clinicalSummary,
+          timeline: timeline.events,
+          timeline_truncated: timeline.pagination.total_records > timeline.events.length
+        }
       });
     } catch (error) {
       res.status(500).json({
         success: false,
-        message: 'Failed to deactivate patient',
+        message: 'Failed to export patient record',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}:
+ *   put:
+ *     summary: Update patient information
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Patient'
+ *     responses:
+ *       200:
+ *         description: Patient updated successfully
+ *       404:
+ *         description: Patient not found
+ */
+router.put('/:id',
+  authorize('admin', 'receptionist', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('first_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('First name must be 2-50 characters'),
+    body('last_name').optional().trim().isLength({ min: 2, max: 50 }).withMessage('Last name must be 2-50 characters'),
+    body('phone').optional().isMobilePhone().withMessage('Valid phone number required'),
+    body('email').optional().isEmail().withMessage('Valid email required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await Patient.findOne({
+        where: { id: req.params.id, is_active: true }
+      });
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      // Store original data for audit
+      const originalData = patient.toJSON();
+
+      // Family membership changes must go through /api/family-accounts
+      const changes = { ...req.body };
+      delete changes.family_account_id;
+      delete changes.family_role;
+
+      await patient.update(changes);
+
+      logMedicalEvent('patient_updated', patient.id, req.user.id, {
+        changes,
+        original: originalData
+      });
+
+      res.json({
+        success: true,
+        message: 'Patient updated successfully',
+        data: patient
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientAllergy:
+ *       type: object
+ *       required:
+ *         - allergen
+ *         - allergen_type
+ *         - severity
+ *       properties:
+ *         allergen:
+ *           type: string
+ *         allergen_type:
+ *           type: string
+ *           enum: [drug, food, environmental, other]
+ *         allergen_code:
+ *           type: string
+ *         reaction:
+ *           type: string
+ *         severity:
+ *           type: string
+ *           enum: [mild, moderate, severe, life_threatening]
+ *         status:
+ *           type: string
+ *           enum: [active, inactive, resolved, entered_in_error]
+ *         onset_date:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/patients/{id}/allergies:
+ *   get:
+ *     summary: Get a patient's allergies
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (entered-in-error records are hidden unless requested)
+ *     responses:
+ *       200:
+ *         description: List of allergies
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/allergies',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isString().withMessage('Valid status required')
+  ],
+  clinicalListHandler('Failed to fetch patient allergies', async (req, res) => {
+    const records = await listClinicalRecords('allergies', req.params.id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: records
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/allergies:
+ *   post:
+ *     summary: Record a patient allergy
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientAllergy'
+ *     responses:
+ *       201:
+ *         description: Allergy recorded
+ *       409:
+ *         description: An active allergy to this allergen already exists
+ */
+router.post('/:id/allergies',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('allergen').trim().isLength({ min: 2, max: 200 }).withMessage('Allergen must be 2-200 characters'),
+    body('allergen_type').isIn(['drug', 'food', 'environmental', 'other']).withMessage('Valid allergen type required'),
+    body('allergen_code').optional().trim().isLength({ max: 50 }).withMessage('Allergen code too long'),
+    body('reaction').optional().trim().isLength({ max: 500 }).withMessage('Reaction too long'),
+    body('severity').isIn(['mild', 'moderate', 'severe', 'life_threatening']).withMessage('Valid severity required'),
+    body('onset_date').optional().isISO8601().withMessage('Valid onset date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to record patient allergy', async (req, res) => {
+    const record = await createClinicalRecord(
+      'allergies',
+      req.params.id,
+      pick(req.body, ['allergen', 'allergen_type', 'allergen_code', 'reaction', 'severity', 'onset_date', 'notes']),
+      req.user.id
+    );
+
+    logMedicalEvent('patient_allergy_recorded', record.patient_id, req.user.id, {
+      allergy_id: record.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Allergy recorded successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/allergies/{allergyId}:
+ *   put:
+ *     summary: Update a patient allergy
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: allergyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientAllergy'
+ *     responses:
+ *       200:
+ *         description: Allergy updated
+ *       404:
+ *         description: Allergy not found
+ */
+router.put('/:id/allergies/:allergyId',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('allergyId').isUUID().withMessage('Valid allergy ID required'),
+    body('allergen').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Allergen must be 2-200 characters'),
+    body('allergen_type').optional().isIn(['drug', 'food', 'environmental', 'other']).withMessage('Valid allergen type required'),
+    body('allergen_code').optional().trim().isLength({ max: 50 }).withMessage('Allergen code too long'),
+    body('reaction').optional().trim().isLength({ max: 500 }).withMessage('Reaction too long'),
+    body('severity').optional().isIn(['mild', 'moderate', 'severe', 'life_threatening']).withMessage('Valid severity required'),
+    body('status').optional().isIn(['active', 'inactive', 'resolved']).withMessage('Valid status required'),
+    body('onset_date').optional().isISO8601().withMessage('Valid onset date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to update patient allergy', async (req, res) => {
+    const { record, original, changes } = await updateClinicalRecord(
+      'allergies',
+      req.params.id,
+      req.params.allergyId,
+      pick(req.body, ['allergen', 'allergen_type', 'allergen_code', 'reaction', 'severity', 'status', 'onset_date', 'notes'])
+    );
+
+    logMedicalEvent('patient_allergy_updated', record.patient_id, req.user.id, {
+      allergy_id: record.id,
+      changes,
+      original
+    });
+
+    res.json({
+      success: true,
+      message: 'Allergy updated successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/allergies/{allergyId}:
+ *   delete:
+ *     summary: Mark a patient allergy as entered in error
+ *     description: Records are kept for the audit trail and hidden from default listings.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: allergyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Allergy removed
+ *       404:
+ *         description: Allergy not found
+ */
+router.delete('/:id/allergies/:allergyId',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('allergyId').isUUID().withMessage('Valid allergy ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  clinicalListHandler('Failed to remove patient allergy', async (req, res) => {
+    const record = await removeClinicalRecord('allergies', req.params.id, req.params.allergyId);
+
+    logMedicalEvent('patient_allergy_removed', record.patient_id, req.user.id, {
+      allergy_id: record.id,
+      reason: req.body.reason || 'Entered in error'
+    });
+
+    res.json({
+      success: true,
+      message: 'Allergy removed successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientProblem:
+ *       type: object
+ *       required:
+ *         - problem
+ *       properties:
+ *         problem:
+ *           type: string
+ *         icd10_code:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [active, inactive, resolved, entered_in_error]
+ *         onset_date:
+ *           type: string
+ *           format: date
+ *         resolution_date:
+ *           type: string
+ *           format: date
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/patients/{id}/problems:
+ *   get:
+ *     summary: Get a patient's problems
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (entered-in-error records are hidden unless requested)
+ *     responses:
+ *       200:
+ *         description: List of problems
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/problems',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isString().withMessage('Valid status required')
+  ],
+  clinicalListHandler('Failed to fetch patient problems', async (req, res) => {
+    const records = await listClinicalRecords('problems', req.params.id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: records
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/problems:
+ *   post:
+ *     summary: Record a patient problem
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientProblem'
+ *     responses:
+ *       201:
+ *         description: Problem recorded
+ */
+router.post('/:id/problems',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('problem').trim().isLength({ min: 2, max: 200 }).withMessage('Problem must be 2-200 characters'),
+    body('icd10_code').optional().trim().matches(/^[A-Z][0-9]{2}(\.[0-9A-Z]{1,4})?$/i).withMessage('Valid ICD-10 code required'),
+    body('status').optional().isIn(['active', 'inactive', 'resolved']).withMessage('Valid status required'),
+    body('onset_date').optional().isISO8601().withMessage('Valid onset date required'),
+    body('resolution_date').optional().isISO8601().withMessage('Valid resolution date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to record patient problem', async (req, res) => {
+    const record = await createClinicalRecord(
+      'problems',
+      req.params.id,
+      pick(req.body, ['problem', 'icd10_code', 'status', 'onset_date', 'resolution_date', 'notes']),
+      req.user.id
+    );
+
+    logMedicalEvent('patient_problem_recorded', record.patient_id, req.user.id, {
+      problem_id: record.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Problem recorded successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/problems/{problemId}:
+ *   put:
+ *     summary: Update a patient problem
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: problemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientProblem'
+ *     responses:
+ *       200:
+ *         description: Problem updated
+ *       404:
+ *         description: Problem not found
+ */
+router.put('/:id/problems/:problemId',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('problemId').isUUID().withMessage('Valid problem ID required'),
+    body('problem').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Problem must be 2-200 characters'),
+    body('icd10_code').optional().trim().matches(/^[A-Z][0-9]{2}(\.[0-9A-Z]{1,4})?$/i).withMessage('Valid ICD-10 code required'),
+    body('status').optional().isIn(['active', 'inactive', 'resolved']).withMessage('Valid status required'),
+    body('onset_date').optional().isISO8601().withMessage('Valid onset date required'),
+    body('resolution_date').optional().isISO8601().withMessage('Valid resolution date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to update patient problem', async (req, res) => {
+    const { record, original, changes } = await updateClinicalRecord(
+      'problems',
+      req.params.id,
+      req.params.problemId,
+      pick(req.body, ['problem', 'icd10_code', 'status', 'onset_date', 'resolution_date', 'notes'])
+    );
+
+    logMedicalEvent('patient_problem_updated', record.patient_id, req.user.id, {
+      problem_id: record.id,
+      changes,
+      original
+    });
+
+    res.json({
+      success: true,
+      message: 'Problem updated successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/problems/{problemId}:
+ *   delete:
+ *     summary: Mark a patient problem as entered in error
+ *     description: Records are kept for the audit trail and hidden from default listings.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: problemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Problem removed
+ *       404:
+ *         description: Problem not found
+ */
+router.delete('/:id/problems/:problemId',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('problemId').isUUID().withMessage('Valid problem ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  clinicalListHandler('Failed to remove patient problem', async (req, res) => {
+    const record = await removeClinicalRecord('problems', req.params.id, req.params.problemId);
+
+    logMedicalEvent('patient_problem_removed', record.patient_id, req.user.id, {
+      problem_id: record.id,
+      reason: req.body.reason || 'Entered in error'
+    });
+
+    res.json({
+      success: true,
+      message: 'Problem removed successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PatientMedication:
+ *       type: object
+ *       required:
+ *         - medication_name
+ *       properties:
+ *         drug_id:
+ *           type: string
+ *           format: uuid
+ *         medication_name:
+ *           type: string
+ *         dose:
+ *           type: string
+ *         route:
+ *           type: string
+ *         frequency:
+ *           type: string
+ *         indication:
+ *           type: string
+ *         start_date:
+ *           type: string
+ *           format: date
+ *         end_date:
+ *           type: string
+ *           format: date
+ *         status:
+ *           type: string
+ *           enum: [active, discontinued, completed, entered_in_error]
+ *         notes:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications:
+ *   get:
+ *     summary: Get a patient's home medications
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Filter by status (entered-in-error records are hidden unless requested)
+ *     responses:
+ *       200:
+ *         description: List of medications
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/medications',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isString().withMessage('Valid status required')
+  ],
+  clinicalListHandler('Failed to fetch patient medications', async (req, res) => {
+    const records = await listClinicalRecords('medications', req.params.id, { status: req.query.status });
+
+    res.json({
+      success: true,
+      data: records
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications:
+ *   post:
+ *     summary: Record a patient home medication
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientMedication'
+ *     responses:
+ *       201:
+ *         description: Home medication recorded
+ */
+router.post('/:id/medications',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('drug_id').optional().isUUID().withMessage('Valid drug ID required'),
+    body('medication_name').trim().isLength({ min: 2, max: 200 }).withMessage('Medication name must be 2-200 characters'),
+    body('dose').optional().trim().isLength({ max: 50 }).withMessage('Dose too long'),
+    body('route').optional().trim().isLength({ max: 50 }).withMessage('Route too long'),
+    body('frequency').optional().trim().isLength({ max: 50 }).withMessage('Frequency too long'),
+    body('indication').optional().trim().isLength({ max: 200 }).withMessage('Indication too long'),
+    body('start_date').optional().isISO8601().withMessage('Valid start date required'),
+    body('end_date').optional().isISO8601().withMessage('Valid end date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to record patient medication', async (req, res) => {
+    const record = await createClinicalRecord(
+      'medications',
+      req.params.id,
+      pick(req.body, ['drug_id', 'medication_name', 'dose', 'route', 'frequency', 'indication', 'start_date', 'end_date', 'notes']),
+      req.user.id
+    );
+
+    logMedicalEvent('patient_medication_recorded', record.patient_id, req.user.id, {
+      medication_id: record.id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Home medication recorded successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications/{medicationId}:
+ *   put:
+ *     summary: Update a patient home medication
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: medicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PatientMedication'
+ *     responses:
+ *       200:
+ *         description: Home medication updated
+ *       404:
+ *         description: Home medication not found
+ */
+router.put('/:id/medications/:medicationId',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('medicationId').isUUID().withMessage('Valid medication ID required'),
+    body('drug_id').optional().isUUID().withMessage('Valid drug ID required'),
+    body('medication_name').optional().trim().isLength({ min: 2, max: 200 }).withMessage('Medication name must be 2-200 characters'),
+    body('dose').optional().trim().isLength({ max: 50 }).withMessage('Dose too long'),
+    body('route').optional().trim().isLength({ max: 50 }).withMessage('Route too long'),
+    body('frequency').optional().trim().isLength({ max: 50 }).withMessage('Frequency too long'),
+    body('indication').optional().trim().isLength({ max: 200 }).withMessage('Indication too long'),
+    body('start_date').optional().isISO8601().withMessage('Valid start date required'),
+    body('end_date').optional().isISO8601().withMessage('Valid end date required'),
+    body('status').optional().isIn(['active', 'discontinued', 'completed']).withMessage('Valid status required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  clinicalListHandler('Failed to update patient medication', async (req, res) => {
+    const { record, original, changes } = await updateClinicalRecord(
+      'medications',
+      req.params.id,
+      req.params.medicationId,
+      pick(req.body, ['drug_id', 'medication_name', 'dose', 'route', 'frequency', 'indication', 'start_date', 'end_date', 'status', 'notes'])
+    );
+
+    logMedicalEvent('patient_medication_updated', record.patient_id, req.user.id, {
+      medication_id: record.id,
+      changes,
+      original
+    });
+
+    res.json({
+      success: true,
+      message: 'Home medication updated successfully',
+      data: record
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/medications/{medicationId}:
+ *   delete:
+ *     summary: Mark a patient home medication as entered in error
+ *     description: Records are kept for the audit trail and hidden from default listings.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: path
+ *         name: medicationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       200:
+ *         description: Home medication removed
+ *       404:
+ *         description: Home medication not found
+ */
+router.delete('/:id/medications/:medicationId',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('medicationId').isUUID().withMessage('Valid medication ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  clinicalListHandler('Failed to remove patient medication', async (req, res) => {
+    const record = await removeClinicalRecord('medications', req.params.id, req.params.medicationId);
+
+    logMedicalEvent('patient_medication_removed', record.patient_id, req.user.id, {
+      medication_id: record.id,
+      reason: req.body.reason || 'Entered in error'
+    });
+
+    res.json({
+      success: true,
+      message: 'Home medication removed successfully'
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/clinical-summary:
+ *   get:
+ *     summary: Get a patient's active allergies, problems and home medications
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Active clinical summary
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/clinical-summary',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await Patient.findOne({
+        where: { id: req.params.id, is_active: true }
+      });
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      const summary = await getClinicalSummary(patient.id);
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch clinical summary',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/relationships:
+ *   get:
+ *     summary: Get patients linked to this patient
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: guardians_only
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Linked patients, guardians first
+ */
+router.get('/:id/relationships',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('guardians_only').optional().isBoolean().withMessage('guardians_only must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const relationships = await getRelationships(req.params.id, {
+        guardiansOnly: req.query.guardians_only === 'true'
+      });
+
+      res.json({
+        success: true,
+        data: relationships
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch relationships',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/relationships:
+ *   post:
+ *     summary: Link another patient record to this patient
+ *     description: The reverse link (e.g. child for parent) is created on the related patient automatically.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - related_patient_id
+ *               - relationship
+ *             properties:
+ *               related_patient_id:
+ *                 type: string
+ *                 format: uuid
+ *               relationship:
+ *                 type: string
+ *                 enum: [parent, child, spouse, sibling, guardian, ward, grandparent, grandchild, other]
+ *                 description: What the related patient is to this patient
+ *               is_guardian:
+ *                 type: boolean
+ *                 description: Related patient can act and be contacted on this patient's behalf
+ *               is_emergency_contact:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Patients linked
+ *       409:
+ *         description: Patients are already linked
+ */
+router.post('/:id/relationships',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('related_patient_id').isUUID().withMessage('Valid related patient ID required'),
+    body('relationship').isIn(RELATIONSHIP_TYPES).withMessage('Valid relationship required'),
+    body('is_guardian').optional().isBoolean().toBoolean().withMessage('is_guardian must be a boolean'),
+    body('is_emergency_contact').optional().isBoolean().toBoolean().withMessage('is_emergency_contact must be a boolean'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const relationship = await linkPatients(req.params.id, req.body, req.user.id);
+
+      logMedicalEvent('patient_relationship_added', req.params.id, req.user.id, {
+        related_patient_id: relationship.related_patient_id,
+        relationship: relationship.relationship,
+        is_guardian: relationship.is_guardian
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Patients linked successfully',
+        data: relationship
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to link patients',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/relationships/{relationshipId}:
+ *   put:
+ *     summary: Update a patient relationship
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: relationshipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               relationship:
+ *                 type: string
+ *               is_guardian:
+ *                 type: boolean
+ *               is_emergency_contact:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Relationship updated
+ *       404:
+ *         description: Relationship not found
+ */
+router.put('/:id/relationships/:relationshipId',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('relationshipId').isUUID().withMessage('Valid relationship ID required'),
+    body('relationship').optional().isIn(RELATIONSHIP_TYPES).withMessage('Valid relationship required'),
+    body('is_guardian').optional().isBoolean().toBoolean().withMessage('is_guardian must be a boolean'),
+    body('is_emergency_contact').optional().isBoolean().toBoolean().withMessage('is_emergency_contact must be a boolean'),
+    body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const relationship = await updateRelationship(req.params.id, req.params.relationshipId, req.body);
+
+      logMedicalEvent('patient_relationship_updated', req.params.id, req.user.id, {
+        relationship_id: relationship.id,
+        updated_fields: Object.keys(req.body)
+      });
+
+      res.json({
+        success: true,
+        message: 'Relationship updated successfully',
+        data: relationship
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update relationship',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/relationships/{relationshipId}:
+ *   delete:
+ *     summary: Remove a patient relationship in both directions
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: relationshipId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Relationship removed
+ *       404:
+ *         description: Relationship not found
+ */
+router.delete('/:id/relationships/:relationshipId',
+  authorize('admin', 'receptionist'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    param('relationshipId').isUUID().withMessage('Valid relationship ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const relationship = await unlinkPatients(req.params.id, req.params.relationshipId);
+
+      logMedicalEvent('patient_relationship_removed', req.params.id, req.user.id, {
+        related_patient_id: relationship.related_patient_id,
+        relationship: relationship.relationship
+      });
+
+      res.json({
+        success: true,
+        message: 'Relationship removed successfully'
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to remove relationship',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/contacts:
+ *   get:
+ *     summary: Get the ordered contact points used to reach a patient
+ *     description: |
+ *       Minors are reached through their guardians before their own phone; adults first,
+ *       then guardians, linked emergency contacts and the recorded emergency contact.
+ *       With `channel`, only the contact a notification on that channel should go to is returned.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *       - in: query
+ *         name: channel
+ *         schema:
+ *           type: string
+ *           enum: [phone, email]
+ *     responses:
+ *       200:
+ *         description: Contact points in the order they should be tried, or the one to notify
+ *       404:
+ *         description: Patient not found
+ */
+router.get('/:id/contacts',
+  authorize('admin', 'receptionist', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    query('channel').optional().isIn(['phone', 'email']).withMessage('Channel must be phone or email')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (req.query.channel) {
+        const contact = await getNotificationContact(req.params.id, req.query.channel);
+
+        return res.json({
+          success: true,
+          data: { channel: req.query.channel, contact }
+        });
+      }
+
+      const contacts = await resolveContactPoints(req.params.id);
+
+      res.json({
+        success: true,
+        data: contacts
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch patient contacts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate patient (soft delete)
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Patient deactivated successfully
+ *       404:
+ *         description: Patient not found
+ */
+router.patch('/:id/deactivate',
+  authorize('admin'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const patient = await Patient.findOne({
+        where: { id: req.params.id, is_active: true }
+      });
+
+      if (!patient) {
+        return res.status(404).json({
+          success: false,
+          message: 'Patient not found'
+        });
+      }
+
+      await patient.update({ is_active: false });
+
+      logMedicalEvent('patient_deactivated', patient.id, req.user.id, {
+        reason: req.body.reason || 'Not specified'
+      });
+
+      res.json({
+        success: true,
+        message: 'Patient deactivated successfully'
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to deactivate patient',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate patient record into this one
+ *     description: |
+ *       Moves OPD appointments, admissions, lab and radiology orders, bills and all other
+ *       patient-owned records from the duplicate to this patient, then deactivates the duplicate.
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Surviving patient ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - duplicate_patient_id
+ *               - reason
+ *             properties:
+ *               duplicate_patient_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Patients merged
+ *       404:
+ *         description: Patient not found
+ *       409:
+ *         description: Records cannot be merged in their current state
+ */
+router.post('/:id/merge',
+  authorize('admin'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required'),
+    body('duplicate_patient_id').isUUID().withMessage('Valid duplicate patient ID required'),
+    body('reason').trim().isLength({ min: 5, max: 500 }).withMessage('Reason must be 5-500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { survivor, duplicate, log } = await mergePatients(req.params.id, req.body.duplicate_patient_id, {
+        reason: req.body.reason,
+        actorId: req.user.id
+      });
+
+      logMedicalEvent('patient_merged', survivor.id, req.user.id, {
+        merged_patient_id: duplicate.id,
+        merged_patient_number: duplicate.patient_id,
+        moved_records: log.moved_records,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: `Patient ${duplicate.patient_id} merged into ${survivor.patient_id}`,
+        data: {
+          patient: survivor,
+          merge: log
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to merge patients',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/patients/{id}/merges:
+ *   get:
+ *     summary: Get the merge audit trail for a patient
+ *     tags: [Patients]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Patient ID
+ *     responses:
+ *       200:
+ *         description: Merges into or out of this patient, newest first
+ */
+router.get('/:id/merges',
+  authorize('admin'),
+  [
+    param('id').isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const merges = await PatientMergeLog.findAll({
+        where: {
+          [Op.or]: [
+            { surviving_patient_id: req.params.id },
+            { merged_patient_id: req.params.id }
+          ]
+        },
+        include: [{
+          model: User,
+          as: 'merged_by_user',
+          attributes: ['id', 'username', 'role']
+        }],
+        order: [['merged_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: merges
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch merge history',
         error: error.message
       });
     }
@@ -0,0 +1,2455 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Drug,
+  DrugCategory,
+  DrugInventory,
+  Prescription,
+  PrescriptionItem,
+  Dispensation,
+  DispensationItem,
+  DrugReturn,
+  DrugAlertOverride,
+  DrugStockMovement,
+  DrugStockAlert,
+  Supplier,
+  PurchaseOrder,
+  PurchaseOrderItem,
+  GoodsReceipt,
+  GoodsReceiptItem,
+  Patient,
+  Staff,
+  User
+} = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  createPrescription,
+  cancelPrescription,
+  dispensePrescription,
+  returnDispensedItems
+} = require('../services/pharmacyService');
+const { checkDrugs, flagAlerts, loadDataset, getDataset } = require('../services/drugSafetyService');
+const {
+  MOVEMENT_TYPES,
+  receiveBatch,
+  adjustStock,
+  writeOffExpired,
+  runStockChecks
+} = require('../services/stockService');
+const {
+  createPurchaseOrder,
+  submitPurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods
+} = require('../services/purchaseOrderService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+const DOSAGE_FORMS = ['tablet', 'capsule', 'syrup', 'injection', 'cream', 'drops'];
+
+const hasUniqueIds = (field) => (list) => {
+  const ids = list.map((entry) => entry[field]);
+  return new Set(ids).size === ids.length;
+};
+
+const overrideValidators = [
+  body('overrides').optional().isArray().withMessage('Overrides must be an array'),
+  body('overrides.*.code').isString().notEmpty().withMessage('Alert code is required'),
+  body('overrides.*.reason').trim().isLength({ min: 5, max: 500 }).withMessage('Override reason is required')
+];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Prescription:
+ *       type: object
+ *       required:
+ *         - patient_id
+ *         - items
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         prescription_number:
+ *           type: string
+ *           readOnly: true
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         doctor_id:
+ *           type: string
+ *           format: uuid
+ *           description: Defaults to the signed-in doctor
+ *         appointment_id:
+ *           type: string
+ *           format: uuid
+ *         admission_id:
+ *           type: string
+ *           format: uuid
+ *         status:
+ *           type: string
+ *           enum: [active, partially_dispensed, dispensed, cancelled]
+ *           readOnly: true
+ *         notes:
+ *           type: string
+ *         overrides:
+ *           type: array
+ *           description: Reasons for overriding safety alerts, by alert code
+ *           items:
+ *             $ref: '#/components/schemas/DrugAlertOverride'
+ *         items:
+ *           type: array
+ *           items:
+ *             type: object
+ *             required:
+ *               - drug_id
+ *               - dose
+ *               - frequency
+ *               - quantity
+ *             properties:
+ *               drug_id:
+ *                 type: string
+ *                 format: uuid
+ *               dose:
+ *                 type: string
+ *                 example: 500 mg
+ *               route:
+ *                 type: string
+ *                 example: oral
+ *               frequency:
+ *                 type: string
+ *                 example: twice daily
+ *               duration_days:
+ *                 type: integer
+ *               quantity:
+ *                 type: integer
+ *                 description: Units to dispense in total
+ *               instructions:
+ *                 type: string
+ *     DrugAlertOverride:
+ *       type: object
+ *       required:
+ *         - code
+ *         - reason
+ *       properties:
+ *         code:
+ *           type: string
+ *           example: interaction:simvastatin|clarithromycin
+ *         reason:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/pharmacy/drugs:
+ *   get:
+ *     summary: Get drugs with their stock on hand
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Active drugs with unexpired `stock_available`
+ */
+router.get('/drugs',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Search term too long'),
+    query('category_id').optional().isUUID().withMessage('Valid category ID required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = (page - 1) * limit;
+
+      const where = { is_active: true };
+      if (req.query.category_id) where.category_id = req.query.category_id;
+      if (req.query.search) {
+        where[Op.or] = [
+          { generic_name: { [Op.iLike]: `%${req.query.search}%` } },
+          { brand_name: { [Op.iLike]: `%${req.query.search}%` } },
+          { drug_code: { [Op.iLike]: `%${req.query.search}%` } }
+        ];
+      }
+
+      const { count, rows: drugs } = await Drug.findAndCountAll({
+        where,
+        include: [
+          {
+            model: DrugCategory,
+            as: 'category',
+            attributes: ['id', 'name']
+          }
+        ],
+        limit,
+        offset,
+        order: [['generic_name', 'ASC']]
+      });
+
+      const stock = drugs.length > 0
+        ? await DrugInventory.findAll({
+          where: {
+            drug_id: drugs.map((drug) => drug.id),
+            expiry_date: { [Op.gt]: moment().format('YYYY-MM-DD') }
+          },
+          attributes: ['drug_id', [sequelize.fn('SUM', sequelize.col('quantity_available')), 'total']],
+          group: ['drug_id'],
+          raw: true
+        })
+        : [];
+      const stockByDrug = new Map(stock.map((row) => [row.drug_id, parseInt(row.total, 10) || 0]));
+
+      res.json({
+        success: true,
+        data: {
+          drugs: drugs.map((drug) => ({
+            ...drug.toJSON(),
+            stock_available: stockByDrug.get(drug.id) || 0
+          })),
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch drugs',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/drugs:
+ *   post:
+ *     summary: Add a drug to the formulary
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - drug_code
+ *               - generic_name
+ *             properties:
+ *               drug_code:
+ *                 type: string
+ *               generic_name:
+ *                 type: string
+ *               brand_name:
+ *                 type: string
+ *               category_id:
+ *                 type: string
+ *               manufacturer:
+ *                 type: string
+ *               dosage_form:
+ *                 type: string
+ *                 enum: [tablet, capsule, syrup, injection, cream, drops]
+ *               strength:
+ *                 type: string
+ *               unit_price:
+ *                 type: number
+ *               reorder_level:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Drug created
+ *       409:
+ *         description: Drug code already exists
+ */
+router.post('/drugs',
+  authorize('admin', 'pharmacist'),
+  [
+    body('drug_code').trim().isLength({ min: 2, max: 20 }).withMessage('Drug code is required'),
+    body('generic_name').trim().isLength({ min: 2, max: 200 }).withMessage('Generic name is required'),
+    body('brand_name').optional().trim().isLength({ max: 200 }).withMessage('Brand name too long'),
+    body('category_id').optional().isUUID().withMessage('Valid category ID required'),
+    body('manufacturer').optional().trim().isLength({ max: 100 }).withMessage('Manufacturer too long'),
+    body('dosage_form').optional().isIn(DOSAGE_FORMS).withMessage('Valid dosage form required'),
+    body('strength').optional().trim().isLength({ max: 50 }).withMessage('Strength too long'),
+    body('unit_price').optional().isFloat({ min: 0 }).withMessage('Unit price must be a positive number'),
+    body('reorder_level').optional().isInt({ min: 0 }).withMessage('Reorder level must be a non-negative integer')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await Drug.findOne({ where: { drug_code: req.body.drug_code } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A drug with this code already exists'
+        });
+      }
+
+      const drug = await Drug.create({
+        drug_code: req.body.drug_code,
+        generic_name: req.body.generic_name,
+        brand_name: req.body.brand_name,
+        category_id: req.body.category_id,
+        manufacturer: req.body.manufacturer,
+        dosage_form: req.body.dosage_form,
+        strength: req.body.strength,
+        unit_price: req.body.unit_price,
+        reorder_level: req.body.reorder_level
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Drug created successfully',
+        data: drug
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create drug',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/drugs/{id}/stock:
+ *   get:
+ *     summary: Get a drug's batches in dispensing (first-expiry-first-out) order
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_expired
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Batches with stock, earliest expiry first
+ *       404:
+ *         description: Drug not found
+ */
+router.get('/drugs/:id/stock',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid drug ID required'),
+    query('include_expired').optional().isBoolean().withMessage('include_expired must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const drug = await Drug.findByPk(req.params.id);
+      if (!drug) {
+        return res.status(404).json({
+          success: false,
+          message: 'Drug not found'
+        });
+      }
+
+      const where = { drug_id: drug.id, quantity_available: { [Op.gt]: 0 } };
+      if (req.query.include_expired !== 'true') {
+        where.expiry_date = { [Op.gt]: moment().format('YYYY-MM-DD') };
+      }
+
+      const batches = await DrugInventory.findAll({
+        where,
+        order: [['expiry_date', 'ASC'], ['received_date', 'ASC'], ['created_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          drug,
+          batches,
+          total_available: batches.reduce((total, batch) => total + batch.quantity_available, 0)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch drug stock',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/inventory:
+ *   post:
+ *     summary: Receive a batch into stock
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - drug_id
+ *               - batch_number
+ *               - expiry_date
+ *               - quantity_received
+ *             properties:
+ *               drug_id:
+ *                 type: string
+ *               batch_number:
+ *                 type: string
+ *               expiry_date:
+ *                 type: string
+ *                 format: date
+ *               quantity_received:
+ *                 type: integer
+ *               purchase_price:
+ *                 type: number
+ *               supplier:
+ *                 type: string
+ *               received_date:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Batch received
+ *       404:
+ *         description: Drug not found
+ */
+router.post('/inventory',
+  authorize('admin', 'pharmacist'),
+  [
+    body('drug_id').isUUID().withMessage('Valid drug ID required'),
+    body('batch_number').trim().isLength({ min: 1, max: 50 }).withMessage('Batch number is required'),
+    body('expiry_date').isISO8601().withMessage('Valid expiry date required'),
+    body('quantity_received').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('purchase_price').optional().isFloat({ min: 0 }).withMessage('Purchase price must be a positive number'),
+    body('supplier').optional().trim().isLength({ max: 100 }).withMessage('Supplier name too long'),
+    body('received_date').optional().isISO8601().withMessage('Valid received date required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!moment(req.body.expiry_date).isAfter(moment(), 'day')) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot receive a batch that has already expired'
+        });
+      }
+
+      const drug = await Drug.findOne({ where: { id: req.body.drug_id, is_active: true } });
+      if (!drug) {
+        return res.status(404).json({
+          success: false,
+          message: 'Drug not found'
+        });
+      }
+
+      const batch = await sequelize.transaction((transaction) => receiveBatch({
+        drug_id: drug.id,
+        batch_number: req.body.batch_number,
+        expiry_date: req.body.expiry_date,
+        quantity: parseInt(req.body.quantity_received, 10),
+        purchase_price: req.body.purchase_price,
+        supplier: req.body.supplier,
+        received_date: req.body.received_date
+      }, { actorId: req.user.id }, transaction));
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock received successfully',
+        data: batch
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to receive stock',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/inventory/{id}/adjust:
+ *   post:
+ *     summary: Adjust a batch's stock (count corrections, breakage)
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - quantity
+ *               - reason
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *                 description: Signed change; negative takes stock out
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Adjustment recorded in the stock ledger
+ *       404:
+ *         description: Batch not found
+ *       409:
+ *         description: Adjustment would take the batch below zero
+ */
+router.post('/inventory/:id/adjust',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid batch ID required'),
+    body('quantity').isInt().not().equals('0').withMessage('Quantity must be a non-zero integer'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Adjustment reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { batch, movement } = await adjustStock(
+        req.params.id,
+        parseInt(req.body.quantity, 10),
+        req.body.reason,
+        req.user.id
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Stock adjusted successfully',
+        data: { batch, movement }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to adjust stock',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/inventory/write-off-expired:
+ *   post:
+ *     summary: Write off expired stock
+ *     description: >
+ *       Takes the remaining quantity of expired batches out of stock with an
+ *       `expiry_writeoff` ledger entry. Without `inventory_ids`, every expired batch
+ *       still holding stock is written off.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               inventory_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Batches written off
+ *       409:
+ *         description: One of the batches has not expired
+ */
+router.post('/inventory/write-off-expired',
+  authorize('admin', 'pharmacist'),
+  [
+    body('inventory_ids').optional().isArray({ min: 1, max: 200 }).withMessage('inventory_ids must be a non-empty array'),
+    body('inventory_ids.*').isUUID().withMessage('Valid batch ID required'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { batches, movements } = await writeOffExpired({
+        inventoryIds: req.body.inventory_ids,
+        reason: req.body.reason,
+        actorId: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: `${batches.length} batch(es) written off`,
+        data: {
+          movements,
+          quantity_written_off: movements.reduce((total, movement) => total - movement.quantity, 0)
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to write off expired stock',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/drugs/{id}/ledger:
+ *   get:
+ *     summary: Get a drug's stock ledger
+ *     description: Every receipt, dispense, return, adjustment and expiry write-off for the drug, latest first.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: movement_type
+ *         schema:
+ *           type: string
+ *           enum: [receipt, dispense, return, adjustment, expiry_writeoff]
+ *       - in: query
+ *         name: inventory_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Ledger entries with the drug's current stock
+ *       404:
+ *         description: Drug not found
+ */
+router.get('/drugs/:id/ledger',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid drug ID required'),
+    query('movement_type').optional().isIn(MOVEMENT_TYPES).withMessage('Valid movement type required'),
+    query('inventory_id').optional().isUUID().withMessage('Valid batch ID required'),
+    query('from').optional().isISO8601().withMessage('Valid from date required'),
+    query('to').optional().isISO8601().withMessage('Valid to date required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const drug = await Drug.findByPk(req.params.id);
+      if (!drug) {
+        return res.status(404).json({
+          success: false,
+          message: 'Drug not found'
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = (page - 1) * limit;
+
+      const where = { drug_id: drug.id };
+      if (req.query.movement_type) where.movement_type = req.query.movement_type;
+      if (req.query.inventory_id) where.inventory_id = req.query.inventory_id;
+      if (req.query.from || req.query.to) {
+        where.created_at = {};
+        if (req.query.from) where.created_at[Op.gte] = moment(req.query.from).startOf('day').toDate();
+        if (req.query.to) where.created_at[Op.lte] = moment(req.query.to).endOf('day').toDate();
+      }
+
+      const { count, rows: movements } = await DrugStockMovement.findAndCountAll({
+        where,
+        include: [
+          {
+            model: DrugInventory,
+            as: 'batch',
+            attributes: ['id', 'batch_number', 'expiry_date']
+          },
+          {
+            model: User,
+            as: 'performer',
+            attributes: ['id', 'username']
+          }
+        ],
+        limit,
+        offset,
+        order: [['created_at', 'DESC']]
+      });
+
+      const balance = await DrugInventory.sum('quantity_available', { where: { drug_id: drug.id } });
+
+      res.json({
+        success: true,
+        data: {
+          drug,
+          balance: balance || 0,
+          movements,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch stock ledger',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/stock-alerts:
+ *   get:
+ *     summary: Get low-stock and expiry alerts
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: alert_type
+ *         schema:
+ *           type: string
+ *           enum: [low_stock, near_expiry, expired]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, resolved]
+ *           default: open
+ *     responses:
+ *       200:
+ *         description: Alerts, latest first
+ */
+router.get('/stock-alerts',
+  authorize('admin', 'pharmacist'),
+  [
+    query('alert_type').optional().isIn(['low_stock', 'near_expiry', 'expired']).withMessage('Valid alert type required'),
+    query('status').optional().isIn(['open', 'resolved']).withMessage('Valid status required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { status: req.query.status || 'open' };
+      if (req.query.alert_type) where.alert_type = req.query.alert_type;
+
+      const alerts = await DrugStockAlert.findAll({
+        where,
+        limit: 500,
+        order: [['raised_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: alerts
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch stock alerts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/stock-alerts/run:
+ *   post:
+ *     summary: Run the stock checks now instead of waiting for the scheduled job
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Alerts raised and resolved by this run
+ */
+router.post('/stock-alerts/run',
+  authorize('admin', 'pharmacist'),
+  async (req, res) => {
+    try {
+      const { raised, resolved } = await runStockChecks(req.app.get('io'));
+
+      res.json({
+        success: true,
+        message: 'Stock checks completed',
+        data: {
+          raised,
+          resolved: resolved.map((alert) => alert.id)
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to run stock checks',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions/check:
+ *   post:
+ *     summary: Check drugs for a patient without prescribing
+ *     description: Runs the same allergy, interaction and duplicate-therapy checks as prescribing.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - patient_id
+ *               - drug_ids
+ *             properties:
+ *               patient_id:
+ *                 type: string
+ *               drug_ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Alerts, most serious first, with `requires_override` set on blocking ones
+ */
+router.post('/prescriptions/check',
+  authorize('admin', 'doctor', 'pharmacist'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('drug_ids').isArray({ min: 1, max: 50 }).withMessage('At least one drug is required'),
+    body('drug_ids.*').isUUID().withMessage('Valid drug ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const alerts = flagAlerts(await checkDrugs(req.body.patient_id, req.body.drug_ids));
+
+      res.json({
+        success: true,
+        data: {
+          alerts,
+          dataset_version: getDataset().version
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check drugs',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/interactions/reload:
+ *   post:
+ *     summary: Reload the drug interaction dataset from disk
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dataset reloaded
+ *       500:
+ *         description: Dataset file missing or invalid; the previous dataset stays in use
+ */
+router.post('/interactions/reload',
+  authorize('admin'),
+  async (req, res) => {
+    try {
+      const dataset = loadDataset();
+
+      res.json({
+        success: true,
+        message: 'Drug interaction dataset reloaded',
+        data: {
+          version: dataset.version,
+          file: dataset.file,
+          rules: dataset.interactions.length
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reload drug interaction dataset',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions:
+ *   post:
+ *     summary: Write an e-prescription
+ *     description: |
+ *       Exactly one of `appointment_id` or `admission_id` is required. The drugs are checked
+ *       against the patient's drug allergies, each other, home medications and current
+ *       prescriptions. Alerts at or above the blocking severity are rejected with 409 and
+ *       their codes in `requires_override` until each is given an override reason; other
+ *       alerts are returned as warnings.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Prescription'
+ *     responses:
+ *       201:
+ *         description: Prescription created
+ *       404:
+ *         description: Patient, encounter, doctor or drug not found
+ *       409:
+ *         description: Encounter is closed, or safety alerts need an override
+ */
+router.post('/prescriptions',
+  authorize('admin', 'doctor'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('doctor_id').optional().isUUID().withMessage('Valid doctor ID required'),
+    body('appointment_id').optional().isUUID().withMessage('Valid appointment ID required'),
+    body('admission_id').optional().isUUID().withMessage('Valid admission ID required'),
+    body().custom((value) => Boolean(value.appointment_id) !== Boolean(value.admission_id))
+      .withMessage('Provide either an appointment or an admission'),
+    body('items').isArray({ min: 1, max: 50 }).withMessage('At least one item is required'),
+    body('items.*.drug_id').isUUID().withMessage('Valid drug ID required'),
+    body('items.*.dose').trim().isLength({ min: 1, max: 50 }).withMessage('Dose is required'),
+    body('items.*.route').optional().trim().isLength({ max: 50 }).withMessage('Route too long'),
+    body('items.*.frequency').trim().isLength({ min: 1, max: 50 }).withMessage('Frequency is required'),
+    body('items.*.duration_days').optional().isInt({ min: 1, max: 365 }).withMessage('Duration must be 1-365 days'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.instructions').optional().trim().isLength({ max: 500 }).withMessage('Instructions too long'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    ...overrideValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      let doctorId = req.body.doctor_id;
+      if (!doctorId) {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id } });
+        if (!staff) {
+          return res.status(400).json({
+            success: false,
+            message: 'doctor_id is required'
+          });
+        }
+        doctorId = staff.id;
+      }
+
+      const { prescription, items, alerts } = await createPrescription({ ...req.body, doctor_id: doctorId }, req.user.id);
+
+      logMedicalEvent('prescription_created', prescription.patient_id, req.user.id, {
+        prescription_id: prescription.id,
+        prescription_number: prescription.prescription_number,
+        item_count: items.length,
+        overridden_alerts: alerts.filter((alert) => alert.requires_override).map((alert) => alert.code)
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Prescription created successfully',
+        data: {
+          ...prescription.toJSON(),
+          items,
+          alerts
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions:
+ *   get:
+ *     summary: Get prescriptions
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: pending
+ *         schema:
+ *           type: boolean
+ *         description: Only prescriptions with something left to dispense
+ *       - in: query
+ *         name: appointment_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: admission_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Prescriptions, latest first
+ */
+router.get('/prescriptions',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isIn(['active', 'partially_dispensed', 'dispensed', 'cancelled']).withMessage('Valid status required'),
+    query('pending').optional().isBoolean().withMessage('pending must be a boolean'),
+    query('appointment_id').optional().isUUID().withMessage('Valid appointment ID required'),
+    query('admission_id').optional().isUUID().withMessage('Valid admission ID required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+      if (req.query.appointment_id) where.appointment_id = req.query.appointment_id;
+      if (req.query.admission_id) where.admission_id = req.query.admission_id;
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.pending === 'true') where.status = ['active', 'partially_dispensed'];
+
+      const { count, rows: prescriptions } = await Prescription.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          }
+        ],
+        limit,
+        offset,
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          prescriptions,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch prescriptions',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions/{id}:
+ *   get:
+ *     summary: Get a prescription with its items and dispensing history
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prescription details
+ *       404:
+ *         description: Prescription not found
+ */
+router.get('/prescriptions/:id',
+  authorize('admin', 'doctor', 'nurse', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid prescription ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prescription = await Prescription.findByPk(req.params.id, {
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name', 'specialization']
+          },
+          {
+            model: PrescriptionItem,
+            as: 'items',
+            include: [
+              {
+                model: Drug,
+                as: 'drug',
+                attributes: ['id', 'drug_code', 'generic_name', 'brand_name', 'dosage_form', 'strength']
+              }
+            ]
+          },
+          {
+            model: DrugAlertOverride,
+            as: 'alert_overrides'
+          },
+          {
+            model: Dispensation,
+            as: 'dispensations',
+            include: [
+              {
+                model: DispensationItem,
+                as: 'items',
+                include: [
+                  {
+                    model: DrugReturn,
+                    as: 'returns'
+                  }
+                ]
+              }
+            ]
+          }
+        ],
+        order: [[{ model: Dispensation, as: 'dispensations' }, 'dispensed_at', 'ASC']]
+      });
+
+      if (!prescription) {
+        return res.status(404).json({
+          success: false,
+          message: 'Prescription not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: prescription
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions/{id}/cancel:
+ *   patch:
+ *     summary: Cancel what remains of a prescription
+ *     description: Quantities already dispensed stay on record.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Prescription cancelled
+ *       409:
+ *         description: Prescription already fully dispensed or cancelled
+ */
+router.patch('/prescriptions/:id/cancel',
+  authorize('admin', 'doctor'),
+  [
+    param('id').isUUID().withMessage('Valid prescription ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const prescription = await cancelPrescription(req.params.id, req.body.reason, req.user.id);
+
+      logMedicalEvent('prescription_cancelled', prescription.patient_id, req.user.id, {
+        prescription_id: prescription.id,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Prescription cancelled successfully',
+        data: prescription
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/prescriptions/{id}/dispense:
+ *   post:
+ *     summary: Dispense a prescription
+ *     description: |
+ *       Batches are picked first-expiry-first-out from unexpired stock. Without `items`
+ *       everything outstanding is dispensed. If stock is short the request is rejected
+ *       with the `shortages`, unless `allow_partial` is set, in which case what is in stock
+ *       is dispensed and the rest stays open for a later dispense. Safety checks are re-run;
+ *       new blocking alerts need `overrides` as when prescribing.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     prescription_item_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               allow_partial:
+ *                 type: boolean
+ *               notes:
+ *                 type: string
+ *               overrides:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/DrugAlertOverride'
+ *     responses:
+ *       201:
+ *         description: Dispensed, with the batches picked, any shortages and safety alerts
+ *       409:
+ *         description: Insufficient stock, prescription closed, or safety alerts need an override
+ */
+router.post('/prescriptions/:id/dispense',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid prescription ID required'),
+    body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array')
+      .custom(hasUniqueIds('prescription_item_id')).withMessage('Each prescription item can be listed once'),
+    body('items.*.prescription_item_id').isUUID().withMessage('Valid prescription item ID required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('allow_partial').optional().isBoolean().withMessage('allow_partial must be a boolean'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    ...overrideValidators
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { dispensation, items, shortages, prescription, alerts } = await dispensePrescription(
+        req.params.id,
+        (req.body.items || []).map((item) => ({ ...item, quantity: parseInt(item.quantity, 10) })),
+        {
+          allowPartial: req.body.allow_partial === true || req.body.allow_partial === 'true',
+          notes: req.body.notes,
+          overrides: req.body.overrides
+        },
+        req.user.id
+      );
+
+      logMedicalEvent('prescription_dispensed', prescription.patient_id, req.user.id, {
+        prescription_id: prescription.id,
+        dispensation_id: dispensation.id,
+        batches: items.map((item) => ({ drug_id: item.drug_id, batch_number: item.batch_number, quantity: item.quantity })),
+        shortages
+      });
+
+      res.status(201).json({
+        success: true,
+        message: shortages.length > 0
+          ? 'Prescription partially dispensed; some items are short of stock'
+          : 'Prescription dispensed successfully',
+        data: {
+          dispensation: {
+            ...dispensation.toJSON(),
+            items
+          },
+          prescription_status: prescription.status,
+          shortages,
+          alerts
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to dispense prescription',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/dispensations/{id}/returns:
+ *   post:
+ *     summary: Return dispensed medication
+ *     description: |
+ *       Restocked quantities go back into the batch they were dispensed from, which must
+ *       not have expired. Set `restock` to false for stock that has to be discarded.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *               - items
+ *             properties:
+ *               reason:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     dispensation_item_id:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     restock:
+ *                       type: boolean
+ *                       description: Defaults to true
+ *     responses:
+ *       201:
+ *         description: Return recorded
+ *       400:
+ *         description: More than was dispensed is being returned
+ *       409:
+ *         description: Batch has expired and cannot be restocked
+ */
+router.post('/dispensations/:id/returns',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid dispensation ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Return reason is required'),
+    body('items').isArray({ min: 1 }).withMessage('At least one item is required')
+      .custom(hasUniqueIds('dispensation_item_id')).withMessage('Each dispensed item can be listed once'),
+    body('items.*.dispensation_item_id').isUUID().withMessage('Valid dispensed item ID required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.restock').optional().isBoolean().withMessage('restock must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { dispensation, returns } = await returnDispensedItems(
+        req.params.id,
+        req.body.items.map((item) => ({
+          ...item,
+          quantity: parseInt(item.quantity, 10),
+          restock: item.restock !== false && item.restock !== 'false'
+        })),
+        req.body.reason,
+        req.user.id
+      );
+
+      logMedicalEvent('medication_returned', dispensation.patient_id, req.user.id, {
+        dispensation_id: dispensation.id,
+        returns: returns.map((entry) => ({
+          dispensation_item_id: entry.dispensation_item_id,
+          quantity: entry.quantity,
+          restocked: entry.restocked
+        })),
+        reason: req.body.reason
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Return recorded successfully',
+        data: {
+          returns,
+          refund_amount: returns.reduce((total, entry) => total + Number(entry.refund_amount || 0), 0)
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record return',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/suppliers:
+ *   get:
+ *     summary: Get drug suppliers
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: include_inactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Suppliers by name
+ */
+router.get('/suppliers',
+  authorize('admin', 'pharmacist'),
+  [
+    query('include_inactive').optional().isBoolean().withMessage('include_inactive must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const suppliers = await Supplier.findAll({
+        where: req.query.include_inactive === 'true' ? {} : { is_active: true },
+        order: [['name', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: suppliers
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch suppliers',
+        error: error.message
+      });
+    }
+  }
+);
+
+const supplierValidators = (required) => [
+  required
+    ? body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Supplier name is required')
+    : body('name').optional().trim().isLength({ min: 2, max: 100 }).withMessage('Supplier name is required'),
+  body('contact_person').optional().trim().isLength({ max: 100 }).withMessage('Contact person too long'),
+  body('phone').optional().trim().isLength({ max: 20 }).withMessage('Phone number too long'),
+  body('email').optional().isEmail().withMessage('Valid email required'),
+  body('address').optional().trim().isLength({ max: 500 }).withMessage('Address too long'),
+  body('lead_time_days').optional().isInt({ min: 0, max: 365 }).withMessage('Lead time must be between 0 and 365 days'),
+  body('is_active').optional().isBoolean().withMessage('is_active must be a boolean')
+];
+
+/**
+ * @swagger
+ * /api/pharmacy/suppliers:
+ *   post:
+ *     summary: Add a supplier
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *               contact_person:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               lead_time_days:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       409:
+ *         description: A supplier with this name already exists
+ */
+router.post('/suppliers',
+  authorize('admin', 'pharmacist'),
+  supplierValidators(true),
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const existing = await Supplier.findOne({ where: { name: req.body.name } });
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: 'A supplier with this name already exists'
+        });
+      }
+
+      const supplier = await Supplier.create({
+        name: req.body.name,
+        contact_person: req.body.contact_person,
+        phone: req.body.phone,
+        email: req.body.email,
+        address: req.body.address,
+        lead_time_days: req.body.lead_time_days
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Supplier created successfully',
+        data: supplier
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create supplier',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/suppliers/{id}:
+ *   put:
+ *     summary: Update a supplier
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       404:
+ *         description: Supplier not found
+ *       409:
+ *         description: A supplier with this name already exists
+ */
+router.put('/suppliers/:id',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid supplier ID required'),
+    ...supplierValidators(false)
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const supplier = await Supplier.findByPk(req.params.id);
+      if (!supplier) {
+        return res.status(404).json({
+          success: false,
+          message: 'Supplier not found'
+        });
+      }
+
+      if (req.body.name && req.body.name !== supplier.name) {
+        const existing = await Supplier.findOne({ where: { name: req.body.name } });
+        if (existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'A supplier with this name already exists'
+          });
+        }
+      }
+
+      const fields = ['name', 'contact_person', 'phone', 'email', 'address', 'lead_time_days', 'is_active'];
+      const updates = fields.reduce((picked, field) => {
+        if (req.body[field] !== undefined) {
+          picked[field] = req.body[field];
+        }
+        return picked;
+      }, {});
+      await supplier.update(updates);
+
+      res.json({
+        success: true,
+        message: 'Supplier updated successfully',
+        data: supplier
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update supplier',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders:
+ *   post:
+ *     summary: Raise a purchase order
+ *     description: The order is created as a draft and sent to the supplier with the submit endpoint.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - supplier_id
+ *               - items
+ *             properties:
+ *               supplier_id:
+ *                 type: string
+ *               expected_date:
+ *                 type: string
+ *                 format: date
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - drug_id
+ *                     - quantity_ordered
+ *                   properties:
+ *                     drug_id:
+ *                       type: string
+ *                     quantity_ordered:
+ *                       type: integer
+ *                     unit_cost:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Draft purchase order created
+ *       404:
+ *         description: Supplier or drug not found
+ */
+router.post('/purchase-orders',
+  authorize('admin', 'pharmacist'),
+  [
+    body('supplier_id').isUUID().withMessage('Valid supplier ID required'),
+    body('expected_date').optional().isISO8601().withMessage('Valid expected date required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    body('items').isArray({ min: 1, max: 100 }).withMessage('At least one item is required')
+      .custom(hasUniqueIds('drug_id')).withMessage('Each drug can be listed once'),
+    body('items.*.drug_id').isUUID().withMessage('Valid drug ID required'),
+    body('items.*.quantity_ordered').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { purchaseOrder, items } = await createPurchaseOrder({
+        ...req.body,
+        items: req.body.items.map((item) => ({
+          drug_id: item.drug_id,
+          quantity_ordered: parseInt(item.quantity_ordered, 10),
+          unit_cost: item.unit_cost
+        }))
+      }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Purchase order created successfully',
+        data: {
+          ...purchaseOrder.toJSON(),
+          items
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create purchase order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders:
+ *   get:
+ *     summary: Get purchase orders
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: supplier_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase orders, latest first
+ */
+router.get('/purchase-orders',
+  authorize('admin', 'pharmacist', 'accountant'),
+  [
+    query('supplier_id').optional().isUUID().withMessage('Valid supplier ID required'),
+    query('status').optional().isIn(['draft', 'ordered', 'partially_received', 'received', 'cancelled']).withMessage('Valid status required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.supplier_id) where.supplier_id = req.query.supplier_id;
+      if (req.query.status) where.status = req.query.status;
+
+      const { count, rows: purchaseOrders } = await PurchaseOrder.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Supplier,
+            as: 'supplier',
+            attributes: ['id', 'name']
+          }
+        ],
+        limit,
+        offset,
+        order: [['created_at', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          purchase_orders: purchaseOrders,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch purchase orders',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders/{id}:
+ *   get:
+ *     summary: Get a purchase order with its lines and goods receipts
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order details
+ *       404:
+ *         description: Purchase order not found
+ */
+router.get('/purchase-orders/:id',
+  authorize('admin', 'pharmacist', 'accountant'),
+  [
+    param('id').isUUID().withMessage('Valid purchase order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const purchaseOrder = await PurchaseOrder.findByPk(req.params.id, {
+        include: [
+          {
+            model: Supplier,
+            as: 'supplier'
+          },
+          {
+            model: PurchaseOrderItem,
+            as: 'items',
+            include: [{ model: Drug, as: 'drug', attributes: ['id', 'drug_code', 'generic_name', 'brand_name', 'strength'] }]
+          },
+          {
+            model: GoodsReceipt,
+            as: 'receipts',
+            include: [{
+              model: GoodsReceiptItem,
+              as: 'items',
+              include: [{ model: DrugInventory, as: 'batch', attributes: ['id', 'batch_number', 'expiry_date'] }]
+            }]
+          }
+        ]
+      });
+
+      if (!purchaseOrder) {
+        return res.status(404).json({
+          success: false,
+          message: 'Purchase order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: purchaseOrder
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch purchase order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders/{id}/submit:
+ *   patch:
+ *     summary: Send a draft purchase order to the supplier
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order marked as ordered
+ *       409:
+ *         description: Purchase order is not a draft
+ */
+router.patch('/purchase-orders/:id/submit',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid purchase order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const purchaseOrder = await submitPurchaseOrder(req.params.id, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Purchase order submitted successfully',
+        data: purchaseOrder
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit purchase order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a purchase order that has not been received against
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       409:
+ *         description: Goods have already been received
+ */
+router.patch('/purchase-orders/:id/cancel',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid purchase order ID required'),
+    body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('Cancellation reason is required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const purchaseOrder = await cancelPurchaseOrder(req.params.id, req.body.reason, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Purchase order cancelled successfully',
+        data: purchaseOrder
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel purchase order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/pharmacy/purchase-orders/{id}/receipts:
+ *   post:
+ *     summary: Receive goods against a purchase order
+ *     description: >
+ *       Each line creates a new stock batch and a receipt entry in the stock ledger.
+ *       An order line may be split over several batches and deliveries.
+ *     tags: [Pharmacy]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - items
+ *             properties:
+ *               supplier_invoice_number:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - purchase_order_item_id
+ *                     - batch_number
+ *                     - expiry_date
+ *                     - quantity
+ *                   properties:
+ *                     purchase_order_item_id:
+ *                       type: string
+ *                     batch_number:
+ *                       type: string
+ *                     expiry_date:
+ *                       type: string
+ *                       format: date
+ *                     quantity:
+ *                       type: integer
+ *                     unit_cost:
+ *                       type: number
+ *     responses:
+ *       201:
+ *         description: Goods received
+ *       400:
+ *         description: More than was ordered, or an expired batch
+ *       409:
+ *         description: Purchase order is not open for receiving
+ */
+router.post('/purchase-orders/:id/receipts',
+  authorize('admin', 'pharmacist'),
+  [
+    param('id').isUUID().withMessage('Valid purchase order ID required'),
+    body('supplier_invoice_number').optional().trim().isLength({ max: 50 }).withMessage('Invoice number too long'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long'),
+    body('items').isArray({ min: 1, max: 100 }).withMessage('At least one item is required'),
+    body('items.*.purchase_order_item_id').isUUID().withMessage('Valid purchase order item ID required'),
+    body('items.*.batch_number').trim().isLength({ min: 1, max: 50 }).withMessage('Batch number is required'),
+    body('items.*.expiry_date').isISO8601().withMessage('Valid expiry date required'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+    body('items.*.unit_cost').optional().isFloat({ min: 0 }).withMessage('Unit cost must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { purchaseOrder, receipt, items } = await receiveGoods(req.params.id, {
+        supplier_invoice_number: req.body.supplier_invoice_number,
+        notes: req.body.notes,
+        items: req.body.items.map((item) => ({
+          ...item,
+          quantity: parseInt(item.quantity, 10)
+        }))
+      }, req.user.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Goods received successfully',
+        data: {
+          receipt: {
+            ...receipt.toJSON(),
+            items
+          },
+          purchase_order_status: purchaseOrder.status
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to receive goods',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
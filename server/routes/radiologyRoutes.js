@@ -0,0 +1,689 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const {
+  RadiologyOrder,
+  RadiologyReport,
+  RadiologyEquipment,
+  Patient,
+  Staff
+} = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const {
+  createRadiologyOrder,
+  changeOrderStatus,
+  saveReport,
+  finaliseReport
+} = require('../services/radiologyService');
+const { issueReport } = require('../services/reportDocumentService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+const ORDER_STATUSES = ['ordered', 'scheduled', 'in_progress', 'completed', 'cancelled'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     RadiologyOrder:
+ *       type: object
+ *       required:
+ *         - patient_id
+ *         - doctor_id
+ *         - study_type
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         order_number:
+ *           type: string
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         doctor_id:
+ *           type: string
+ *           format: uuid
+ *         study_type:
+ *           type: string
+ *           example: CT
+ *         body_part:
+ *           type: string
+ *           example: Chest
+ *         clinical_indication:
+ *           type: string
+ *         priority:
+ *           type: string
+ *           enum: [routine, urgent, stat]
+ *         status:
+ *           type: string
+ *           enum: [ordered, scheduled, in_progress, completed, cancelled]
+ *     RadiologyReport:
+ *       type: object
+ *       properties:
+ *         technique:
+ *           type: string
+ *         findings:
+ *           type: string
+ *         impression:
+ *           type: string
+ *         is_critical:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [draft, final]
+ */
+
+/**
+ * @swagger
+ * /api/radiology/orders:
+ *   post:
+ *     summary: Order an imaging study
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RadiologyOrder'
+ *     responses:
+ *       201:
+ *         description: Study ordered
+ *       404:
+ *         description: Patient or doctor not found
+ */
+router.post('/orders',
+  authorize('admin', 'doctor'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('doctor_id').isUUID().withMessage('Valid doctor ID required'),
+    body('study_type').trim().isLength({ min: 1, max: 100 }).withMessage('Study type is required'),
+    body('body_part').optional().trim().isLength({ max: 100 }).withMessage('Body part too long'),
+    body('clinical_indication').optional().trim().isLength({ max: 2000 }).withMessage('Clinical indication too long'),
+    body('priority').optional().isIn(['routine', 'urgent', 'stat']).withMessage('Valid priority required'),
+    body('price').optional().isFloat({ min: 0 }).withMessage('Price must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await createRadiologyOrder(req.body, req.user.id);
+
+      logMedicalEvent('radiology_order_created', order.patient_id, req.user.id, {
+        radiology_order_id: order.id,
+        order_number: order.order_number,
+        study_type: order.study_type
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Radiology order created successfully',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create radiology order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders:
+ *   get:
+ *     summary: Get radiology orders
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Orders, latest first
+ */
+router.get('/orders',
+  authorize('admin', 'doctor', 'nurse', 'radiologist'),
+  [
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('status').optional().isIn(ORDER_STATUSES).withMessage('Valid status required'),
+    query('date').optional().isISO8601().withMessage('Valid date required'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const page = parseInt(req.query.page) || 1;
+      const limit = parseInt(req.query.limit) || 10;
+      const offset = (page - 1) * limit;
+
+      const where = {};
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+      if (req.query.status) where.status = req.query.status;
+      if (req.query.date) {
+        where.order_date = {
+          [Op.between]: [moment(req.query.date).startOf('day').toDate(), moment(req.query.date).endOf('day').toDate()]
+        };
+      }
+
+      const { count, rows: orders } = await RadiologyOrder.findAndCountAll({
+        where,
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          },
+          {
+            model: RadiologyReport,
+            as: 'report',
+            attributes: ['id', 'status', 'is_critical']
+          }
+        ],
+        limit,
+        offset,
+        order: [['order_date', 'DESC']]
+      });
+
+      res.json({
+        success: true,
+        data: {
+          orders,
+          pagination: {
+            current_page: page,
+            total_pages: Math.ceil(count / limit),
+            total_records: count,
+            per_page: limit
+          }
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch radiology orders',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders/{id}:
+ *   get:
+ *     summary: Get a radiology order with its report
+ *     description: Draft reports are only shown to radiologists and admins.
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Radiology order details
+ *       404:
+ *         description: Radiology order not found
+ */
+router.get('/orders/:id',
+  authorize('admin', 'doctor', 'nurse', 'radiologist'),
+  [
+    param('id').isUUID().withMessage('Valid radiology order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await RadiologyOrder.findByPk(req.params.id, {
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          },
+          {
+            model: RadiologyEquipment,
+            as: 'equipment',
+            attributes: ['id', 'equipment_code', 'equipment_name', 'equipment_type', 'location']
+          },
+          {
+            model: RadiologyReport,
+            as: 'report',
+            where: ['admin', 'radiologist'].includes(req.user.role) ? undefined : { status: 'final' },
+            required: false
+          }
+        ]
+      });
+
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: 'Radiology order not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: order
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch radiology order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders/{id}/status:
+ *   patch:
+ *     summary: Schedule, start or cancel a study
+ *     description: >
+ *       Scheduling needs `scheduled_date` and may assign `equipment_id`; cancelling needs a
+ *       `reason`. Studies complete when their report is signed.
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [scheduled, in_progress, cancelled]
+ *               scheduled_date:
+ *                 type: string
+ *                 format: date-time
+ *               equipment_id:
+ *                 type: string
+ *                 format: uuid
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Status updated
+ *       409:
+ *         description: Not allowed from the current status
+ */
+router.patch('/orders/:id/status',
+  authorize('admin', 'doctor', 'radiologist'),
+  [
+    param('id').isUUID().withMessage('Valid radiology order ID required'),
+    body('status').isIn(['scheduled', 'in_progress', 'cancelled']).withMessage('Status must be scheduled, in_progress or cancelled'),
+    body('scheduled_date').optional().isISO8601().withMessage('Valid scheduled date required'),
+    body('equipment_id').optional().isUUID().withMessage('Valid equipment ID required'),
+    body('reason').optional().trim().isLength({ min: 3, max: 500 }).withMessage('Reason must be 3-500 characters')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const order = await changeOrderStatus(req.params.id, {
+        status: req.body.status,
+        scheduledDate: req.body.scheduled_date,
+        equipmentId: req.body.equipment_id,
+        reason: req.body.reason
+      }, req.user.id);
+
+      logMedicalEvent(`radiology_order_${order.status}`, order.patient_id, req.user.id, {
+        radiology_order_id: order.id,
+        scheduled_date: order.scheduled_date,
+        reason: req.body.reason
+      });
+
+      res.json({
+        success: true,
+        message: 'Radiology order updated successfully',
+        data: order
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update radiology order',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders/{id}/report:
+ *   put:
+ *     summary: Write or revise the draft report
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - findings
+ *               - impression
+ *             properties:
+ *               technique:
+ *                 type: string
+ *               findings:
+ *                 type: string
+ *               impression:
+ *                 type: string
+ *               is_critical:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Draft saved
+ *       409:
+ *         description: Study cancelled, or report already signed
+ */
+router.put('/orders/:id/report',
+  authorize('admin', 'radiologist'),
+  [
+    param('id').isUUID().withMessage('Valid radiology order ID required'),
+    body('technique').optional().trim().isLength({ max: 2000 }).withMessage('Technique too long'),
+    body('findings').trim().isLength({ min: 1, max: 20000 }).withMessage('Findings are required'),
+    body('impression').trim().isLength({ min: 1, max: 5000 }).withMessage('Impression is required'),
+    body('is_critical').optional().isBoolean().toBoolean().withMessage('is_critical must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, report } = await saveReport(req.params.id, {
+        technique: req.body.technique,
+        findings: req.body.findings,
+        impression: req.body.impression,
+        isCritical: req.body.is_critical
+      }, req.user.id);
+
+      logMedicalEvent('radiology_report_drafted', order.patient_id, req.user.id, {
+        radiology_order_id: order.id,
+        report_id: report.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Report saved successfully',
+        data: report
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders/{id}/report/sign:
+ *   post:
+ *     summary: Sign off the report
+ *     description: >
+ *       The signing radiologist is printed as the verifier. The study is completed and the
+ *       referring doctor notified, as critical when the report has a critical finding.
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Report signed
+ *       404:
+ *         description: No report written yet
+ *       409:
+ *         description: Already signed
+ */
+router.post('/orders/:id/report/sign',
+  authorize('radiologist'),
+  [
+    param('id').isUUID().withMessage('Valid radiology order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { order, report } = await finaliseReport(req.params.id, req.user.id, req.app.get('io'));
+
+      logMedicalEvent('radiology_report_signed', order.patient_id, req.user.id, {
+        radiology_order_id: order.id,
+        report_id: report.id,
+        is_critical: report.is_critical
+      });
+
+      res.json({
+        success: true,
+        message: 'Report signed successfully',
+        data: report
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sign report',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/radiology/orders/{id}/report/pdf:
+ *   get:
+ *     summary: Download the signed radiology report as a PDF
+ *     description: >
+ *       On the hospital letterhead with the reporting and verifying radiologists' signatures
+ *       and a QR code that checks the report is genuine.
+ *     tags: [Radiology]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The report
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Radiology order not found
+ *       409:
+ *         description: Report not signed yet
+ */
+router.get('/orders/:id/report/pdf',
+  authorize('admin', 'doctor', 'nurse', 'radiologist'),
+  [
+    param('id').isUUID().withMessage('Valid radiology order ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { issued, pdf, filename } = await issueReport('radiology', req.params.id, req.user.id);
+
+      logMedicalEvent('radiology_report_downloaded', issued.patient_id, req.user.id, {
+        radiology_order_id: req.params.id,
+        issued_report_id: issued.id
+      });
+
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Content-Length': pdf.length
+      });
+      res.send(pdf);
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate radiology report',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,68 @@
+const express = require('express');
+const { validationResult, param } = require('express-validator');
+const { verifyIssuedReport } = require('../services/reportDocumentService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/reports/verify/{code}:
+ *   get:
+ *     summary: Check a lab or radiology report is genuine
+ *     description: >
+ *       Public: this is where the QR code on a report PDF points. Returns just enough to match
+ *       the paper copy. A report whose results have since been amended shows as `superseded`.
+ *     tags: [Reports]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The report was issued by this hospital
+ *       404:
+ *         description: No report was issued with this code
+ */
+router.get('/:code',
+  [
+    param('code').isHexadecimal().isLength({ min: 20, max: 32 }).withMessage('Valid verification code required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const verification = await verifyIssuedReport(req.params.code.toLowerCase());
+
+      res.json({
+        success: true,
+        data: verification
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          genuine: false,
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify report',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,418 @@
+const express = require('express');
+const { body, validationResult, param, query } = require('express-validator');
+const { VitalAlert, Patient, Staff } = require('../models');
+const { authorize } = require('../middleware/authMiddleware');
+const { logMedicalEvent } = require('../config/logger');
+const { CONSCIOUSNESS_LEVELS } = require('../services/news2');
+const { recordObservation, getObservations, acknowledgeAlert } = require('../services/vitalsService');
+const ServiceError = require('../utils/serviceError');
+const router = express.Router();
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     VitalObservation:
+ *       type: object
+ *       required:
+ *         - patient_id
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         patient_id:
+ *           type: string
+ *           format: uuid
+ *         emergency_case_id:
+ *           type: string
+ *           format: uuid
+ *         admission_id:
+ *           type: string
+ *           format: uuid
+ *         respiratory_rate:
+ *           type: integer
+ *         oxygen_saturation:
+ *           type: integer
+ *         spo2_scale:
+ *           type: integer
+ *           enum: [1, 2]
+ *           description: Use scale 2 only for confirmed hypercapnic respiratory failure
+ *         on_supplemental_oxygen:
+ *           type: boolean
+ *         systolic_bp:
+ *           type: integer
+ *         diastolic_bp:
+ *           type: integer
+ *         heart_rate:
+ *           type: integer
+ *         consciousness:
+ *           type: string
+ *           enum: [alert, confusion, voice, pain, unresponsive]
+ *         temperature:
+ *           type: number
+ *           description: Degrees Celsius
+ *         observed_at:
+ *           type: string
+ *           format: date-time
+ *         news2_score:
+ *           type: integer
+ *           readOnly: true
+ *         news2_risk:
+ *           type: string
+ *           enum: [low, low_medium, medium, high]
+ *           readOnly: true
+ */
+
+/**
+ * @swagger
+ * /api/vitals/observations:
+ *   post:
+ *     summary: Record vital signs and compute the NEWS2 score
+ *     description: |
+ *       Exactly one of `emergency_case_id` or `admission_id` is required. When the risk band
+ *       rises to the alert threshold or above, an escalation alert is raised and the assigned
+ *       doctor is notified.
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VitalObservation'
+ *     responses:
+ *       201:
+ *         description: Observation recorded, with any escalation alert raised
+ *       404:
+ *         description: Case or admission not found for the patient
+ *       409:
+ *         description: Case or admission is closed
+ */
+router.post('/observations',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    body('patient_id').isUUID().withMessage('Valid patient ID required'),
+    body('emergency_case_id').optional().isUUID().withMessage('Valid emergency case ID required'),
+    body('admission_id').optional().isUUID().withMessage('Valid admission ID required'),
+    body().custom((value) => Boolean(value.emergency_case_id) !== Boolean(value.admission_id))
+      .withMessage('Provide either an emergency case or an admission'),
+    body('respiratory_rate').optional().isInt({ min: 0, max: 80 }).withMessage('Respiratory rate must be 0-80'),
+    body('oxygen_saturation').optional().isInt({ min: 0, max: 100 }).withMessage('Oxygen saturation must be 0-100'),
+    body('spo2_scale').optional().isIn([1, 2, '1', '2']).withMessage('SpO2 scale must be 1 or 2'),
+    body('on_supplemental_oxygen').optional().isBoolean().toBoolean().withMessage('on_supplemental_oxygen must be a boolean'),
+    body('systolic_bp').optional().isInt({ min: 0, max: 300 }).withMessage('Systolic BP must be 0-300'),
+    body('diastolic_bp').optional().isInt({ min: 0, max: 200 }).withMessage('Diastolic BP must be 0-200'),
+    body('heart_rate').optional().isInt({ min: 0, max: 300 }).withMessage('Heart rate must be 0-300'),
+    body('consciousness').optional().isIn(CONSCIOUSNESS_LEVELS).withMessage('Valid consciousness level required'),
+    body('temperature').optional().isFloat({ min: 25, max: 45 }).withMessage('Temperature must be in degrees Celsius (25-45)'),
+    body('observed_at').optional().isISO8601().withMessage('Valid observation time required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { observation, alert } = await recordObservation(req.body, req.user.id, req.app.get('io'));
+
+      logMedicalEvent('vitals_recorded', observation.patient_id, req.user.id, {
+        observation_id: observation.id,
+        news2_score: observation.news2_score,
+        news2_risk: observation.news2_risk,
+        alert_id: alert ? alert.id : null
+      });
+
+      res.status(201).json({
+        success: true,
+        message: alert
+          ? `Vitals recorded; NEWS2 ${observation.news2_score} escalated (${observation.news2_risk} risk)`
+          : 'Vitals recorded successfully',
+        data: {
+          observation,
+          alert
+        }
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record vitals',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/vitals/observations:
+ *   get:
+ *     summary: Get a vitals time series
+ *     description: At least one of patient_id, emergency_case_id or admission_id is required.
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: emergency_case_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: admission_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *         description: Most recent observations to return (default 100)
+ *     responses:
+ *       200:
+ *         description: Observations, oldest first
+ */
+router.get('/observations',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required'),
+    query('emergency_case_id').optional().isUUID().withMessage('Valid emergency case ID required'),
+    query('admission_id').optional().isUUID().withMessage('Valid admission ID required'),
+    query().custom((value) => Boolean(value.patient_id || value.emergency_case_id || value.admission_id))
+      .withMessage('Provide a patient, emergency case or admission'),
+    query('from').optional().isISO8601().withMessage('Valid from time required'),
+    query('to').optional().isISO8601().withMessage('Valid to time required'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const observations = await getObservations({
+        patientId: req.query.patient_id,
+        emergencyCaseId: req.query.emergency_case_id,
+        admissionId: req.query.admission_id,
+        from: req.query.from,
+        to: req.query.to,
+        limit: parseInt(req.query.limit) || 100
+      });
+
+      res.json({
+        success: true,
+        data: {
+          observations,
+          latest: observations.length > 0 ? observations[observations.length - 1] : null
+        }
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch vitals',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/vitals/alerts:
+ *   get:
+ *     summary: Get NEWS2 escalation alerts
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, acknowledged]
+ *         description: Defaults to open
+ *       - in: query
+ *         name: mine
+ *         schema:
+ *           type: boolean
+ *         description: Only alerts for the signed-in doctor
+ *       - in: query
+ *         name: patient_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alerts, highest score first
+ */
+router.get('/alerts',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    query('status').optional().isIn(['open', 'acknowledged']).withMessage('Valid status required'),
+    query('mine').optional().isBoolean().withMessage('mine must be a boolean'),
+    query('patient_id').optional().isUUID().withMessage('Valid patient ID required')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const where = { status: req.query.status || 'open' };
+      if (req.query.patient_id) where.patient_id = req.query.patient_id;
+
+      if (req.query.mine === 'true') {
+        const staff = await Staff.findOne({ where: { user_id: req.user.id } });
+        if (!staff) {
+          return res.json({
+            success: true,
+            data: []
+          });
+        }
+        where.doctor_id = staff.id;
+      }
+
+      const alerts = await VitalAlert.findAll({
+        where,
+        include: [
+          {
+            model: Patient,
+            as: 'patient',
+            attributes: ['id', 'patient_id', 'first_name', 'last_name']
+          },
+          {
+            model: Staff,
+            as: 'doctor',
+            attributes: ['id', 'first_name', 'last_name']
+          }
+        ],
+        order: [['news2_score', 'DESC'], ['created_at', 'ASC']]
+      });
+
+      res.json({
+        success: true,
+        data: alerts
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch alerts',
+        error: error.message
+      });
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/vitals/alerts/{id}/acknowledge:
+ *   patch:
+ *     summary: Acknowledge an escalation alert
+ *     tags: [Vitals]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               notes:
+ *                 type: string
+ *                 description: Action taken
+ *     responses:
+ *       200:
+ *         description: Alert acknowledged
+ *       409:
+ *         description: Alert already acknowledged
+ */
+router.patch('/alerts/:id/acknowledge',
+  authorize('admin', 'doctor', 'nurse'),
+  [
+    param('id').isUUID().withMessage('Valid alert ID required'),
+    body('notes').optional().trim().isLength({ max: 1000 }).withMessage('Notes too long')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const alert = await acknowledgeAlert(req.params.id, req.user.id, req.body.notes);
+
+      logMedicalEvent('news2_alert_acknowledged', alert.patient_id, req.user.id, {
+        alert_id: alert.id,
+        news2_score: alert.news2_score,
+        risk: alert.risk
+      });
+
+      res.json({
+        success: true,
+        message: 'Alert acknowledged',
+        data: alert
+      });
+    } catch (error) {
+      if (error instanceof ServiceError) {
+        return res.status(error.statusCode).json({
+          success: false,
+          message: error.message,
+          ...error.details
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to acknowledge alert',
+        error: error.message
+      });
+    }
+  }
+);
+
+module.exports = router;
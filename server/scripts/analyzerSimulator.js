@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// Replays sample analyzer messages against the analyzer listener, speaking
+// the same protocol an instrument would: ASTM E1381 with ENQ/ACK handshaking,
+// or HL7 over MLLP waiting for the ACK.
+//
+//   node scripts/analyzerSimulator.js --protocol astm --accession S26101900001
+//   node scripts/analyzerSimulator.js --file scripts/analyzer-samples/chemistry.hl7 --accession S26101900001
+//   node scripts/analyzerSimulator.js --file my-message.astm --parse
+//
+// Sample files may use {{ACCESSION}}, {{TIMESTAMP}} and {{CONTROL_ID}}. The
+// protocol follows the file extension (.astm or .hl7) unless --protocol is
+// given. --parse prints what the listener would read from the message
+// without sending it.
+
+require('dotenv').config();
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const moment = require('moment');
+const astm = require('../services/astmParser');
+const hl7 = require('../services/hl7Parser');
+const { listeners } = require('../config/labAnalyzers');
+
+const SAMPLES = {
+  astm: path.join(__dirname, 'analyzer-samples', 'cbc.astm'),
+  hl7: path.join(__dirname, 'analyzer-samples', 'chemistry.hl7')
+};
+
+// How long to wait for the listener to answer, and how often a NAKed frame is resent
+const REPLY_TIMEOUT_MS = 15000;
+const MAX_RETRIES = 6;
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let index = 0; index < argv.length; index += 1) {
+    const name = argv[index].replace(/^--/, '');
+    const next = argv[index + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      index += 1;
+    }
+  }
+  return args;
+};
+
+const loadMessage = (file, accession) => {
+  const timestamp = moment().format('YYYYMMDDHHmmss');
+  return fs.readFileSync(file, 'utf8')
+    .replace(/\{\{ACCESSION\}\}/g, accession)
+    .replace(/\{\{TIMESTAMP\}\}/g, timestamp)
+    .replace(/\{\{CONTROL_ID\}\}/g, `SIM${timestamp}`)
+    .split(/\r\n?|\n/)
+    .filter(Boolean);
+};
+
+// Resolves with the next chunk the listener sends
+const reader = (socket) => {
+  const waiting = [];
+  const received = [];
+  socket.on('data', (data) => {
+    if (waiting.length > 0) waiting.shift().resolve(data);
+    else received.push(data);
+  });
+
+  return () => new Promise((resolve, reject) => {
+    if (received.length > 0) {
+      resolve(received.shift());
+      return;
+    }
+    const timer = setTimeout(() => reject(new Error('No reply from the listener')), REPLY_TIMEOUT_MS);
+    waiting.push({
+      resolve: (data) => {
+        clearTimeout(timer);
+        resolve(data);
+      }
+    });
+  });
+};
+
+const sendAstm = async (socket, records) => {
+  const next = reader(socket);
+
+  socket.write(Buffer.from([astm.ENQ]));
+  if ((await next())[0] !== astm.ACK) {
+    throw new Error('Listener did not accept the ENQ');
+  }
+
+  for (const frame of astm.encodeFrames(records)) {
+    let attempt = 0;
+    for (;;) {
+      socket.write(frame);
+      const reply = (await next())[0];
+      if (reply === astm.ACK) break;
+      attempt += 1;
+      if (reply !== astm.NAK || attempt >= MAX_RETRIES) {
+        throw new Error(`Frame rejected after ${attempt} attempt(s)`);
+      }
+    }
+  }
+
+  socket.write(Buffer.from([astm.EOT]));
+  console.log(`Sent ${records.length} ASTM records`);
+};
+
+const sendHl7 = async (socket, segments) => {
+  const next = reader(socket);
+
+  socket.write(hl7.frame(`${segments.join('\r')}\r`));
+
+  let reply = Buffer.alloc(0);
+  while (reply.indexOf(Buffer.from([hl7.FS, hl7.CR])) === -1) {
+    reply = Buffer.concat([reply, await next()]);
+  }
+  const ack = reply.toString('utf8').replace(/[\x0b\x1c]/g, '').split('\r').find((segment) => segment.startsWith('MSA'));
+  console.log(`Listener replied ${ack || '(no MSA segment)'}`);
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const file = args.file || SAMPLES[args.protocol || 'astm'];
+  const protocol = args.protocol || (path.extname(file) === '.hl7' ? 'hl7' : 'astm');
+  if (!SAMPLES[protocol]) {
+    throw new Error(`Unknown protocol ${protocol}; use astm or hl7`);
+  }
+
+  const lines = loadMessage(file, args.accession || 'SIM-ACCESSION');
+  if (args.parse) {
+    const parser = protocol === 'astm' ? astm : hl7;
+    console.log(JSON.stringify(parser.parseMessage(`${lines.join('\r')}\r`), null, 2));
+    return;
+  }
+
+  const host = args.host || '127.0.0.1';
+  const port = parseInt(args.port, 10) || (protocol === 'astm' ? listeners.astmPort : listeners.hl7Port);
+  const socket = net.connect(port, host);
+  await new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+  console.log(`Connected to ${host}:${port} (${protocol})`);
+
+  try {
+    if (protocol === 'astm') {
+      await sendAstm(socket, lines);
+    } else {
+      await sendHl7(socket, lines);
+    }
+  } finally {
+    socket.end();
+  }
+};
+
+main().catch((error) => {
+  console.error(`Simulator failed: ${error.message}`);
+  process.exit(1);
+});
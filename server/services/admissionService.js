@@ -0,0 +1,203 @@
+const { sequelize } = require('../config/database');
+const { IPDAdmission, IPDBedTransfer, Bed, Ward, Patient } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const ServiceError = require('../utils/serviceError');
+
+// Row-lock a bed so concurrent admissions/transfers serialize on it. A bed
+// being vacated may since have been deactivated, so `activeOnly` can be relaxed.
+const lockBed = async (bedId, transaction, { activeOnly = true } = {}) => {
+  const bed = await Bed.findOne({
+    where: activeOnly ? { id: bedId, is_active: true } : { id: bedId },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!bed) {
+    throw new ServiceError('Bed not found', 404);
+  }
+
+  return bed;
+};
+
+const lockWard = async (wardId, transaction, { activeOnly = true } = {}) => {
+  const ward = await Ward.findByPk(wardId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!ward || (activeOnly && !ward.is_active)) {
+    throw new ServiceError('Ward not found or inactive', 409);
+  }
+
+  return ward;
+};
+
+// Mark a bed occupied and take it out of the ward's available count
+const occupyBed = async (bed, transaction) => {
+  if (bed.status !== 'available') {
+    throw new ServiceError(`Bed ${bed.bed_number} is not available (${bed.status})`, 409);
+  }
+
+  const ward = await lockWard(bed.ward_id, transaction);
+  if (!ward.available_beds || ward.available_beds <= 0) {
+    throw new ServiceError(`No available beds in ward ${ward.name}`, 409);
+  }
+
+  await bed.update({ status: 'occupied' }, { transaction });
+  await ward.update({ available_beds: ward.available_beds - 1 }, { transaction });
+
+  return ward;
+};
+
+// Return a bed to the pool and give it back to the ward's available count
+const releaseBed = async (bed, transaction) => {
+  const ward = await lockWard(bed.ward_id, transaction, { activeOnly: false });
+  const availableBeds = (ward.available_beds || 0) + 1;
+
+  await bed.update({ status: 'available' }, { transaction });
+  await ward.update({
+    available_beds: ward.total_beds ? Math.min(availableBeds, ward.total_beds) : availableBeds
+  }, { transaction });
+
+  return ward;
+};
+
+const lockActiveAdmission = async (admissionId, transaction) => {
+  const admission = await IPDAdmission.findByPk(admissionId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!admission) {
+    throw new ServiceError('Admission not found', 404);
+  }
+
+  if (admission.status !== 'admitted') {
+    throw new ServiceError(`Admission is already ${admission.status}`, 409);
+  }
+
+  return admission;
+};
+
+/**
+ * Admit a patient to a specific bed. The bed, its ward and the patient are
+ * row-locked for the duration of the transaction so two admissions can never
+ * claim the same bed and a patient cannot hold two active admissions.
+ */
+const admitPatient = async (data, { transaction: outerTransaction } = {}) => {
+  const admit = async (transaction) => {
+    const patient = await Patient.findOne({
+      where: { id: data.patient_id, is_active: true },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!patient) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    const activeAdmission = await IPDAdmission.findOne({
+      where: { patient_id: patient.id, status: 'admitted' },
+      transaction
+    });
+
+    if (activeAdmission) {
+      throw new ServiceError(`Patient is already admitted (${activeAdmission.admission_number})`, 409);
+    }
+
+    const bed = await lockBed(data.bed_id, transaction);
+    await occupyBed(bed, transaction);
+
+    const admissionNumber = await generateNumber('ipd_admission', { transaction });
+
+    return IPDAdmission.create({
+      patient_id: patient.id,
+      doctor_id: data.doctor_id,
+      bed_id: bed.id,
+      admission_date: data.admission_date || new Date(),
+      admission_type: data.admission_type,
+      diagnosis: data.diagnosis,
+      treatment_plan: data.treatment_plan,
+      admission_number: admissionNumber,
+      status: 'admitted'
+    }, { transaction });
+  };
+
+  // Callers already holding a transaction (e.g. an ER disposition) admit inside it
+  return outerTransaction ? admit(outerTransaction) : sequelize.transaction(admit);
+};
+
+/**
+ * Move an admitted patient to another bed, possibly in another ward. Both beds,
+ * then both wards, are locked in a stable order to avoid deadlocks between
+ * opposite transfers.
+ */
+const transferPatient = async (admissionId, { to_bed_id, reason }, userId) => {
+  return sequelize.transaction(async (transaction) => {
+    const admission = await lockActiveAdmission(admissionId, transaction);
+
+    if (admission.bed_id === to_bed_id) {
+      throw new ServiceError('Patient is already in this bed', 400);
+    }
+
+    const lockedBeds = {};
+    for (const bedId of [admission.bed_id, to_bed_id].sort()) {
+      lockedBeds[bedId] = await lockBed(bedId, transaction, { activeOnly: bedId === to_bed_id });
+    }
+    const fromBed = lockedBeds[admission.bed_id];
+    const toBed = lockedBeds[to_bed_id];
+
+    // occupyBed/releaseBed lock the wards again, which is a no-op once held
+    for (const wardId of [...new Set([fromBed.ward_id, toBed.ward_id])].sort()) {
+      await lockWard(wardId, transaction, { activeOnly: wardId === toBed.ward_id });
+    }
+
+    await occupyBed(toBed, transaction);
+    await releaseBed(fromBed, transaction);
+
+    const transfer = await IPDBedTransfer.create({
+      admission_id: admission.id,
+      from_bed_id: fromBed.id,
+      to_bed_id: toBed.id,
+      from_ward_id: fromBed.ward_id,
+      to_ward_id: toBed.ward_id,
+      reason,
+      transferred_by: userId,
+      transferred_at: new Date()
+    }, { transaction });
+
+    await admission.update({ bed_id: toBed.id }, { transaction });
+
+    return { admission, transfer };
+  });
+};
+
+/**
+ * Close an admission and free its bed. `status` distinguishes a regular
+ * discharge from a transfer out to another facility or a death.
+ */
+const dischargePatient = async (admissionId, data) => {
+  return sequelize.transaction(async (transaction) => {
+    const admission = await lockActiveAdmission(admissionId, transaction);
+
+    if (admission.bed_id) {
+      const bed = await lockBed(admission.bed_id, transaction, { activeOnly: false });
+      await releaseBed(bed, transaction);
+    }
+
+    await admission.update({
+      status: data.status || 'discharged',
+      discharge_date: data.discharge_date || new Date(),
+      discharge_summary: data.discharge_summary,
+      follow_up_instructions: data.follow_up_instructions
+    }, { transaction });
+
+    return admission;
+  });
+};
+
+module.exports = {
+  admitPatient,
+  transferPatient,
+  dischargePatient
+};
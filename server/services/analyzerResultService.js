@@ -0,0 +1,236 @@
+const {
+  LabAnalyzer,
+  LabAnalyzerTestCode,
+  LabAnalyzerMessage,
+  LabSample,
+  LabOrderItem,
+  LabTest,
+  LabTestComponent
+} = require('../models');
+const { SKIPPED_RESULT_STATUSES } = require('../config/labAnalyzers');
+const astm = require('./astmParser');
+const hl7 = require('./hl7Parser');
+const { processSample } = require('./labOrderService');
+const { enterResults } = require('./labResultService');
+const { logger, logMedicalEvent } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+const parsers = { astm, hl7 };
+
+/**
+ * Work out which test (and panel component) each analyzer code is for on a
+ * sample. The analyzer's own mapping wins; otherwise the code is matched to
+ * a component code of a panel on the sample, then to a test code.
+ */
+const matchCodes = async (analyzer, items) => {
+  const mappings = await LabAnalyzerTestCode.findAll({ where: { analyzer_id: analyzer.id } });
+  const panelIds = items.filter((item) => item.test.result_type === 'panel').map((item) => item.lab_test_id);
+  const components = panelIds.length > 0
+    ? await LabTestComponent.findAll({ where: { lab_test_id: panelIds, is_active: true } })
+    : [];
+
+  return (code) => {
+    const mapping = mappings.find((candidate) => candidate.analyzer_code === code);
+    if (mapping) {
+      const item = items.find((candidate) => candidate.lab_test_id === mapping.lab_test_id);
+      const component = mapping.component_id
+        ? components.find((candidate) => candidate.id === mapping.component_id)
+        : null;
+      return item ? { item, component } : null;
+    }
+
+    const component = components.find((candidate) => candidate.code === code);
+    if (component) {
+      return { item: items.find((candidate) => candidate.lab_test_id === component.lab_test_id), component };
+    }
+
+    const item = items.find((candidate) => candidate.test.result_type !== 'panel' && candidate.test.test_code === code);
+    return item ? { item, component: null } : null;
+  };
+};
+
+/**
+ * Post one specimen's results as entered (unverified) results. A sample that
+ * is still only received is marked processed first, since the analyzer has
+ * run it. Returns what was posted and what was not, with reasons.
+ */
+const postSpecimen = async (analyzer, specimen, io) => {
+  const outcome = { accession: specimen.accession, posted: [], skipped: [] };
+  const skipAll = (reason) => {
+    outcome.skipped.push(...specimen.results.map(({ code }) => ({ code, reason })));
+    return outcome;
+  };
+
+  let sample = await LabSample.findOne({ where: { accession_number: specimen.accession } });
+  if (!sample) {
+    return skipAll('No sample with this accession number');
+  }
+  outcome.sample_id = sample.id;
+  outcome.lab_order_id = sample.lab_order_id;
+
+  if (sample.status === 'received') {
+    try {
+      ({ sample } = await processSample(sample.id, null));
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      return skipAll(error.message);
+    }
+  }
+  if (sample.status !== 'processed') {
+    return skipAll(`Sample is ${sample.status}`);
+  }
+
+  const items = await LabOrderItem.findAll({
+    where: { sample_id: sample.id },
+    include: [{ model: LabTest, as: 'test' }]
+  });
+  const match = await matchCodes(analyzer, items);
+
+  const byItem = new Map();
+  specimen.results.forEach((result) => {
+    if (SKIPPED_RESULT_STATUSES.includes(result.status)) {
+      outcome.skipped.push({ code: result.code, reason: `Result status ${result.status}` });
+      return;
+    }
+    const target = match(result.code);
+    if (!target) {
+      outcome.skipped.push({ code: result.code, reason: 'No test on this sample for this code' });
+      return;
+    }
+
+    const { item, component } = target;
+    if (!byItem.has(item.id)) byItem.set(item.id, { item, entries: [], codes: [] });
+    const group = byItem.get(item.id);
+    group.entries.push({
+      component_code: component ? component.code : undefined,
+      value: result.value,
+      unit: result.unit || undefined,
+      notes: result.flag ? `Analyzer flag ${result.flag}` : undefined
+    });
+    group.codes.push(result.code);
+  });
+
+  for (const { item, entries, codes } of byItem.values()) {
+    try {
+      const { results, criticalAlerts } = await enterResults(sample.lab_order_id, item.id, entries, null, io, {
+        analyzerId: analyzer.id
+      });
+      outcome.posted.push({
+        lab_order_item_id: item.id,
+        test_code: item.test.test_code,
+        result_ids: results.map((result) => result.id),
+        critical_alert_ids: criticalAlerts.map((alert) => alert.id)
+      });
+      logMedicalEvent('lab_results_received_from_analyzer', sample.patient_id, null, {
+        analyzer_id: analyzer.id,
+        lab_order_id: sample.lab_order_id,
+        lab_order_item_id: item.id,
+        result_ids: results.map((result) => result.id)
+      });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      outcome.skipped.push(...codes.map((code) => ({ code, reason: error.message })));
+    }
+  }
+
+  return outcome;
+};
+
+const messageStatus = (outcomes) => {
+  const posted = outcomes.some((outcome) => outcome.posted.length > 0);
+  const skipped = outcomes.some((outcome) => outcome.skipped.length > 0);
+  if (!posted) return 'unmatched';
+  return skipped ? 'partial' : 'processed';
+};
+
+// Parse a stored message and post its results, recording the outcome on it
+const processMessage = async (message, remoteAddress, io) => {
+  let parsed;
+  try {
+    parsed = parsers[message.protocol].parseMessage(message.raw_message);
+  } catch (error) {
+    await message.update({ status: 'error', error_message: error.message, processed_at: new Date() });
+    return { message, parsed: null };
+  }
+
+  const analyzer = parsed.sender
+    ? await LabAnalyzer.findOne({ where: { code: parsed.sender, protocol: message.protocol, is_active: true } })
+    : null;
+  // An analyzer is only trusted from the address it was registered at
+  let rejection = null;
+  if (!analyzer) {
+    rejection = `Unknown analyzer ${parsed.sender || '(no sender)'}`;
+  } else if (!analyzer.host) {
+    rejection = `Analyzer ${analyzer.code} has no host registered`;
+  } else if (analyzer.host !== remoteAddress) {
+    rejection = `Analyzer ${analyzer.code} is not registered at ${remoteAddress}`;
+  }
+  if (rejection) {
+    await message.update({
+      sender: parsed.sender,
+      control_id: parsed.controlId,
+      status: 'rejected',
+      error_message: rejection,
+      processed_at: new Date()
+    });
+    return { message, parsed };
+  }
+
+  const outcomes = [];
+  for (const specimen of parsed.specimens) {
+    outcomes.push(await postSpecimen(analyzer, specimen, io));
+  }
+
+  await message.update({
+    analyzer_id: analyzer.id,
+    sender: parsed.sender,
+    control_id: parsed.controlId,
+    status: messageStatus(outcomes),
+    outcome: outcomes,
+    error_message: null,
+    processed_at: new Date()
+  });
+  await analyzer.update({ last_message_at: new Date() });
+
+  return { message, parsed };
+};
+
+/**
+ * Store a message from the listener and post its results. The raw message is
+ * saved first so nothing an analyzer sends is lost, even if posting fails.
+ */
+const receiveMessage = async ({ protocol, raw, remoteAddress }, io) => {
+  const message = await LabAnalyzerMessage.create({
+    protocol,
+    remote_address: remoteAddress,
+    raw_message: raw,
+    status: 'received'
+  });
+
+  try {
+    return await processMessage(message, remoteAddress, io);
+  } catch (error) {
+    logger.error(`Failed to process analyzer message ${message.id}: ${error.message}`);
+    await message.update({ status: 'error', error_message: error.message, processed_at: new Date() });
+    return { message, parsed: null };
+  }
+};
+
+// Run a stored message again, e.g. after adding a test code mapping
+const reprocessMessage = async (messageId, io) => {
+  const message = await LabAnalyzerMessage.findByPk(messageId);
+  if (!message) {
+    throw new ServiceError('Analyzer message not found', 404);
+  }
+  if (message.status === 'processed') {
+    throw new ServiceError('All results in this message were already posted', 409);
+  }
+
+  const { message: processed } = await processMessage(message, message.remote_address, io);
+  return processed;
+};
+
+module.exports = {
+  receiveMessage,
+  reprocessMessage
+};
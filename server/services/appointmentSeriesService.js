@@ -0,0 +1,311 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OPDAppointment, OPDAppointmentSeries } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const { lockDoctorSchedule, assertBookable } = require('./doctorAvailabilityService');
+const { recordStatusChange, transitionAppointment } = require('./appointmentStatusService');
+const ServiceError = require('../utils/serviceError');
+
+const MAX_OCCURRENCES = 52;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const OPEN_STATUSES = ['scheduled', 'confirmed'];
+
+const toWeekday = (day) => (typeof day === 'number' ? day : WEEKDAYS.indexOf(String(day).toLowerCase().slice(0, 3)));
+
+/**
+ * Expand a recurrence rule into occurrence dates (YYYY-MM-DD).
+ *
+ * rule: { frequency: 'daily' | 'weekly', interval, days_of_week, count | until | weeks }
+ * e.g. { frequency: 'weekly', days_of_week: ['mon', 'thu'], weeks: 6 }
+ */
+const expandRecurrence = (startDate, rule) => {
+  const start = moment(startDate, 'YYYY-MM-DD');
+  const interval = Math.max(parseInt(rule.interval, 10) || 1, 1);
+  const limit = rule.count ? Math.min(rule.count, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+
+  let until = null;
+  if (rule.until) {
+    until = moment(rule.until, 'YYYY-MM-DD');
+  } else if (rule.weeks) {
+    until = start.clone().add(rule.weeks, 'weeks').subtract(1, 'day');
+  }
+
+  if (!rule.count && !until) {
+    throw new ServiceError('Recurrence needs one of count, until or weeks', 400);
+  }
+
+  const dates = [];
+  const within = (date) => !until || date.isSameOrBefore(until, 'day');
+
+  if (rule.frequency === 'daily') {
+    for (let date = start.clone(); within(date) && dates.length < limit; date.add(interval, 'days')) {
+      dates.push(date.format('YYYY-MM-DD'));
+    }
+    return dates;
+  }
+
+  const weekdays = (rule.days_of_week && rule.days_of_week.length > 0 ? rule.days_of_week : [start.day()])
+    .map(toWeekday)
+    .sort((a, b) => a - b);
+
+  if (weekdays.some((day) => day < 0 || day > 6)) {
+    throw new ServiceError('Invalid day in days_of_week', 400);
+  }
+
+  for (let weekStart = start.clone().startOf('week'); dates.length < limit; weekStart.add(interval, 'weeks')) {
+    for (const weekday of weekdays) {
+      const date = weekStart.clone().day(weekday);
+      if (date.isBefore(start, 'day')) continue;
+      if (!within(date) || dates.length >= limit) return dates;
+      dates.push(date.format('YYYY-MM-DD'));
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Check every planned occurrence under the doctor's schedule lock. Returns the
+ * clashing ones instead of failing on the first, so callers can report them all.
+ */
+const findConflicts = async (doctorId, occurrences, transaction, excludeAppointmentIds = []) => {
+  const conflicts = [];
+  const checked = [];
+
+  // Lock dates in order so concurrent series bookings cannot deadlock
+  const ordered = [...occurrences].sort((a, b) => a.date.localeCompare(b.date) || a.time.localeCompare(b.time));
+
+  for (const occurrence of ordered) {
+    await lockDoctorSchedule(doctorId, occurrence.date, transaction);
+    try {
+      const { duration_minutes } = await assertBookable(doctorId, occurrence.date, occurrence.time, occurrence.duration_minutes, {
+        excludeAppointmentId: excludeAppointmentIds,
+        transaction
+      });
+      checked.push({ ...occurrence, duration_minutes });
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      conflicts.push({
+        appointment_id: occurrence.appointment_id,
+        date: occurrence.date,
+        time: occurrence.time,
+        reason: error.message,
+        ...error.details
+      });
+    }
+  }
+
+  return { conflicts, checked };
+};
+
+const assertNoConflicts = (conflicts) => {
+  if (conflicts.length > 0) {
+    throw new ServiceError(`${conflicts.length} occurrence(s) clash with the doctor's schedule`, 409, { conflicts });
+  }
+};
+
+/**
+ * Book all occurrences of a recurring series, or none: any clash rolls the
+ * whole series back and is reported.
+ */
+const bookSeries = async (data, actorId) => {
+  const dates = expandRecurrence(data.start_date, data.recurrence);
+  if (dates.length === 0) {
+    throw new ServiceError('Recurrence rule produces no occurrences', 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    const { conflicts, checked } = await findConflicts(
+      data.doctor_id,
+      dates.map((date) => ({ date, time: data.appointment_time, duration_minutes: data.duration_minutes })),
+      transaction
+    );
+    assertNoConflicts(conflicts);
+
+    const series = await OPDAppointmentSeries.create({
+      patient_id: data.patient_id,
+      doctor_id: data.doctor_id,
+      department_id: data.department_id,
+      appointment_type: data.appointment_type,
+      appointment_time: data.appointment_time,
+      duration_minutes: checked[0].duration_minutes,
+      recurrence_rule: data.recurrence,
+      start_date: dates[0],
+      end_date: dates[dates.length - 1],
+      occurrence_count: dates.length,
+      status: 'active',
+      notes: data.notes,
+      created_by: actorId
+    }, { transaction });
+
+    const appointments = [];
+    for (const occurrence of checked) {
+      const appointment = await OPDAppointment.create({
+        series_id: series.id,
+        patient_id: data.patient_id,
+        doctor_id: data.doctor_id,
+        department_id: data.department_id,
+        appointment_date: occurrence.date,
+        appointment_time: occurrence.time,
+        duration_minutes: occurrence.duration_minutes,
+        appointment_type: data.appointment_type,
+        chief_complaint: data.chief_complaint,
+        consultation_fee: data.consultation_fee,
+        appointment_number: await generateNumber('opd_appointment', { transaction }),
+        status: 'scheduled'
+      }, { transaction });
+
+      await recordStatusChange(appointment.id, null, 'scheduled', { actorId, transaction });
+      appointments.push(appointment);
+    }
+
+    return { series, appointments };
+  });
+};
+
+const loadSeries = async (seriesId, transaction) => {
+  const series = await OPDAppointmentSeries.findByPk(seriesId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!series) {
+    throw new ServiceError('Appointment series not found', 404);
+  }
+
+  return series;
+};
+
+// Open occurrences targeted by a scope: one appointment, or everything from a date on
+const findTargetOccurrences = async (series, { scope, appointment_id, from_date }, transaction) => {
+  const where = { series_id: series.id, status: { [Op.in]: OPEN_STATUSES } };
+
+  if (scope === 'occurrence') {
+    where.id = appointment_id;
+  } else {
+    where.appointment_date = { [Op.gte]: from_date || moment().format('YYYY-MM-DD') };
+  }
+
+  const occurrences = await OPDAppointment.findAll({
+    where,
+    order: [['appointment_date', 'ASC'], ['appointment_time', 'ASC']],
+    transaction
+  });
+
+  if (occurrences.length === 0) {
+    throw new ServiceError('No open occurrences match the request', 404);
+  }
+
+  return occurrences;
+};
+
+// Close the series once none of its occurrences remain open
+const refreshSeriesStatus = async (series, status, transaction) => {
+  const open = await OPDAppointment.count({
+    where: { series_id: series.id, status: { [Op.in]: OPEN_STATUSES } },
+    transaction
+  });
+
+  if (open === 0) {
+    await series.update({ status }, { transaction });
+  }
+};
+
+/**
+ * Cancel one occurrence or every open occurrence from `from_date` onwards.
+ */
+const cancelSeries = async (seriesId, options, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const series = await loadSeries(seriesId, transaction);
+    const occurrences = await findTargetOccurrences(series, options, transaction);
+
+    for (const occurrence of occurrences) {
+      await transitionAppointment(occurrence.id, 'cancelled', {
+        actorId,
+        reason: options.reason || 'Series cancellation',
+        transaction
+      });
+    }
+
+    await refreshSeriesStatus(series, 'cancelled', transaction);
+
+    return { series, cancelled: occurrences.map((occurrence) => occurrence.id) };
+  });
+};
+
+/**
+ * Move one occurrence or the remaining series to a new time and/or shift the
+ * dates by `shift_days`. All moves are checked first; any clash or a slot in
+ * the past aborts them all. Each move is kept in the status history.
+ */
+const rescheduleSeries = async (seriesId, options, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const series = await loadSeries(seriesId, transaction);
+    const occurrences = await findTargetOccurrences(series, options, transaction);
+    const shiftDays = parseInt(options.shift_days, 10) || 0;
+
+    const planned = occurrences.map((occurrence) => ({
+      appointment_id: occurrence.id,
+      status: occurrence.status,
+      previous: `${occurrence.appointment_date} ${String(occurrence.appointment_time).slice(0, 5)}`,
+      date: options.scope === 'occurrence' && options.appointment_date
+        ? moment(options.appointment_date).format('YYYY-MM-DD')
+        : moment(occurrence.appointment_date, 'YYYY-MM-DD').add(shiftDays, 'days').format('YYYY-MM-DD'),
+      time: options.appointment_time || String(occurrence.appointment_time).slice(0, 5),
+      duration_minutes: occurrence.duration_minutes
+    }));
+
+    // Compare the full slot start so a time earlier today is also refused
+    const now = moment();
+    const past = planned.filter((occurrence) => moment(`${occurrence.date} ${occurrence.time}`, 'YYYY-MM-DD HH:mm').isBefore(now));
+    if (past.length > 0) {
+      throw new ServiceError(`${past.length} occurrence(s) would move into the past`, 400, {
+        past_dates: past.map((occurrence) => ({
+          appointment_id: occurrence.appointment_id,
+          appointment_date: occurrence.date,
+          appointment_time: occurrence.time
+        }))
+      });
+    }
+
+    // Moved occurrences must not be checked against their own old slots
+    const movedIds = planned.map((occurrence) => occurrence.appointment_id);
+    const { conflicts } = await findConflicts(series.doctor_id, planned, transaction, movedIds);
+    assertNoConflicts(conflicts);
+
+    for (const occurrence of planned) {
+      await OPDAppointment.update({
+        appointment_date: occurrence.date,
+        appointment_time: occurrence.time
+      }, { where: { id: occurrence.appointment_id }, transaction });
+
+      await recordStatusChange(occurrence.appointment_id, occurrence.status, occurrence.status, {
+        actorId,
+        reason: `Rescheduled from ${occurrence.previous} to ${occurrence.date} ${occurrence.time}`,
+        transaction
+      });
+    }
+
+    if (options.scope !== 'occurrence' && options.appointment_time) {
+      await series.update({ appointment_time: options.appointment_time }, { transaction });
+    }
+
+    return {
+      series,
+      rescheduled: planned.map((occurrence) => ({
+        appointment_id: occurrence.appointment_id,
+        appointment_date: occurrence.date,
+        appointment_time: occurrence.time
+      }))
+    };
+  });
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  expandRecurrence,
+  bookSeries,
+  cancelSeries,
+  rescheduleSeries
+};
@@ -0,0 +1,72 @@
+const { sequelize } = require('../config/database');
+const { OPDAppointment, OPDAppointmentStatusHistory, Patient } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+// Legal OPD appointment status transitions; terminal states have none
+const APPOINTMENT_TRANSITIONS = {
+  scheduled: ['confirmed', 'in_progress', 'cancelled', 'no_show'],
+  confirmed: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['completed'],
+  completed: [],
+  cancelled: [],
+  no_show: []
+};
+
+const canTransition = (fromStatus, toStatus) => (
+  (APPOINTMENT_TRANSITIONS[fromStatus] || []).includes(toStatus)
+);
+
+const recordStatusChange = (appointmentId, fromStatus, toStatus, { actorId, reason, transaction } = {}) => (
+  OPDAppointmentStatusHistory.create({
+    appointment_id: appointmentId,
+    from_status: fromStatus,
+    to_status: toStatus,
+    changed_by: actorId || null,
+    reason: reason || null,
+    changed_at: new Date()
+  }, { transaction })
+);
+
+/**
+ * Move an appointment to a new status if the transition is legal, recording
+ * who made the change and why. `actorId` is null for system jobs. Extra
+ * column updates (e.g. notes) can be passed through `changes`.
+ */
+const transitionAppointment = async (appointmentId, toStatus, options = {}) => {
+  const run = async (transaction) => {
+    const appointment = await OPDAppointment.findByPk(appointmentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!appointment) {
+      throw new ServiceError('Appointment not found', 404);
+    }
+
+    const fromStatus = appointment.status;
+    if (!canTransition(fromStatus, toStatus)) {
+      throw new ServiceError(`Cannot change appointment status from ${fromStatus} to ${toStatus}`, 409, {
+        current_status: fromStatus,
+        allowed_transitions: APPOINTMENT_TRANSITIONS[fromStatus] || []
+      });
+    }
+
+    await appointment.update({ ...options.changes, status: toStatus }, { transaction });
+    await recordStatusChange(appointment.id, fromStatus, toStatus, { ...options, transaction });
+
+    if (toStatus === 'no_show') {
+      await Patient.increment('no_show_count', { where: { id: appointment.patient_id }, transaction });
+    }
+
+    return { appointment, previousStatus: fromStatus };
+  };
+
+  return options.transaction ? run(options.transaction) : sequelize.transaction(run);
+};
+
+module.exports = {
+  APPOINTMENT_TRANSITIONS,
+  canTransition,
+  recordStatusChange,
+  transitionAppointment
+};
@@ -0,0 +1,185 @@
+// ASTM E1381 framing and E1394 record parsing. Pure functions, shared by the
+// analyzer listener and the simulator.
+//
+// A transmission is ENQ, then frames of <STX> FN text <ETB|ETX> C1 C2 <CR><LF>,
+// then EOT. The receiver answers ENQ and each good frame with ACK and a frame
+// with a bad checksum with NAK. Text split over several frames (ETB) is joined
+// until a frame ending in ETX. Records inside the text end with CR.
+
+const ENQ = 0x05;
+const ACK = 0x06;
+const NAK = 0x15;
+const EOT = 0x04;
+const STX = 0x02;
+const ETX = 0x03;
+const ETB = 0x17;
+const CR = 0x0d;
+const LF = 0x0a;
+
+// The longest text a single frame carries (E1381 section 6.3.1.2)
+const MAX_FRAME_TEXT = 240;
+
+// Sum of the bytes from the frame number through ETB/ETX, as two hex digits
+const checksum = (bytes) => (bytes.reduce((sum, byte) => (sum + byte) % 256, 0))
+  .toString(16)
+  .toUpperCase()
+  .padStart(2, '0');
+
+/**
+ * Decode one frame, from STX up to and including the trailing LF. Returns
+ * `{ frameNumber, text, final }`, or null when the frame is malformed or its
+ * checksum is wrong (the sender should get NAK and repeat it).
+ */
+const decodeFrame = (frame) => {
+  if (frame.length < 7 || frame[0] !== STX) return null;
+
+  const end = frame.length - 5;
+  if (![ETX, ETB].includes(frame[end]) || frame[end + 3] !== CR || frame[end + 4] !== LF) return null;
+
+  const body = frame.slice(1, end + 1);
+  if (checksum([...body]) !== frame.slice(end + 1, end + 3).toString('latin1').toUpperCase()) return null;
+
+  return {
+    frameNumber: Number(String.fromCharCode(frame[1])),
+    text: frame.slice(2, end).toString('latin1'),
+    final: frame[end] === ETX
+  };
+};
+
+/**
+ * Frame a message's records for sending: each record in its own frames,
+ * split at MAX_FRAME_TEXT, with frame numbers cycling 1-7, 0.
+ */
+const encodeFrames = (records) => {
+  const frames = [];
+  let frameNumber = 1;
+
+  records.forEach((record) => {
+    const text = record.endsWith('\r') ? record : `${record}\r`;
+    for (let start = 0; start < text.length; start += MAX_FRAME_TEXT) {
+      const chunk = text.slice(start, start + MAX_FRAME_TEXT);
+      const terminator = start + MAX_FRAME_TEXT >= text.length ? ETX : ETB;
+      const body = Buffer.concat([Buffer.from(`${frameNumber}${chunk}`, 'latin1'), Buffer.from([terminator])]);
+      frames.push(Buffer.concat([
+        Buffer.from([STX]),
+        body,
+        Buffer.from(`${checksum([...body])}`, 'latin1'),
+        Buffer.from([CR, LF])
+      ]));
+      frameNumber = (frameNumber + 1) % 8;
+    }
+  });
+
+  return frames;
+};
+
+// &F& &S& &R& &E& (with the header's escape character in place of &) stand
+// for the field, component, repeat and escape delimiters
+const unescape = (value, delimiters) => {
+  const sequences = { F: delimiters.field, S: delimiters.component, R: delimiters.repeat, E: delimiters.escape };
+  const escape = delimiters.escape.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return value.replace(new RegExp(`${escape}([FSRE])${escape}`, 'g'), (match, code) => sequences[code]);
+};
+
+// YYYYMMDD[HHMMSS] as a local time, or null
+const parseTimestamp = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour = '00', minute = '00', second = '00'] = match;
+  return new Date(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+};
+
+/**
+ * Parse the records of one message (H ... L). Results are grouped by the
+ * specimen ID of the order record before them: O-3, or O-4 when the analyzer
+ * only sends its own ID. The test code is the manufacturer's code, the fourth
+ * component of R-3 (`^^^GLU`).
+ */
+const parseMessage = (text) => {
+  const records = text.split(/\r\n?|\n/).filter(Boolean);
+  const header = records[0];
+  if (!header || header[0] !== 'H' || header.length < 5) {
+    throw new Error('ASTM message must start with a header record');
+  }
+
+  const delimiters = {
+    field: header[1],
+    repeat: header[2],
+    component: header[3],
+    escape: header[4]
+  };
+  const fields = (record) => record.split(delimiters.field);
+  const components = (field) => (field || '').split(delimiters.component).map((value) => unescape(value, delimiters).trim());
+
+  // The delimiter definition takes the place of H-2, so H-5 is index 4
+  const headerFields = fields(header);
+  const sender = components(headerFields[4])[0] || null;
+
+  const specimens = [];
+  let patientId = null;
+  let specimen = null;
+
+  records.slice(1).forEach((record) => {
+    const values = fields(record);
+    switch (values[0]) {
+      case 'P':
+        patientId = components(values[2])[0] || null;
+        specimen = null;
+        break;
+      case 'O': {
+        const accession = components(values[2])[0] || components(values[3])[0];
+        specimen = accession ? { accession, patientId, results: [] } : null;
+        if (specimen) specimens.push(specimen);
+        break;
+      }
+      case 'R': {
+        if (!specimen) break;
+        const testId = components(values[2]);
+        const code = testId[3] || testId.find(Boolean);
+        if (!code) break;
+        specimen.results.push({
+          code,
+          value: unescape(values[3] || '', delimiters).trim(),
+          unit: components(values[4])[0] || null,
+          flag: components(values[6])[0] || null,
+          status: (values[8] || '').trim().toUpperCase() || null,
+          completedAt: parseTimestamp(values[12])
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return {
+    sender,
+    controlId: (headerFields[2] || '').trim() || null,
+    specimens
+  };
+};
+
+// One transmission can carry several messages, each starting with an H record
+const splitMessages = (text) => text
+  .split(/\r\n?|\n/)
+  .filter(Boolean)
+  .reduce((messages, record) => {
+    if (record[0] === 'H' || messages.length === 0) messages.push([]);
+    messages[messages.length - 1].push(record);
+    return messages;
+  }, [])
+  .map((records) => `${records.join('\r')}\r`);
+
+module.exports = {
+  ENQ,
+  ACK,
+  NAK,
+  EOT,
+  STX,
+  LF,
+  checksum,
+  decodeFrame,
+  encodeFrames,
+  splitMessages,
+  parseMessage
+};
@@ -0,0 +1,178 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { ConsentTemplate, PatientConsent, Patient } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+const CONSENT_TYPES = ['treatment', 'surgery', 'anesthesia', 'procedure', 'blood_transfusion', 'data_sharing', 'sms_contact'];
+
+/**
+ * Publish a template. Reusing an existing code creates the next version and
+ * retires the previous one; consents already signed keep their version.
+ */
+const publishTemplate = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    // Serialize publishing per code so two versions cannot get the same number
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `consent_template:${data.code}` },
+      transaction
+    });
+
+    const latest = await ConsentTemplate.findOne({
+      where: { code: data.code },
+      order: [['version', 'DESC']],
+      transaction
+    });
+
+    if (latest && latest.consent_type !== data.consent_type) {
+      throw new ServiceError(`Template ${data.code} is a ${latest.consent_type} consent`, 409);
+    }
+
+    await ConsentTemplate.update(
+      { is_active: false },
+      { where: { code: data.code, is_active: true }, transaction }
+    );
+
+    return ConsentTemplate.create({
+      code: data.code,
+      consent_type: data.consent_type,
+      title: data.title,
+      body: data.body,
+      language: data.language || 'en',
+      requires_witness: data.requires_witness !== false,
+      validity_days: data.validity_days || null,
+      version: latest ? latest.version + 1 : 1,
+      is_active: true,
+      created_by: actorId
+    }, { transaction });
+  });
+};
+
+/**
+ * Record a signed consent against the current version of a template. The
+ * signature image has already been stored by the upload middleware.
+ */
+const recordConsent = async (data, signaturePath, actorId) => {
+  const patient = await Patient.findOne({ where: { id: data.patient_id, is_active: true } });
+  if (!patient) {
+    throw new ServiceError('Patient not found', 404);
+  }
+
+  const template = await ConsentTemplate.findByPk(data.template_id);
+  if (!template) {
+    throw new ServiceError('Consent template not found', 404);
+  }
+  if (!template.is_active) {
+    throw new ServiceError(`Template version ${template.version} has been superseded; use the current version`, 409);
+  }
+  if (template.requires_witness && !data.witness_name) {
+    throw new ServiceError('This consent requires a witness', 400);
+  }
+
+  const signedAt = data.signed_at ? moment(data.signed_at) : moment();
+  if (signedAt.isAfter(moment())) {
+    throw new ServiceError('Signed time cannot be in the future', 400);
+  }
+  // A version cannot have been signed before it was published
+  if (signedAt.isBefore(template.created_at)) {
+    throw new ServiceError(`Signed time is before template version ${template.version} took effect`, 400, {
+      effective_from: template.created_at
+    });
+  }
+
+  return PatientConsent.create({
+    patient_id: patient.id,
+    template_id: template.id,
+    consent_type: template.consent_type,
+    template_version: template.version,
+    status: 'granted',
+    signed_by_name: data.signed_by_name,
+    signer_relationship: data.signer_relationship || 'self',
+    signature_path: signaturePath,
+    witness_name: data.witness_name || null,
+    witness_staff_id: data.witness_staff_id || null,
+    reference_type: data.reference_type || null,
+    reference_id: data.reference_id || null,
+    signed_at: signedAt.toDate(),
+    expires_at: template.validity_days ? signedAt.clone().add(template.validity_days, 'days').toDate() : null,
+    recorded_by: actorId
+  });
+};
+
+const revokeConsent = async (consentId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const consent = await PatientConsent.findByPk(consentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!consent) {
+      throw new ServiceError('Consent not found', 404);
+    }
+    if (consent.status !== 'granted') {
+      throw new ServiceError(`Consent is already ${consent.status}`, 409);
+    }
+
+    await consent.update({
+      status: 'revoked',
+      revoked_at: new Date(),
+      revoked_by: actorId,
+      revocation_reason: reason
+    }, { transaction });
+
+    return consent;
+  });
+};
+
+/**
+ * The most recent granted, unexpired consent of a type. With a reference
+ * (e.g. an OT schedule), a consent tied to that record or a general one of
+ * the same type qualifies; without one, only a general consent does.
+ * Consents for other records never qualify.
+ */
+const findValidConsent = (patientId, consentType, { referenceType, referenceId, transaction } = {}) => {
+  const where = {
+    patient_id: patientId,
+    consent_type: consentType,
+    status: 'granted',
+    [Op.and]: [
+      { [Op.or]: [{ expires_at: null }, { expires_at: { [Op.gt]: new Date() } }] }
+    ]
+  };
+
+  if (referenceId) {
+    where[Op.and].push({
+      [Op.or]: [
+        { reference_id: null },
+        { reference_type: referenceType, reference_id: referenceId }
+      ]
+    });
+  } else {
+    where[Op.and].push({ reference_id: null });
+  }
+
+  return PatientConsent.findOne({
+    where,
+    order: [['signed_at', 'DESC']],
+    transaction
+  });
+};
+
+const assertValidConsent = async (patientId, consentType, options = {}) => {
+  const consent = await findValidConsent(patientId, consentType, options);
+  if (!consent) {
+    throw new ServiceError(`A valid ${consentType.replace(/_/g, ' ')} consent is required`, 409, {
+      consent_required: consentType
+    });
+  }
+  return consent;
+};
+
+module.exports = {
+  CONSENT_TYPES,
+  publishTemplate,
+  recordConsent,
+  revokeConsent,
+  findValidConsent,
+  assertValidConsent
+};
@@ -0,0 +1,273 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DoctorAvailabilityTemplate, DoctorAvailabilityException, OPDAppointment } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+const DEFAULT_SLOT_MINUTES = 15;
+const INACTIVE_STATUSES = ['cancelled', 'no_show'];
+
+// Window and minimum sample for the no-show rate that drives overbooking
+const NO_SHOW_LOOKBACK_DAYS = parseInt(process.env.NO_SHOW_LOOKBACK_DAYS, 10) || 90;
+const NO_SHOW_MIN_SAMPLE = parseInt(process.env.NO_SHOW_MIN_SAMPLE, 10) || 20;
+
+// 'HH:MM' or 'HH:MM:SS' -> minutes since midnight
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTimeString = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  return `${String(hours).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+};
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const buildSession = (row, fallbackSlotMinutes = DEFAULT_SLOT_MINUTES) => ({
+  template_id: row.template_id || null,
+  start: toMinutes(row.start_time),
+  end: toMinutes(row.end_time),
+  slot_duration: row.slot_duration_minutes || fallbackSlotMinutes,
+  max_overbook: row.max_overbook || 0,
+  breaks: row.break_start_time && row.break_end_time
+    ? [{ start: toMinutes(row.break_start_time), end: toMinutes(row.break_end_time) }]
+    : []
+});
+
+/**
+ * Working sessions for a doctor on a date. A leave exception blocks the whole
+ * day; custom-hours exceptions replace the weekly template for that date.
+ */
+const getSessions = async (doctorId, date, { transaction } = {}) => {
+  const day = moment(date, 'YYYY-MM-DD');
+
+  const exceptions = await DoctorAvailabilityException.findAll({
+    where: { doctor_id: doctorId, exception_date: day.format('YYYY-MM-DD') },
+    order: [['start_time', 'ASC']],
+    transaction
+  });
+
+  if (exceptions.some((exception) => exception.exception_type === 'leave')) {
+    return [];
+  }
+
+  const dateStr = day.format('YYYY-MM-DD');
+  const templates = await DoctorAvailabilityTemplate.findAll({
+    where: {
+      doctor_id: doctorId,
+      day_of_week: day.day(),
+      is_active: true,
+      [Op.and]: [
+        { [Op.or]: [{ effective_from: null }, { effective_from: { [Op.lte]: dateStr } }] },
+        { [Op.or]: [{ effective_to: null }, { effective_to: { [Op.gte]: dateStr } }] }
+      ]
+    },
+    order: [['start_time', 'ASC']],
+    transaction
+  });
+
+  if (exceptions.length > 0) {
+    const fallbackSlot = templates.length > 0 ? templates[0].slot_duration_minutes : DEFAULT_SLOT_MINUTES;
+    return exceptions
+      .map((exception) => buildSession(exception, fallbackSlot))
+      .sort((a, b) => a.start - b.start);
+  }
+
+  return templates.map((template) => buildSession({ ...template.toJSON(), template_id: template.id }));
+};
+
+const getBookedIntervals = async (doctorId, date, { excludeAppointmentId, transaction } = {}) => {
+  const where = {
+    doctor_id: doctorId,
+    appointment_date: date,
+    status: { [Op.notIn]: INACTIVE_STATUSES }
+  };
+
+  // A single ID or a list, e.g. every occurrence being moved in one reschedule
+  const excluded = [].concat(excludeAppointmentId || []);
+  if (excluded.length > 0) {
+    where.id = { [Op.notIn]: excluded };
+  }
+
+  const appointments = await OPDAppointment.findAll({
+    where,
+    attributes: ['id', 'appointment_number', 'appointment_time', 'duration_minutes', 'is_overbooked'],
+    transaction
+  });
+
+  return appointments.map((appointment) => {
+    const start = toMinutes(appointment.appointment_time);
+    return {
+      appointment_id: appointment.id,
+      appointment_number: appointment.appointment_number,
+      is_overbooked: appointment.is_overbooked,
+      start,
+      end: start + (appointment.duration_minutes || DEFAULT_SLOT_MINUTES)
+    };
+  });
+};
+
+/**
+ * Share of a doctor's past appointments (attended or missed) that were no-shows
+ * over the lookback window. Below the minimum sample the rate is reported as 0.
+ */
+const getNoShowRate = async (doctorId, { date, transaction } = {}) => {
+  const until = moment(date || undefined).format('YYYY-MM-DD');
+  const from = moment(until, 'YYYY-MM-DD').subtract(NO_SHOW_LOOKBACK_DAYS, 'days').format('YYYY-MM-DD');
+
+  const rows = await OPDAppointment.findAll({
+    where: {
+      doctor_id: doctorId,
+      appointment_date: { [Op.gte]: from, [Op.lt]: until },
+      status: { [Op.in]: ['completed', 'no_show'] }
+    },
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    raw: true,
+    transaction
+  });
+
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: parseInt(row.count, 10) }), {});
+  const noShows = counts.no_show || 0;
+  const sampleSize = noShows + (counts.completed || 0);
+
+  return {
+    from,
+    until,
+    no_shows: noShows,
+    sample_size: sampleSize,
+    rate: sampleSize >= NO_SHOW_MIN_SAMPLE ? noShows / sampleSize : 0
+  };
+};
+
+const sessionCapacity = (session) => {
+  const breakMinutes = session.breaks.reduce((sum, pause) => sum + (pause.end - pause.start), 0);
+  return Math.floor((session.end - session.start - breakMinutes) / session.slot_duration);
+};
+
+/**
+ * Extra bookings a session may take on top of its regular slots: the expected
+ * number of no-shows for its capacity, capped by the session's max_overbook.
+ */
+const getOverbookAllowance = (session, noShowRate) => (
+  Math.min(session.max_overbook, Math.floor(sessionCapacity(session) * noShowRate))
+);
+
+const countOverbooked = (session, booked) => booked
+  .filter((interval) => interval.is_overbooked && interval.start >= session.start && interval.start < session.end)
+  .length;
+
+/**
+ * Free slots for a doctor on a date, generated from the day's sessions with
+ * breaks, booked appointments and (for today) elapsed time removed.
+ */
+const listFreeSlots = async (doctorId, date) => {
+  const sessions = await getSessions(doctorId, date);
+  const booked = await getBookedIntervals(doctorId, date);
+  const { rate } = await getNoShowRate(doctorId, { date });
+  const now = moment();
+  const earliest = now.isSame(moment(date, 'YYYY-MM-DD'), 'day') ? now.hours() * 60 + now.minutes() : -1;
+
+  const slots = [];
+  sessions.forEach((session) => {
+    for (let start = session.start; start + session.slot_duration <= session.end; start += session.slot_duration) {
+      const slot = { start, end: start + session.slot_duration };
+
+      if (start < earliest) continue;
+      if (session.breaks.some((pause) => overlaps(slot, pause))) continue;
+      if (booked.some((interval) => overlaps(slot, interval))) continue;
+
+      slots.push({
+        time: toTimeString(slot.start),
+        end_time: toTimeString(slot.end),
+        duration_minutes: session.slot_duration
+      });
+    }
+  });
+
+  return {
+    sessions: sessions.map((session) => ({
+      start_time: toTimeString(session.start),
+      end_time: toTimeString(session.end),
+      slot_duration_minutes: session.slot_duration,
+      breaks: session.breaks.map((pause) => ({
+        start_time: toTimeString(pause.start),
+        end_time: toTimeString(pause.end)
+      })),
+      overbook_allowance: getOverbookAllowance(session, rate),
+      overbooked: countOverbooked(session, booked)
+    })),
+    slots
+  };
+};
+
+/**
+ * Serialize bookings for one doctor and date within the caller's transaction,
+ * so the availability check and the insert cannot interleave.
+ */
+const lockDoctorSchedule = async (doctorId, date, transaction) => {
+  await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+    replacements: { key: `opd:${doctorId}:${date}` },
+    transaction
+  });
+};
+
+/**
+ * Ensure an appointment fits inside one of the doctor's sessions, avoids
+ * breaks and does not overlap another appointment's duration. Returns the
+ * effective duration (the session's slot length unless one is given).
+ *
+ * With `allowOverbook`, a clash is accepted as an overbooking while the
+ * session is within its allowance and the slot is not already double-booked.
+ */
+const assertBookable = async (doctorId, date, time, durationMinutes, { excludeAppointmentId, allowOverbook, transaction } = {}) => {
+  const sessions = await getSessions(doctorId, date, { transaction });
+  const start = toMinutes(time);
+
+  const session = sessions.find((candidate) => start >= candidate.start && start < candidate.end);
+  if (!session) {
+    throw new ServiceError('Requested time is outside the doctor\'s availability', 409);
+  }
+
+  const duration = Number(durationMinutes) || session.slot_duration;
+  const requested = { start, end: start + duration };
+
+  if (requested.end > session.end || session.breaks.some((pause) => overlaps(requested, pause))) {
+    throw new ServiceError('Requested time is outside the doctor\'s availability', 409);
+  }
+
+  const booked = await getBookedIntervals(doctorId, date, { excludeAppointmentId, transaction });
+  const conflicts = booked.filter((interval) => overlaps(requested, interval));
+
+  if (conflicts.length > 0 && allowOverbook && !conflicts.some((conflict) => conflict.is_overbooked)) {
+    const { rate } = await getNoShowRate(doctorId, { date, transaction });
+    if (countOverbooked(session, booked) < getOverbookAllowance(session, rate)) {
+      return { duration_minutes: duration, is_overbooked: true };
+    }
+  }
+
+  if (conflicts.length > 0) {
+    throw new ServiceError('Time slot not available', 409, {
+      conflicts: conflicts.map((conflict) => ({
+        appointment_id: conflict.appointment_id,
+        appointment_number: conflict.appointment_number,
+        start_time: toTimeString(conflict.start),
+        end_time: toTimeString(conflict.end)
+      }))
+    });
+  }
+
+  return { duration_minutes: duration, is_overbooked: false };
+};
+
+module.exports = {
+  DEFAULT_SLOT_MINUTES,
+  toMinutes,
+  toTimeString,
+  getSessions,
+  getNoShowRate,
+  listFreeSlots,
+  lockDoctorSchedule,
+  assertBookable
+};
@@ -0,0 +1,403 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { Drug, DrugCategory, Prescription, PrescriptionItem, DrugAlertOverride, Patient } = require('../models');
+const { getActiveMedications, findMatchingDrugAllergies } = require('./patientClinicalService');
+const { logger } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+// Ordered from least to most serious
+const SEVERITY_LEVELS = ['minor', 'moderate', 'major', 'contraindicated'];
+
+// Alerts at or above this severity need an override reason before prescribing or dispensing
+const BLOCKING_SEVERITY = SEVERITY_LEVELS.includes(process.env.DRUG_ALERT_BLOCK_SEVERITY)
+  ? process.env.DRUG_ALERT_BLOCK_SEVERITY
+  : 'major';
+
+// How far back earlier prescriptions are considered for interactions and duplicates
+const LOOKBACK_DAYS = parseInt(process.env.DRUG_CHECK_LOOKBACK_DAYS, 10) || 90;
+
+const DATASET_FILE = process.env.DRUG_INTERACTIONS_FILE
+  ? path.resolve(process.env.DRUG_INTERACTIONS_FILE)
+  : path.join(__dirname, '..', 'data', 'drug-interactions.json');
+
+const ALLERGY_ALERT_SEVERITY = {
+  life_threatening: 'contraindicated',
+  severe: 'contraindicated',
+  moderate: 'major',
+  mild: 'moderate'
+};
+
+const SOURCE_LABELS = {
+  new_prescription: 'in this prescription',
+  home_medication: 'as a home medication',
+  current_prescription: 'on a current prescription'
+};
+
+let dataset = null;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compareSeverity = (severity, other) => SEVERITY_LEVELS.indexOf(severity) - SEVERITY_LEVELS.indexOf(other);
+
+/**
+ * Load (or reload) the interaction dataset from disk and index it. Category
+ * membership in the file supplements drugs.category_id, so rules keyed on a
+ * category also match drugs filed under a differently named category.
+ */
+const loadDataset = (file = DATASET_FILE) => {
+  const raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const categoriesByGeneric = new Map();
+  Object.entries(raw.categories || {}).forEach(([category, members]) => {
+    members.forEach((generic) => {
+      const key = normalize(generic);
+      if (!categoriesByGeneric.has(key)) {
+        categoriesByGeneric.set(key, new Set());
+      }
+      categoriesByGeneric.get(key).add(normalize(category));
+    });
+  });
+
+  const interactions = (raw.interactions || []).map((rule, index) => {
+    if (!SEVERITY_LEVELS.includes(rule.severity) || !Array.isArray(rule.drugs) || rule.drugs.length !== 2) {
+      throw new Error(`Invalid interaction rule #${index + 1} in ${file}`);
+    }
+    return {
+      ...rule,
+      drugs: rule.drugs.map((side) => ({
+        generic_name: side.generic_name ? normalize(side.generic_name) : null,
+        category: side.category ? normalize(side.category) : null
+      }))
+    };
+  });
+
+  dataset = {
+    version: raw.version || null,
+    file,
+    categoriesByGeneric,
+    categoryLabels: new Map(Object.keys(raw.categories || {}).map((category) => [normalize(category), category])),
+    interactions,
+    duplicateCategories: new Set((raw.duplicate_therapy || []).map(normalize)),
+    allergyGroups: Object.entries(raw.allergy_groups || {}).map(([group, members]) => ({
+      group: normalize(group),
+      members: new Set(members.map(normalize))
+    }))
+  };
+
+  logger.info(`Loaded drug interaction dataset ${dataset.version || '(unversioned)'} with ${interactions.length} rules from ${file}`);
+  return dataset;
+};
+
+const getDataset = () => dataset || loadDataset();
+
+// What the rules match a drug on: its generic name and every category it belongs to
+const profileDrug = ({ id = null, generic_name, brand_name = null, category_name = null }, source) => {
+  const generic = normalize(generic_name);
+  const categories = new Set(getDataset().categoriesByGeneric.get(generic) || []);
+  if (category_name) {
+    categories.add(normalize(category_name));
+  }
+  return { drug_id: id, generic, name: generic_name, brand_name, categories, source };
+};
+
+const matchesSide = (profile, side) => (
+  side.generic_name ? profile.generic === side.generic_name : profile.categories.has(side.category)
+);
+
+// Most serious rule covering the pair, in either order
+const findInteraction = (a, b) => {
+  let found = null;
+  getDataset().interactions.forEach((rule) => {
+    const [first, second] = rule.drugs;
+    const matches = (matchesSide(a, first) && matchesSide(b, second))
+      || (matchesSide(a, second) && matchesSide(b, first));
+    if (matches && (!found || compareSeverity(rule.severity, found.severity) > 0)) {
+      found = rule;
+    }
+  });
+  return found;
+};
+
+const pairCode = (type, a, b) => `${type}:${[a.generic, b.generic].sort().join('|')}`;
+
+const related = (profile) => ({
+  drug_id: profile.drug_id,
+  name: profile.name,
+  source: profile.source
+});
+
+const checkPair = (candidate, other) => {
+  const alerts = [];
+
+  if (candidate.generic === other.generic) {
+    alerts.push({
+      code: pairCode('duplicate', candidate, other),
+      type: 'duplicate_therapy',
+      severity: 'major',
+      drug_id: candidate.drug_id,
+      drug_name: candidate.name,
+      related: related(other),
+      message: `${candidate.name} is already listed ${SOURCE_LABELS[other.source]}`
+    });
+    return alerts;
+  }
+
+  const rule = findInteraction(candidate, other);
+  if (rule) {
+    alerts.push({
+      code: pairCode('interaction', candidate, other),
+      type: 'interaction',
+      severity: rule.severity,
+      drug_id: candidate.drug_id,
+      drug_name: candidate.name,
+      related: related(other),
+      message: `${candidate.name} + ${other.name}: ${rule.effect}`,
+      management: rule.management || null
+    });
+  }
+
+  const { duplicateCategories, categoryLabels } = getDataset();
+  const sharedClass = [...candidate.categories].find((category) => (
+    duplicateCategories.has(category) && other.categories.has(category)
+  ));
+  if (sharedClass) {
+    alerts.push({
+      code: pairCode('duplicate', candidate, other),
+      type: 'duplicate_therapy',
+      severity: 'moderate',
+      drug_id: candidate.drug_id,
+      drug_name: candidate.name,
+      related: related(other),
+      message: `${candidate.name} and ${other.name} are both ${categoryLabels.get(sharedClass) || sharedClass}`
+    });
+  }
+
+  return alerts;
+};
+
+const loadDrugProfiles = async (drugIds, source, transaction) => {
+  const drugs = await Drug.findAll({
+    where: { id: [...new Set(drugIds)] },
+    include: [{ model: DrugCategory, as: 'category', attributes: ['id', 'name'] }],
+    transaction
+  });
+  const byId = new Map(drugs.map((drug) => [drug.id, drug]));
+
+  return drugIds
+    .filter((id) => byId.has(id))
+    .map((id) => {
+      const drug = byId.get(id);
+      return profileDrug({
+        id: drug.id,
+        generic_name: drug.generic_name,
+        brand_name: drug.brand_name,
+        category_name: drug.category ? drug.category.name : null
+      }, source);
+    });
+};
+
+// Home medications and recent prescriptions still within their course
+const loadCurrentProfiles = async (patientId, { excludePrescriptionId, transaction }) => {
+  const medications = await getActiveMedications(patientId, { transaction });
+  const categoryIds = medications
+    .map((medication) => medication.drug && medication.drug.category_id)
+    .filter(Boolean);
+  const categories = categoryIds.length > 0
+    ? await DrugCategory.findAll({ where: { id: [...new Set(categoryIds)] }, attributes: ['id', 'name'], transaction })
+    : [];
+  const categoryNames = new Map(categories.map((category) => [category.id, category.name]));
+
+  const profiles = medications.map((medication) => profileDrug(
+    medication.drug
+      ? {
+        id: medication.drug.id,
+        generic_name: medication.drug.generic_name,
+        brand_name: medication.drug.brand_name,
+        category_name: categoryNames.get(medication.drug.category_id)
+      }
+      : { generic_name: medication.medication_name },
+    'home_medication'
+  ));
+
+  const prescriptionWhere = {
+    patient_id: patientId,
+    status: { [Op.ne]: 'cancelled' },
+    created_at: { [Op.gte]: moment().subtract(LOOKBACK_DAYS, 'days').toDate() }
+  };
+  if (excludePrescriptionId) {
+    prescriptionWhere.id = { [Op.ne]: excludePrescriptionId };
+  }
+
+  const items = await PrescriptionItem.findAll({
+    where: { status: { [Op.ne]: 'cancelled' } },
+    include: [
+      {
+        model: Prescription,
+        as: 'prescription',
+        where: prescriptionWhere,
+        attributes: ['id', 'status', 'created_at']
+      },
+      {
+        model: Drug,
+        as: 'drug',
+        attributes: ['id', 'generic_name', 'brand_name'],
+        include: [{ model: DrugCategory, as: 'category', attributes: ['id', 'name'] }]
+      }
+    ],
+    transaction
+  });
+
+  items
+    .filter((item) => (
+      item.duration_days
+        ? moment(item.prescription.created_at).add(item.duration_days, 'days').isSameOrAfter(moment(), 'day')
+        : ['active', 'partially_dispensed'].includes(item.prescription.status)
+    ))
+    .forEach((item) => {
+      profiles.push(profileDrug({
+        id: item.drug.id,
+        generic_name: item.drug.generic_name,
+        brand_name: item.drug.brand_name,
+        category_name: item.drug.category ? item.drug.category.name : null
+      }, 'current_prescription'));
+    });
+
+  return profiles;
+};
+
+// Coded allergies first; the legacy free-text patients.allergies is matched word by word
+const checkAllergies = async (patientId, candidate, freeTextAllergies, transaction) => {
+  const groups = getDataset().allergyGroups
+    .filter(({ members }) => members.has(candidate.generic))
+    .map(({ group }) => group);
+  const terms = [candidate.name, candidate.brand_name, ...candidate.categories, ...groups].filter(Boolean);
+
+  const allergies = await findMatchingDrugAllergies(patientId, terms, { transaction });
+  if (allergies.length === 0 && freeTextAllergies) {
+    const mentioned = terms.find((term) => new RegExp(`\\b${escapeRegExp(normalize(term))}`).test(freeTextAllergies));
+    if (mentioned) {
+      return [{
+        code: `allergy:${candidate.generic}:notes`,
+        type: 'allergy',
+        severity: 'major',
+        drug_id: candidate.drug_id,
+        drug_name: candidate.name,
+        related: { allergy_id: null, name: mentioned, source: 'allergy_notes' },
+        message: `Patient allergy notes mention ${mentioned}`
+      }];
+    }
+  }
+
+  return allergies.map((allergy) => ({
+    code: `allergy:${candidate.generic}:${allergy.id}`,
+    type: 'allergy',
+    severity: ALLERGY_ALERT_SEVERITY[allergy.severity] || 'major',
+    drug_id: candidate.drug_id,
+    drug_name: candidate.name,
+    related: { allergy_id: allergy.id, name: allergy.allergen, source: 'allergy' },
+    message: `Patient is allergic to ${allergy.allergen}${allergy.reaction ? ` (${allergy.reaction})` : ''}`
+  }));
+};
+
+/**
+ * Check drugs about to be prescribed or dispensed against the patient's
+ * drug allergies, each other, home medications and current prescriptions.
+ * Returns one alert per code (the most serious), most serious first.
+ */
+const checkDrugs = async (patientId, drugIds, { excludePrescriptionId, transaction } = {}) => {
+  const candidates = await loadDrugProfiles(drugIds, 'new_prescription', transaction);
+  const current = await loadCurrentProfiles(patientId, { excludePrescriptionId, transaction });
+  const patient = await Patient.findByPk(patientId, { attributes: ['id', 'allergies'], transaction });
+  const freeTextAllergies = patient && patient.allergies ? normalize(patient.allergies) : null;
+
+  const alerts = [];
+  for (const [index, candidate] of candidates.entries()) {
+    alerts.push(...await checkAllergies(patientId, candidate, freeTextAllergies, transaction));
+    candidates.slice(index + 1).forEach((other) => alerts.push(...checkPair(candidate, other)));
+    current.forEach((other) => alerts.push(...checkPair(candidate, other)));
+  }
+
+  const byCode = new Map();
+  alerts.forEach((alert) => {
+    const existing = byCode.get(alert.code);
+    if (!existing || compareSeverity(alert.severity, existing.severity) > 0) {
+      byCode.set(alert.code, alert);
+    }
+  });
+
+  return [...byCode.values()].sort((a, b) => compareSeverity(b.severity, a.severity));
+};
+
+// Mark alerts overridden earlier for the prescription and those that still need an override
+const flagAlerts = (alerts, alreadyOverridden = new Set()) => {
+  alerts.forEach((alert) => {
+    alert.overridden = alreadyOverridden.has(alert.code);
+    alert.requires_override = !alert.overridden && compareSeverity(alert.severity, BLOCKING_SEVERITY) >= 0;
+  });
+  return alerts;
+};
+
+/**
+ * Make sure every alert that needs an override has a reason.
+ * `alreadyOverridden` holds codes overridden earlier for the same prescription.
+ * Returns the alerts being overridden now, paired with their reasons.
+ */
+const resolveOverrides = (alerts, overrides = [], alreadyOverridden = new Set()) => {
+  const reasons = new Map((overrides || []).map((override) => [override.code, override.reason]));
+  flagAlerts(alerts, alreadyOverridden);
+
+  const pending = alerts.filter((alert) => alert.requires_override);
+  const missing = pending.filter((alert) => !reasons.has(alert.code));
+  if (missing.length > 0) {
+    throw new ServiceError('Drug safety alerts need an override reason', 409, {
+      alerts,
+      requires_override: missing.map((alert) => alert.code)
+    });
+  }
+
+  return pending.map((alert) => ({ alert, reason: reasons.get(alert.code) }));
+};
+
+const recordOverrides = (resolved, { patientId, prescriptionId, stage, actorId }, transaction) => {
+  if (resolved.length === 0) {
+    return [];
+  }
+
+  return DrugAlertOverride.bulkCreate(resolved.map(({ alert, reason }) => ({
+    patient_id: patientId,
+    prescription_id: prescriptionId,
+    drug_id: alert.drug_id,
+    alert_code: alert.code,
+    alert_type: alert.type,
+    severity: alert.severity,
+    message: alert.message,
+    reason,
+    stage,
+    overridden_by: actorId
+  })), { transaction });
+};
+
+const getOverriddenCodes = async (prescriptionId, transaction) => {
+  const overrides = await DrugAlertOverride.findAll({
+    where: { prescription_id: prescriptionId },
+    attributes: ['alert_code'],
+    transaction
+  });
+  return new Set(overrides.map((override) => override.alert_code));
+};
+
+module.exports = {
+  SEVERITY_LEVELS,
+  BLOCKING_SEVERITY,
+  loadDataset,
+  getDataset,
+  checkDrugs,
+  flagAlerts,
+  resolveOverrides,
+  recordOverrides,
+  getOverriddenCodes
+};
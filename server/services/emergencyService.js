@@ -0,0 +1,325 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const { EmergencyCase, EmergencyTriageAssessment, Patient, Staff } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const { admitPatient } = require('./admissionService');
+const { mergePatients } = require('./patientMergeService');
+const ServiceError = require('../utils/serviceError');
+
+const BOARD_ROOM = 'emergency_board';
+
+// Most acute first
+const TRIAGE_RANK = {
+  critical: 1,
+  urgent: 2,
+  less_urgent: 3,
+  non_urgent: 4
+};
+
+const TRIAGE_LEVELS = Object.keys(TRIAGE_RANK);
+const OPEN_STATUSES = ['waiting', 'in_treatment'];
+const DISPOSITIONS = ['admitted', 'discharged', 'referred'];
+
+const lockOpenCase = async (caseId, transaction) => {
+  const emergencyCase = await EmergencyCase.findByPk(caseId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  if (!emergencyCase) {
+    throw new ServiceError('Emergency case not found', 404);
+  }
+  if (!OPEN_STATUSES.includes(emergencyCase.status)) {
+    throw new ServiceError(`Emergency case is already ${emergencyCase.status}`, 409);
+  }
+
+  return emergencyCase;
+};
+
+const findDoctor = async (doctorId, transaction) => {
+  const doctor = await Staff.findOne({ where: { id: doctorId, is_active: true }, transaction });
+  if (!doctor) {
+    throw new ServiceError('Doctor not found', 404);
+  }
+  return doctor;
+};
+
+/**
+ * Placeholder record for a patient who cannot be identified on arrival. The
+ * date of birth is estimated from the apparent age; the record is completed
+ * or merged into the real one once the patient is identified.
+ */
+const createUnidentifiedPatient = async (data, transaction) => {
+  const patientId = await generateNumber('patient', { transaction });
+  const estimatedAge = data.estimated_age !== undefined ? Number(data.estimated_age) : 40;
+
+  return Patient.create({
+    patient_id: patientId,
+    first_name: 'Unknown',
+    last_name: data.alias || patientId,
+    date_of_birth: moment().subtract(estimatedAge, 'years').startOf('year').format('YYYY-MM-DD'),
+    gender: data.gender || null,
+    is_unidentified: true,
+    is_active: true
+  }, { transaction });
+};
+
+/**
+ * Register an arrival. Either `patient_id` or `unknown_patient` is required;
+ * the initial triage is also recorded as the first assessment.
+ */
+const registerCase = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    let patient;
+    if (data.unknown_patient) {
+      patient = await createUnidentifiedPatient(data, transaction);
+    } else {
+      patient = await Patient.findOne({
+        where: { id: data.patient_id, is_active: true },
+        transaction,
+        lock: transaction.LOCK.UPDATE
+      });
+      if (!patient) {
+        throw new ServiceError('Patient not found', 404);
+      }
+
+      const openCase = await EmergencyCase.findOne({
+        where: { patient_id: patient.id, status: OPEN_STATUSES },
+        transaction
+      });
+      if (openCase) {
+        throw new ServiceError(`Patient already has an open emergency case (${openCase.case_number})`, 409, {
+          case_id: openCase.id
+        });
+      }
+    }
+
+    if (data.assigned_doctor_id) {
+      await findDoctor(data.assigned_doctor_id, transaction);
+    }
+
+    const now = new Date();
+    const emergencyCase = await EmergencyCase.create({
+      case_number: await generateNumber('emergency_case', { transaction }),
+      patient_id: patient.id,
+      triage_level: data.triage_level,
+      arrival_time: data.arrival_time || now,
+      arrival_mode: data.arrival_mode || 'walk_in',
+      chief_complaint: data.chief_complaint,
+      vital_signs: data.vital_signs || null,
+      assigned_doctor_id: data.assigned_doctor_id || null,
+      status: data.assigned_doctor_id ? 'in_treatment' : 'waiting',
+      treatment_started_at: data.assigned_doctor_id ? now : null,
+      last_triaged_at: now,
+      registered_by: actorId
+    }, { transaction });
+
+    await EmergencyTriageAssessment.create({
+      case_id: emergencyCase.id,
+      triage_level: data.triage_level,
+      vital_signs: data.vital_signs || null,
+      notes: data.triage_notes || null,
+      assessed_by: actorId,
+      assessed_at: now
+    }, { transaction });
+
+    return emergencyCase;
+  });
+};
+
+// New vitals are merged over the last set so a partial reading keeps the rest
+const retriageCase = async (caseId, data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const emergencyCase = await lockOpenCase(caseId, transaction);
+    const now = new Date();
+
+    const assessment = await EmergencyTriageAssessment.create({
+      case_id: emergencyCase.id,
+      triage_level: data.triage_level,
+      vital_signs: data.vital_signs || null,
+      notes: data.notes || null,
+      assessed_by: actorId,
+      assessed_at: now
+    }, { transaction });
+
+    const previousLevel = emergencyCase.triage_level;
+    await emergencyCase.update({
+      triage_level: data.triage_level,
+      vital_signs: data.vital_signs
+        ? { ...(emergencyCase.vital_signs || {}), ...data.vital_signs }
+        : emergencyCase.vital_signs,
+      last_triaged_at: now
+    }, { transaction });
+
+    return { emergencyCase, assessment, previousLevel };
+  });
+};
+
+// The assigned doctor picks the patient up, so a waiting case moves into treatment
+const assignDoctor = async (caseId, doctorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const emergencyCase = await lockOpenCase(caseId, transaction);
+    await findDoctor(doctorId, transaction);
+
+    await emergencyCase.update({
+      assigned_doctor_id: doctorId,
+      status: 'in_treatment',
+      treatment_started_at: emergencyCase.treatment_started_at || new Date()
+    }, { transaction });
+
+    return emergencyCase;
+  });
+};
+
+/**
+ * Close a case as admitted, discharged or referred. Admission goes through the
+ * IPD admission service in the same transaction, so the bed is claimed and the
+ * case closed together or not at all.
+ */
+const disposeCase = async (caseId, data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const emergencyCase = await lockOpenCase(caseId, transaction);
+    const changes = {
+      status: data.disposition,
+      discharge_time: new Date(),
+      disposition_notes: data.notes || null,
+      disposed_by: actorId
+    };
+
+    if (data.disposition === 'admitted') {
+      const doctorId = data.doctor_id || emergencyCase.assigned_doctor_id;
+      if (!doctorId) {
+        throw new ServiceError('An admitting doctor is required', 400);
+      }
+      await findDoctor(doctorId, transaction);
+
+      const admission = await admitPatient({
+        patient_id: emergencyCase.patient_id,
+        doctor_id: doctorId,
+        bed_id: data.bed_id,
+        admission_type: 'emergency',
+        diagnosis: data.diagnosis || emergencyCase.chief_complaint,
+        treatment_plan: data.treatment_plan
+      }, { transaction });
+
+      changes.admission_id = admission.id;
+    }
+
+    if (data.disposition === 'referred') {
+      changes.referred_to = data.referred_to;
+    }
+
+    await emergencyCase.update(changes, { transaction });
+    return emergencyCase;
+  });
+};
+
+/**
+ * Complete an unknown patient's placeholder record, or, when they turn out to
+ * be an existing patient, merge the placeholder into that record.
+ */
+const identifyPatient = async (caseId, data, actorId) => {
+  const emergencyCase = await EmergencyCase.findByPk(caseId, {
+    include: [{ model: Patient, as: 'patient' }]
+  });
+  if (!emergencyCase) {
+    throw new ServiceError('Emergency case not found', 404);
+  }
+  if (!emergencyCase.patient || !emergencyCase.patient.is_unidentified) {
+    throw new ServiceError('The patient on this case is already identified', 409);
+  }
+
+  if (data.patient_id) {
+    const { survivor } = await mergePatients(data.patient_id, emergencyCase.patient.id, {
+      reason: `Unidentified emergency patient identified (${emergencyCase.case_number})`,
+      actorId
+    });
+    return survivor;
+  }
+
+  const placeholder = emergencyCase.patient;
+  await placeholder.update({
+    first_name: data.first_name,
+    last_name: data.last_name,
+    date_of_birth: data.date_of_birth,
+    gender: data.gender || placeholder.gender,
+    phone: data.phone || placeholder.phone,
+    address: data.address || placeholder.address,
+    is_unidentified: false
+  });
+  return placeholder;
+};
+
+/**
+ * Open cases ordered by acuity, then by how long they have been waiting.
+ */
+const getTriageBoard = async () => {
+  const cases = await EmergencyCase.findAll({
+    where: { status: OPEN_STATUSES },
+    include: [
+      {
+        model: Patient,
+        as: 'patient',
+        attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'is_unidentified']
+      },
+      {
+        model: Staff,
+        as: 'assigned_doctor',
+        attributes: ['id', 'first_name', 'last_name', 'specialization']
+      }
+    ]
+  });
+
+  const now = moment();
+  const entries = cases
+    .map((emergencyCase) => ({
+      id: emergencyCase.id,
+      case_number: emergencyCase.case_number,
+      triage_level: emergencyCase.triage_level,
+      status: emergencyCase.status,
+      arrival_time: emergencyCase.arrival_time,
+      arrival_mode: emergencyCase.arrival_mode,
+      chief_complaint: emergencyCase.chief_complaint,
+      vital_signs: emergencyCase.vital_signs,
+      last_triaged_at: emergencyCase.last_triaged_at,
+      waiting_minutes: now.diff(moment(emergencyCase.arrival_time), 'minutes'),
+      patient: emergencyCase.patient,
+      assigned_doctor: emergencyCase.assigned_doctor
+    }))
+    .sort((a, b) => (TRIAGE_RANK[a.triage_level] - TRIAGE_RANK[b.triage_level]) ||
+      (new Date(a.arrival_time) - new Date(b.arrival_time)));
+
+  const counts = TRIAGE_LEVELS.reduce((result, level) => {
+    result[level] = entries.filter((entry) => entry.triage_level === level).length;
+    return result;
+  }, {});
+
+  return {
+    waiting: entries.filter((entry) => entry.status === 'waiting'),
+    in_treatment: entries.filter((entry) => entry.status === 'in_treatment'),
+    counts,
+    updated_at: new Date().toISOString()
+  };
+};
+
+// Push the latest board to every ED screen
+const broadcastBoard = async (io) => {
+  const board = await getTriageBoard();
+  if (io) {
+    io.to(BOARD_ROOM).emit('emergency_board_updated', board);
+  }
+  return board;
+};
+
+module.exports = {
+  BOARD_ROOM,
+  TRIAGE_LEVELS,
+  DISPOSITIONS,
+  registerCase,
+  retriageCase,
+  assignDoctor,
+  disposeCase,
+  identifyPatient,
+  getTriageBoard,
+  broadcastBoard
+};
@@ -0,0 +1,220 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { FamilyAccount, Patient, PatientBill } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const ServiceError = require('../utils/serviceError');
+
+const MEMBER_ATTRIBUTES = ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'family_role'];
+
+// Bills that never became payable stay off family statements
+const STATEMENT_EXCLUDED_STATUSES = ['draft', 'cancelled'];
+
+const toAmount = (value) => Math.round(parseFloat(value || 0) * 100) / 100;
+
+const lockAccount = async (accountId, transaction) => {
+  const account = await FamilyAccount.findByPk(accountId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!account || !account.is_active) {
+    throw new ServiceError('Family account not found', 404);
+  }
+  return account;
+};
+
+const lockPatient = async (patientId, transaction) => {
+  const patient = await Patient.findOne({
+    where: { id: patientId, is_active: true },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!patient) {
+    throw new ServiceError('Patient not found', 404);
+  }
+  return patient;
+};
+
+const joinAccount = async (account, patient, role, transaction) => {
+  if (patient.family_account_id && patient.family_account_id !== account.id) {
+    throw new ServiceError(`Patient ${patient.patient_id} already belongs to another family account`, 409, {
+      family_account_id: patient.family_account_id
+    });
+  }
+  if (patient.family_account_id === account.id) {
+    throw new ServiceError(`Patient ${patient.patient_id} is already a member of this account`, 409);
+  }
+
+  await patient.update({ family_account_id: account.id, family_role: role }, { transaction });
+};
+
+/**
+ * Open a family account with its guarantor (the member statements are
+ * addressed to) and any initial members. A patient belongs to one account.
+ */
+const createFamilyAccount = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const memberIds = [...new Set((data.member_ids || []).filter((id) => id !== data.guarantor_patient_id))];
+
+    const patients = {};
+    for (const id of [data.guarantor_patient_id, ...memberIds].sort()) {
+      patients[id] = await lockPatient(id, transaction);
+    }
+    const guarantor = patients[data.guarantor_patient_id];
+
+    const account = await FamilyAccount.create({
+      account_number: await generateNumber('family_account', { transaction }),
+      name: data.name || `${guarantor.last_name} family`,
+      billing_address: data.billing_address || guarantor.address,
+      billing_phone: data.billing_phone || guarantor.phone,
+      billing_email: data.billing_email || guarantor.email,
+      is_active: true,
+      created_by: actorId
+    }, { transaction });
+
+    await joinAccount(account, guarantor, 'guarantor', transaction);
+    for (const id of memberIds) {
+      await joinAccount(account, patients[id], 'member', transaction);
+    }
+
+    return account;
+  });
+};
+
+const getFamilyAccount = (accountId) => (
+  FamilyAccount.findOne({
+    where: { id: accountId, is_active: true },
+    include: [{
+      model: Patient,
+      as: 'members',
+      attributes: MEMBER_ATTRIBUTES
+    }],
+    order: [[{ model: Patient, as: 'members' }, 'family_role', 'ASC'], [{ model: Patient, as: 'members' }, 'first_name', 'ASC']]
+  })
+);
+
+const addMember = async (accountId, patientId) => {
+  return sequelize.transaction(async (transaction) => {
+    const account = await lockAccount(accountId, transaction);
+    const patient = await lockPatient(patientId, transaction);
+    await joinAccount(account, patient, 'member', transaction);
+    return patient;
+  });
+};
+
+const removeMember = async (accountId, patientId) => {
+  return sequelize.transaction(async (transaction) => {
+    await lockAccount(accountId, transaction);
+    const patient = await Patient.findOne({
+      where: { id: patientId, family_account_id: accountId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!patient) {
+      throw new ServiceError('Patient is not a member of this account', 404);
+    }
+    if (patient.family_role === 'guarantor') {
+      throw new ServiceError('Assign another guarantor before removing this member', 409);
+    }
+
+    await patient.update({ family_account_id: null, family_role: null }, { transaction });
+    return patient;
+  });
+};
+
+const setGuarantor = async (accountId, patientId) => {
+  return sequelize.transaction(async (transaction) => {
+    await lockAccount(accountId, transaction);
+    const members = await Patient.findAll({
+      where: { family_account_id: accountId },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const next = members.find((member) => member.id === patientId);
+    if (!next || !next.is_active) {
+      throw new ServiceError('Patient is not a member of this account', 404);
+    }
+
+    // Demote first: only one guarantor per account is allowed at any moment
+    const current = members.find((member) => member.family_role === 'guarantor');
+    if (current && current.id !== next.id) {
+      await current.update({ family_role: 'member' }, { transaction });
+    }
+    await next.update({ family_role: 'guarantor' }, { transaction });
+
+    return next;
+  });
+};
+
+/**
+ * Consolidated statement for every current member of a family account:
+ * each member's bills in the period with subtotals, and account-wide totals.
+ */
+const getFamilyStatement = async (accountId, { from, to } = {}) => {
+  const account = await getFamilyAccount(accountId);
+  if (!account) {
+    throw new ServiceError('Family account not found', 404);
+  }
+
+  const where = {
+    patient_id: account.members.map((member) => member.id),
+    status: { [Op.notIn]: STATEMENT_EXCLUDED_STATUSES }
+  };
+  if (from || to) {
+    where.bill_date = {};
+    if (from) where.bill_date[Op.gte] = from;
+    if (to) where.bill_date[Op.lte] = to;
+  }
+
+  const bills = await PatientBill.findAll({
+    where,
+    attributes: ['id', 'bill_number', 'patient_id', 'admission_id', 'bill_date', 'due_date',
+      'total_amount', 'paid_amount', 'balance_amount', 'status'],
+    order: [['bill_date', 'ASC'], ['bill_number', 'ASC']]
+  });
+
+  const sum = (rows, field) => toAmount(rows.reduce((total, row) => total + toAmount(row[field]), 0));
+
+  const members = account.members.map((member) => {
+    const memberBills = bills.filter((bill) => bill.patient_id === member.id);
+    return {
+      patient: member,
+      bills: memberBills,
+      totals: {
+        billed: sum(memberBills, 'total_amount'),
+        paid: sum(memberBills, 'paid_amount'),
+        balance: sum(memberBills, 'balance_amount')
+      }
+    };
+  });
+
+  return {
+    account: {
+      id: account.id,
+      account_number: account.account_number,
+      name: account.name,
+      billing_address: account.billing_address,
+      billing_phone: account.billing_phone,
+      billing_email: account.billing_email,
+      guarantor: account.members.find((member) => member.family_role === 'guarantor') || null
+    },
+    period: { from: from || null, to: to || null },
+    members,
+    totals: {
+      bills: bills.length,
+      billed: sum(bills, 'total_amount'),
+      paid: sum(bills, 'paid_amount'),
+      balance: sum(bills, 'balance_amount')
+    }
+  };
+};
+
+module.exports = {
+  createFamilyAccount,
+  getFamilyAccount,
+  addMember,
+  removeMember,
+  setGuarantor,
+  getFamilyStatement
+};
@@ -0,0 +1,147 @@
+// HL7 v2 ORU^R01 parsing and MLLP framing. Pure functions, shared by the
+// analyzer listener and the simulator.
+//
+// MLLP wraps each message as <VT> message <FS><CR>. Segments end with CR.
+
+const moment = require('moment');
+
+const VT = 0x0b;
+const FS = 0x1c;
+const CR = 0x0d;
+
+const frame = (message) => Buffer.concat([
+  Buffer.from([VT]),
+  Buffer.from(message, 'utf8'),
+  Buffer.from([FS, CR])
+]);
+
+// \F\ \S\ \T\ \R\ \E\ stand for the delimiters; other escapes are dropped
+const unescape = (value, delimiters) => value.replace(/\\([FSTRE]|[^\\]*)\\/g, (match, code) => ({
+  F: delimiters.field,
+  S: delimiters.component,
+  T: delimiters.subcomponent,
+  R: delimiters.repeat,
+  E: delimiters.escape
+}[code] || ''));
+
+const parseTimestamp = (value) => {
+  const parsed = moment(value || '', ['YYYYMMDDHHmmss', 'YYYYMMDDHHmm', 'YYYYMMDD'], true);
+  return parsed.isValid() ? parsed.toDate() : null;
+};
+
+const splitSegments = (text) => {
+  const segments = text.split(/\r\n?|\n/).filter(Boolean);
+  const msh = segments[0];
+  if (!msh || !msh.startsWith('MSH') || msh.length < 8) {
+    throw new Error('HL7 message must start with an MSH segment');
+  }
+
+  const delimiters = {
+    field: msh[3],
+    component: msh[4],
+    repeat: msh[5],
+    escape: msh[6],
+    subcomponent: msh[7]
+  };
+
+  // MSH-1 is the field separator itself, so MSH fields are shifted by one
+  // to keep index n as field n, the same as every other segment
+  const fields = (segment) => {
+    const values = segment.split(delimiters.field);
+    return values[0] === 'MSH' ? ['MSH', delimiters.field, ...values.slice(1)] : values;
+  };
+
+  return { segments: segments.map(fields), delimiters };
+};
+
+/**
+ * Parse an ORU^R01. Observations are grouped by specimen: SPM-2 when the
+ * message has SPM segments (v2.5+), otherwise the filler order number OBR-3,
+ * then the placer order number OBR-2. The test code is OBX-3's identifier.
+ */
+const parseMessage = (text) => {
+  const { segments, delimiters } = splitSegments(text);
+  const components = (field) => (field || '').split(delimiters.component).map((value) => unescape(value, delimiters).trim());
+
+  const msh = segments[0];
+  const messageType = components(msh[9]);
+  if (messageType[0] !== 'ORU') {
+    throw new Error(`Unsupported HL7 message type ${messageType.filter(Boolean).join('^') || '(none)'}`);
+  }
+
+  const specimens = [];
+  const byAccession = new Map();
+  let patientId = null;
+  let specimen = null;
+
+  const specimenFor = (accession) => {
+    if (!byAccession.has(accession)) {
+      const created = { accession, patientId, results: [] };
+      byAccession.set(accession, created);
+      specimens.push(created);
+    }
+    return byAccession.get(accession);
+  };
+
+  segments.forEach((fields, index) => {
+    switch (fields[0]) {
+      case 'PID':
+        patientId = components(fields[3])[0] || null;
+        break;
+      case 'OBR': {
+        const spm = segments.slice(index + 1).find((segment) => ['SPM', 'OBR'].includes(segment[0]));
+        const accession = (spm && spm[0] === 'SPM' && components(spm[2])[0])
+          || components(fields[3])[0]
+          || components(fields[2])[0];
+        specimen = accession ? specimenFor(accession) : null;
+        break;
+      }
+      case 'OBX': {
+        if (!specimen) break;
+        const code = components(fields[3])[0];
+        if (!code) break;
+        specimen.results.push({
+          code,
+          value: unescape((fields[5] || '').split(delimiters.component)[0], delimiters).trim(),
+          unit: components(fields[6])[0] || null,
+          flag: components(fields[8])[0] || null,
+          status: (fields[11] || '').trim().toUpperCase() || null,
+          completedAt: parseTimestamp(fields[14])
+        });
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  return {
+    sender: components(msh[3])[0] || null,
+    facility: components(msh[4])[0] || null,
+    controlId: (msh[10] || '').trim() || null,
+    version: components(msh[12])[0] || '2.5',
+    specimens
+  };
+};
+
+/**
+ * Acknowledgement for a received message: AA accepted, AE error, AR rejected.
+ * Falls back to a bare header when the message could not be parsed.
+ */
+const buildAck = (message, code, text) => {
+  const sent = message || {};
+  const timestamp = moment().format('YYYYMMDDHHmmss');
+  return [
+    ['MSH', '^~\\&', 'HMS', 'LAB', sent.sender || '', sent.facility || '', timestamp, '', 'ACK^R01^ACK', `ACK${timestamp}`, 'P', sent.version || '2.5'].join('|'),
+    ['MSA', code, sent.controlId || '', (text || '').replace(/[|^~\\&\r\n]/g, ' ')].join('|')
+  ].join('\r') + '\r';
+};
+
+module.exports = {
+  VT,
+  FS,
+  CR,
+  frame,
+  parseMessage,
+  buildAck
+};
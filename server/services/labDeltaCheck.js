@@ -0,0 +1,61 @@
+// Delta check: compare a result with the patient's previous released value
+// for the same test (or panel component). A large change is more often a
+// mislabelled or contaminated sample than a real change, so it is held for
+// review before release.
+//
+// Numeric results are flagged when the change exceeds the absolute threshold
+// or the percentage threshold, whichever are set. Text results are flagged
+// when the value differs (e.g. a blood group that changes).
+
+const DEFAULT_PERCENT = parseFloat(process.env.LAB_DELTA_PERCENT) || 50;
+const WINDOW_DAYS = parseInt(process.env.LAB_DELTA_WINDOW_DAYS, 10) || 90;
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * `thresholds` come from the component or test (`delta_percent`,
+ * `delta_absolute`); the percentage falls back to LAB_DELTA_PERCENT when
+ * neither is set. Returns the change and whether it needs review, or null
+ * when there is no previous value.
+ */
+const deltaCheck = (current, previous, thresholds = {}) => {
+  if (!previous) return null;
+
+  const currentNumber = toNumber(current.value_numeric);
+  const previousNumber = toNumber(previous.value_numeric);
+
+  if (currentNumber !== null && previousNumber !== null) {
+    const change = Number((currentNumber - previousNumber).toFixed(4));
+    const percent = previousNumber !== 0
+      ? Number(((change / Math.abs(previousNumber)) * 100).toFixed(2))
+      : null;
+
+    const absoluteLimit = toNumber(thresholds.delta_absolute);
+    let percentLimit = toNumber(thresholds.delta_percent);
+    if (percentLimit === null && absoluteLimit === null) {
+      percentLimit = DEFAULT_PERCENT;
+    }
+
+    const overAbsolute = absoluteLimit !== null && Math.abs(change) > absoluteLimit;
+    // A change away from zero has no percentage; treat it as large unless an absolute limit says otherwise
+    const overPercent = percentLimit !== null && (percent === null
+      ? change !== 0 && absoluteLimit === null
+      : Math.abs(percent) > percentLimit);
+
+    return { change, percent, flagged: overAbsolute || overPercent };
+  }
+
+  if (current.value_text !== null && current.value_text !== undefined
+    && previous.value_text !== null && previous.value_text !== undefined) {
+    const changed = String(current.value_text).trim().toLowerCase() !== String(previous.value_text).trim().toLowerCase();
+    return { change: null, percent: null, flagged: changed };
+  }
+
+  return null;
+};
+
+module.exports = {
+  DEFAULT_PERCENT,
+  WINDOW_DAYS,
+  deltaCheck
+};
@@ -0,0 +1,53 @@
+const moment = require('moment');
+const { containers, label: labelSettings } = require('../config/labSamples');
+
+// ZPL field data can't contain the control characters ^ and ~
+const zplText = (value) => String(value === null || value === undefined ? '' : value).replace(/[\^~]/g, ' ');
+
+const toZpl = (label) => {
+  const { width, height, barcodeHeight } = labelSettings;
+  return [
+    '^XA',
+    '^CI28',
+    `^PW${width}`,
+    `^LL${height}`,
+    `^FO20,15^A0N,24,24^FD${zplText(label.patient_name)}^FS`,
+    `^FO20,42^A0N,20,20^FD${zplText(label.patient_number)}  ${zplText(label.date_of_birth)}  ${zplText(label.gender)}^FS`,
+    `^FO20,68^BY2^BCN,${barcodeHeight},Y,N,N^FD${zplText(label.accession_number)}^FS`,
+    `^FO20,${100 + barcodeHeight}^A0N,18,18^FD${zplText(label.container_code)} ${zplText(label.tests.join(','))}^FS`,
+    `^FO${width - 120},${100 + barcodeHeight}^A0N,18,18^FD${zplText(label.priority.toUpperCase())}^FS`,
+    '^XZ'
+  ].join('\n');
+};
+
+/**
+ * Label content for one sample. The barcode encodes the accession number as
+ * Code 128; `zpl` is ready to send to a Zebra-compatible label printer.
+ */
+const buildLabel = (sample, { order, patient, tests }) => {
+  const container = containers[sample.sample_type] || containers.other;
+  const label = {
+    accession_number: sample.accession_number,
+    barcode: {
+      symbology: 'code128',
+      data: sample.accession_number
+    },
+    patient_name: `${patient.first_name} ${patient.last_name}`,
+    patient_number: patient.patient_id,
+    date_of_birth: patient.date_of_birth ? moment(patient.date_of_birth).format('YYYY-MM-DD') : null,
+    gender: patient.gender,
+    order_number: order.order_number,
+    priority: order.priority || 'routine',
+    sample_type: sample.sample_type,
+    container: container.container,
+    container_code: container.code,
+    tests: tests.map((test) => test.test_code),
+    collected_at: sample.collected_at
+  };
+
+  return { ...label, zpl: toZpl(label) };
+};
+
+module.exports = {
+  buildLabel
+};
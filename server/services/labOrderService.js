@@ -0,0 +1,303 @@
+const { sequelize } = require('../config/database');
+const { LabOrder, LabOrderItem, LabSample, LabTest, Patient, Staff } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const ServiceError = require('../utils/serviceError');
+
+const lockOrder = async (orderId, transaction) => {
+  const order = await LabOrder.findByPk(orderId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!order) {
+    throw new ServiceError('Lab order not found', 404);
+  }
+  return order;
+};
+
+const lockSample = async (sampleId, transaction) => {
+  const sample = await LabSample.findByPk(sampleId, { transaction });
+  if (!sample) {
+    throw new ServiceError('Sample not found', 404);
+  }
+  // Order first, then sample: the same order as collection, so they can't deadlock
+  const order = await lockOrder(sample.lab_order_id, transaction);
+  await sample.reload({ transaction, lock: transaction.LOCK.UPDATE });
+  return { sample, order };
+};
+
+/**
+ * An order's status follows its tests: cancelled when every test is,
+ * completed when every remaining test is verified, in progress once any test
+ * is being run, and sample_collected once every remaining test has a sample.
+ */
+const orderStatus = (items) => {
+  const active = items.filter((item) => item.status !== 'cancelled');
+  if (active.length === 0) return 'cancelled';
+  if (active.every((item) => item.status === 'completed')) return 'completed';
+  if (active.some((item) => ['in_progress', 'resulted', 'completed'].includes(item.status))) return 'in_progress';
+  if (active.every((item) => item.status === 'sample_collected')) return 'sample_collected';
+  return 'ordered';
+};
+
+const orderTotal = (items) => Number(items
+  .filter((item) => item.status !== 'cancelled')
+  .reduce((total, item) => total + Number(item.price || 0), 0)
+  .toFixed(2));
+
+const refreshOrder = async (order, transaction) => {
+  const items = await LabOrderItem.findAll({ where: { lab_order_id: order.id }, transaction });
+  await order.update({ status: orderStatus(items), total_amount: orderTotal(items) }, { transaction });
+  return items;
+};
+
+const createLabOrder = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const patient = await Patient.findByPk(data.patient_id, { transaction });
+    if (!patient) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    const doctor = await Staff.findByPk(data.doctor_id, { transaction });
+    if (!doctor) {
+      throw new ServiceError('Doctor not found', 404);
+    }
+
+    const tests = await LabTest.findAll({ where: { id: data.test_ids, is_active: true }, transaction });
+    const found = new Set(tests.map((test) => test.id));
+    const missing = data.test_ids.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      throw new ServiceError('Some lab tests were not found', 404, { test_ids: missing });
+    }
+
+    const order = await LabOrder.create({
+      order_number: await generateNumber('lab_order', { transaction }),
+      patient_id: patient.id,
+      doctor_id: doctor.id,
+      order_date: new Date(),
+      priority: data.priority || 'routine',
+      status: 'ordered',
+      total_amount: orderTotal(tests),
+      notes: data.notes,
+      ordered_by: actorId
+    }, { transaction });
+
+    const items = await LabOrderItem.bulkCreate(tests.map((test) => ({
+      lab_order_id: order.id,
+      lab_test_id: test.id,
+      status: 'ordered',
+      price: test.price
+    })), { transaction });
+
+    return { order, items };
+  });
+};
+
+// Cancel every test that has not been started; fails if any has
+const cancelLabOrder = async (orderId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    if (['completed', 'cancelled'].includes(order.status)) {
+      throw new ServiceError(`Lab order is already ${order.status}`, 409);
+    }
+
+    const items = await LabOrderItem.findAll({ where: { lab_order_id: order.id }, transaction });
+    const started = items.filter((item) => ['in_progress', 'resulted', 'completed'].includes(item.status));
+    if (started.length > 0) {
+      throw new ServiceError('Tests already being run cannot be cancelled', 409, {
+        items: started.map((item) => item.id)
+      });
+    }
+
+    const cancellation = { status: 'cancelled', cancelled_by: actorId, cancelled_at: new Date(), cancellation_reason: reason };
+    await LabOrderItem.update(cancellation, {
+      where: { lab_order_id: order.id, status: ['ordered', 'sample_collected'] },
+      transaction
+    });
+    await order.update(cancellation, { transaction });
+
+    return order;
+  });
+};
+
+const cancelLabOrderItem = async (orderId, itemId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    const item = await LabOrderItem.findOne({ where: { id: itemId, lab_order_id: order.id }, transaction });
+    if (!item) {
+      throw new ServiceError('Test not found on this order', 404);
+    }
+    if (!['ordered', 'sample_collected'].includes(item.status)) {
+      throw new ServiceError(`A test that is ${item.status.replace('_', ' ')} cannot be cancelled`, 409);
+    }
+
+    await item.update({
+      status: 'cancelled',
+      cancelled_by: actorId,
+      cancelled_at: new Date(),
+      cancellation_reason: reason
+    }, { transaction });
+    await refreshOrder(order, transaction);
+
+    return { order, item };
+  });
+};
+
+/**
+ * Collect samples for the outstanding tests on an order (or the listed ones).
+ * Tests are grouped by sample type and each group gets one sample with its
+ * own accession number.
+ */
+const collectSamples = async (orderId, { itemIds, collectedAt, notes } = {}, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    if (['completed', 'cancelled'].includes(order.status)) {
+      throw new ServiceError(`Lab order is already ${order.status}`, 409);
+    }
+
+    const where = { lab_order_id: order.id };
+    if (itemIds) where.id = itemIds;
+    const items = await LabOrderItem.findAll({
+      where,
+      include: [{ model: LabTest, as: 'test' }],
+      transaction
+    });
+
+    if (itemIds && items.length !== itemIds.length) {
+      const found = new Set(items.map((item) => item.id));
+      throw new ServiceError('Some tests are not on this order', 404, {
+        items: itemIds.filter((id) => !found.has(id))
+      });
+    }
+
+    const pending = items.filter((item) => item.status === 'ordered');
+    if (itemIds && pending.length !== items.length) {
+      throw new ServiceError('Samples can only be collected for tests awaiting collection', 409, {
+        items: items.filter((item) => item.status !== 'ordered').map((item) => ({ id: item.id, status: item.status }))
+      });
+    }
+    if (pending.length === 0) {
+      throw new ServiceError('No tests on this order are awaiting sample collection', 409);
+    }
+
+    const byType = new Map();
+    pending.forEach((item) => {
+      const type = item.test.sample_type || 'other';
+      byType.set(type, [...(byType.get(type) || []), item]);
+    });
+
+    const collected = [];
+    for (const [sampleType, typeItems] of byType) {
+      const sample = await LabSample.create({
+        accession_number: await generateNumber('lab_sample', { transaction }),
+        lab_order_id: order.id,
+        patient_id: order.patient_id,
+        sample_type: sampleType,
+        status: 'collected',
+        collected_by: actorId,
+        collected_at: collectedAt ? new Date(collectedAt) : new Date(),
+        notes
+      }, { transaction });
+
+      await LabOrderItem.update(
+        { sample_id: sample.id, status: 'sample_collected' },
+        { where: { id: typeItems.map((item) => item.id) }, transaction }
+      );
+      collected.push({ sample, tests: typeItems.map((item) => item.test) });
+    }
+
+    await refreshOrder(order, transaction);
+
+    return { order, samples: collected };
+  });
+};
+
+// Sample status changes: which statuses each can start from
+const SAMPLE_TRANSITIONS = {
+  received: ['collected'],
+  rejected: ['collected', 'received'],
+  processed: ['received']
+};
+
+const assertTransition = (sample, next) => {
+  if (!SAMPLE_TRANSITIONS[next].includes(sample.status)) {
+    throw new ServiceError(`A ${sample.status} sample cannot be marked ${next}`, 409, {
+      current_status: sample.status
+    });
+  }
+};
+
+const receiveSample = async (sampleId, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const { sample } = await lockSample(sampleId, transaction);
+    assertTransition(sample, 'received');
+
+    await sample.update({
+      status: 'received',
+      received_by: actorId,
+      received_at: new Date()
+    }, { transaction });
+
+    return sample;
+  });
+};
+
+/**
+ * Reject a sample (haemolysed, clotted, unlabelled...). Its tests go back to
+ * awaiting collection so a new sample can be taken.
+ */
+const rejectSample = async (sampleId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const { sample, order } = await lockSample(sampleId, transaction);
+    assertTransition(sample, 'rejected');
+
+    await sample.update({
+      status: 'rejected',
+      rejected_by: actorId,
+      rejected_at: new Date(),
+      rejection_reason: reason
+    }, { transaction });
+
+    const [recollect] = await LabOrderItem.update(
+      { status: 'ordered' },
+      { where: { sample_id: sample.id, status: 'sample_collected' }, transaction }
+    );
+    await refreshOrder(order, transaction);
+
+    return { sample, order, recollect };
+  });
+};
+
+// Processing starts the sample's tests
+const processSample = async (sampleId, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const { sample, order } = await lockSample(sampleId, transaction);
+    assertTransition(sample, 'processed');
+
+    await sample.update({
+      status: 'processed',
+      processed_by: actorId,
+      processed_at: new Date()
+    }, { transaction });
+
+    await LabOrderItem.update(
+      { status: 'in_progress' },
+      { where: { sample_id: sample.id, status: 'sample_collected' }, transaction }
+    );
+    await refreshOrder(order, transaction);
+
+    return { sample, order };
+  });
+};
+
+module.exports = {
+  lockOrder,
+  orderStatus,
+  refreshOrder,
+  createLabOrder,
+  cancelLabOrder,
+  cancelLabOrderItem,
+  collectSamples,
+  receiveSample,
+  rejectSample,
+  processSample
+};
@@ -0,0 +1,93 @@
+// Reference range selection and result flagging. Pure functions, so they can
+// be used for both live entry and re-flagging stored results.
+//
+// Ages are whole days at the time of collection: neonatal and paediatric
+// ranges are commonly defined in days or weeks. age_max_days is exclusive.
+
+const moment = require('moment');
+
+const ageInDays = (dateOfBirth, at = new Date()) => (
+  Math.max(0, moment(at).startOf('day').diff(moment(dateOfBirth).startOf('day'), 'days'))
+);
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+/**
+ * The best active range for a patient: one for their sex beats a sex-neutral
+ * one, and a narrower age band beats a wider one. Returns null when none applies.
+ */
+const selectRange = (ranges, { sex, ageDays }) => {
+  const candidates = ranges.filter((range) => (
+    range.is_active !== false
+    && (range.sex === 'any' || range.sex === sex)
+    && ageDays >= range.age_min_days
+    && (range.age_max_days === null || range.age_max_days === undefined || ageDays < range.age_max_days)
+  ));
+
+  const span = (range) => (range.age_max_days === null || range.age_max_days === undefined
+    ? Infinity
+    : range.age_max_days - range.age_min_days);
+
+  candidates.sort((a, b) => {
+    if ((a.sex === 'any') !== (b.sex === 'any')) {
+      return a.sex === 'any' ? 1 : -1;
+    }
+    return span(a) - span(b);
+  });
+
+  return candidates[0] || null;
+};
+
+// Ranges written as "70-100", "< 200" or "> 40" in lab_tests.normal_range
+const parseRangeText = (text) => {
+  if (!text) return null;
+  const between = text.match(/^\s*(-?\d+(?:\.\d+)?)\s*(?:-|–|to)\s*(-?\d+(?:\.\d+)?)\s*$/i);
+  if (between) {
+    return { low_value: Number(between[1]), high_value: Number(between[2]) };
+  }
+  const below = text.match(/^\s*(?:<|<=|≤)\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (below) {
+    return { low_value: null, high_value: Number(below[1]) };
+  }
+  const above = text.match(/^\s*(?:>|>=|≥)\s*(-?\d+(?:\.\d+)?)\s*$/);
+  if (above) {
+    return { low_value: Number(above[1]), high_value: null };
+  }
+  return null;
+};
+
+/**
+ * Flag a value against a range. Critical limits are checked first. Text
+ * results are abnormal when they differ from the range's expected text.
+ * Returns null when there is nothing to compare against.
+ */
+const flagValue = (value, range) => {
+  if (!range) return null;
+
+  if (typeof value === 'number') {
+    const criticalLow = toNumber(range.critical_low);
+    const criticalHigh = toNumber(range.critical_high);
+    const low = toNumber(range.low_value);
+    const high = toNumber(range.high_value);
+
+    if (criticalLow !== null && value < criticalLow) return 'critical_low';
+    if (criticalHigh !== null && value > criticalHigh) return 'critical_high';
+    if (low !== null && value < low) return 'low';
+    if (high !== null && value > high) return 'high';
+    if (low === null && high === null) return null;
+    return 'normal';
+  }
+
+  if (!range.normal_text) return null;
+  return String(value).trim().toLowerCase() === range.normal_text.trim().toLowerCase() ? 'normal' : 'abnormal';
+};
+
+const isCriticalFlag = (flag) => flag === 'critical_low' || flag === 'critical_high';
+
+module.exports = {
+  ageInDays,
+  selectRange,
+  parseRangeText,
+  flagValue,
+  isCriticalFlag
+};
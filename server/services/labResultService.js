@@ -0,0 +1,498 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  LabOrderItem,
+  LabTest,
+  LabTestComponent,
+  LabReferenceRange,
+  LabResult,
+  LabResultAmendment,
+  LabCriticalAlert,
+  LabSample,
+  Patient,
+  Staff
+} = require('../models');
+const { lockOrder, refreshOrder } = require('./labOrderService');
+const { ageInDays, selectRange, parseRangeText, flagValue, isCriticalFlag } = require('./labReferenceRanges');
+const { WINDOW_DAYS, deltaCheck } = require('./labDeltaCheck');
+const { notifyUser } = require('./notificationService');
+const { logger } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+const FLAG_LABELS = {
+  critical_low: 'critically low',
+  critical_high: 'critically high'
+};
+
+// Numeric results must be plain numbers; text results any non-empty string
+const parseValue = (value, resultType, label) => {
+  if (resultType === 'numeric') {
+    const number = typeof value === 'number' ? value : Number(String(value).trim());
+    if (value === null || value === '' || !Number.isFinite(number)) {
+      throw new ServiceError(`${label} needs a numeric result`, 400);
+    }
+    return number;
+  }
+
+  const text = value === null || value === undefined ? '' : String(value).trim();
+  if (!text) {
+    throw new ServiceError(`${label} needs a result`, 400);
+  }
+  return text;
+};
+
+/**
+ * Match entries to what the test reports: the test itself, or the
+ * components of a panel. Panels may be entered a few components at a time.
+ */
+const resolveTargets = (test, components, entries) => {
+  if (test.result_type !== 'panel') {
+    if (entries.length !== 1 || entries[0].component_code) {
+      throw new ServiceError(`${test.test_name} takes a single result`, 400);
+    }
+    return [{ entry: entries[0], component: null, resultType: test.result_type || 'numeric', unit: test.unit }];
+  }
+
+  const byCode = new Map(components.map((component) => [component.code, component]));
+  const unknown = entries.filter((entry) => !byCode.has(entry.component_code)).map((entry) => entry.component_code);
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown components for ${test.test_name}`, 400, { component_codes: unknown });
+  }
+
+  return entries.map((entry) => {
+    const component = byCode.get(entry.component_code);
+    return { entry, component, resultType: component.result_type, unit: component.unit };
+  });
+};
+
+// Copy the limits a result was flagged against onto it
+const rangeSnapshot = (range) => ({
+  reference_range_id: range && range.id ? range.id : null,
+  reference_low: range ? range.low_value : null,
+  reference_high: range ? range.high_value : null,
+  reference_critical_low: range && range.critical_low !== undefined ? range.critical_low : null,
+  reference_critical_high: range && range.critical_high !== undefined ? range.critical_high : null,
+  reference_text: range && range.normal_text ? range.normal_text : null
+});
+
+const snapshotRange = (result) => {
+  const range = {
+    low_value: result.reference_low,
+    high_value: result.reference_high,
+    critical_low: result.reference_critical_low,
+    critical_high: result.reference_critical_high,
+    normal_text: result.reference_text
+  };
+  return Object.values(range).some((value) => value !== null && value !== undefined) ? range : null;
+};
+
+// The patient's latest released value for the same test or component, within the delta window
+const findPreviousResult = (result, transaction) => LabResult.findOne({
+  where: {
+    patient_id: result.patient_id,
+    lab_test_id: result.lab_test_id,
+    component_id: result.component_id,
+    lab_order_item_id: { [Op.ne]: result.lab_order_item_id },
+    status: ['verified', 'amended'],
+    entered_at: { [Op.gte]: moment().subtract(WINDOW_DAYS, 'days').toDate() }
+  },
+  order: [['entered_at', 'DESC']],
+  transaction
+});
+
+const deltaFields = (values, previous, thresholds) => {
+  const delta = deltaCheck(values, previous, thresholds);
+  return {
+    previous_result_id: previous ? previous.id : null,
+    delta_change: delta ? delta.change : null,
+    delta_percent: delta ? delta.percent : null,
+    delta_flag: delta ? delta.flagged : false
+  };
+};
+
+const openCriticalAlert = (result, order, transaction) => LabCriticalAlert.create({
+  lab_result_id: result.id,
+  lab_order_id: order.id,
+  patient_id: order.patient_id,
+  doctor_id: order.doctor_id,
+  status: 'open'
+}, { transaction });
+
+const orderingDoctorUser = async (order) => {
+  const doctor = order.doctor_id ? await Staff.findByPk(order.doctor_id, { attributes: ['id', 'user_id'] }) : null;
+  return doctor ? doctor.user_id : null;
+};
+
+const notifyCriticalResults = async (io, { order, patient, test, alerts, results }) => {
+  const doctorUserId = await orderingDoctorUser(order);
+  if (!doctorUserId) {
+    logger.warn(`Critical lab result on order ${order.order_number} has no doctor to notify`);
+    return;
+  }
+
+  const values = results.map((result) => (
+    `${result.name} ${result.value}${result.unit ? ` ${result.unit}` : ''} (${FLAG_LABELS[result.flag]})`
+  ));
+
+  await notifyUser(io, {
+    userId: doctorUserId,
+    type: 'lab_critical_value',
+    title: `Critical ${test.test_name}: ${patient.first_name} ${patient.last_name}`,
+    message: `${values.join('; ')}. Acknowledge to confirm you have seen this result.`,
+    priority: 'critical',
+    data: {
+      alert_ids: alerts.map((alert) => alert.id),
+      lab_order_id: order.id,
+      order_number: order.order_number,
+      patient_id: patient.id,
+      results: results.map(({ id, name, value, unit, flag }) => ({ id, name, value, unit, flag }))
+    }
+  });
+  await LabCriticalAlert.update(
+    { notified_user_id: doctorUserId },
+    { where: { id: alerts.map((alert) => alert.id) } }
+  );
+};
+
+/**
+ * Record results for one test on an order. Each value is flagged against the
+ * reference range for the patient's sex and age at collection, and the range
+ * is copied onto the result. Each is also delta-checked against the patient's
+ * previous released value. Critical values open an alert and the ordering
+ * doctor is notified straight away, before verification. Once every value
+ * the test reports is in, it waits for verification. Analyzer results have no
+ * `actorId`; pass the instrument as `analyzerId` instead.
+ */
+const enterResults = async (orderId, itemId, entries, actorId, io, { analyzerId } = {}) => {
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    const item = await LabOrderItem.findOne({
+      where: { id: itemId, lab_order_id: order.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!item) {
+      throw new ServiceError('Test not found on this order', 404);
+    }
+    if (item.status !== 'in_progress') {
+      throw new ServiceError('Results can only be entered for tests whose sample has been processed', 409, {
+        current_status: item.status
+      });
+    }
+
+    const test = await LabTest.findByPk(item.lab_test_id, { transaction });
+    const components = test.result_type === 'panel'
+      ? await LabTestComponent.findAll({
+        where: { lab_test_id: test.id, is_active: true },
+        order: [['display_order', 'ASC']],
+        transaction
+      })
+      : [];
+    const targets = resolveTargets(test, components, entries);
+
+    const existing = await LabResult.findAll({ where: { lab_order_item_id: item.id }, transaction });
+    const entered = new Set(existing.map((result) => result.component_id));
+    const repeated = targets.filter(({ component }) => entered.has(component ? component.id : null));
+    if (repeated.length > 0) {
+      throw new ServiceError('Results have already been entered', 409, {
+        component_codes: repeated.map(({ component }) => (component ? component.code : null)).filter(Boolean)
+      });
+    }
+
+    const patient = await Patient.findByPk(order.patient_id, { transaction });
+    const sample = item.sample_id ? await LabSample.findByPk(item.sample_id, { transaction }) : null;
+    const profile = {
+      sex: patient.gender,
+      ageDays: ageInDays(patient.date_of_birth, sample ? sample.collected_at : new Date())
+    };
+    const ranges = await LabReferenceRange.findAll({
+      where: { lab_test_id: test.id, is_active: true },
+      transaction
+    });
+
+    const results = [];
+    const critical = [];
+    for (const { entry, component, resultType, unit } of targets) {
+      const name = component ? component.name : test.test_name;
+      const value = parseValue(entry.value, resultType, name);
+      if (entry.unit && unit && entry.unit !== unit) {
+        throw new ServiceError(`${name} must be reported in ${unit}`, 400);
+      }
+
+      const componentId = component ? component.id : null;
+      let range = selectRange(ranges.filter((candidate) => candidate.component_id === componentId), profile);
+      if (!range && !component && resultType === 'numeric') {
+        range = parseRangeText(test.normal_range);
+      }
+      const flag = flagValue(value, range);
+
+      const values = {
+        lab_order_item_id: item.id,
+        lab_test_id: test.id,
+        component_id: componentId,
+        patient_id: order.patient_id,
+        value_numeric: resultType === 'numeric' ? value : null,
+        value_text: resultType === 'numeric' ? null : value
+      };
+      const previous = await findPreviousResult(values, transaction);
+
+      const result = await LabResult.create({
+        ...values,
+        unit: entry.unit || unit,
+        ...rangeSnapshot(range),
+        ...deltaFields(values, previous, component || test),
+        flag,
+        is_critical: isCriticalFlag(flag),
+        status: 'entered',
+        notes: entry.notes,
+        analyzer_id: analyzerId || null,
+        entered_by: actorId,
+        entered_at: new Date()
+      }, { transaction });
+      results.push(result);
+
+      if (result.is_critical) {
+        critical.push({
+          result,
+          alert: await openCriticalAlert(result, order, transaction),
+          summary: { id: result.id, name, value, unit: result.unit, flag }
+        });
+      }
+    }
+
+    const reported = test.result_type === 'panel' ? components.length : 1;
+    if (existing.length + results.length >= reported) {
+      await item.update({ status: 'resulted' }, { transaction });
+      await refreshOrder(order, transaction);
+    }
+
+    return { order, item, test, patient, results, critical };
+  });
+
+  const { order, item, test, patient, results, critical } = outcome;
+  if (critical.length > 0) {
+    try {
+      await notifyCriticalResults(io, {
+        order,
+        patient,
+        test,
+        alerts: critical.map(({ alert }) => alert),
+        results: critical.map(({ summary }) => summary)
+      });
+    } catch (error) {
+      logger.error(`Failed to notify critical lab result on order ${order.order_number}: ${error.message}`);
+    }
+  }
+
+  return { order, item, results, criticalAlerts: critical.map(({ alert }) => alert) };
+};
+
+/**
+ * Release a test's results. The verifier must be a different user from
+ * whoever entered (or last corrected) each value, and results held by the
+ * delta check need review notes before they can be released.
+ */
+const verifyResults = async (orderId, itemId, { deltaReviewNotes } = {}, verifierId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    const item = await LabOrderItem.findOne({
+      where: { id: itemId, lab_order_id: order.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!item) {
+      throw new ServiceError('Test not found on this order', 404);
+    }
+    if (item.status !== 'resulted') {
+      throw new ServiceError('Only tests with all results entered can be verified', 409, {
+        current_status: item.status
+      });
+    }
+
+    const results = await LabResult.findAll({
+      where: { lab_order_item_id: item.id, status: 'entered' },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (results.some((result) => result.entered_by === verifierId)) {
+      throw new ServiceError('Results must be verified by a different user from the one who entered them', 403);
+    }
+
+    const held = results.filter((result) => result.delta_flag && !result.delta_reviewed_at);
+    if (held.length > 0 && !deltaReviewNotes) {
+      throw new ServiceError('Results changed sharply since the previous value and need review notes', 409, {
+        requires_review: true,
+        delta_flags: held.map((result) => ({
+          result_id: result.id,
+          component_id: result.component_id,
+          previous_result_id: result.previous_result_id,
+          delta_change: result.delta_change,
+          delta_percent: result.delta_percent
+        }))
+      });
+    }
+
+    const now = new Date();
+    for (const result of results) {
+      await result.update({
+        status: 'verified',
+        verified_by: verifierId,
+        verified_at: now,
+        ...(held.includes(result) && {
+          delta_reviewed_by: verifierId,
+          delta_reviewed_at: now,
+          delta_review_notes: deltaReviewNotes
+        })
+      }, { transaction });
+    }
+
+    await item.update({ status: 'completed' }, { transaction });
+    await refreshOrder(order, transaction);
+
+    return { order, item, results };
+  });
+};
+
+/**
+ * Change a result's value. Before release the value is corrected in place
+ * and the corrector becomes the one who entered it, so someone else still has
+ * to verify it. After release the result is marked amended and the ordering
+ * doctor told. Either way the replaced value is kept in lab_result_amendments.
+ */
+const amendResult = async (resultId, { value: rawValue, notes, reason }, actorId, io) => {
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const found = await LabResult.findByPk(resultId, { transaction });
+    if (!found) {
+      throw new ServiceError('Lab result not found', 404);
+    }
+    const item = await LabOrderItem.findByPk(found.lab_order_item_id, { transaction });
+    const order = await lockOrder(item.lab_order_id, transaction);
+    const result = await found.reload({ transaction, lock: transaction.LOCK.UPDATE });
+
+    const test = await LabTest.findByPk(result.lab_test_id, { transaction });
+    const component = result.component_id
+      ? await LabTestComponent.findByPk(result.component_id, { transaction })
+      : null;
+    const name = component ? component.name : test.test_name;
+    const resultType = result.value_numeric !== null ? 'numeric' : 'text';
+    const value = parseValue(rawValue, resultType, name);
+
+    const released = result.status !== 'entered';
+    await LabResultAmendment.create({
+      lab_result_id: result.id,
+      stage: released ? 'after_release' : 'before_release',
+      previous_value_numeric: result.value_numeric,
+      previous_value_text: result.value_text,
+      previous_unit: result.unit,
+      previous_flag: result.flag,
+      previous_status: result.status,
+      previous_entered_by: result.entered_by,
+      previous_verified_by: result.verified_by,
+      previous_verified_at: result.verified_at,
+      new_value_numeric: resultType === 'numeric' ? value : null,
+      new_value_text: resultType === 'numeric' ? null : value,
+      reason,
+      amended_by: actorId
+    }, { transaction });
+
+    const values = {
+      value_numeric: resultType === 'numeric' ? value : null,
+      value_text: resultType === 'numeric' ? null : value
+    };
+    const previous = result.previous_result_id
+      ? await LabResult.findByPk(result.previous_result_id, { transaction })
+      : null;
+    const flag = flagValue(value, snapshotRange(result));
+    const wasCritical = result.is_critical;
+
+    const now = new Date();
+    await result.update({
+      ...values,
+      ...deltaFields(values, previous, component || test),
+      flag,
+      is_critical: isCriticalFlag(flag),
+      ...(notes !== undefined && { notes }),
+      ...(released
+        ? { status: 'amended', amended_by: actorId, amended_at: now }
+        : {
+          entered_by: actorId,
+          entered_at: now,
+          delta_reviewed_by: null,
+          delta_reviewed_at: null,
+          delta_review_notes: null
+        })
+    }, { transaction });
+
+    const alert = result.is_critical && !wasCritical ? await openCriticalAlert(result, order, transaction) : null;
+    const patient = await Patient.findByPk(order.patient_id, { transaction });
+
+    return { order, test, patient, result, name, released, alert };
+  });
+
+  const { order, test, patient, result, name, released, alert } = outcome;
+  try {
+    if (alert) {
+      await notifyCriticalResults(io, {
+        order,
+        patient,
+        test,
+        alerts: [alert],
+        results: [{ id: result.id, name, value: rawValue, unit: result.unit, flag: result.flag }]
+      });
+    } else if (released) {
+      const doctorUserId = await orderingDoctorUser(order);
+      if (doctorUserId) {
+        await notifyUser(io, {
+          userId: doctorUserId,
+          type: 'lab_result_amended',
+          title: `Amended ${test.test_name}: ${patient.first_name} ${patient.last_name}`,
+          message: `${name} is now ${rawValue}${result.unit ? ` ${result.unit}` : ''}`,
+          priority: 'high',
+          data: { lab_order_id: order.id, order_number: order.order_number, result_id: result.id, flag: result.flag }
+        });
+      }
+    }
+  } catch (error) {
+    logger.error(`Failed to notify amended lab result ${result.id}: ${error.message}`);
+  }
+
+  return { order, result, released, criticalAlert: alert };
+};
+
+// Only the ordering doctor can acknowledge a critical result
+const acknowledgeCriticalAlert = async (alertId, notes, userId) => {
+  return sequelize.transaction(async (transaction) => {
+    const alert = await LabCriticalAlert.findByPk(alertId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!alert) {
+      throw new ServiceError('Critical result alert not found', 404);
+    }
+    if (alert.status === 'acknowledged') {
+      throw new ServiceError('Critical result has already been acknowledged', 409);
+    }
+
+    const doctor = alert.doctor_id ? await Staff.findByPk(alert.doctor_id, { transaction }) : null;
+    if (!doctor || doctor.user_id !== userId) {
+      throw new ServiceError('Only the ordering doctor can acknowledge this critical result', 403);
+    }
+
+    await alert.update({
+      status: 'acknowledged',
+      acknowledged_by: userId,
+      acknowledged_at: new Date(),
+      acknowledgement_notes: notes
+    }, { transaction });
+
+    return alert;
+  });
+};
+
+module.exports = {
+  enterResults,
+  verifyResults,
+  amendResult,
+  acknowledgeCriticalAlert
+};
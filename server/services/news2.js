@@ -0,0 +1,117 @@
+// National Early Warning Score 2 (Royal College of Physicians, 2017).
+//
+// Each parameter scores 0-3; the aggregate maps to a clinical risk band. A
+// score of 3 in any single parameter raises the risk to low-medium on its own.
+// Bands (5 and 7 by default) can be moved through NEWS2_MEDIUM_THRESHOLD and
+// NEWS2_HIGH_THRESHOLD.
+
+const MEDIUM_THRESHOLD = parseInt(process.env.NEWS2_MEDIUM_THRESHOLD, 10) || 5;
+const HIGH_THRESHOLD = parseInt(process.env.NEWS2_HIGH_THRESHOLD, 10) || 7;
+
+// Ordered from least to most urgent
+const RISK_LEVELS = ['low', 'low_medium', 'medium', 'high'];
+
+const CONSCIOUSNESS_LEVELS = ['alert', 'confusion', 'voice', 'pain', 'unresponsive'];
+
+// [upper bound (inclusive), score] pairs, checked in order
+const band = (value, bands) => {
+  for (const [upper, score] of bands) {
+    if (value <= upper) {
+      return score;
+    }
+  }
+  return bands[bands.length - 1][1];
+};
+
+const scoreRespiratoryRate = (rate) => band(rate, [[8, 3], [11, 1], [20, 0], [24, 2], [Infinity, 3]]);
+
+// Scale 1 for most patients
+const scoreSpO2Scale1 = (spo2) => band(spo2, [[91, 3], [93, 2], [95, 1], [Infinity, 0]]);
+
+// Scale 2 for confirmed hypercapnic respiratory failure: high saturations
+// only score when the patient is on oxygen
+const scoreSpO2Scale2 = (spo2, onOxygen) => {
+  if (spo2 <= 87) {
+    return band(spo2, [[83, 3], [85, 2], [87, 1]]);
+  }
+  if (spo2 <= 92 || !onOxygen) {
+    return 0;
+  }
+  return band(spo2, [[94, 1], [96, 2], [Infinity, 3]]);
+};
+
+const scoreSystolic = (systolic) => band(systolic, [[90, 3], [100, 2], [110, 1], [219, 0], [Infinity, 3]]);
+
+const scorePulse = (pulse) => band(pulse, [[40, 3], [50, 1], [90, 0], [110, 1], [130, 2], [Infinity, 3]]);
+
+// Temperature in degrees Celsius
+const scoreTemperature = (temperature) => band(temperature, [[35.0, 3], [36.0, 1], [38.0, 0], [39.0, 1], [Infinity, 2]]);
+
+const isPresent = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Score one set of observations. Missing parameters are skipped and reported
+ * in `missing`, so a partial set still scores but is flagged incomplete.
+ */
+const calculateNews2 = (observation) => {
+  const components = {};
+  const missing = [];
+  const onOxygen = observation.on_supplemental_oxygen === true || observation.on_supplemental_oxygen === 'true';
+
+  const score = (name, value, scorer) => {
+    if (isPresent(value)) {
+      components[name] = scorer(Number(value));
+    } else {
+      missing.push(name);
+    }
+  };
+
+  score('respiratory_rate', observation.respiratory_rate, scoreRespiratoryRate);
+  score('oxygen_saturation', observation.oxygen_saturation, (spo2) => (
+    Number(observation.spo2_scale) === 2
+      ? scoreSpO2Scale2(spo2, onOxygen)
+      : scoreSpO2Scale1(spo2)
+  ));
+  components.supplemental_oxygen = onOxygen ? 2 : 0;
+  score('systolic_bp', observation.systolic_bp, scoreSystolic);
+  score('heart_rate', observation.heart_rate, scorePulse);
+  score('temperature', observation.temperature, scoreTemperature);
+  if (isPresent(observation.consciousness)) {
+    components.consciousness = observation.consciousness === 'alert' ? 0 : 3;
+  } else {
+    missing.push('consciousness');
+  }
+
+  const total = Object.values(components).reduce((sum, value) => sum + value, 0);
+  const singleRed = Object.values(components).some((value) => value === 3);
+
+  let risk = 'low';
+  if (total >= HIGH_THRESHOLD) {
+    risk = 'high';
+  } else if (total >= MEDIUM_THRESHOLD) {
+    risk = 'medium';
+  } else if (singleRed) {
+    risk = 'low_medium';
+  }
+
+  return {
+    score: total,
+    risk,
+    components,
+    single_red_score: singleRed,
+    complete: missing.length === 0,
+    missing
+  };
+};
+
+// Positive when `risk` is more urgent than `other`
+const compareRisk = (risk, other) => RISK_LEVELS.indexOf(risk) - RISK_LEVELS.indexOf(other);
+
+module.exports = {
+  MEDIUM_THRESHOLD,
+  HIGH_THRESHOLD,
+  RISK_LEVELS,
+  CONSCIOUSNESS_LEVELS,
+  calculateNews2,
+  compareRisk
+};
@@ -0,0 +1,64 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { OPDAppointment, OPDQueueToken } = require('../models');
+const { transitionAppointment } = require('./appointmentStatusService');
+const ServiceError = require('../utils/serviceError');
+
+// Minutes after the scheduled start before an appointment counts as missed
+const NO_SHOW_GRACE_MINUTES = parseInt(process.env.NO_SHOW_GRACE_MINUTES, 10) || 30;
+
+const isOverdue = (appointment, now, graceMinutes) => (
+  moment(`${appointment.appointment_date} ${appointment.appointment_time}`, 'YYYY-MM-DD HH:mm')
+    .add(graceMinutes, 'minutes')
+    .isBefore(now)
+);
+
+/**
+ * Mark scheduled/confirmed appointments as no_show once their start time plus
+ * the grace period has passed. Patients who checked in to the OPD queue are
+ * left alone even if they are still waiting. Returns the IDs marked.
+ */
+const markOverdueNoShows = async ({ now = moment(), graceMinutes = NO_SHOW_GRACE_MINUTES } = {}) => {
+  const candidates = await OPDAppointment.findAll({
+    where: {
+      status: { [Op.in]: ['scheduled', 'confirmed'] },
+      appointment_date: { [Op.lte]: now.format('YYYY-MM-DD') }
+    },
+    attributes: ['id', 'appointment_date', 'appointment_time'],
+    order: [['appointment_date', 'ASC'], ['appointment_time', 'ASC']]
+  });
+
+  const overdue = candidates.filter((appointment) => isOverdue(appointment, now, graceMinutes));
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  const checkedIn = await OPDQueueToken.findAll({
+    where: { appointment_id: { [Op.in]: overdue.map((appointment) => appointment.id) } },
+    attributes: ['appointment_id']
+  });
+  const checkedInIds = new Set(checkedIn.map((token) => token.appointment_id));
+
+  const marked = [];
+  for (const appointment of overdue) {
+    if (checkedInIds.has(appointment.id)) continue;
+
+    try {
+      await transitionAppointment(appointment.id, 'no_show', {
+        actorId: null,
+        reason: `Not checked in within ${graceMinutes} minutes of ${String(appointment.appointment_time).slice(0, 5)}`
+      });
+      marked.push(appointment.id);
+    } catch (error) {
+      // Status changed since the scan (e.g. checked in or cancelled); leave it
+      if (!(error instanceof ServiceError)) throw error;
+    }
+  }
+
+  return marked;
+};
+
+module.exports = {
+  NO_SHOW_GRACE_MINUTES,
+  markOverdueNoShows
+};
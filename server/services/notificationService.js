@@ -0,0 +1,35 @@
+const { Notification } = require('../models');
+
+const userRoom = (userId) => `user_${userId}`;
+
+/**
+ * Store an in-app notification and push it to the user's Socket.IO room.
+ * Critical notifications are also sent as `emergency_alert` so clients can
+ * interrupt the user.
+ */
+const notifyUser = async (io, { userId, type, title, message, priority = 'normal', data = null }, { transaction } = {}) => {
+  const notification = await Notification.create({
+    user_id: userId,
+    type,
+    title,
+    message,
+    priority,
+    data,
+    is_read: false
+  }, { transaction });
+
+  if (io) {
+    const payload = notification.toJSON();
+    io.to(userRoom(userId)).emit('notification', payload);
+    if (priority === 'critical') {
+      io.to(userRoom(userId)).emit('emergency_alert', payload);
+    }
+  }
+
+  return notification;
+};
+
+module.exports = {
+  userRoom,
+  notifyUser
+};
@@ -0,0 +1,264 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OPDQueueToken, OPDAppointment, Patient } = require('../models');
+const { nextValue } = require('./sequenceService');
+const { getSessions, DEFAULT_SLOT_MINUTES } = require('./doctorAvailabilityService');
+const { canTransition, transitionAppointment } = require('./appointmentStatusService');
+const ServiceError = require('../utils/serviceError');
+
+// Minimum completed consultations before the observed average is trusted
+const MIN_SAMPLES_FOR_AVERAGE = 3;
+
+const queueRoom = (doctorId) => `opd_queue_${doctorId}`;
+
+const today = () => moment().format('YYYY-MM-DD');
+
+// Serialize queue changes for one doctor's day
+const lockQueue = async (doctorId, date, transaction) => {
+  await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+    replacements: { key: `opd_queue:${doctorId}:${date}` },
+    transaction
+  });
+};
+
+// Keep a linked appointment in step with its token where the transition is legal
+const advanceAppointment = async (appointmentId, status, actorId, transaction) => {
+  if (!appointmentId) {
+    return;
+  }
+
+  const appointment = await OPDAppointment.findByPk(appointmentId, { transaction });
+  if (appointment && canTransition(appointment.status, status)) {
+    await transitionAppointment(appointment.id, status, { actorId, reason: 'OPD queue', transaction });
+  }
+};
+
+const completeToken = async (token, actorId, transaction) => {
+  await token.update({ status: 'completed', completed_at: new Date() }, { transaction });
+  await advanceAppointment(token.appointment_id, 'completed', actorId, transaction);
+};
+
+/**
+ * Issue a token for a patient arriving for a booked appointment or as a
+ * walk-in. Token numbers restart daily per doctor.
+ */
+const checkIn = async ({ doctor_id, patient_id, appointment_id }) => {
+  return sequelize.transaction(async (transaction) => {
+    const date = today();
+    let doctorId = doctor_id;
+    let patientId = patient_id;
+
+    if (appointment_id) {
+      const appointment = await OPDAppointment.findByPk(appointment_id, { transaction });
+      if (!appointment) {
+        throw new ServiceError('Appointment not found', 404);
+      }
+
+      if (appointment.appointment_date !== date) {
+        throw new ServiceError('Appointment is not scheduled for today', 409);
+      }
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        throw new ServiceError(`Cannot check in a ${appointment.status} appointment`, 409);
+      }
+
+      doctorId = appointment.doctor_id;
+      patientId = appointment.patient_id;
+    } else {
+      const patient = await Patient.findOne({ where: { id: patientId, is_active: true }, transaction });
+      if (!patient) {
+        throw new ServiceError('Patient not found', 404);
+      }
+    }
+
+    await lockQueue(doctorId, date, transaction);
+
+    const existing = await OPDQueueToken.findOne({
+      where: {
+        doctor_id: doctorId,
+        queue_date: date,
+        patient_id: patientId,
+        status: { [Op.in]: ['waiting', 'called', 'skipped'] }
+      },
+      transaction
+    });
+
+    if (existing) {
+      throw new ServiceError(`Patient already holds token ${existing.token_number}`, 409);
+    }
+
+    const tokenNumber = await nextValue(`opd_token:${doctorId}`, date.replace(/-/g, ''), { transaction });
+
+    return OPDQueueToken.create({
+      doctor_id: doctorId,
+      patient_id: patientId,
+      appointment_id: appointment_id || null,
+      queue_date: date,
+      token_number: tokenNumber,
+      source: appointment_id ? 'appointment' : 'walk_in',
+      status: 'waiting',
+      checked_in_at: new Date()
+    }, { transaction });
+  });
+};
+
+/**
+ * Finish the patient currently with the doctor (if any) and call the next
+ * waiting token. Recalled tokens are served ahead of the regular order.
+ */
+const callNext = async (doctorId, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const date = today();
+    await lockQueue(doctorId, date, transaction);
+
+    const current = await OPDQueueToken.findAll({
+      where: { doctor_id: doctorId, queue_date: date, status: 'called' },
+      transaction
+    });
+
+    for (const token of current) {
+      await completeToken(token, actorId, transaction);
+    }
+
+    const next = await OPDQueueToken.findOne({
+      where: { doctor_id: doctorId, queue_date: date, status: 'waiting' },
+      order: [['priority', 'DESC'], ['token_number', 'ASC']],
+      transaction
+    });
+
+    if (!next) {
+      return null;
+    }
+
+    await next.update({ status: 'called', called_at: new Date() }, { transaction });
+    await advanceAppointment(next.appointment_id, 'in_progress', actorId, transaction);
+
+    return next;
+  });
+};
+
+const updateToken = async (tokenId, allowedStatuses, apply) => {
+  return sequelize.transaction(async (transaction) => {
+    const token = await OPDQueueToken.findByPk(tokenId, { transaction });
+    if (!token) {
+      throw new ServiceError('Queue token not found', 404);
+    }
+
+    // Take the queue lock before trusting the token's status
+    await lockQueue(token.doctor_id, token.queue_date, transaction);
+    await token.reload({ transaction });
+
+    if (!allowedStatuses.includes(token.status)) {
+      throw new ServiceError(`Token ${token.token_number} is ${token.status}`, 409);
+    }
+
+    await apply(token, transaction);
+    return token;
+  });
+};
+
+const skipToken = (tokenId) => updateToken(tokenId, ['waiting', 'called'], (token, transaction) => (
+  token.update({ status: 'skipped', skipped_at: new Date() }, { transaction })
+));
+
+// Put a skipped patient back at the front of the waiting list
+const recallToken = (tokenId) => updateToken(tokenId, ['skipped'], (token, transaction) => (
+  token.update({
+    status: 'waiting',
+    priority: 1,
+    recall_count: token.recall_count + 1
+  }, { transaction })
+));
+
+const completeConsultation = (tokenId, actorId) => updateToken(tokenId, ['called'], (token, transaction) => (
+  completeToken(token, actorId, transaction)
+));
+
+// Average minutes per consultation today, falling back to the doctor's slot length
+const getAverageConsultationMinutes = async (doctorId, date, tokens) => {
+  const durations = tokens
+    .filter((token) => token.status === 'completed' && token.called_at && token.completed_at)
+    .map((token) => (new Date(token.completed_at) - new Date(token.called_at)) / 60000);
+
+  if (durations.length >= MIN_SAMPLES_FOR_AVERAGE) {
+    return durations.reduce((sum, minutes) => sum + minutes, 0) / durations.length;
+  }
+
+  const sessions = await getSessions(doctorId, date);
+  return sessions.length > 0 ? sessions[0].slot_duration : DEFAULT_SLOT_MINUTES;
+};
+
+/**
+ * Snapshot of a doctor's queue for the display board and doctor console,
+ * with an estimated wait for each waiting token.
+ */
+const getQueueBoard = async (doctorId, date = today()) => {
+  const tokens = await OPDQueueToken.findAll({
+    where: { doctor_id: doctorId, queue_date: date },
+    include: [{
+      model: Patient,
+      as: 'patient',
+      attributes: ['id', 'patient_id', 'first_name', 'last_name']
+    }],
+    order: [['priority', 'DESC'], ['token_number', 'ASC']]
+  });
+
+  const averageMinutes = await getAverageConsultationMinutes(doctorId, date, tokens);
+  const current = tokens.find((token) => token.status === 'called') || null;
+
+  // Time left with the current patient before the first waiting token is seen
+  const currentRemaining = current
+    ? Math.max(averageMinutes - (Date.now() - new Date(current.called_at)) / 60000, 0)
+    : 0;
+
+  const summarize = (token) => ({
+    id: token.id,
+    token_number: token.token_number,
+    status: token.status,
+    source: token.source,
+    appointment_id: token.appointment_id,
+    patient: token.patient,
+    checked_in_at: token.checked_in_at,
+    called_at: token.called_at
+  });
+
+  const waiting = tokens
+    .filter((token) => token.status === 'waiting')
+    .map((token, index) => ({
+      ...summarize(token),
+      position: index + 1,
+      estimated_wait_minutes: Math.round(currentRemaining + index * averageMinutes)
+    }));
+
+  return {
+    doctor_id: doctorId,
+    date,
+    current: current ? summarize(current) : null,
+    waiting,
+    skipped: tokens.filter((token) => token.status === 'skipped').map(summarize),
+    completed_count: tokens.filter((token) => token.status === 'completed').length,
+    average_consultation_minutes: Math.round(averageMinutes),
+    updated_at: new Date().toISOString()
+  };
+};
+
+// Push the latest board to everyone watching this doctor's queue
+const broadcastQueue = async (io, doctorId) => {
+  const board = await getQueueBoard(doctorId);
+  if (io) {
+    io.to(queueRoom(doctorId)).emit('opd_queue_updated', board);
+  }
+  return board;
+};
+
+module.exports = {
+  queueRoom,
+  checkIn,
+  callNext,
+  skipToken,
+  recallToken,
+  completeConsultation,
+  getQueueBoard,
+  broadcastQueue
+};
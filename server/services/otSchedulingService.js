@@ -0,0 +1,415 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { OTSchedule, OperationTheatre, Patient, Staff } = require('../models');
+const { toMinutes, toTimeString } = require('./doctorAvailabilityService');
+const { assertValidConsent } = require('./consentService');
+const { assertPhaseComplete, resetPhase } = require('./surgicalChecklistService');
+const ServiceError = require('../utils/serviceError');
+
+// Cleaning and setup gap kept free after every case, unless the theatre sets its own
+const envTurnaround = parseInt(process.env.OT_TURNAROUND_MINUTES, 10);
+const DEFAULT_TURNAROUND_MINUTES = Number.isNaN(envTurnaround) ? 30 : envTurnaround;
+
+// Cases that hold the theatre and the team
+const ACTIVE_STATUSES = ['scheduled', 'in_progress'];
+
+const SLOT_FIELDS = ['ot_id', 'surgeon_id', 'anesthetist_id', 'scheduled_date', 'scheduled_start_time', 'scheduled_end_time'];
+
+const turnaroundFor = (theatre) => (
+  theatre.turnaround_minutes !== null && theatre.turnaround_minutes !== undefined
+    ? theatre.turnaround_minutes
+    : DEFAULT_TURNAROUND_MINUTES
+);
+
+const assertStatus = (schedule, allowed, action) => {
+  if (!allowed.includes(schedule.status)) {
+    throw new ServiceError(`Cannot ${action} a surgery that is ${schedule.status}`, 409, {
+      current_status: schedule.status
+    });
+  }
+};
+
+const lockSchedule = async (scheduleId, transaction) => {
+  const schedule = await OTSchedule.findByPk(scheduleId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!schedule) {
+    throw new ServiceError('OT schedule not found', 404);
+  }
+  return schedule;
+};
+
+// Serialize bookings touching the same theatre or staff member on a date.
+// Keys are taken in sorted order so overlapping bookings cannot deadlock.
+const lockResources = async (slot, transaction) => {
+  const keys = [
+    `ot:theatre:${slot.ot_id}:${slot.scheduled_date}`,
+    ...[slot.surgeon_id, slot.anesthetist_id]
+      .filter(Boolean)
+      .map((staffId) => `ot:staff:${staffId}:${slot.scheduled_date}`)
+  ].sort();
+
+  for (const key of keys) {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key },
+      transaction
+    });
+  }
+};
+
+/**
+ * Active cases on the same date that clash with the slot. The theatre is
+ * blocked for each case plus its turnaround; the surgeon and anesthetist
+ * only for the case itself, in either role.
+ */
+const findConflicts = async (slot, turnaround, { excludeId, transaction } = {}) => {
+  const staffIds = [slot.surgeon_id, slot.anesthetist_id].filter(Boolean);
+  const where = {
+    scheduled_date: slot.scheduled_date,
+    status: ACTIVE_STATUSES,
+    [Op.or]: [
+      { ot_id: slot.ot_id },
+      { surgeon_id: staffIds },
+      { anesthetist_id: staffIds }
+    ]
+  };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const candidates = await OTSchedule.findAll({ where, transaction });
+  const start = toMinutes(slot.scheduled_start_time);
+  const end = toMinutes(slot.scheduled_end_time);
+  const conflicts = [];
+
+  candidates.forEach((other) => {
+    const otherStart = toMinutes(other.scheduled_start_time);
+    const otherEnd = toMinutes(other.scheduled_end_time);
+    const summary = {
+      schedule_id: other.id,
+      procedure_name: other.procedure_name,
+      ot_id: other.ot_id,
+      start_time: toTimeString(otherStart),
+      end_time: toTimeString(otherEnd)
+    };
+
+    if (other.ot_id === slot.ot_id && otherStart < end + turnaround && start < otherEnd + turnaround) {
+      conflicts.push({ type: 'theatre', ...summary });
+    }
+
+    if (otherStart < end && start < otherEnd) {
+      const involved = [other.surgeon_id, other.anesthetist_id];
+      if (involved.includes(slot.surgeon_id)) {
+        conflicts.push({ type: 'surgeon', staff_id: slot.surgeon_id, ...summary });
+      }
+      if (slot.anesthetist_id && involved.includes(slot.anesthetist_id)) {
+        conflicts.push({ type: 'anesthetist', staff_id: slot.anesthetist_id, ...summary });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+// Validate the theatre and team for a slot, lock them and reject any clash
+const assertSlotAvailable = async (slot, { excludeId, transaction }) => {
+  if (toMinutes(slot.scheduled_end_time) <= toMinutes(slot.scheduled_start_time)) {
+    throw new ServiceError('End time must be after start time', 400);
+  }
+  if (slot.anesthetist_id && slot.anesthetist_id === slot.surgeon_id) {
+    throw new ServiceError('Surgeon and anesthetist must be different staff members', 400);
+  }
+
+  const theatre = await OperationTheatre.findOne({
+    where: { id: slot.ot_id, is_active: true },
+    transaction
+  });
+  if (!theatre) {
+    throw new ServiceError('Operation theatre not found', 404);
+  }
+  if (theatre.status === 'maintenance') {
+    throw new ServiceError(`Theatre ${theatre.ot_number} is under maintenance`, 409);
+  }
+
+  const staffIds = [slot.surgeon_id, slot.anesthetist_id].filter(Boolean);
+  const staffCount = await Staff.count({ where: { id: staffIds, is_active: true }, transaction });
+  if (staffCount !== staffIds.length) {
+    throw new ServiceError('Surgeon or anesthetist not found', 404);
+  }
+
+  await lockResources(slot, transaction);
+
+  const turnaround = turnaroundFor(theatre);
+  const conflicts = await findConflicts(slot, turnaround, { excludeId, transaction });
+  if (conflicts.length > 0) {
+    throw new ServiceError('The requested slot conflicts with other surgeries', 409, {
+      conflicts,
+      turnaround_minutes: turnaround
+    });
+  }
+
+  return theatre;
+};
+
+const scheduleSurgery = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const patient = await Patient.findOne({ where: { id: data.patient_id, is_active: true }, transaction });
+    if (!patient) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    await assertSlotAvailable(data, { transaction });
+
+    return OTSchedule.create({
+      ot_id: data.ot_id,
+      patient_id: patient.id,
+      surgeon_id: data.surgeon_id,
+      anesthetist_id: data.anesthetist_id || null,
+      admission_id: data.admission_id || null,
+      procedure_name: data.procedure_name,
+      priority: data.priority || 'elective',
+      scheduled_date: data.scheduled_date,
+      scheduled_start_time: data.scheduled_start_time,
+      scheduled_end_time: data.scheduled_end_time,
+      notes: data.notes,
+      status: 'scheduled',
+      created_by: actorId
+    }, { transaction });
+  });
+};
+
+// Edit a scheduled case; moving it or changing the team re-checks conflicts
+const updateSchedule = async (scheduleId, data) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    assertStatus(schedule, ['scheduled'], 'edit');
+
+    const changes = {};
+    [...SLOT_FIELDS, 'procedure_name', 'priority', 'admission_id', 'notes'].forEach((field) => {
+      if (data[field] !== undefined) {
+        changes[field] = data[field];
+      }
+    });
+
+    if (SLOT_FIELDS.some((field) => changes[field] !== undefined)) {
+      const slot = SLOT_FIELDS.reduce((merged, field) => {
+        merged[field] = changes[field] !== undefined ? changes[field] : schedule[field];
+        return merged;
+      }, {});
+      await assertSlotAvailable(slot, { excludeId: schedule.id, transaction });
+    }
+
+    await schedule.update(changes, { transaction });
+    return schedule;
+  });
+};
+
+/**
+ * Postpone a case. With a new date and times it is rebooked there (after the
+ * usual conflict checks); without, it is parked as postponed and frees its
+ * slot until it is rebooked the same way.
+ */
+const postponeSurgery = async (scheduleId, data) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    assertStatus(schedule, ['scheduled', 'postponed'], 'postpone');
+
+    const changes = {
+      postponement_reason: data.reason,
+      postponement_count: schedule.postponement_count + 1
+    };
+
+    if (data.scheduled_date) {
+      const slot = {
+        ot_id: data.ot_id || schedule.ot_id,
+        surgeon_id: schedule.surgeon_id,
+        anesthetist_id: schedule.anesthetist_id,
+        scheduled_date: data.scheduled_date,
+        scheduled_start_time: data.scheduled_start_time,
+        scheduled_end_time: data.scheduled_end_time
+      };
+      await assertSlotAvailable(slot, { excludeId: schedule.id, transaction });
+      Object.assign(changes, slot, { status: 'scheduled' });
+    } else {
+      if (schedule.status === 'postponed') {
+        throw new ServiceError('Surgery is already postponed; give a new date to rebook it', 409);
+      }
+      changes.status = 'postponed';
+    }
+
+    // Sign in belongs to the day of surgery and is repeated after a postponement
+    if (schedule.sign_in_completed_at) {
+      await resetPhase(schedule, 'sign_in', transaction);
+    }
+
+    await schedule.update(changes, { transaction });
+    return schedule;
+  });
+};
+
+const cancelSurgery = async (scheduleId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    assertStatus(schedule, ['scheduled', 'postponed'], 'cancel');
+
+    await schedule.update({
+      status: 'cancelled',
+      cancellation_reason: reason,
+      cancelled_at: new Date(),
+      cancelled_by: actorId
+    }, { transaction });
+
+    return schedule;
+  });
+};
+
+/**
+ * Start a case: needs a completed sign in, a valid surgery consent and a
+ * theatre that is not already running another case. The theatre is marked occupied.
+ */
+const startSurgery = async (scheduleId, { startedAt } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    assertStatus(schedule, ['scheduled'], 'start');
+    assertPhaseComplete(schedule, 'sign_in');
+
+    await assertValidConsent(schedule.patient_id, 'surgery', {
+      referenceType: 'ot_schedule',
+      referenceId: schedule.id,
+      transaction
+    });
+
+    const theatre = await OperationTheatre.findByPk(schedule.ot_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (theatre.status === 'maintenance') {
+      throw new ServiceError(`Theatre ${theatre.ot_number} is under maintenance`, 409);
+    }
+
+    const running = await OTSchedule.findOne({
+      where: { ot_id: theatre.id, status: 'in_progress' },
+      transaction
+    });
+    if (running) {
+      throw new ServiceError(`Theatre ${theatre.ot_number} is still running another case`, 409, {
+        running_schedule_id: running.id
+      });
+    }
+
+    await schedule.update({
+      status: 'in_progress',
+      actual_start_time: startedAt || new Date()
+    }, { transaction });
+    await theatre.update({ status: 'occupied' }, { transaction });
+
+    return schedule;
+  });
+};
+
+// Finish a case after sign out; the theatre goes to cleaning until it is marked available
+const completeSurgery = async (scheduleId, { endedAt, notes } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    assertStatus(schedule, ['in_progress'], 'complete');
+    assertPhaseComplete(schedule, 'sign_out');
+
+    const actualEnd = endedAt ? new Date(endedAt) : new Date();
+    if (actualEnd < new Date(schedule.actual_start_time)) {
+      throw new ServiceError('End time cannot be before the actual start time', 400);
+    }
+
+    await schedule.update({
+      status: 'completed',
+      actual_end_time: actualEnd,
+      ...(notes !== undefined && { notes })
+    }, { transaction });
+
+    await OperationTheatre.update(
+      { status: 'cleaning' },
+      { where: { id: schedule.ot_id }, transaction }
+    );
+
+    return schedule;
+  });
+};
+
+/**
+ * The day's OT list: every active theatre (or one) with its cases in start
+ * order, each showing when the room is ready again after turnaround.
+ */
+const getDayList = async (date, { otId } = {}) => {
+  const theatreWhere = { is_active: true };
+  if (otId) {
+    theatreWhere.id = otId;
+  }
+
+  const theatres = await OperationTheatre.findAll({
+    where: theatreWhere,
+    order: [['ot_number', 'ASC']]
+  });
+
+  const schedules = await OTSchedule.findAll({
+    where: {
+      ot_id: theatres.map((theatre) => theatre.id),
+      scheduled_date: date,
+      status: { [Op.ne]: 'cancelled' }
+    },
+    include: [
+      {
+        model: Patient,
+        as: 'patient',
+        attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender']
+      },
+      {
+        model: Staff,
+        as: 'surgeon',
+        attributes: ['id', 'first_name', 'last_name', 'specialization']
+      },
+      {
+        model: Staff,
+        as: 'anesthetist',
+        attributes: ['id', 'first_name', 'last_name']
+      }
+    ],
+    order: [['scheduled_start_time', 'ASC']]
+  });
+
+  return theatres.map((theatre) => {
+    const turnaround = turnaroundFor(theatre);
+    const cases = schedules
+      .filter((schedule) => schedule.ot_id === theatre.id)
+      .map((schedule) => ({
+        ...schedule.toJSON(),
+        ready_at: toTimeString(toMinutes(schedule.scheduled_end_time) + turnaround)
+      }));
+
+    return {
+      theatre: {
+        id: theatre.id,
+        ot_number: theatre.ot_number,
+        name: theatre.name,
+        ot_type: theatre.ot_type,
+        status: theatre.status,
+        turnaround_minutes: turnaround
+      },
+      cases,
+      booked_minutes: cases
+        .filter((entry) => entry.status !== 'postponed')
+        .reduce((total, entry) => total + toMinutes(entry.scheduled_end_time) - toMinutes(entry.scheduled_start_time), 0)
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_TURNAROUND_MINUTES,
+  findConflicts,
+  scheduleSurgery,
+  updateSchedule,
+  postponeSurgery,
+  cancelSurgery,
+  startSurgery,
+  completeSurgery,
+  getDayList
+};
@@ -0,0 +1,241 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Patient, PatientAllergy, PatientProblem, PatientMedication, Drug } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+// A patient's coded allergies, problems and home medications: the list
+// endpoints share their lookups and removal here, and other modules
+// (pharmacy, OT, lab) read the active entries through the helpers below.
+
+const ALLERGY_SEVERITY_RANK = {
+  mild: 1,
+  moderate: 2,
+  severe: 3,
+  life_threatening: 4
+};
+
+const bySeverity = (a, b) => (ALLERGY_SEVERITY_RANK[b.severity] || 0) - (ALLERGY_SEVERITY_RANK[a.severity] || 0);
+
+// Most severe first
+const getActiveAllergies = async (patientId, { allergenType, transaction } = {}) => {
+  const where = { patient_id: patientId, status: 'active' };
+  if (allergenType) {
+    where.allergen_type = allergenType;
+  }
+
+  const allergies = await PatientAllergy.findAll({
+    where,
+    order: [['allergen', 'ASC']],
+    transaction
+  });
+
+  return allergies.sort(bySeverity);
+};
+
+const getActiveProblems = (patientId, { transaction } = {}) => (
+  PatientProblem.findAll({
+    where: { patient_id: patientId, status: 'active' },
+    order: [['onset_date', 'DESC']],
+    transaction
+  })
+);
+
+const getActiveMedications = (patientId, { transaction } = {}) => (
+  PatientMedication.findAll({
+    where: { patient_id: patientId, status: 'active' },
+    include: [{
+      model: Drug,
+      as: 'drug',
+      attributes: ['id', 'drug_code', 'generic_name', 'brand_name', 'category_id']
+    }],
+    order: [['start_date', 'DESC']],
+    transaction
+  })
+);
+
+/**
+ * Active drug allergies whose allergen matches any of the given generic
+ * names or drug category names (case-insensitive substring match either way).
+ */
+const findMatchingDrugAllergies = async (patientId, terms, { transaction } = {}) => {
+  const names = terms.filter(Boolean).map((term) => String(term).toLowerCase());
+  if (names.length === 0) {
+    return [];
+  }
+
+  const allergies = await PatientAllergy.findAll({
+    where: {
+      patient_id: patientId,
+      status: 'active',
+      allergen_type: { [Op.in]: ['drug', 'other'] }
+    },
+    transaction
+  });
+
+  return allergies
+    .filter((allergy) => {
+      const allergen = allergy.allergen.toLowerCase();
+      return names.some((name) => name.includes(allergen) || allergen.includes(name));
+    })
+    .sort(bySeverity);
+};
+
+const getClinicalSummary = async (patientId, options = {}) => {
+  const [allergies, problems, medications] = await Promise.all([
+    getActiveAllergies(patientId, options),
+    getActiveProblems(patientId, options),
+    getActiveMedications(patientId, options)
+  ]);
+
+  return { allergies, problems, medications };
+};
+
+const findActivePatient = async (patientId) => {
+  const patient = await Patient.findOne({ where: { id: patientId, is_active: true } });
+  if (!patient) {
+    throw new ServiceError('Patient not found', 404);
+  }
+  return patient;
+};
+
+const assertDrugExists = async (drugId) => {
+  if (drugId && !(await Drug.findByPk(drugId))) {
+    throw new ServiceError('Drug not found', 404);
+  }
+};
+
+const assertResolvedAfterOnset = (onsetDate, resolutionDate) => {
+  if (onsetDate && resolutionDate && resolutionDate < onsetDate) {
+    throw new ServiceError('Resolution date cannot be before onset date', 400);
+  }
+};
+
+/**
+ * The clinical lists. `beforeCreate` and `beforeUpdate` check a new entry or
+ * a change against the patient's record and may fill in derived fields.
+ */
+const CLINICAL_LISTS = {
+  allergies: {
+    model: PatientAllergy,
+    label: 'Allergy',
+    order: [['status', 'ASC'], ['allergen', 'ASC']],
+    beforeCreate: async (patient, data) => {
+      // Compared exactly, ignoring case, so % and _ in an allergen are not wildcards
+      const existing = await PatientAllergy.findOne({
+        where: {
+          patient_id: patient.id,
+          status: 'active',
+          [Op.and]: [sequelize.where(sequelize.fn('lower', sequelize.col('allergen')), data.allergen.toLowerCase())]
+        }
+      });
+      if (existing) {
+        throw new ServiceError(`An active allergy to ${existing.allergen} is already recorded`, 409, { allergy: existing });
+      }
+      return data;
+    }
+  },
+  problems: {
+    model: PatientProblem,
+    label: 'Problem',
+    order: [['status', 'ASC'], ['onset_date', 'DESC']],
+    beforeCreate: async (patient, data) => {
+      assertResolvedAfterOnset(data.onset_date, data.resolution_date);
+      return { ...data, status: data.status || (data.resolution_date ? 'resolved' : 'active') };
+    },
+    beforeUpdate: async (record, changes) => {
+      assertResolvedAfterOnset(changes.onset_date || record.onset_date, changes.resolution_date || record.resolution_date);
+      return changes.resolution_date && !changes.status ? { ...changes, status: 'resolved' } : changes;
+    }
+  },
+  medications: {
+    model: PatientMedication,
+    label: 'Home medication',
+    order: [['status', 'ASC'], ['start_date', 'DESC']],
+    include: [{
+      model: Drug,
+      as: 'drug',
+      attributes: ['id', 'drug_code', 'generic_name', 'brand_name']
+    }],
+    beforeCreate: async (patient, data) => {
+      await assertDrugExists(data.drug_id);
+      return data;
+    },
+    beforeUpdate: async (record, changes) => {
+      await assertDrugExists(changes.drug_id);
+      return changes;
+    }
+  }
+};
+
+// Entries in one of a patient's lists; entered-in-error ones only when asked for
+const listClinicalRecords = async (list, patientId, { status } = {}) => {
+  const { model, order, include } = CLINICAL_LISTS[list];
+  const patient = await findActivePatient(patientId);
+
+  return model.findAll({
+    where: { patient_id: patient.id, status: status || { [Op.ne]: 'entered_in_error' } },
+    include,
+    order
+  });
+};
+
+const findClinicalRecord = async (list, patientId, recordId) => {
+  const { model, label } = CLINICAL_LISTS[list];
+  const record = await model.findOne({
+    where: {
+      id: recordId,
+      patient_id: patientId,
+      status: { [Op.ne]: 'entered_in_error' }
+    }
+  });
+
+  if (!record) {
+    throw new ServiceError(`${label} not found`, 404);
+  }
+
+  return record;
+};
+
+const createClinicalRecord = async (list, patientId, data, actorId) => {
+  const { model, beforeCreate } = CLINICAL_LISTS[list];
+  const patient = await findActivePatient(patientId);
+  const values = beforeCreate ? await beforeCreate(patient, data) : data;
+
+  return model.create({
+    status: 'active',
+    ...values,
+    patient_id: patient.id,
+    recorded_by: actorId
+  });
+};
+
+// Returns the updated record with a copy of what it held before, for the audit log
+const updateClinicalRecord = async (list, patientId, recordId, changes) => {
+  const { beforeUpdate } = CLINICAL_LISTS[list];
+  const record = await findClinicalRecord(list, patientId, recordId);
+  const original = record.toJSON();
+  const applied = beforeUpdate ? await beforeUpdate(record, changes) : changes;
+
+  await record.update(applied);
+  return { record, original, changes: applied };
+};
+
+// Entries are never deleted, only marked entered in error and hidden from listings
+const removeClinicalRecord = async (list, patientId, recordId) => {
+  const record = await findClinicalRecord(list, patientId, recordId);
+  await record.update({ status: 'entered_in_error' });
+  return record;
+};
+
+module.exports = {
+  ALLERGY_SEVERITY_RANK,
+  getActiveAllergies,
+  getActiveProblems,
+  getActiveMedications,
+  findMatchingDrugAllergies,
+  getClinicalSummary,
+  listClinicalRecords,
+  createClinicalRecord,
+  updateClinicalRecord,
+  removeClinicalRecord
+};
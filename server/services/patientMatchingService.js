@@ -0,0 +1,167 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { Patient } = require('../models');
+
+// Score at or above which a registration is held back as a likely duplicate
+const DUPLICATE_SCORE_THRESHOLD = parseFloat(process.env.DUPLICATE_SCORE_THRESHOLD) || 0.75;
+const MAX_CANDIDATES = 10;
+
+// Relative weight of each field in the overall score
+const WEIGHTS = {
+  name: 0.45,
+  date_of_birth: 0.3,
+  phone: 0.15,
+  address: 0.1
+};
+
+const normalizeText = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Last 10 digits, so +91 / leading-zero variants of a number compare equal
+const normalizePhone = (value) => String(value || '').replace(/\D/g, '').slice(-10);
+
+const levenshtein = (a, b) => {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+const similarity = (a, b) => {
+  if (!a || !b) return 0;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// Order-insensitive so "Kumar Ravi" matches "Ravi Kumar"
+const nameScore = (input, patient) => {
+  const first = normalizeText(input.first_name);
+  const last = normalizeText(input.last_name);
+  const candidateFirst = normalizeText(patient.first_name);
+  const candidateLast = normalizeText(patient.last_name);
+
+  const straight = (similarity(first, candidateFirst) + similarity(last, candidateLast)) / 2;
+  const swapped = (similarity(first, candidateLast) + similarity(last, candidateFirst)) / 2;
+
+  return Math.max(straight, swapped);
+};
+
+// Exact match, or a common data-entry slip: day/month swapped or one digit off
+const dateOfBirthScore = (input, patient) => {
+  if (!input.date_of_birth || !patient.date_of_birth) return 0;
+
+  const a = moment(input.date_of_birth).format('YYYY-MM-DD');
+  const b = moment(patient.date_of_birth).format('YYYY-MM-DD');
+  if (a === b) return 1;
+
+  const [yearA, monthA, dayA] = a.split('-');
+  const [yearB, monthB, dayB] = b.split('-');
+  if (yearA === yearB && monthA === dayB && dayA === monthB) return 0.8;
+  if (levenshtein(a, b) === 1) return 0.6;
+
+  return 0;
+};
+
+const phoneScore = (input, patient) => {
+  const a = normalizePhone(input.phone);
+  const b = normalizePhone(patient.phone);
+  if (!a || !b) return 0;
+  return a === b ? 1 : 0;
+};
+
+const addressScore = (input, patient) => {
+  const a = new Set(normalizeText(input.address).split(' ').filter(Boolean));
+  const b = new Set(normalizeText(patient.address).split(' ').filter(Boolean));
+  if (a.size === 0 || b.size === 0) return 0;
+
+  const shared = [...a].filter((token) => b.has(token)).length;
+  return shared / new Set([...a, ...b]).size;
+};
+
+const scorePatient = (input, patient) => {
+  const breakdown = {
+    name: nameScore(input, patient),
+    date_of_birth: dateOfBirthScore(input, patient),
+    phone: phoneScore(input, patient),
+    address: addressScore(input, patient)
+  };
+
+  const score = Object.keys(WEIGHTS).reduce((sum, field) => sum + WEIGHTS[field] * breakdown[field], 0);
+
+  return {
+    score: Math.round(score * 100) / 100,
+    breakdown: Object.fromEntries(
+      Object.entries(breakdown).map(([field, value]) => [field, Math.round(value * 100) / 100])
+    )
+  };
+};
+
+/**
+ * Scored list of existing active patients that may be the same person as
+ * `input` (first_name, last_name, date_of_birth, phone, address). Candidates
+ * are pre-filtered in SQL on phone, date of birth or name prefix, then scored.
+ */
+const findDuplicateCandidates = async (input, { excludeId, minScore = 0.5, limit = MAX_CANDIDATES } = {}) => {
+  const filters = [];
+  const phone = normalizePhone(input.phone);
+
+  if (phone) {
+    filters.push({ phone: { [Op.like]: `%${phone}` } });
+  }
+  if (input.date_of_birth) {
+    filters.push({ date_of_birth: moment(input.date_of_birth).format('YYYY-MM-DD') });
+  }
+  if (input.first_name && input.last_name) {
+    const firstPrefix = normalizeText(input.first_name).slice(0, 3);
+    const lastPrefix = normalizeText(input.last_name).slice(0, 3);
+    filters.push(
+      { first_name: { [Op.iLike]: `${firstPrefix}%` }, last_name: { [Op.iLike]: `${lastPrefix}%` } },
+      { first_name: { [Op.iLike]: `${lastPrefix}%` }, last_name: { [Op.iLike]: `${firstPrefix}%` } }
+    );
+  }
+
+  if (filters.length === 0) {
+    return [];
+  }
+
+  const where = { is_active: true, [Op.or]: filters };
+  if (excludeId) {
+    where.id = { [Op.ne]: excludeId };
+  }
+
+  const patients = await Patient.findAll({
+    where,
+    attributes: ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'phone', 'address', 'city'],
+    limit: 200
+  });
+
+  return patients
+    .map((patient) => ({ patient, ...scorePatient(input, patient) }))
+    .filter((candidate) => candidate.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  DUPLICATE_SCORE_THRESHOLD,
+  scorePatient,
+  findDuplicateCandidates
+};
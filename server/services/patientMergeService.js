@@ -0,0 +1,168 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Patient, IPDAdmission, PatientMergeLog } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+// Every table whose rows belong to a patient via patient_id. Add new
+// patient-owned tables here so merges carry them over.
+const PATIENT_REFERENCES = [
+  'opd_appointment_series',
+  'opd_appointments',
+  'opd_queue_tokens',
+  'ipd_admissions',
+  'ot_schedules',
+  'emergency_cases',
+  'lab_orders',
+  'lab_samples',
+  'lab_results',
+  'lab_critical_alerts',
+  'radiology_orders',
+  'issued_reports',
+  'patient_bills',
+  'insurance_claims',
+  'ambulance_requests',
+  'patient_allergies',
+  'patient_problems',
+  'patient_medications',
+  'patient_consents',
+  'patient_relationships',
+  'vital_observations',
+  'vital_alerts',
+  'prescriptions',
+  'dispensations',
+  'drug_returns',
+  'drug_alert_overrides'
+];
+
+// Demographic fields the survivor takes from the duplicate when its own are empty
+const FILLABLE_FIELDS = [
+  'middle_name', 'blood_group', 'email', 'emergency_contact', 'emergency_contact_name',
+  'address', 'city', 'state', 'pincode', 'marital_status', 'occupation',
+  'insurance_provider', 'insurance_policy_number', 'allergies', 'medical_history'
+];
+
+// Relationship rows reference patients from both sides and are unique per
+// pair, so drop links between the two records and links the survivor already
+// has before re-pointing the duplicate's incoming links.
+const reconcileRelationships = async (survivorId, duplicateId, transaction) => {
+  const replacements = { survivorId, duplicateId };
+
+  await sequelize.query(
+    `DELETE FROM patient_relationships
+     WHERE (patient_id = :duplicateId AND related_patient_id = :survivorId)
+        OR (patient_id = :survivorId AND related_patient_id = :duplicateId)`,
+    { replacements, transaction }
+  );
+  await sequelize.query(
+    `DELETE FROM patient_relationships d USING patient_relationships s
+     WHERE d.patient_id = :duplicateId AND s.patient_id = :survivorId
+       AND s.related_patient_id = d.related_patient_id`,
+    { replacements, transaction }
+  );
+  await sequelize.query(
+    `DELETE FROM patient_relationships d USING patient_relationships s
+     WHERE d.related_patient_id = :duplicateId AND s.related_patient_id = :survivorId
+       AND s.patient_id = d.patient_id`,
+    { replacements, transaction }
+  );
+  await sequelize.query(
+    'UPDATE patient_relationships SET related_patient_id = :survivorId WHERE related_patient_id = :duplicateId',
+    { replacements, type: QueryTypes.UPDATE, transaction }
+  );
+};
+
+/**
+ * Merge a duplicate patient record into the surviving one. All clinical and
+ * billing records are re-pointed to the survivor, blank demographics are
+ * filled from the duplicate, and the duplicate is deactivated with a link to
+ * the survivor. The moved row counts and a snapshot of the duplicate are kept
+ * in patient_merge_log.
+ */
+const mergePatients = async (survivorId, duplicateId, { reason, actorId }) => {
+  if (survivorId === duplicateId) {
+    throw new ServiceError('A patient cannot be merged into itself', 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    // Lock both records in a stable order so opposite merges cannot deadlock
+    const locked = {};
+    for (const id of [survivorId, duplicateId].sort()) {
+      locked[id] = await Patient.findByPk(id, { transaction, lock: transaction.LOCK.UPDATE });
+    }
+    const survivor = locked[survivorId];
+    const duplicate = locked[duplicateId];
+
+    if (!survivor || !survivor.is_active) {
+      throw new ServiceError('Surviving patient not found', 404);
+    }
+    if (!duplicate || !duplicate.is_active) {
+      throw new ServiceError('Duplicate patient not found or already merged', 404);
+    }
+
+    const activeAdmissions = await IPDAdmission.count({
+      where: { patient_id: [survivorId, duplicateId], status: 'admitted' },
+      transaction
+    });
+    if (activeAdmissions > 1) {
+      throw new ServiceError('Both patients have an active admission; discharge one before merging', 409);
+    }
+
+    await reconcileRelationships(survivorId, duplicateId, transaction);
+
+    const movedRecords = {};
+    for (const table of PATIENT_REFERENCES) {
+      const [, affected] = await sequelize.query(
+        `UPDATE ${table} SET patient_id = :survivorId WHERE patient_id = :duplicateId`,
+        { replacements: { survivorId, duplicateId }, type: QueryTypes.UPDATE, transaction }
+      );
+      movedRecords[table] = affected || 0;
+    }
+
+    const filled = {};
+    FILLABLE_FIELDS.forEach((field) => {
+      if (!survivor[field] && duplicate[field]) {
+        filled[field] = duplicate[field];
+      }
+    });
+
+    const snapshot = duplicate.toJSON();
+
+    // The survivor takes over the duplicate's family account place if it has none
+    if (!survivor.family_account_id && duplicate.family_account_id) {
+      filled.family_account_id = duplicate.family_account_id;
+      filled.family_role = duplicate.family_role;
+    }
+    if (duplicate.family_account_id) {
+      await duplicate.update({ family_account_id: null, family_role: null }, { transaction });
+    }
+
+    await survivor.update({
+      ...filled,
+      no_show_count: (survivor.no_show_count || 0) + (duplicate.no_show_count || 0)
+    }, { transaction });
+
+    await duplicate.update({
+      is_active: false,
+      merged_into_id: survivor.id,
+      merged_at: new Date()
+    }, { transaction });
+
+    const log = await PatientMergeLog.create({
+      surviving_patient_id: survivor.id,
+      merged_patient_id: duplicate.id,
+      moved_records: movedRecords,
+      filled_fields: Object.keys(filled),
+      merged_patient_snapshot: snapshot,
+      reason,
+      merged_by: actorId,
+      merged_at: new Date()
+    }, { transaction });
+
+    return { survivor, duplicate, log };
+  });
+};
+
+module.exports = {
+  PATIENT_REFERENCES,
+  mergePatients
+};
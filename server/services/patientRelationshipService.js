@@ -0,0 +1,255 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Patient, PatientRelationship } = require('../models');
+const ServiceError = require('../utils/serviceError');
+
+// How the related patient sees the patient, e.g. A's parent B has A as child
+const RELATIONSHIP_INVERSES = {
+  parent: 'child',
+  child: 'parent',
+  spouse: 'spouse',
+  sibling: 'sibling',
+  guardian: 'ward',
+  ward: 'guardian',
+  grandparent: 'grandchild',
+  grandchild: 'grandparent',
+  other: 'other'
+};
+
+const RELATIONSHIP_TYPES = Object.keys(RELATIONSHIP_INVERSES);
+
+// Patients younger than this are contacted through their guardians first
+const MINOR_AGE_YEARS = parseInt(process.env.GUARDIAN_MINOR_AGE, 10) || 18;
+
+const RELATED_PATIENT_ATTRIBUTES = ['id', 'patient_id', 'first_name', 'last_name', 'date_of_birth', 'gender', 'phone', 'email'];
+
+const isMinor = (patient) => moment().diff(moment(patient.date_of_birth), 'years') < MINOR_AGE_YEARS;
+
+const findLink = (relationshipId, patientId, transaction) => (
+  PatientRelationship.findOne({
+    where: { id: relationshipId, patient_id: patientId },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  })
+);
+
+const findInverse = (link, transaction) => (
+  PatientRelationship.findOne({
+    where: { patient_id: link.related_patient_id, related_patient_id: link.patient_id },
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  })
+);
+
+/**
+ * Link two patient records. Both directions are stored so either patient's
+ * list shows the link; `relationship` is what the related patient is to the
+ * patient. A guardian relationship always marks the related patient as guardian.
+ */
+const linkPatients = async (patientId, data, actorId) => {
+  const relatedPatientId = data.related_patient_id;
+  if (patientId === relatedPatientId) {
+    throw new ServiceError('A patient cannot be linked to itself', 400);
+  }
+
+  return sequelize.transaction(async (transaction) => {
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: `patient_relationship:${[patientId, relatedPatientId].sort().join(':')}` },
+      transaction
+    });
+
+    const patients = await Patient.count({
+      where: { id: [patientId, relatedPatientId], is_active: true },
+      transaction
+    });
+    if (patients !== 2) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    const existing = await PatientRelationship.findOne({
+      where: { patient_id: patientId, related_patient_id: relatedPatientId },
+      transaction
+    });
+    if (existing) {
+      throw new ServiceError(`These patients are already linked as ${existing.relationship}`, 409, {
+        relationship_id: existing.id
+      });
+    }
+
+    const link = await PatientRelationship.create({
+      patient_id: patientId,
+      related_patient_id: relatedPatientId,
+      relationship: data.relationship,
+      is_guardian: data.relationship === 'guardian' || Boolean(data.is_guardian),
+      is_emergency_contact: Boolean(data.is_emergency_contact),
+      notes: data.notes || null,
+      created_by: actorId
+    }, { transaction });
+
+    await PatientRelationship.create({
+      patient_id: relatedPatientId,
+      related_patient_id: patientId,
+      relationship: RELATIONSHIP_INVERSES[data.relationship],
+      is_guardian: data.relationship === 'ward',
+      is_emergency_contact: false,
+      notes: data.notes || null,
+      created_by: actorId
+    }, { transaction });
+
+    return link;
+  });
+};
+
+// Changing the relationship type rewrites the reverse link to match
+const updateRelationship = async (patientId, relationshipId, data) => {
+  return sequelize.transaction(async (transaction) => {
+    const link = await findLink(relationshipId, patientId, transaction);
+    if (!link) {
+      throw new ServiceError('Relationship not found', 404);
+    }
+
+    const relationship = data.relationship || link.relationship;
+    const isGuardian = relationship === 'guardian' ||
+      (data.is_guardian !== undefined ? Boolean(data.is_guardian) : link.is_guardian);
+
+    await link.update({
+      relationship,
+      is_guardian: isGuardian,
+      ...(data.is_emergency_contact !== undefined && { is_emergency_contact: Boolean(data.is_emergency_contact) }),
+      ...(data.notes !== undefined && { notes: data.notes })
+    }, { transaction });
+
+    if (data.relationship) {
+      const inverse = await findInverse(link, transaction);
+      if (inverse) {
+        const inverseRelationship = RELATIONSHIP_INVERSES[relationship];
+        await inverse.update({
+          relationship: inverseRelationship,
+          // Guardianship implied by the old type goes away with it
+          is_guardian: inverseRelationship === 'guardian' || (inverse.relationship !== 'guardian' && inverse.is_guardian)
+        }, { transaction });
+      }
+    }
+
+    return link;
+  });
+};
+
+const unlinkPatients = async (patientId, relationshipId) => {
+  return sequelize.transaction(async (transaction) => {
+    const link = await findLink(relationshipId, patientId, transaction);
+    if (!link) {
+      throw new ServiceError('Relationship not found', 404);
+    }
+
+    const inverse = await findInverse(link, transaction);
+    if (inverse) {
+      await inverse.destroy({ transaction });
+    }
+    await link.destroy({ transaction });
+
+    return link;
+  });
+};
+
+const getRelationships = (patientId, { guardiansOnly = false, transaction } = {}) => {
+  const where = { patient_id: patientId };
+  if (guardiansOnly) {
+    where.is_guardian = true;
+  }
+
+  return PatientRelationship.findAll({
+    where,
+    include: [{
+      model: Patient,
+      as: 'related_patient',
+      attributes: RELATED_PATIENT_ATTRIBUTES
+    }],
+    order: [['is_guardian', 'DESC'], ['created_at', 'ASC']],
+    transaction
+  });
+};
+
+const toContact = (source, link) => ({
+  source,
+  patient_id: link.related_patient.id,
+  name: `${link.related_patient.first_name} ${link.related_patient.last_name}`,
+  relationship: link.relationship,
+  phone: link.related_patient.phone,
+  email: link.related_patient.email
+});
+
+/**
+ * Everyone who can be contacted about a patient, in the order they should be
+ * tried: minors are reached through their guardians before their own phone,
+ * adults first and then their guardians and emergency contacts. The free-text
+ * emergency contact on the patient record comes last.
+ */
+const resolveContactPoints = async (patientId, { transaction } = {}) => {
+  const patient = await Patient.findByPk(patientId, { transaction });
+  if (!patient) {
+    throw new ServiceError('Patient not found', 404);
+  }
+
+  const links = await PatientRelationship.findAll({
+    where: {
+      patient_id: patientId,
+      [Op.or]: [{ is_guardian: true }, { is_emergency_contact: true }]
+    },
+    include: [{
+      model: Patient,
+      as: 'related_patient',
+      where: { is_active: true },
+      attributes: RELATED_PATIENT_ATTRIBUTES
+    }],
+    order: [['is_guardian', 'DESC'], ['created_at', 'ASC']],
+    transaction
+  });
+
+  const self = {
+    source: 'patient',
+    patient_id: patient.id,
+    name: `${patient.first_name} ${patient.last_name}`,
+    relationship: 'self',
+    phone: patient.phone,
+    email: patient.email
+  };
+  const guardians = links.filter((link) => link.is_guardian).map((link) => toContact('guardian', link));
+  const emergency = links.filter((link) => !link.is_guardian).map((link) => toContact('emergency_contact', link));
+  const recorded = patient.emergency_contact ? [{
+    source: 'emergency_contact',
+    patient_id: null,
+    name: patient.emergency_contact_name,
+    relationship: null,
+    phone: patient.emergency_contact,
+    email: null
+  }] : [];
+
+  const minor = isMinor(patient);
+  const ordered = minor
+    ? [...guardians, self, ...emergency, ...recorded]
+    : [self, ...guardians, ...emergency, ...recorded];
+
+  return {
+    minor,
+    contacts: ordered.filter((contact) => contact.phone || contact.email)
+  };
+};
+
+// First contact reachable on a channel ('phone' or 'email'), or null
+const getNotificationContact = async (patientId, channel, options = {}) => {
+  const { contacts } = await resolveContactPoints(patientId, options);
+  return contacts.find((contact) => contact[channel]) || null;
+};
+
+module.exports = {
+  RELATIONSHIP_TYPES,
+  RELATIONSHIP_INVERSES,
+  linkPatients,
+  updateRelationship,
+  unlinkPatients,
+  getRelationships,
+  resolveContactPoints,
+  getNotificationContact
+};
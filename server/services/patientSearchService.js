@@ -0,0 +1,128 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Latest completed/ongoing OPD visit or admission for each patient
+const LAST_VISIT_JOIN = `
+  LEFT JOIN LATERAL (
+    SELECT GREATEST(
+      (SELECT MAX(o.appointment_date) FROM opd_appointments o
+        WHERE o.patient_id = p.id AND o.status IN ('completed', 'in_progress')),
+      (SELECT MAX(a.admission_date)::date FROM ipd_admissions a
+        WHERE a.patient_id = p.id)
+    ) AS last_visit_date
+  ) lv ON true`;
+
+// Treat %, _ and \ typed by the user literally in LIKE/ILIKE patterns
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Ranked patient search. The term is matched against full-text tokens
+ * (name, patient_id, email, city), trigram similarity on the full name,
+ * Double Metaphone codes of each word (so "Muhammad" finds "Mohammed"), and
+ * digits in the phone number. Exact patient_id and phone hits rank highest.
+ *
+ * filters: { q, age_min, age_max, gender, last_visit_from, last_visit_to, page, limit }
+ */
+const searchPatients = async (filters) => {
+  const page = parseInt(filters.page, 10) || 1;
+  const limit = parseInt(filters.limit, 10) || 20;
+  const q = (filters.q || '').trim();
+
+  const conditions = ['p.is_active = true'];
+  const replacements = { limit, offset: (page - 1) * limit };
+  let rankExpression = '0';
+
+  if (q) {
+    const tokens = q.toLowerCase().split(/\s+/).filter((token) => token.length >= 2);
+    const digits = q.replace(/\D/g, '');
+
+    Object.assign(replacements, {
+      q,
+      qLower: q.toLowerCase(),
+      qExact: escapeLike(q),
+      qPrefix: `${escapeLike(q)}%`,
+      tokens: tokens.length > 0 ? tokens : [q.toLowerCase()],
+      digits: digits.length >= 4 ? `%${digits}%` : null
+    });
+
+    const phonetic = `EXISTS (
+      SELECT 1 FROM unnest(CAST(ARRAY[:tokens] AS text[])) AS token
+      WHERE dmetaphone(token) IN (dmetaphone(p.first_name), dmetaphone(p.last_name))
+         OR dmetaphone_alt(token) IN (dmetaphone_alt(p.first_name), dmetaphone_alt(p.last_name))
+    )`;
+    const fullName = "lower(p.first_name || ' ' || p.last_name)";
+    const phoneMatch = "(CAST(:digits AS text) IS NOT NULL AND regexp_replace(p.phone, '\\D', '', 'g') LIKE :digits)";
+
+    conditions.push(`(
+      p.search_vector @@ plainto_tsquery('simple', :q)
+      OR ${fullName} % :qLower
+      OR :qLower <% ${fullName}
+      OR ${phonetic}
+      OR p.patient_id ILIKE :qPrefix
+      OR p.email ILIKE :qPrefix
+      OR p.city ILIKE :qPrefix
+      OR ${phoneMatch}
+    )`);
+
+    rankExpression = `(
+      CASE WHEN p.patient_id ILIKE :qExact THEN 3 ELSE 0 END
+      + CASE WHEN ${phoneMatch} THEN 1.5 ELSE 0 END
+      + ts_rank(p.search_vector, plainto_tsquery('simple', :q)) * 2
+      + GREATEST(similarity(${fullName}, :qLower), word_similarity(:qLower, ${fullName}))
+      + CASE WHEN ${phonetic} THEN 0.5 ELSE 0 END
+    )`;
+  }
+
+  if (filters.gender) {
+    conditions.push('p.gender = :gender');
+    replacements.gender = filters.gender;
+  }
+  if (filters.age_min !== undefined && filters.age_min !== '') {
+    conditions.push("p.date_of_birth <= CURRENT_DATE - make_interval(years => CAST(:ageMin AS int))");
+    replacements.ageMin = parseInt(filters.age_min, 10);
+  }
+  if (filters.age_max !== undefined && filters.age_max !== '') {
+    conditions.push("p.date_of_birth > CURRENT_DATE - make_interval(years => CAST(:ageMax AS int) + 1)");
+    replacements.ageMax = parseInt(filters.age_max, 10);
+  }
+  if (filters.last_visit_from) {
+    conditions.push('lv.last_visit_date >= :lastVisitFrom');
+    replacements.lastVisitFrom = filters.last_visit_from;
+  }
+  if (filters.last_visit_to) {
+    conditions.push('lv.last_visit_date <= :lastVisitTo');
+    replacements.lastVisitTo = filters.last_visit_to;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT p.id, p.patient_id, p.first_name, p.middle_name, p.last_name, p.date_of_birth,
+           date_part('year', age(p.date_of_birth))::int AS age,
+           p.gender, p.phone, p.email, p.city, lv.last_visit_date,
+           ${rankExpression} AS rank,
+           COUNT(*) OVER() AS total_count
+    FROM patients p
+    ${LAST_VISIT_JOIN}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY rank DESC, lv.last_visit_date DESC NULLS LAST, p.last_name, p.first_name
+    LIMIT :limit OFFSET :offset
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+
+  return {
+    patients: rows.map(({ total_count, rank, ...patient }) => ({
+      ...patient,
+      rank: Math.round(parseFloat(rank) * 1000) / 1000
+    })),
+    pagination: {
+      current_page: page,
+      total_pages: Math.ceil(total / limit),
+      total_records: total,
+      per_page: limit
+    }
+  };
+};
+
+module.exports = {
+  searchPatients
+};
@@ -0,0 +1,120 @@
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One SELECT per event type, each projecting the same named columns so any
+// subset can be UNIONed: event_type, event_id, occurred_at, reference, title,
+// status, details
+const TIMELINE_SOURCES = {
+  visit: `
+    SELECT 'visit' AS event_type, id AS event_id,
+           (appointment_date + appointment_time)::timestamp AS occurred_at,
+           appointment_number AS reference,
+           'OPD ' || replace(coalesce(appointment_type, 'consultation'), '_', ' ') AS title,
+           status,
+           jsonb_build_object('doctor_id', doctor_id, 'department_id', department_id,
+             'chief_complaint', chief_complaint) AS details
+    FROM opd_appointments WHERE patient_id = :patientId`,
+  admission: `
+    SELECT 'admission' AS event_type, id AS event_id, admission_date AS occurred_at,
+           admission_number AS reference,
+           'IPD admission (' || coalesce(admission_type, 'planned') || ')' AS title,
+           status,
+           jsonb_build_object('doctor_id', doctor_id, 'bed_id', bed_id, 'diagnosis', diagnosis,
+             'discharge_date', discharge_date) AS details
+    FROM ipd_admissions WHERE patient_id = :patientId`,
+  emergency: `
+    SELECT 'emergency' AS event_type, id AS event_id, arrival_time AS occurred_at,
+           case_number AS reference,
+           'Emergency visit' AS title,
+           status,
+           jsonb_build_object('triage_level', triage_level, 'chief_complaint', chief_complaint,
+             'assigned_doctor_id', assigned_doctor_id, 'discharge_time', discharge_time) AS details
+    FROM emergency_cases WHERE patient_id = :patientId`,
+  surgery: `
+    SELECT 'surgery' AS event_type, id AS event_id,
+           (scheduled_date + scheduled_start_time)::timestamp AS occurred_at,
+           CAST(NULL AS varchar) AS reference,
+           procedure_name AS title,
+           status,
+           jsonb_build_object('ot_id', ot_id, 'surgeon_id', surgeon_id,
+             'anesthetist_id', anesthetist_id) AS details
+    FROM ot_schedules WHERE patient_id = :patientId`,
+  lab_order: `
+    SELECT 'lab_order' AS event_type, id AS event_id, order_date AS occurred_at,
+           order_number AS reference,
+           'Lab order' AS title,
+           status,
+           jsonb_build_object('doctor_id', doctor_id, 'priority', priority,
+             'total_amount', total_amount) AS details
+    FROM lab_orders WHERE patient_id = :patientId`,
+  radiology_order: `
+    SELECT 'radiology_order' AS event_type, id AS event_id, order_date AS occurred_at,
+           order_number AS reference,
+           study_type || coalesce(' - ' || body_part, '') AS title,
+           status,
+           jsonb_build_object('doctor_id', doctor_id, 'priority', priority,
+             'scheduled_date', scheduled_date) AS details
+    FROM radiology_orders WHERE patient_id = :patientId`,
+  bill: `
+    SELECT 'bill' AS event_type, id AS event_id, bill_date::timestamp AS occurred_at,
+           bill_number AS reference,
+           'Bill' AS title,
+           status,
+           jsonb_build_object('admission_id', admission_id, 'total_amount', total_amount,
+             'balance_amount', balance_amount) AS details
+    FROM patient_bills WHERE patient_id = :patientId`,
+  claim: `
+    SELECT 'claim' AS event_type, id AS event_id, claim_date::timestamp AS occurred_at,
+           claim_number AS reference,
+           'Insurance claim' AS title,
+           status,
+           jsonb_build_object('provider_id', provider_id, 'admission_id', admission_id,
+             'claim_amount', claim_amount, 'approved_amount', approved_amount) AS details
+    FROM insurance_claims WHERE patient_id = :patientId`
+};
+
+const TIMELINE_EVENT_TYPES = Object.keys(TIMELINE_SOURCES);
+
+/**
+ * One chronological stream (newest first) of a patient's encounters, orders
+ * and financial records, optionally limited to some event types and a date range.
+ */
+const getPatientTimeline = async (patientId, { types, from, to, page = 1, limit = 20 } = {}) => {
+  const selected = types && types.length > 0 ? types : TIMELINE_EVENT_TYPES;
+  const conditions = ['occurred_at IS NOT NULL'];
+  const replacements = { patientId, limit, offset: (page - 1) * limit };
+
+  if (from) {
+    conditions.push('occurred_at >= CAST(:from AS date)');
+    replacements.from = from;
+  }
+  if (to) {
+    conditions.push('occurred_at < CAST(:to AS date) + 1');
+    replacements.to = to;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT *, COUNT(*) OVER() AS total_count
+    FROM (${selected.map((type) => TIMELINE_SOURCES[type]).join('\n    UNION ALL\n')}) events
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY occurred_at DESC, event_type
+    LIMIT :limit OFFSET :offset
+  `, { replacements, type: QueryTypes.SELECT });
+
+  const total = rows.length > 0 ? parseInt(rows[0].total_count, 10) : 0;
+
+  return {
+    events: rows.map(({ total_count, ...event }) => event),
+    pagination: {
+      current_page: page,
+      total_pages: Math.ceil(total / limit),
+      total_records: total,
+      per_page: limit
+    }
+  };
+};
+
+module.exports = {
+  TIMELINE_EVENT_TYPES,
+  getPatientTimeline
+};
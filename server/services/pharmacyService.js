@@ -0,0 +1,431 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const {
+  Prescription,
+  PrescriptionItem,
+  Dispensation,
+  DispensationItem,
+  DrugReturn,
+  DrugInventory,
+  Drug,
+  OPDAppointment,
+  IPDAdmission,
+  Patient,
+  Staff
+} = require('../models');
+const { generateNumber } = require('./sequenceService');
+const { checkDrugs, resolveOverrides, recordOverrides, getOverriddenCodes } = require('./drugSafetyService');
+const { applyMovement } = require('./stockService');
+const ServiceError = require('../utils/serviceError');
+
+const OPEN_STATUSES = ['active', 'partially_dispensed'];
+
+const lockPrescription = async (prescriptionId, transaction) => {
+  const prescription = await Prescription.findByPk(prescriptionId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!prescription) {
+    throw new ServiceError('Prescription not found', 404);
+  }
+  return prescription;
+};
+
+const itemStatus = (item) => {
+  if (item.quantity_dispensed >= item.quantity_prescribed) return 'dispensed';
+  if (item.quantity_dispensed > 0) return 'partially_dispensed';
+  return 'pending';
+};
+
+const prescriptionStatus = (items) => {
+  const live = items.filter((item) => item.status !== 'cancelled');
+  if (live.every((item) => item.status === 'dispensed')) return 'dispensed';
+  if (items.some((item) => item.quantity_dispensed > 0)) return 'partially_dispensed';
+  return 'active';
+};
+
+// The appointment or admission the prescription is written against, checked against the patient
+const assertEncounter = async (data, transaction) => {
+  if (data.appointment_id) {
+    const appointment = await OPDAppointment.findByPk(data.appointment_id, { transaction });
+    if (!appointment || appointment.patient_id !== data.patient_id) {
+      throw new ServiceError('Appointment not found for this patient', 404);
+    }
+    if (['cancelled', 'no_show'].includes(appointment.status)) {
+      throw new ServiceError(`Cannot prescribe against a ${appointment.status} appointment`, 409);
+    }
+    return;
+  }
+
+  const admission = await IPDAdmission.findByPk(data.admission_id, { transaction });
+  if (!admission || admission.patient_id !== data.patient_id) {
+    throw new ServiceError('Admission not found for this patient', 404);
+  }
+  if (admission.status !== 'admitted') {
+    throw new ServiceError(`Admission is already ${admission.status}`, 409);
+  }
+};
+
+/**
+ * Write a prescription. Drugs are checked for allergies, interactions and
+ * duplicate therapy first; serious alerts need an override reason in
+ * `data.overrides`, which is recorded against the prescription.
+ */
+const createPrescription = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const patient = await Patient.findOne({ where: { id: data.patient_id, is_active: true }, transaction });
+    if (!patient) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    const doctor = await Staff.findOne({ where: { id: data.doctor_id, is_active: true }, transaction });
+    if (!doctor) {
+      throw new ServiceError('Prescribing doctor not found', 404);
+    }
+
+    await assertEncounter(data, transaction);
+
+    const drugIds = [...new Set(data.items.map((item) => item.drug_id))];
+    const drugs = await Drug.findAll({ where: { id: drugIds, is_active: true }, attributes: ['id'], transaction });
+    if (drugs.length !== drugIds.length) {
+      const found = new Set(drugs.map((drug) => drug.id));
+      throw new ServiceError('Some drugs were not found or are inactive', 404, {
+        missing_drug_ids: drugIds.filter((id) => !found.has(id))
+      });
+    }
+
+    const alerts = await checkDrugs(patient.id, data.items.map((item) => item.drug_id), { transaction });
+    const resolved = resolveOverrides(alerts, data.overrides);
+
+    const prescription = await Prescription.create({
+      prescription_number: await generateNumber('prescription', { transaction }),
+      patient_id: patient.id,
+      doctor_id: doctor.id,
+      appointment_id: data.appointment_id || null,
+      admission_id: data.admission_id || null,
+      status: 'active',
+      notes: data.notes,
+      prescribed_by: actorId
+    }, { transaction });
+
+    const items = await PrescriptionItem.bulkCreate(data.items.map((item) => ({
+      prescription_id: prescription.id,
+      drug_id: item.drug_id,
+      dose: item.dose,
+      route: item.route,
+      frequency: item.frequency,
+      duration_days: item.duration_days,
+      quantity_prescribed: item.quantity,
+      instructions: item.instructions,
+      status: 'pending'
+    })), { transaction, returning: true });
+
+    await recordOverrides(resolved, {
+      patientId: patient.id,
+      prescriptionId: prescription.id,
+      stage: 'prescribe',
+      actorId
+    }, transaction);
+
+    return { prescription, items, alerts };
+  });
+};
+
+// Stop whatever has not been dispensed yet; dispensed quantities stay on record
+const cancelPrescription = async (prescriptionId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const prescription = await lockPrescription(prescriptionId, transaction);
+    if (!OPEN_STATUSES.includes(prescription.status)) {
+      throw new ServiceError(`Prescription is already ${prescription.status}`, 409);
+    }
+
+    await PrescriptionItem.update(
+      { status: 'cancelled' },
+      { where: { prescription_id: prescription.id, status: ['pending', 'partially_dispensed'] }, transaction }
+    );
+
+    await prescription.update({
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      cancelled_by: actorId,
+      cancellation_reason: reason
+    }, { transaction });
+
+    return prescription;
+  });
+};
+
+/**
+ * Reserve stock for one drug, first-expiry-first-out. Unexpired batches with
+ * stock are row-locked in expiry order and taken from until the quantity is
+ * covered. `reserved` carries batch quantities already picked earlier in the
+ * same transaction. Returns the picks and any quantity that could not be covered.
+ */
+const pickBatches = async (drugId, quantity, transaction, reserved = new Map()) => {
+  const batches = await DrugInventory.findAll({
+    where: {
+      drug_id: drugId,
+      quantity_available: { [Op.gt]: 0 },
+      expiry_date: { [Op.gt]: moment().format('YYYY-MM-DD') }
+    },
+    order: [['expiry_date', 'ASC'], ['received_date', 'ASC'], ['created_at', 'ASC']],
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+
+  const picks = [];
+  let outstanding = quantity;
+  for (const batch of batches) {
+    if (outstanding === 0) break;
+    const free = batch.quantity_available - (reserved.get(batch.id) || 0);
+    if (free <= 0) continue;
+    const take = Math.min(free, outstanding);
+    picks.push({ batch, quantity: take });
+    reserved.set(batch.id, (reserved.get(batch.id) || 0) + take);
+    outstanding -= take;
+  }
+
+  return { picks, shortfall: outstanding };
+};
+
+/**
+ * Dispense against a prescription. `lines` lists prescription items and
+ * quantities; without it every outstanding quantity is dispensed. When stock
+ * is short the whole request is rejected unless `allowPartial` is set, in
+ * which case whatever is in stock is dispensed and the rest stays open.
+ * Safety checks are re-run, since allergies or other drugs may have been
+ * recorded since prescribing; alerts overridden at prescribing stay overridden.
+ */
+const dispensePrescription = async (prescriptionId, lines, { allowPartial = false, notes, overrides } = {}, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const prescription = await lockPrescription(prescriptionId, transaction);
+    if (!OPEN_STATUSES.includes(prescription.status)) {
+      throw new ServiceError(`Prescription is already ${prescription.status}`, 409);
+    }
+
+    const items = await PrescriptionItem.findAll({
+      where: { prescription_id: prescription.id },
+      include: [{ model: Drug, as: 'drug', attributes: ['id', 'generic_name', 'brand_name', 'unit_price'] }],
+      transaction,
+      lock: { level: transaction.LOCK.UPDATE, of: PrescriptionItem }
+    });
+    const itemsById = new Map(items.map((item) => [item.id, item]));
+
+    const alerts = await checkDrugs(
+      prescription.patient_id,
+      items.filter((item) => item.status !== 'cancelled').map((item) => item.drug_id),
+      { excludePrescriptionId: prescription.id, transaction }
+    );
+    const resolved = resolveOverrides(alerts, overrides, await getOverriddenCodes(prescription.id, transaction));
+
+    const requested = lines && lines.length > 0
+      ? lines.map((line) => {
+        const item = itemsById.get(line.prescription_item_id);
+        if (!item) {
+          throw new ServiceError('Prescription item not found on this prescription', 404, {
+            prescription_item_id: line.prescription_item_id
+          });
+        }
+        return { item, quantity: line.quantity };
+      })
+      : items
+        .filter((item) => ['pending', 'partially_dispensed'].includes(item.status))
+        .map((item) => ({ item, quantity: item.quantity_prescribed - item.quantity_dispensed }));
+
+    requested.forEach(({ item, quantity }) => {
+      const remaining = item.quantity_prescribed - item.quantity_dispensed;
+      if (item.status === 'cancelled' || remaining <= 0) {
+        throw new ServiceError(`${item.drug.generic_name} has nothing left to dispense`, 409, {
+          prescription_item_id: item.id
+        });
+      }
+      if (quantity > remaining) {
+        throw new ServiceError(`Only ${remaining} of ${item.drug.generic_name} remain to be dispensed`, 400, {
+          prescription_item_id: item.id,
+          remaining
+        });
+      }
+    });
+
+    // Lock batches drug by drug in a fixed order so concurrent dispensing can't deadlock
+    requested.sort((a, b) => a.item.drug_id.localeCompare(b.item.drug_id) || a.item.id.localeCompare(b.item.id));
+
+    const allocations = [];
+    const shortages = [];
+    const reserved = new Map();
+    for (const { item, quantity } of requested) {
+      const { picks, shortfall } = await pickBatches(item.drug_id, quantity, transaction, reserved);
+      allocations.push({ item, picks });
+      if (shortfall > 0) {
+        shortages.push({
+          prescription_item_id: item.id,
+          drug_id: item.drug_id,
+          drug_name: item.drug.generic_name,
+          requested: quantity,
+          available: quantity - shortfall
+        });
+      }
+    }
+
+    if (shortages.length > 0 && !allowPartial) {
+      throw new ServiceError('Insufficient stock to dispense the requested quantities', 409, { shortages });
+    }
+    if (allocations.every(({ picks }) => picks.length === 0)) {
+      throw new ServiceError('None of the requested drugs are in stock', 409, { shortages });
+    }
+
+    const dispensation = await Dispensation.create({
+      prescription_id: prescription.id,
+      patient_id: prescription.patient_id,
+      notes,
+      dispensed_by: actorId,
+      dispensed_at: new Date()
+    }, { transaction });
+
+    let totalAmount = 0;
+    const dispensedItems = [];
+    for (const { item, picks } of allocations) {
+      let dispensedQuantity = 0;
+      for (const { batch, quantity } of picks) {
+        // Relative update; the row lock and CHECK keep it from going negative
+        await applyMovement(batch, {
+          type: 'dispense',
+          quantity: -quantity,
+          referenceType: 'dispensation',
+          referenceId: dispensation.id,
+          actorId
+        }, transaction);
+
+        const unitPrice = item.drug.unit_price !== null ? Number(item.drug.unit_price) : null;
+        const amount = unitPrice !== null ? Number((unitPrice * quantity).toFixed(2)) : null;
+        totalAmount += amount || 0;
+
+        dispensedItems.push(await DispensationItem.create({
+          dispensation_id: dispensation.id,
+          prescription_item_id: item.id,
+          drug_id: item.drug_id,
+          inventory_id: batch.id,
+          batch_number: batch.batch_number,
+          expiry_date: batch.expiry_date,
+          quantity,
+          unit_price: unitPrice,
+          amount
+        }, { transaction }));
+        dispensedQuantity += quantity;
+      }
+
+      if (dispensedQuantity > 0) {
+        item.quantity_dispensed += dispensedQuantity;
+        await item.update({
+          quantity_dispensed: item.quantity_dispensed,
+          status: itemStatus(item)
+        }, { transaction });
+      }
+    }
+
+    await dispensation.update({ total_amount: Number(totalAmount.toFixed(2)) }, { transaction });
+    await prescription.update({ status: prescriptionStatus(items) }, { transaction });
+    await recordOverrides(resolved, {
+      patientId: prescription.patient_id,
+      prescriptionId: prescription.id,
+      stage: 'dispense',
+      actorId
+    }, transaction);
+
+    return { dispensation, items: dispensedItems, shortages, prescription, alerts };
+  });
+};
+
+/**
+ * Take back dispensed stock. Restocked quantities go back into the batch they
+ * were picked from, which must not have expired; anything else is recorded
+ * as discarded. Returns don't reopen the prescription.
+ */
+const returnDispensedItems = async (dispensationId, returns, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const dispensation = await Dispensation.findByPk(dispensationId, { transaction });
+    if (!dispensation) {
+      throw new ServiceError('Dispensation not found', 404);
+    }
+    // Serialise with dispensing on the same prescription
+    await lockPrescription(dispensation.prescription_id, transaction);
+
+    const lines = await DispensationItem.findAll({
+      where: { dispensation_id: dispensation.id, id: returns.map((entry) => entry.dispensation_item_id) },
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const linesById = new Map(lines.map((line) => [line.id, line]));
+    const today = moment().format('YYYY-MM-DD');
+
+    const records = [];
+    for (const entry of returns) {
+      const line = linesById.get(entry.dispensation_item_id);
+      if (!line) {
+        throw new ServiceError('Dispensed item not found on this dispensation', 404, {
+          dispensation_item_id: entry.dispensation_item_id
+        });
+      }
+
+      const returnable = line.quantity - line.quantity_returned;
+      if (entry.quantity > returnable) {
+        throw new ServiceError(`Only ${returnable} of batch ${line.batch_number} can be returned`, 400, {
+          dispensation_item_id: line.id,
+          returnable
+        });
+      }
+
+      const restock = entry.restock !== false;
+      const batch = restock
+        ? await DrugInventory.findByPk(line.inventory_id, { transaction, lock: transaction.LOCK.UPDATE })
+        : null;
+      if (batch && moment(batch.expiry_date).format('YYYY-MM-DD') <= today) {
+        throw new ServiceError(`Batch ${batch.batch_number} has expired and cannot be restocked`, 409, {
+          dispensation_item_id: line.id
+        });
+      }
+
+      line.quantity_returned += entry.quantity;
+      await line.update({ quantity_returned: line.quantity_returned }, { transaction });
+      await PrescriptionItem.increment('quantity_returned', {
+        by: entry.quantity,
+        where: { id: line.prescription_item_id },
+        transaction
+      });
+
+      const record = await DrugReturn.create({
+        dispensation_item_id: line.id,
+        patient_id: dispensation.patient_id,
+        inventory_id: line.inventory_id,
+        quantity: entry.quantity,
+        reason,
+        restocked: restock,
+        refund_amount: line.unit_price !== null ? Number((Number(line.unit_price) * entry.quantity).toFixed(2)) : 0,
+        returned_by: actorId
+      }, { transaction });
+      if (batch) {
+        await applyMovement(batch, {
+          type: 'return',
+          quantity: entry.quantity,
+          referenceType: 'drug_return',
+          referenceId: record.id,
+          reason,
+          actorId
+        }, transaction);
+      }
+      records.push(record);
+    }
+
+    return { dispensation, returns: records };
+  });
+};
+
+module.exports = {
+  createPrescription,
+  cancelPrescription,
+  pickBatches,
+  dispensePrescription,
+  returnDispensedItems
+};
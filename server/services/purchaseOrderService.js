@@ -0,0 +1,193 @@
+const moment = require('moment');
+const { sequelize } = require('../config/database');
+const {
+  Drug,
+  Supplier,
+  PurchaseOrder,
+  PurchaseOrderItem,
+  GoodsReceipt,
+  GoodsReceiptItem
+} = require('../models');
+const { generateNumber } = require('./sequenceService');
+const { receiveBatch } = require('./stockService');
+const ServiceError = require('../utils/serviceError');
+
+const lockPurchaseOrder = async (purchaseOrderId, transaction) => {
+  const purchaseOrder = await PurchaseOrder.findByPk(purchaseOrderId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!purchaseOrder) {
+    throw new ServiceError('Purchase order not found', 404);
+  }
+  return purchaseOrder;
+};
+
+const lineAmount = (quantity, unitCost) => (
+  unitCost !== null && unitCost !== undefined ? Number((Number(unitCost) * quantity).toFixed(2)) : 0
+);
+
+/**
+ * Raise a draft purchase order. Unit costs default to nothing; they can also
+ * be given per batch when the goods arrive.
+ */
+const createPurchaseOrder = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const supplier = await Supplier.findOne({ where: { id: data.supplier_id, is_active: true }, transaction });
+    if (!supplier) {
+      throw new ServiceError('Supplier not found', 404);
+    }
+
+    const drugIds = data.items.map((item) => item.drug_id);
+    const drugs = await Drug.findAll({ where: { id: drugIds, is_active: true }, attributes: ['id'], transaction });
+    const found = new Set(drugs.map((drug) => drug.id));
+    const missing = drugIds.filter((id) => !found.has(id));
+    if (missing.length > 0) {
+      throw new ServiceError('Some drugs were not found', 404, { drug_ids: missing });
+    }
+
+    const purchaseOrder = await PurchaseOrder.create({
+      po_number: await generateNumber('purchase_order', { transaction }),
+      supplier_id: supplier.id,
+      status: 'draft',
+      expected_date: data.expected_date,
+      total_amount: data.items.reduce((total, item) => total + lineAmount(item.quantity_ordered, item.unit_cost), 0),
+      notes: data.notes,
+      created_by: actorId
+    }, { transaction });
+
+    const items = await PurchaseOrderItem.bulkCreate(data.items.map((item) => ({
+      purchase_order_id: purchaseOrder.id,
+      drug_id: item.drug_id,
+      quantity_ordered: item.quantity_ordered,
+      unit_cost: item.unit_cost
+    })), { transaction });
+
+    return { purchaseOrder, items };
+  });
+};
+
+// Send a draft to the supplier; only ordered purchase orders can be received against
+const submitPurchaseOrder = async (purchaseOrderId, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const purchaseOrder = await lockPurchaseOrder(purchaseOrderId, transaction);
+    if (purchaseOrder.status !== 'draft') {
+      throw new ServiceError(`Purchase order is already ${purchaseOrder.status}`, 409);
+    }
+
+    await purchaseOrder.update({
+      status: 'ordered',
+      ordered_by: actorId,
+      ordered_at: new Date()
+    }, { transaction });
+
+    return purchaseOrder;
+  });
+};
+
+const cancelPurchaseOrder = async (purchaseOrderId, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const purchaseOrder = await lockPurchaseOrder(purchaseOrderId, transaction);
+    if (!['draft', 'ordered'].includes(purchaseOrder.status)) {
+      throw new ServiceError(`A ${purchaseOrder.status.replace('_', ' ')} purchase order cannot be cancelled`, 409);
+    }
+
+    await purchaseOrder.update({
+      status: 'cancelled',
+      cancelled_by: actorId,
+      cancelled_at: new Date(),
+      cancellation_reason: reason
+    }, { transaction });
+
+    return purchaseOrder;
+  });
+};
+
+/**
+ * Book a delivery against an ordered purchase order. Each line becomes a new
+ * drug_inventory batch with a receipt in the stock ledger. One order line can
+ * arrive as several batches; nothing can be received beyond what was ordered.
+ */
+const receiveGoods = async (purchaseOrderId, data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const purchaseOrder = await lockPurchaseOrder(purchaseOrderId, transaction);
+    if (!['ordered', 'partially_received'].includes(purchaseOrder.status)) {
+      throw new ServiceError(`Goods cannot be received against a ${purchaseOrder.status} purchase order`, 409);
+    }
+
+    const supplier = await Supplier.findByPk(purchaseOrder.supplier_id, { transaction });
+    const orderItems = await PurchaseOrderItem.findAll({
+      where: { purchase_order_id: purchaseOrder.id },
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    const itemsById = new Map(orderItems.map((item) => [item.id, item]));
+    const today = moment().format('YYYY-MM-DD');
+
+    const receipt = await GoodsReceipt.create({
+      purchase_order_id: purchaseOrder.id,
+      supplier_invoice_number: data.supplier_invoice_number,
+      notes: data.notes,
+      received_by: actorId,
+      received_at: new Date()
+    }, { transaction });
+
+    const lines = [];
+    for (const line of data.items) {
+      const orderItem = itemsById.get(line.purchase_order_item_id);
+      if (!orderItem) {
+        throw new ServiceError('Item is not on this purchase order', 404, {
+          purchase_order_item_id: line.purchase_order_item_id
+        });
+      }
+
+      const outstanding = orderItem.quantity_ordered - orderItem.quantity_received;
+      if (line.quantity > outstanding) {
+        throw new ServiceError(`Only ${outstanding} more can be received for this item`, 400, {
+          purchase_order_item_id: orderItem.id,
+          outstanding
+        });
+      }
+      if (moment(line.expiry_date).format('YYYY-MM-DD') <= today) {
+        throw new ServiceError(`Batch ${line.batch_number} has already expired`, 400, {
+          purchase_order_item_id: orderItem.id
+        });
+      }
+
+      const unitCost = line.unit_cost !== undefined ? line.unit_cost : orderItem.unit_cost;
+      const batch = await receiveBatch({
+        drug_id: orderItem.drug_id,
+        batch_number: line.batch_number,
+        expiry_date: line.expiry_date,
+        quantity: line.quantity,
+        purchase_price: unitCost,
+        supplier: supplier.name,
+        received_date: today
+      }, { referenceType: 'goods_receipt', referenceId: receipt.id, actorId }, transaction);
+
+      lines.push(await GoodsReceiptItem.create({
+        goods_receipt_id: receipt.id,
+        purchase_order_item_id: orderItem.id,
+        inventory_id: batch.id,
+        quantity: line.quantity,
+        unit_cost: unitCost
+      }, { transaction }));
+
+      orderItem.quantity_received += line.quantity;
+      await orderItem.update({ quantity_received: orderItem.quantity_received }, { transaction });
+    }
+
+    const complete = orderItems.every((item) => item.quantity_received >= item.quantity_ordered);
+    await purchaseOrder.update({ status: complete ? 'received' : 'partially_received' }, { transaction });
+
+    return { purchaseOrder, receipt, items: lines };
+  });
+};
+
+module.exports = {
+  createPurchaseOrder,
+  submitPurchaseOrder,
+  cancelPurchaseOrder,
+  receiveGoods
+};
@@ -0,0 +1,180 @@
+const { sequelize } = require('../config/database');
+const { RadiologyOrder, RadiologyReport, RadiologyEquipment, Patient, Staff } = require('../models');
+const { generateNumber } = require('./sequenceService');
+const { notifyUser } = require('./notificationService');
+const { logger } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+// Order status changes: which statuses each can start from. Completion comes
+// from signing off the report.
+const ORDER_TRANSITIONS = {
+  scheduled: ['ordered', 'scheduled'],
+  in_progress: ['ordered', 'scheduled'],
+  cancelled: ['ordered', 'scheduled']
+};
+
+const lockOrder = async (orderId, transaction) => {
+  const order = await RadiologyOrder.findByPk(orderId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!order) {
+    throw new ServiceError('Radiology order not found', 404);
+  }
+  return order;
+};
+
+const createRadiologyOrder = async (data, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const patient = await Patient.findByPk(data.patient_id, { transaction });
+    if (!patient) {
+      throw new ServiceError('Patient not found', 404);
+    }
+
+    const doctor = await Staff.findByPk(data.doctor_id, { transaction });
+    if (!doctor) {
+      throw new ServiceError('Doctor not found', 404);
+    }
+
+    return RadiologyOrder.create({
+      order_number: await generateNumber('radiology_order', { transaction }),
+      patient_id: patient.id,
+      doctor_id: doctor.id,
+      study_type: data.study_type,
+      body_part: data.body_part,
+      clinical_indication: data.clinical_indication,
+      order_date: new Date(),
+      priority: data.priority || 'routine',
+      status: 'ordered',
+      price: data.price,
+      ordered_by: actorId
+    }, { transaction });
+  });
+};
+
+/**
+ * Schedule, start or cancel a study. Scheduling needs a date and may assign
+ * equipment; cancelling needs a reason.
+ */
+const changeOrderStatus = async (orderId, { status, scheduledDate, equipmentId, reason }, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    if (!ORDER_TRANSITIONS[status].includes(order.status)) {
+      throw new ServiceError(`A ${order.status.replace('_', ' ')} study cannot be marked ${status.replace('_', ' ')}`, 409, {
+        current_status: order.status
+      });
+    }
+
+    const updates = { status };
+    if (status === 'scheduled') {
+      if (!scheduledDate) {
+        throw new ServiceError('A scheduled date is required', 400);
+      }
+      updates.scheduled_date = new Date(scheduledDate);
+    }
+    if (equipmentId) {
+      const equipment = await RadiologyEquipment.findByPk(equipmentId, { transaction });
+      if (!equipment || !equipment.is_active) {
+        throw new ServiceError('Equipment not found', 404);
+      }
+      updates.equipment_id = equipment.id;
+    }
+    if (status === 'cancelled') {
+      if (!reason) {
+        throw new ServiceError('A reason is required to cancel a study', 400);
+      }
+      Object.assign(updates, { cancelled_by: actorId, cancelled_at: new Date(), cancellation_reason: reason });
+    }
+
+    await order.update(updates, { transaction });
+    return order;
+  });
+};
+
+// Draft or redraft the report; a signed report can no longer be edited
+const saveReport = async (orderId, { technique, findings, impression, isCritical }, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    if (!['ordered', 'scheduled', 'in_progress', 'completed'].includes(order.status)) {
+      throw new ServiceError(`Reports cannot be written for a study that is ${order.status}`, 409);
+    }
+
+    const existing = await RadiologyReport.findOne({ where: { radiology_order_id: order.id }, transaction });
+    if (existing && existing.status === 'final') {
+      throw new ServiceError('This report has been signed and can no longer be edited', 409);
+    }
+
+    const fields = {
+      technique,
+      findings,
+      impression,
+      is_critical: Boolean(isCritical),
+      reported_by: actorId,
+      reported_at: new Date()
+    };
+    const report = existing
+      ? await existing.update(fields, { transaction })
+      : await RadiologyReport.create({ radiology_order_id: order.id, status: 'draft', ...fields }, { transaction });
+
+    if (['ordered', 'scheduled'].includes(order.status)) {
+      await order.update({ status: 'in_progress' }, { transaction });
+    }
+
+    return { order, report };
+  });
+};
+
+/**
+ * Sign off the report as the verifying radiologist. This completes the study
+ * and tells the ordering doctor; critical findings are sent as critical.
+ */
+const finaliseReport = async (orderId, actorId, io) => {
+  const outcome = await sequelize.transaction(async (transaction) => {
+    const order = await lockOrder(orderId, transaction);
+    const report = await RadiologyReport.findOne({
+      where: { radiology_order_id: order.id },
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!report) {
+      throw new ServiceError('No report has been written for this study', 404);
+    }
+    if (report.status === 'final') {
+      throw new ServiceError('This report has already been signed', 409);
+    }
+
+    await report.update({ status: 'final', verified_by: actorId, verified_at: new Date() }, { transaction });
+    await order.update({ status: 'completed' }, { transaction });
+
+    return { order, report };
+  });
+
+  const { order, report } = outcome;
+  try {
+    const [doctor, patient] = await Promise.all([
+      order.doctor_id ? Staff.findByPk(order.doctor_id, { attributes: ['id', 'user_id'] }) : null,
+      Patient.findByPk(order.patient_id, { attributes: ['id', 'first_name', 'last_name'] })
+    ]);
+    if (doctor && doctor.user_id) {
+      await notifyUser(io, {
+        userId: doctor.user_id,
+        type: report.is_critical ? 'radiology_critical_finding' : 'radiology_report_ready',
+        title: `${report.is_critical ? 'Critical finding' : 'Report ready'}: ${order.study_type} for ${patient.first_name} ${patient.last_name}`,
+        message: report.impression,
+        priority: report.is_critical ? 'critical' : 'normal',
+        data: { radiology_order_id: order.id, order_number: order.order_number, report_id: report.id }
+      });
+    }
+  } catch (error) {
+    logger.error(`Failed to notify radiology report ${report.id}: ${error.message}`);
+  }
+
+  return outcome;
+};
+
+module.exports = {
+  createRadiologyOrder,
+  changeOrderStatus,
+  saveReport,
+  finaliseReport
+};
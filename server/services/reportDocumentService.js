@@ -0,0 +1,329 @@
+const crypto = require('crypto');
+const moment = require('moment');
+const {
+  LabOrder,
+  LabOrderItem,
+  LabTest,
+  LabTestComponent,
+  LabResult,
+  LabSample,
+  RadiologyOrder,
+  RadiologyReport,
+  RadiologyEquipment,
+  IssuedReport,
+  Patient,
+  Staff
+} = require('../models');
+const { renderReport } = require('./reportPdfService');
+const { verificationUrl } = require('../config/reports');
+const ServiceError = require('../utils/serviceError');
+
+const RELEASED_RESULT_STATUSES = ['verified', 'amended'];
+
+const FLAG_LABELS = {
+  low: 'L',
+  high: 'H',
+  critical_low: 'LL critical',
+  critical_high: 'HH critical',
+  abnormal: 'Abnormal'
+};
+
+const fullName = (person) => (person ? `${person.first_name} ${person.last_name}` : null);
+const formatDate = (value, format = 'DD MMM YYYY HH:mm') => (value ? moment(value).format(format) : null);
+
+const patientRows = (patient, at) => [
+  { label: 'Patient', value: fullName(patient) },
+  { label: 'Patient ID', value: patient.patient_id },
+  {
+    label: 'Age / Sex',
+    value: [
+      patient.date_of_birth ? `${moment(at).diff(moment(patient.date_of_birth), 'years')} years` : null,
+      patient.gender
+    ].filter(Boolean).join(' / ')
+  },
+  { label: 'Date of birth', value: formatDate(patient.date_of_birth, 'DD MMM YYYY') }
+];
+
+// Signers in the order given, with the staff details printed under the signature
+const signersFor = async (signers) => {
+  const userIds = [...new Set(signers.map((signer) => signer.userId).filter(Boolean))];
+  const staff = userIds.length > 0 ? await Staff.findAll({ where: { user_id: userIds } }) : [];
+  return signers
+    .filter((signer) => signer.userId)
+    .map((signer) => {
+      const member = staff.find((candidate) => candidate.user_id === signer.userId);
+      return {
+        userId: signer.userId,
+        role: signer.role,
+        signedAt: signer.signedAt,
+        name: member ? fullName(member) : 'Unknown signer',
+        designation: member ? member.designation : null,
+        registration: member ? member.license_number : null,
+        employeeId: member ? member.employee_id : null
+      };
+    });
+};
+
+const referenceRange = (result) => {
+  const low = result.reference_low !== null && result.reference_low !== undefined ? Number(result.reference_low) : null;
+  const high = result.reference_high !== null && result.reference_high !== undefined ? Number(result.reference_high) : null;
+  if (low !== null && high !== null) return `${low} - ${high}`;
+  if (high !== null) return `< ${high}`;
+  if (low !== null) return `> ${low}`;
+  return result.reference_text || '';
+};
+
+const resultValue = (result) => (result.value_numeric !== null && result.value_numeric !== undefined
+  ? String(Number(result.value_numeric))
+  : result.value_text);
+
+const resultRow = (name, result) => ({
+  emphasis: Boolean(FLAG_LABELS[result.flag]),
+  cells: [
+    name,
+    resultValue(result),
+    result.unit || '',
+    referenceRange(result),
+    [FLAG_LABELS[result.flag], result.status === 'amended' ? 'Amended' : null].filter(Boolean).join(', ')
+  ]
+});
+
+/**
+ * Released results on a lab order, laid out for the report. Tests still
+ * awaiting verification are listed as pending rather than printed.
+ */
+const gatherLabReport = async (orderId) => {
+  const order = await LabOrder.findByPk(orderId, {
+    include: [
+      { model: Patient, as: 'patient' },
+      { model: Staff, as: 'doctor', attributes: ['id', 'first_name', 'last_name'] },
+      {
+        model: LabOrderItem,
+        as: 'items',
+        include: [
+          { model: LabTest, as: 'test' },
+          {
+            model: LabResult,
+            as: 'results',
+            where: { status: RELEASED_RESULT_STATUSES },
+            required: false,
+            include: [{ model: LabTestComponent, as: 'component' }]
+          }
+        ]
+      },
+      { model: LabSample, as: 'samples' }
+    ]
+  });
+  if (!order) {
+    throw new ServiceError('Lab order not found', 404);
+  }
+
+  const items = order.items.filter((item) => item.status !== 'cancelled');
+  const released = items.filter((item) => item.status === 'completed' && item.results.length > 0);
+  if (released.length === 0) {
+    throw new ServiceError('No verified results on this order yet', 409);
+  }
+
+  const rows = [];
+  released.forEach((item) => {
+    if (item.test.result_type === 'panel') {
+      rows.push({ cells: [item.test.test_name, '', '', '', ''] });
+      [...item.results]
+        .sort((a, b) => (a.component ? a.component.display_order : 0) - (b.component ? b.component.display_order : 0))
+        .forEach((result) => rows.push(resultRow(`   ${result.component ? result.component.name : item.test.test_name}`, result)));
+    } else {
+      rows.push(resultRow(item.test.test_name, item.results[0]));
+    }
+  });
+
+  const results = released.flatMap((item) => item.results);
+  const verifications = results
+    .filter((result) => result.verified_by)
+    .sort((a, b) => new Date(a.verified_at) - new Date(b.verified_at));
+  const signatures = await signersFor(verifications
+    .filter((result, index) => verifications.findIndex((other) => other.verified_by === result.verified_by) === index)
+    .map((result) => ({ userId: result.verified_by, role: 'Verified', signedAt: result.verified_at })));
+
+  const collected = order.samples
+    .filter((sample) => sample.status !== 'rejected')
+    .map((sample) => sample.collected_at)
+    .sort((a, b) => new Date(a) - new Date(b))[0];
+  const reportedAt = verifications.length > 0 ? verifications[verifications.length - 1].verified_at : null;
+  const pending = items.filter((item) => !released.includes(item)).map((item) => item.test.test_name);
+
+  const notes = [
+    pending.length > 0 ? `Pending: ${pending.join(', ')}. These will follow in a further report.` : null,
+    results.some((result) => result.status === 'amended')
+      ? 'Results marked Amended were corrected after first release; the earlier values are kept in the laboratory record.'
+      : null,
+    'Values flagged L/H are outside the reference range; LL/HH are critical and were notified to the ordering doctor.'
+  ].filter(Boolean).join('\n');
+
+  return {
+    patientId: order.patient_id,
+    reference: order.order_number,
+    content: {
+      title: 'Laboratory Report',
+      reference: order.order_number,
+      patient: patientRows(order.patient, collected || order.order_date),
+      details: [
+        { label: 'Order number', value: order.order_number },
+        { label: 'Referred by', value: fullName(order.doctor) },
+        { label: 'Ordered', value: formatDate(order.order_date) },
+        { label: 'Collected', value: formatDate(collected) },
+        { label: 'Reported', value: formatDate(reportedAt) },
+        { label: 'Priority', value: (order.priority || 'routine').toUpperCase() }
+      ],
+      sections: [{
+        heading: 'Results',
+        table: {
+          columns: [
+            { label: 'Test', width: 0.34 },
+            { label: 'Result', width: 0.16 },
+            { label: 'Unit', width: 0.14 },
+            { label: 'Reference range', width: 0.2 },
+            { label: 'Flag', width: 0.16 }
+          ],
+          rows
+        }
+      }],
+      notes,
+      signatures
+    }
+  };
+};
+
+const gatherRadiologyReport = async (orderId) => {
+  const order = await RadiologyOrder.findByPk(orderId, {
+    include: [
+      { model: Patient, as: 'patient' },
+      { model: Staff, as: 'doctor', attributes: ['id', 'first_name', 'last_name'] },
+      { model: RadiologyEquipment, as: 'equipment', attributes: ['id', 'equipment_name', 'equipment_type'] },
+      { model: RadiologyReport, as: 'report' }
+    ]
+  });
+  if (!order) {
+    throw new ServiceError('Radiology order not found', 404);
+  }
+  const { report } = order;
+  if (!report || report.status !== 'final') {
+    throw new ServiceError('The report for this study has not been signed yet', 409);
+  }
+
+  const signatures = await signersFor(report.reported_by === report.verified_by
+    ? [{ userId: report.verified_by, role: 'Reported and verified', signedAt: report.verified_at }]
+    : [
+      { userId: report.reported_by, role: 'Reported', signedAt: report.reported_at },
+      { userId: report.verified_by, role: 'Verified', signedAt: report.verified_at }
+    ]);
+
+  return {
+    patientId: order.patient_id,
+    reference: order.order_number,
+    content: {
+      title: 'Radiology Report',
+      reference: order.order_number,
+      patient: patientRows(order.patient, order.scheduled_date || order.order_date),
+      details: [
+        { label: 'Order number', value: order.order_number },
+        { label: 'Referred by', value: fullName(order.doctor) },
+        { label: 'Study', value: [order.study_type, order.body_part].filter(Boolean).join(' - ') },
+        { label: 'Modality', value: order.equipment ? order.equipment.equipment_type.toUpperCase() : null },
+        { label: 'Study date', value: formatDate(order.scheduled_date || order.order_date) },
+        { label: 'Reported', value: formatDate(report.verified_at) }
+      ],
+      sections: [
+        { heading: 'Clinical indication', text: order.clinical_indication },
+        { heading: 'Technique', text: report.technique },
+        { heading: 'Findings', text: report.findings },
+        { heading: 'Impression', text: report.impression }
+      ].filter((section) => section.text),
+      notes: report.is_critical ? 'Critical finding: communicated to the referring doctor on sign-off.' : null,
+      signatures
+    }
+  };
+};
+
+const gatherers = {
+  lab: gatherLabReport,
+  radiology: gatherRadiologyReport
+};
+
+// Hash of what the report says, so an amended report gets a new verification code
+const contentHash = (content) => crypto
+  .createHash('sha256')
+  .update(JSON.stringify({
+    ...content,
+    signatures: content.signatures.map(({ userId, role, signedAt }) => ({ userId, role, signedAt }))
+  }))
+  .digest('hex');
+
+/**
+ * Render a verified lab report or signed radiology report as a PDF. Each
+ * distinct version of a report is registered once in issued_reports, and its
+ * verification code goes into the QR code.
+ */
+const issueReport = async (reportType, sourceId, userId) => {
+  const { patientId, reference, content } = await gatherers[reportType](sourceId);
+  const hash = contentHash(content);
+
+  const [issued] = await IssuedReport.findOrCreate({
+    where: { report_type: reportType, source_id: sourceId, content_hash: hash },
+    defaults: {
+      verification_code: crypto.randomBytes(10).toString('hex'),
+      patient_id: patientId,
+      issued_by: userId,
+      issued_at: new Date()
+    }
+  });
+
+  const pdf = await renderReport({
+    ...content,
+    verification: { code: issued.verification_code, url: verificationUrl(issued.verification_code) }
+  });
+
+  return {
+    issued,
+    pdf: Buffer.from(pdf),
+    filename: `${reportType}-report-${reference}.pdf`
+  };
+};
+
+/**
+ * Check a verification code from a report's QR code. Reports whose content
+ * has since changed (e.g. an amended result) are flagged as superseded. Only
+ * enough is returned to match against the paper copy.
+ */
+const verifyIssuedReport = async (code) => {
+  const issued = await IssuedReport.findOne({ where: { verification_code: code } });
+  if (!issued) {
+    throw new ServiceError('No report was issued with this verification code', 404);
+  }
+
+  let current;
+  try {
+    const { content } = await gatherers[issued.report_type](issued.source_id);
+    current = content;
+  } catch (error) {
+    if (!(error instanceof ServiceError)) throw error;
+    current = null;
+  }
+
+  const patient = await Patient.findByPk(issued.patient_id, { attributes: ['first_name', 'last_name', 'patient_id'] });
+  const initials = patient ? `${patient.first_name[0]}. ${patient.last_name[0]}.` : null;
+
+  return {
+    genuine: true,
+    status: current && contentHash(current) === issued.content_hash ? 'current' : 'superseded',
+    report_type: issued.report_type,
+    reference: current ? current.reference : null,
+    patient_initials: initials,
+    issued_at: issued.issued_at,
+    signed_by: current ? current.signatures.map(({ name, role }) => ({ name, role })) : []
+  };
+};
+
+module.exports = {
+  issueReport,
+  verifyIssuedReport
+};
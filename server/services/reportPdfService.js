@@ -0,0 +1,281 @@
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment');
+const QRCode = require('qrcode');
+const { PDFDocument, StandardFonts, PageSizes, rgb } = require('pdf-lib');
+const { letterhead, SIGNATURE_DIR } = require('../config/reports');
+const { logger } = require('../config/logger');
+
+const MARGIN = 40;
+const FOOTER_HEIGHT = 80;
+const LINE_GAP = 1.35;
+
+const colors = {
+  text: rgb(0.1, 0.1, 0.1),
+  muted: rgb(0.4, 0.4, 0.4),
+  rule: rgb(0.75, 0.75, 0.75),
+  shade: rgb(0.94, 0.95, 0.97),
+  flagged: rgb(0.75, 0.05, 0.05)
+};
+
+// The standard fonts only cover WinAnsi; anything else would make pdf-lib throw
+const printable = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/\t/g, ' ')
+  .replace(/[^\n\x20-\x7E\xA0-\xFF]/g, '?');
+
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  printable(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/ +/).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= width || !line) {
+        line = candidate;
+      } else {
+        lines.push(line);
+        line = word;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+const readImage = async (doc, filePath) => {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  try {
+    const bytes = fs.readFileSync(filePath);
+    return /\.png$/i.test(filePath) ? await doc.embedPng(bytes) : await doc.embedJpg(bytes);
+  } catch (error) {
+    logger.warn(`Could not embed report image ${filePath}: ${error.message}`);
+    return null;
+  }
+};
+
+const signatureImagePath = (employeeId) => {
+  if (!employeeId) return null;
+  const base = path.resolve(SIGNATURE_DIR, path.basename(employeeId));
+  return ['.png', '.jpg', '.jpeg'].map((extension) => `${base}${extension}`).find((file) => fs.existsSync(file)) || null;
+};
+
+/**
+ * Render a report as a PDF with the hospital letterhead on every page and a
+ * footer carrying the page number and the verification QR code.
+ *
+ * `report` has a `title`, `reference`, `patient` and `details` (label/value
+ * pairs), `sections` (each with a `heading` and either `text` or a `table` of
+ * `columns` and `rows`; rows with `emphasis` print bold in red), `signatures`
+ * and `verification` (`url` and `code`).
+ */
+const renderReport = async (report) => {
+  const doc = await PDFDocument.create();
+  doc.setTitle(printable(`${report.title} ${report.reference}`));
+  doc.setAuthor(printable(letterhead.name));
+  doc.setCreationDate(new Date());
+
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const bold = await doc.embedFont(StandardFonts.HelveticaBold);
+  const logo = await readImage(doc, letterhead.logoPath);
+  const qr = await doc.embedPng(await QRCode.toBuffer(report.verification.url, { type: 'png', margin: 1, width: 240 }));
+
+  const [pageWidth, pageHeight] = PageSizes.A4;
+  const contentWidth = pageWidth - MARGIN * 2;
+  let page;
+  let y;
+
+  const text = (value, x, top, { size = 10, useFont = font, color = colors.text } = {}) => {
+    page.drawText(printable(value), { x, y: top - size, size, font: useFont, color });
+  };
+
+  const rule = (top) => {
+    page.drawLine({
+      start: { x: MARGIN, y: top },
+      end: { x: pageWidth - MARGIN, y: top },
+      thickness: 0.75,
+      color: colors.rule
+    });
+  };
+
+  const drawLetterhead = () => {
+    let top = pageHeight - MARGIN;
+    let x = MARGIN;
+    if (logo) {
+      const scaled = logo.scaleToFit(60, 50);
+      page.drawImage(logo, { x, y: top - scaled.height, width: scaled.width, height: scaled.height });
+      x += scaled.width + 12;
+    }
+    text(letterhead.name, x, top, { size: 16, useFont: bold });
+    const contact = [letterhead.phone, letterhead.email, letterhead.website].filter(Boolean).join('  |  ');
+    [letterhead.address, contact, letterhead.registration].filter(Boolean).forEach((line, index) => {
+      text(line, x, top - 20 - index * 12, { size: 8.5, color: colors.muted });
+    });
+    top -= 58;
+    rule(top);
+    return top - 12;
+  };
+
+  const addPage = () => {
+    page = doc.addPage(PageSizes.A4);
+    y = drawLetterhead();
+  };
+
+  // Start a new page when the next block would run into the footer
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN + FOOTER_HEIGHT) {
+      addPage();
+      return true;
+    }
+    return false;
+  };
+
+  const labelValueGrid = (pairs) => {
+    const columnWidth = contentWidth / 2;
+    const rows = [];
+    for (let index = 0; index < pairs.length; index += 2) rows.push(pairs.slice(index, index + 2));
+    const height = rows.length * 14 + 10;
+    ensureSpace(height);
+    page.drawRectangle({ x: MARGIN, y: y - height, width: contentWidth, height, color: colors.shade });
+    rows.forEach((row, rowIndex) => {
+      row.forEach(({ label, value }, columnIndex) => {
+        const x = MARGIN + 8 + columnIndex * columnWidth;
+        const top = y - 6 - rowIndex * 14;
+        text(`${label}:`, x, top, { size: 9, useFont: bold });
+        text(value || '-', x + 85, top, { size: 9 });
+      });
+    });
+    y -= height + 12;
+  };
+
+  const heading = (value) => {
+    ensureSpace(40);
+    text(value, MARGIN, y, { size: 11, useFont: bold });
+    y -= 18;
+  };
+
+  const paragraph = (value) => {
+    wrapText(value, font, 10, contentWidth).forEach((line) => {
+      ensureSpace(10 * LINE_GAP);
+      text(line, MARGIN, y, { size: 10 });
+      y -= 10 * LINE_GAP;
+    });
+    y -= 8;
+  };
+
+  const table = ({ columns, rows }) => {
+    const widths = columns.map((column) => column.width * contentWidth);
+    const drawHeader = () => {
+      page.drawRectangle({ x: MARGIN, y: y - 16, width: contentWidth, height: 16, color: colors.shade });
+      let x = MARGIN;
+      columns.forEach((column, index) => {
+        text(column.label, x + 4, y - 4, { size: 8.5, useFont: bold });
+        x += widths[index];
+      });
+      y -= 20;
+    };
+
+    ensureSpace(40);
+    drawHeader();
+    rows.forEach((row) => {
+      const rowFont = row.emphasis ? bold : font;
+      const cells = row.cells.map((cell, index) => wrapText(cell, rowFont, 9, widths[index] - 8));
+      const height = Math.max(...cells.map((lines) => lines.length)) * 9 * LINE_GAP + 4;
+      if (ensureSpace(height)) drawHeader();
+
+      let x = MARGIN;
+      cells.forEach((lines, index) => {
+        lines.forEach((line, lineIndex) => {
+          text(line, x + 4, y - lineIndex * 9 * LINE_GAP, {
+            size: 9,
+            useFont: rowFont,
+            color: row.emphasis ? colors.flagged : colors.text
+          });
+        });
+        x += widths[index];
+      });
+      y -= height;
+      page.drawLine({
+        start: { x: MARGIN, y: y + 2 },
+        end: { x: pageWidth - MARGIN, y: y + 2 },
+        thickness: 0.25,
+        color: colors.rule
+      });
+    });
+    y -= 10;
+  };
+
+  const signatureBlock = async (signatures) => {
+    const width = contentWidth / Math.max(1, Math.min(signatures.length, 3));
+    for (let start = 0; start < signatures.length; start += 3) {
+      ensureSpace(90);
+      const top = y;
+      for (const [index, signature] of signatures.slice(start, start + 3).entries()) {
+        const x = MARGIN + index * width;
+        const image = await readImage(doc, signatureImagePath(signature.employeeId));
+        if (image) {
+          const scaled = image.scaleToFit(120, 36);
+          page.drawImage(image, { x, y: top - scaled.height, width: scaled.width, height: scaled.height });
+        }
+        [
+          [signature.name, { size: 9.5, useFont: bold }],
+          [signature.designation, { size: 8.5 }],
+          [signature.registration && `Reg. No. ${signature.registration}`, { size: 8.5 }],
+          [`${signature.role} ${moment(signature.signedAt).format('DD MMM YYYY HH:mm')}`, { size: 8, color: colors.muted }]
+        ].filter(([value]) => value).forEach(([value, options], line) => {
+          text(value, x, top - 42 - line * 12, options);
+        });
+      }
+      y = top - 96;
+    }
+  };
+
+  const drawFooters = () => {
+    const pages = doc.getPages();
+    const qrSize = 58;
+    pages.forEach((footerPage, index) => {
+      page = footerPage;
+      rule(MARGIN + FOOTER_HEIGHT - 8);
+      page.drawImage(qr, { x: pageWidth - MARGIN - qrSize, y: MARGIN, width: qrSize, height: qrSize });
+      const textRight = pageWidth - MARGIN - qrSize - 10;
+      const lines = [
+        [`${report.title} ${report.reference}`, bold],
+        ['Scan the QR code or visit the link below to check this report is genuine.', font],
+        [report.verification.url, font],
+        [`Verification code ${report.verification.code}  |  Page ${index + 1} of ${pages.length}`, font]
+      ];
+      lines.forEach(([value, useFont], line) => {
+        const size = 7.5;
+        const fitted = wrapText(value, useFont, size, textRight - MARGIN)[0];
+        text(fitted, MARGIN, MARGIN + qrSize - line * 11, { size, useFont, color: colors.muted });
+      });
+    });
+  };
+
+  addPage();
+  const title = printable(report.title).toUpperCase();
+  text(title, (pageWidth - bold.widthOfTextAtSize(title, 13)) / 2, y, { size: 13, useFont: bold });
+  y -= 24;
+
+  labelValueGrid(report.patient);
+  if (report.details && report.details.length > 0) labelValueGrid(report.details);
+
+  report.sections.forEach((section) => {
+    if (section.heading) heading(section.heading);
+    if (section.table) table(section.table);
+    if (section.text) paragraph(section.text);
+  });
+
+  if (report.notes) {
+    paragraph(report.notes);
+  }
+  if (report.signatures.length > 0) {
+    y -= 10;
+    await signatureBlock(report.signatures);
+  }
+
+  drawFooters();
+  return doc.save();
+};
+
+module.exports = {
+  renderReport
+};
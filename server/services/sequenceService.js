@@ -0,0 +1,150 @@
+const moment = require('moment');
+const { QueryTypes } = require('sequelize');
+const { sequelize, redisClient } = require('../config/database');
+const sequenceConfig = require('../config/sequences');
+
+const SEQ_TOKEN = /\{SEQ:(\d+)\}/;
+
+// Counter bucket for a reset rule, e.g. '20240115' for daily counters
+const getPeriodKey = (reset, date) => {
+  const m = moment(date);
+  switch (reset) {
+    case 'daily':
+      return m.format('YYYYMMDD');
+    case 'monthly':
+      return m.format('YYYYMM');
+    case 'yearly':
+      return m.format('YYYY');
+    case 'never':
+      return 'all';
+    default:
+      throw new Error(`Unknown sequence reset rule: ${reset}`);
+  }
+};
+
+const getPeriodEnd = (reset, date) => {
+  const units = { daily: 'day', monthly: 'month', yearly: 'year' };
+  return units[reset] ? moment(date).endOf(units[reset]) : null;
+};
+
+const renderFormat = (definition, date, seq) => {
+  const m = moment(date);
+  return definition.format
+    .replace('{PREFIX}', definition.prefix)
+    .replace('{YYYY}', m.format('YYYY'))
+    .replace('{YY}', m.format('YY'))
+    .replace('{MM}', m.format('MM'))
+    .replace('{DD}', m.format('DD'))
+    .replace(SEQ_TOKEN, (match, width) => (
+      typeof seq === 'number' ? String(seq).padStart(Number(width), '0') : '_'.repeat(Number(width))
+    ));
+};
+
+// Highest number already issued for this period, so counters introduced on an
+// existing database continue from the data rather than colliding with it.
+const findIssuedMaximum = async (definition, date, transaction) => {
+  const seqMatch = definition.format.match(SEQ_TOKEN);
+  if (!definition.table || !definition.column || !seqMatch) {
+    return 0;
+  }
+
+  const pattern = renderFormat(definition, date);
+  const width = Number(seqMatch[1]);
+  const start = pattern.indexOf('_'.repeat(width)) + 1;
+
+  const [row] = await sequelize.query(
+    `SELECT MAX(CAST(SUBSTRING(${definition.column} FROM :start FOR :width) AS INTEGER)) AS max_value
+     FROM ${definition.table}
+     WHERE ${definition.column} LIKE :pattern AND LENGTH(${definition.column}) = :length`,
+    {
+      replacements: { start, width, pattern, length: pattern.length },
+      type: QueryTypes.SELECT,
+      transaction
+    }
+  );
+
+  return Number(row && row.max_value) || 0;
+};
+
+const nextPostgresValue = async (name, periodKey, { transaction, seed }) => {
+  const replacements = { name, periodKey };
+
+  const [updated] = await sequelize.query(
+    `UPDATE sequence_counters
+     SET last_value = last_value + 1, updated_at = CURRENT_TIMESTAMP
+     WHERE sequence_name = :name AND period_key = :periodKey
+     RETURNING last_value`,
+    { replacements, type: QueryTypes.SELECT, transaction }
+  );
+
+  if (updated) {
+    return Number(updated.last_value);
+  }
+
+  const start = seed ? await seed(transaction) : 0;
+
+  // A concurrent caller may create the row first; ON CONFLICT turns that race
+  // into a plain increment instead of a unique violation.
+  const [inserted] = await sequelize.query(
+    `INSERT INTO sequence_counters (sequence_name, period_key, last_value, updated_at)
+     VALUES (:name, :periodKey, :initial, CURRENT_TIMESTAMP)
+     ON CONFLICT (sequence_name, period_key)
+     DO UPDATE SET last_value = sequence_counters.last_value + 1, updated_at = CURRENT_TIMESTAMP
+     RETURNING last_value`,
+    { replacements: { ...replacements, initial: start + 1 }, type: QueryTypes.SELECT, transaction }
+  );
+
+  return Number(inserted.last_value);
+};
+
+const nextRedisValue = async (name, periodKey, { seed, expiresAt }) => {
+  const key = `sequence:${name}:${periodKey}`;
+
+  if (!(await redisClient.exists(key))) {
+    const start = seed ? await seed() : 0;
+    const options = { NX: true };
+    if (expiresAt) {
+      // Keep the key a day past its period so late callers never restart it
+      options.EXAT = expiresAt.clone().add(1, 'day').unix();
+    }
+    await redisClient.set(key, String(start), options);
+  }
+
+  return redisClient.incr(key);
+};
+
+/**
+ * Atomically increment a named counter within a period bucket. Postgres
+ * counters honour `transaction`; Redis counters are never rolled back.
+ */
+const nextValue = async (name, periodKey, options = {}) => {
+  if (sequenceConfig.backend === 'redis') {
+    return nextRedisValue(name, periodKey, options);
+  }
+  return nextPostgresValue(name, periodKey, options);
+};
+
+/**
+ * Issue the next document number for a configured sequence, e.g.
+ * generateNumber('patient') -> 'PAT2024000123'.
+ */
+const generateNumber = async (key, { transaction, date = new Date() } = {}) => {
+  const definition = sequenceConfig.getSequenceDefinition(key);
+  if (!definition) {
+    throw new Error(`Unknown sequence: ${key}`);
+  }
+
+  const value = await nextValue(key, getPeriodKey(definition.reset, date), {
+    transaction,
+    expiresAt: getPeriodEnd(definition.reset, date),
+    seed: (seedTransaction) => findIssuedMaximum(definition, date, seedTransaction || transaction)
+  });
+
+  return renderFormat(definition, date, value);
+};
+
+module.exports = {
+  generateNumber,
+  nextValue,
+  getPeriodKey
+};
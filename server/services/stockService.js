@@ -0,0 +1,348 @@
+const moment = require('moment');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Drug, DrugInventory, DrugStockMovement, DrugStockAlert, PurchaseOrder, PurchaseOrderItem, User } = require('../models');
+const { notifyUser } = require('./notificationService');
+const { logger } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+const MOVEMENT_TYPES = ['receipt', 'dispense', 'return', 'adjustment', 'expiry_writeoff'];
+
+// Batches expiring within this many days raise a near-expiry alert
+const EXPIRY_ALERT_DAYS = parseInt(process.env.PHARMACY_EXPIRY_ALERT_DAYS, 10) || 90;
+
+// Roles notified when new stock alerts are raised
+const ALERT_ROLES = (process.env.PHARMACY_ALERT_ROLES || 'pharmacist,admin')
+  .split(',')
+  .map((role) => role.trim())
+  .filter(Boolean);
+
+const ALERT_NOTIFICATIONS = {
+  low_stock: { type: 'stock_low', title: 'Drugs at or below reorder level', priority: 'high' },
+  near_expiry: { type: 'stock_near_expiry', title: 'Batches nearing expiry', priority: 'normal' },
+  expired: { type: 'stock_expired', title: 'Expired batches still in stock', priority: 'high' }
+};
+
+/**
+ * Change a batch's stock by a signed quantity and write the ledger row.
+ * Callers hold the batch row lock; the CHECK on quantity_available rejects
+ * anything that would take it below zero.
+ */
+const applyMovement = async (batch, { type, quantity, referenceType = null, referenceId = null, reason = null, actorId = null }, transaction) => {
+  const [rows] = await sequelize.query(
+    `UPDATE drug_inventory
+        SET quantity_available = quantity_available + :quantity, updated_at = NOW()
+      WHERE id = :id
+      RETURNING quantity_available`,
+    { replacements: { id: batch.id, quantity }, transaction }
+  );
+  // Keep the instance current so later movements in the same transaction see it
+  batch.quantity_available = rows[0].quantity_available;
+
+  return DrugStockMovement.create({
+    drug_id: batch.drug_id,
+    inventory_id: batch.id,
+    movement_type: type,
+    quantity,
+    balance_after: batch.quantity_available,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    reason,
+    performed_by: actorId
+  }, { transaction });
+};
+
+// Create a new batch and record its receipt in the ledger
+const receiveBatch = async (data, { referenceType = null, referenceId = null, actorId = null } = {}, transaction) => {
+  const batch = await DrugInventory.create({
+    drug_id: data.drug_id,
+    batch_number: data.batch_number,
+    expiry_date: data.expiry_date,
+    quantity_received: data.quantity,
+    quantity_available: data.quantity,
+    purchase_price: data.purchase_price,
+    supplier: data.supplier,
+    received_date: data.received_date || moment().format('YYYY-MM-DD')
+  }, { transaction });
+
+  await DrugStockMovement.create({
+    drug_id: batch.drug_id,
+    inventory_id: batch.id,
+    movement_type: 'receipt',
+    quantity: data.quantity,
+    balance_after: data.quantity,
+    reference_type: referenceType,
+    reference_id: referenceId,
+    performed_by: actorId
+  }, { transaction });
+
+  return batch;
+};
+
+const lockBatch = async (inventoryId, transaction) => {
+  const batch = await DrugInventory.findByPk(inventoryId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!batch) {
+    throw new ServiceError('Batch not found', 404);
+  }
+  return batch;
+};
+
+// Stock count corrections, breakage and the like
+const adjustStock = async (inventoryId, quantity, reason, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const batch = await lockBatch(inventoryId, transaction);
+    if (batch.quantity_available + quantity < 0) {
+      throw new ServiceError(`Batch ${batch.batch_number} only has ${batch.quantity_available} in stock`, 409, {
+        quantity_available: batch.quantity_available
+      });
+    }
+
+    const movement = await applyMovement(batch, {
+      type: 'adjustment',
+      quantity,
+      referenceType: 'adjustment',
+      reason,
+      actorId
+    }, transaction);
+
+    return { batch, movement };
+  });
+};
+
+/**
+ * Take expired batches out of stock. Without `inventoryIds` every expired
+ * batch that still has stock is written off. Their open expiry alerts are resolved.
+ */
+const writeOffExpired = async ({ inventoryIds, reason, actorId } = {}) => {
+  return sequelize.transaction(async (transaction) => {
+    const today = moment().format('YYYY-MM-DD');
+    const where = { quantity_available: { [Op.gt]: 0 } };
+    if (inventoryIds) {
+      where.id = inventoryIds;
+    } else {
+      where.expiry_date = { [Op.lte]: today };
+    }
+
+    const batches = await DrugInventory.findAll({
+      where,
+      order: [['id', 'ASC']],
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    const notExpired = batches.filter((batch) => moment(batch.expiry_date).format('YYYY-MM-DD') > today);
+    if (notExpired.length > 0) {
+      throw new ServiceError('Only expired batches can be written off', 409, {
+        batches: notExpired.map((batch) => ({ id: batch.id, batch_number: batch.batch_number, expiry_date: batch.expiry_date }))
+      });
+    }
+
+    const movements = [];
+    for (const batch of batches) {
+      movements.push(await applyMovement(batch, {
+        type: 'expiry_writeoff',
+        quantity: -batch.quantity_available,
+        referenceType: 'expiry_writeoff',
+        reason: reason || `Expired ${moment(batch.expiry_date).format('YYYY-MM-DD')}`,
+        actorId
+      }, transaction));
+    }
+
+    if (batches.length > 0) {
+      await DrugStockAlert.update(
+        { status: 'resolved', resolved_at: new Date() },
+        {
+          where: {
+            inventory_id: batches.map((batch) => batch.id),
+            alert_type: ['near_expiry', 'expired'],
+            status: 'open'
+          },
+          transaction
+        }
+      );
+    }
+
+    return { batches, movements };
+  });
+};
+
+const alertKey = (alert) => `${alert.alert_type}:${alert.drug_id}:${alert.inventory_id || ''}`;
+
+// Every stock condition that should currently have an open alert
+const currentConditions = async (transaction) => {
+  const today = moment().format('YYYY-MM-DD');
+  const expiryCutoff = moment().add(EXPIRY_ALERT_DAYS, 'days').format('YYYY-MM-DD');
+
+  const drugs = await Drug.findAll({
+    where: { is_active: true, reorder_level: { [Op.ne]: null } },
+    attributes: ['id', 'drug_code', 'generic_name', 'reorder_level'],
+    transaction
+  });
+  const stockRows = await DrugInventory.findAll({
+    where: { expiry_date: { [Op.gt]: today }, quantity_available: { [Op.gt]: 0 } },
+    attributes: ['drug_id', [sequelize.fn('SUM', sequelize.col('quantity_available')), 'available']],
+    group: ['drug_id'],
+    raw: true,
+    transaction
+  });
+  const onOrderRows = await PurchaseOrderItem.findAll({
+    attributes: [
+      'drug_id',
+      [sequelize.fn('SUM', sequelize.literal('quantity_ordered - quantity_received')), 'on_order']
+    ],
+    include: [{
+      model: PurchaseOrder,
+      as: 'purchaseOrder',
+      attributes: [],
+      where: { status: ['ordered', 'partially_received'] }
+    }],
+    group: ['PurchaseOrderItem.drug_id'],
+    raw: true,
+    transaction
+  });
+  const available = new Map(stockRows.map((row) => [row.drug_id, parseInt(row.available, 10)]));
+  const onOrder = new Map(onOrderRows.map((row) => [row.drug_id, parseInt(row.on_order, 10)]));
+
+  const conditions = [];
+  drugs.forEach((drug) => {
+    const quantity = available.get(drug.id) || 0;
+    if (quantity <= drug.reorder_level) {
+      conditions.push({
+        alert_type: 'low_stock',
+        drug_id: drug.id,
+        inventory_id: null,
+        details: {
+          drug_code: drug.drug_code,
+          drug_name: drug.generic_name,
+          available: quantity,
+          reorder_level: drug.reorder_level,
+          on_order: onOrder.get(drug.id) || 0
+        }
+      });
+    }
+  });
+
+  const batches = await DrugInventory.findAll({
+    where: {
+      quantity_available: { [Op.gt]: 0 },
+      expiry_date: { [Op.lte]: expiryCutoff }
+    },
+    include: [{ model: Drug, as: 'drug', attributes: ['drug_code', 'generic_name'] }],
+    transaction
+  });
+  batches.forEach((batch) => {
+    const expiryDate = moment(batch.expiry_date).format('YYYY-MM-DD');
+    conditions.push({
+      alert_type: expiryDate <= today ? 'expired' : 'near_expiry',
+      drug_id: batch.drug_id,
+      inventory_id: batch.id,
+      details: {
+        drug_code: batch.drug.drug_code,
+        drug_name: batch.drug.generic_name,
+        batch_number: batch.batch_number,
+        expiry_date: expiryDate,
+        quantity_available: batch.quantity_available
+      }
+    });
+  });
+
+  return conditions;
+};
+
+const notifyNewAlerts = async (io, raised) => {
+  const users = await User.findAll({
+    where: { role: ALERT_ROLES, is_active: true },
+    attributes: ['id']
+  });
+
+  for (const [alertType, settings] of Object.entries(ALERT_NOTIFICATIONS)) {
+    const alerts = raised.filter((alert) => alert.alert_type === alertType);
+    if (alerts.length === 0) continue;
+
+    const names = [...new Set(alerts.map((alert) => alert.details.drug_name))];
+    const message = names.length > 5
+      ? `${names.slice(0, 5).join(', ')} and ${names.length - 5} more`
+      : names.join(', ');
+
+    for (const user of users) {
+      await notifyUser(io, {
+        userId: user.id,
+        type: settings.type,
+        title: `${settings.title} (${alerts.length})`,
+        message,
+        priority: settings.priority,
+        data: {
+          alerts: alerts.map((alert) => ({
+            alert_id: alert.id,
+            drug_id: alert.drug_id,
+            inventory_id: alert.inventory_id,
+            ...alert.details
+          }))
+        }
+      });
+    }
+  }
+};
+
+/**
+ * Compare stock against reorder levels and expiry dates. New conditions are
+ * raised as alerts and pharmacy staff notified once; alerts whose condition
+ * has cleared (restocked, used up, written off) are resolved.
+ */
+const runStockChecks = async (io) => {
+  const { raised, resolved } = await sequelize.transaction(async (transaction) => {
+    // One check at a time, even with several app instances running the job
+    await sequelize.query('SELECT pg_advisory_xact_lock(hashtext(:key))', {
+      replacements: { key: 'pharmacy:stock-checks' },
+      transaction
+    });
+
+    const conditions = await currentConditions(transaction);
+    const open = await DrugStockAlert.findAll({ where: { status: 'open' }, transaction });
+    const openByKey = new Map(open.map((alert) => [alertKey(alert), alert]));
+    const currentKeys = new Set(conditions.map(alertKey));
+
+    const raised = [];
+    for (const condition of conditions) {
+      const existing = openByKey.get(alertKey(condition));
+      if (existing) {
+        await existing.update({ details: condition.details }, { transaction });
+      } else {
+        raised.push(await DrugStockAlert.create({ ...condition, status: 'open' }, { transaction }));
+      }
+    }
+
+    const resolved = open.filter((alert) => !currentKeys.has(alertKey(alert)));
+    if (resolved.length > 0) {
+      await DrugStockAlert.update(
+        { status: 'resolved', resolved_at: new Date() },
+        { where: { id: resolved.map((alert) => alert.id) }, transaction }
+      );
+    }
+
+    return { raised, resolved };
+  });
+
+  if (raised.length > 0) {
+    try {
+      await notifyNewAlerts(io, raised);
+    } catch (error) {
+      logger.error(`Failed to send stock alert notifications: ${error.message}`);
+    }
+  }
+
+  return { raised, resolved };
+};
+
+module.exports = {
+  MOVEMENT_TYPES,
+  EXPIRY_ALERT_DAYS,
+  applyMovement,
+  receiveBatch,
+  adjustStock,
+  writeOffExpired,
+  runStockChecks
+};
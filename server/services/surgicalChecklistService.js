@@ -0,0 +1,232 @@
+const { sequelize } = require('../config/database');
+const { OTSchedule, SurgicalChecklistItem, SurgicalChecklistEntry } = require('../models');
+const { PHASES, defaultItems } = require('../config/surgicalChecklist');
+const ServiceError = require('../utils/serviceError');
+
+const PHASE_LABELS = {
+  sign_in: 'Sign in',
+  time_out: 'Time out',
+  sign_out: 'Sign out'
+};
+
+// When each phase can be filled in, and which phase has to be completed before it
+const PHASE_RULES = {
+  sign_in: { statuses: ['scheduled'], after: null },
+  time_out: { statuses: ['in_progress'], after: 'sign_in' },
+  sign_out: { statuses: ['in_progress'], after: 'time_out' }
+};
+
+const lockSchedule = async (scheduleId, transaction) => {
+  const schedule = await OTSchedule.findByPk(scheduleId, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!schedule) {
+    throw new ServiceError('OT schedule not found', 404);
+  }
+  return schedule;
+};
+
+// The configured active items for a phase, or the WHO defaults when none are set up
+const itemsForPhase = async (phase, transaction) => {
+  const configured = await SurgicalChecklistItem.findAll({
+    where: { phase, is_active: true },
+    order: [['display_order', 'ASC'], ['created_at', 'ASC']],
+    transaction
+  });
+
+  if (configured.length > 0) {
+    return configured.map((item) => ({
+      code: item.code,
+      label: item.label,
+      is_required: item.is_required,
+      display_order: item.display_order
+    }));
+  }
+
+  return defaultItems[phase].map((item, index) => ({
+    code: item.code,
+    label: item.label,
+    is_required: item.is_required !== false,
+    display_order: index + 1
+  }));
+};
+
+// Copy the checklist onto a case the first time it is used. Callers hold the schedule row lock.
+const ensureChecklist = async (schedule, transaction) => {
+  const existing = await SurgicalChecklistEntry.count({
+    where: { ot_schedule_id: schedule.id },
+    transaction
+  });
+  if (existing > 0) {
+    return;
+  }
+
+  const rows = [];
+  for (const phase of PHASES) {
+    const items = await itemsForPhase(phase, transaction);
+    items.forEach((item) => {
+      rows.push({
+        ot_schedule_id: schedule.id,
+        phase,
+        item_code: item.code,
+        label: item.label,
+        is_required: item.is_required,
+        display_order: item.display_order,
+        is_confirmed: false
+      });
+    });
+  }
+
+  await SurgicalChecklistEntry.bulkCreate(rows, { transaction });
+};
+
+const summarize = async (schedule, transaction) => {
+  const entries = await SurgicalChecklistEntry.findAll({
+    where: { ot_schedule_id: schedule.id },
+    order: [['display_order', 'ASC']],
+    transaction
+  });
+
+  return {
+    schedule_id: schedule.id,
+    status: schedule.status,
+    phases: PHASES.map((phase) => {
+      const items = entries.filter((entry) => entry.phase === phase);
+      return {
+        phase,
+        completed_at: schedule[`${phase}_completed_at`],
+        completed_by: schedule[`${phase}_completed_by`],
+        items,
+        outstanding: items
+          .filter((entry) => entry.is_required && !entry.is_confirmed)
+          .map((entry) => entry.item_code)
+      };
+    })
+  };
+};
+
+const assertPhaseOpen = (schedule, phase) => {
+  const rule = PHASE_RULES[phase];
+
+  if (schedule[`${phase}_completed_at`]) {
+    throw new ServiceError(`${PHASE_LABELS[phase]} is already complete`, 409);
+  }
+  if (!rule.statuses.includes(schedule.status)) {
+    throw new ServiceError(
+      `${PHASE_LABELS[phase]} can only be done while the surgery is ${rule.statuses.join(' or ')}`,
+      409,
+      { current_status: schedule.status }
+    );
+  }
+  if (rule.after && !schedule[`${rule.after}_completed_at`]) {
+    throw new ServiceError(`${PHASE_LABELS[rule.after]} must be completed first`, 409, {
+      checklist_phase: rule.after
+    });
+  }
+};
+
+/**
+ * Gate for OT status changes: sign in before a case starts, sign out before
+ * it is completed.
+ */
+const assertPhaseComplete = (schedule, phase) => {
+  if (!schedule[`${phase}_completed_at`]) {
+    throw new ServiceError(`${PHASE_LABELS[phase]} checklist must be completed first`, 409, {
+      checklist_phase: phase
+    });
+  }
+};
+
+const getChecklist = async (scheduleId) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    await ensureChecklist(schedule, transaction);
+    return summarize(schedule, transaction);
+  });
+};
+
+/**
+ * Tick or untick items in one phase. Each confirmation records who made it
+ * and when; unticking clears both.
+ */
+const confirmItems = async (scheduleId, phase, items, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    await ensureChecklist(schedule, transaction);
+    assertPhaseOpen(schedule, phase);
+
+    const entries = await SurgicalChecklistEntry.findAll({
+      where: { ot_schedule_id: schedule.id, phase },
+      transaction
+    });
+    const byCode = new Map(entries.map((entry) => [entry.item_code, entry]));
+
+    const unknown = items.filter((item) => !byCode.has(item.code)).map((item) => item.code);
+    if (unknown.length > 0) {
+      throw new ServiceError(`Unknown ${PHASE_LABELS[phase].toLowerCase()} checklist items`, 400, {
+        unknown_items: unknown
+      });
+    }
+
+    for (const item of items) {
+      const confirmed = item.confirmed !== false;
+      await byCode.get(item.code).update({
+        is_confirmed: confirmed,
+        confirmed_by: confirmed ? actorId : null,
+        confirmed_at: confirmed ? new Date() : null,
+        ...(item.notes !== undefined && { notes: item.notes })
+      }, { transaction });
+    }
+
+    return summarize(schedule, transaction);
+  });
+};
+
+// Close a phase once every required item is confirmed; it cannot be edited afterwards
+const completePhase = async (scheduleId, phase, actorId) => {
+  return sequelize.transaction(async (transaction) => {
+    const schedule = await lockSchedule(scheduleId, transaction);
+    await ensureChecklist(schedule, transaction);
+    assertPhaseOpen(schedule, phase);
+
+    const outstanding = await SurgicalChecklistEntry.findAll({
+      where: { ot_schedule_id: schedule.id, phase, is_required: true, is_confirmed: false },
+      attributes: ['item_code', 'label'],
+      transaction
+    });
+    if (outstanding.length > 0) {
+      throw new ServiceError(`${PHASE_LABELS[phase]} has unconfirmed required items`, 409, {
+        outstanding_items: outstanding
+      });
+    }
+
+    await schedule.update({
+      [`${phase}_completed_at`]: new Date(),
+      [`${phase}_completed_by`]: actorId
+    }, { transaction });
+
+    return summarize(schedule, transaction);
+  });
+};
+
+// Reopen a phase, e.g. sign in when a case is postponed and has to be checked again
+const resetPhase = async (schedule, phase, transaction) => {
+  await SurgicalChecklistEntry.update(
+    { is_confirmed: false, confirmed_by: null, confirmed_at: null },
+    { where: { ot_schedule_id: schedule.id, phase }, transaction }
+  );
+  await schedule.update({
+    [`${phase}_completed_at`]: null,
+    [`${phase}_completed_by`]: null
+  }, { transaction });
+};
+
+module.exports = {
+  PHASE_LABELS,
+  assertPhaseComplete,
+  getChecklist,
+  confirmItems,
+  completePhase,
+  resetPhase
+};
@@ -0,0 +1,240 @@
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { VitalObservation, VitalAlert, EmergencyCase, IPDAdmission, Patient, Staff } = require('../models');
+const { calculateNews2, compareRisk, RISK_LEVELS } = require('./news2');
+const { notifyUser } = require('./notificationService');
+const { BOARD_ROOM, broadcastBoard } = require('./emergencyService');
+const { logger } = require('../config/logger');
+const ServiceError = require('../utils/serviceError');
+
+// Lowest risk band that raises an escalation alert when reached
+const ALERT_MIN_RISK = RISK_LEVELS.includes(process.env.NEWS2_ALERT_MIN_RISK)
+  ? process.env.NEWS2_ALERT_MIN_RISK
+  : 'low_medium';
+
+const ESCALATION = {
+  low_medium: { priority: 'high', response: 'Urgent ward-based review required (a single parameter scored 3)' },
+  medium: { priority: 'high', response: 'Urgent review by a clinician required' },
+  high: { priority: 'critical', response: 'Emergency assessment by a critical care team required' }
+};
+
+const OBSERVATION_FIELDS = [
+  'respiratory_rate', 'oxygen_saturation', 'spo2_scale', 'on_supplemental_oxygen', 'systolic_bp',
+  'diastolic_bp', 'heart_rate', 'consciousness', 'temperature', 'notes'
+];
+
+// The ER case or admission the observation belongs to, row-locked so
+// concurrent observations for one encounter are scored against each other in order
+const lockEncounter = async (data, transaction) => {
+  if (data.emergency_case_id) {
+    const emergencyCase = await EmergencyCase.findByPk(data.emergency_case_id, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+    if (!emergencyCase || emergencyCase.patient_id !== data.patient_id) {
+      throw new ServiceError('Emergency case not found for this patient', 404);
+    }
+    if (!['waiting', 'in_treatment'].includes(emergencyCase.status)) {
+      throw new ServiceError(`Emergency case is already ${emergencyCase.status}`, 409);
+    }
+    return {
+      encounter: { emergency_case_id: emergencyCase.id },
+      doctorId: emergencyCase.assigned_doctor_id,
+      emergencyCase
+    };
+  }
+
+  const admission = await IPDAdmission.findByPk(data.admission_id, {
+    transaction,
+    lock: transaction.LOCK.UPDATE
+  });
+  if (!admission || admission.patient_id !== data.patient_id) {
+    throw new ServiceError('Admission not found for this patient', 404);
+  }
+  if (admission.status !== 'admitted') {
+    throw new ServiceError(`Admission is already ${admission.status}`, 409);
+  }
+  return {
+    encounter: { admission_id: admission.id },
+    doctorId: admission.doctor_id,
+    emergencyCase: null
+  };
+};
+
+const notifyEscalation = async (io, alert, patient, doctorId) => {
+  const { priority, response } = ESCALATION[alert.risk];
+  const title = `NEWS2 ${alert.news2_score} (${alert.risk.replace('_', '-')} risk): ${patient.first_name} ${patient.last_name}`;
+  const details = {
+    alert_id: alert.id,
+    observation_id: alert.observation_id,
+    patient_id: patient.id,
+    emergency_case_id: alert.emergency_case_id,
+    admission_id: alert.admission_id,
+    news2_score: alert.news2_score,
+    risk: alert.risk
+  };
+
+  const doctor = doctorId ? await Staff.findByPk(doctorId, { attributes: ['id', 'user_id'] }) : null;
+  if (doctor && doctor.user_id) {
+    await notifyUser(io, {
+      userId: doctor.user_id,
+      type: 'news2_escalation',
+      title,
+      message: response,
+      priority,
+      data: details
+    });
+    await alert.update({ notified_user_id: doctor.user_id });
+    return;
+  }
+
+  // No doctor yet: raise it on the ED screens so whoever is on the floor sees it
+  if (io && alert.emergency_case_id) {
+    io.to(BOARD_ROOM).emit('emergency_alert', { title, message: response, priority, data: details });
+  }
+};
+
+/**
+ * Record a set of vitals for an ER case or IPD admission and score it. An
+ * escalation alert is raised when the risk band reaches ALERT_MIN_RISK and is
+ * higher than at the previous observation, and the responsible doctor is notified.
+ */
+const recordObservation = async (data, actorId, io) => {
+  const { observation, alert, doctorId, emergencyCase } = await sequelize.transaction(async (transaction) => {
+    const { encounter, doctorId, emergencyCase } = await lockEncounter(data, transaction);
+    const observedAt = data.observed_at ? new Date(data.observed_at) : new Date();
+
+    const previous = await VitalObservation.findOne({
+      where: { ...encounter, observed_at: { [Op.lte]: observedAt } },
+      order: [['observed_at', 'DESC']],
+      transaction
+    });
+
+    const news2 = calculateNews2(data);
+    const values = OBSERVATION_FIELDS.reduce((picked, field) => {
+      if (data[field] !== undefined) {
+        picked[field] = data[field];
+      }
+      return picked;
+    }, {});
+
+    const observation = await VitalObservation.create({
+      ...values,
+      ...encounter,
+      patient_id: data.patient_id,
+      spo2_scale: Number(data.spo2_scale) === 2 ? 2 : 1,
+      on_supplemental_oxygen: news2.components.supplemental_oxygen > 0,
+      news2_score: news2.score,
+      news2_risk: news2.risk,
+      news2_components: news2.components,
+      is_complete: news2.complete,
+      observed_at: observedAt,
+      recorded_by: actorId
+    }, { transaction });
+
+    if (emergencyCase) {
+      // Keep the case's latest-vitals snapshot in step for the triage board
+      await emergencyCase.update({
+        vital_signs: {
+          ...(emergencyCase.vital_signs || {}),
+          ...(data.heart_rate !== undefined && { heart_rate: data.heart_rate }),
+          ...(data.respiratory_rate !== undefined && { respiratory_rate: data.respiratory_rate }),
+          ...(data.oxygen_saturation !== undefined && { oxygen_saturation: data.oxygen_saturation }),
+          ...(data.temperature !== undefined && { temperature: data.temperature }),
+          ...(data.systolic_bp !== undefined && data.diastolic_bp !== undefined && {
+            blood_pressure: `${data.systolic_bp}/${data.diastolic_bp}`
+          }),
+          news2_score: news2.score,
+          news2_risk: news2.risk
+        }
+      }, { transaction });
+    }
+
+    let alert = null;
+    const reachesAlertBand = compareRisk(news2.risk, ALERT_MIN_RISK) >= 0;
+    if (reachesAlertBand && (!previous || compareRisk(news2.risk, previous.news2_risk) > 0)) {
+      alert = await VitalAlert.create({
+        observation_id: observation.id,
+        patient_id: data.patient_id,
+        ...encounter,
+        doctor_id: doctorId,
+        news2_score: news2.score,
+        risk: news2.risk,
+        previous_risk: previous ? previous.news2_risk : null,
+        status: 'open'
+      }, { transaction });
+    }
+
+    return { observation, alert, doctorId, emergencyCase };
+  });
+
+  // Notifications go out only once the observation is committed
+  if (alert) {
+    try {
+      const patient = await Patient.findByPk(observation.patient_id, {
+        attributes: ['id', 'patient_id', 'first_name', 'last_name']
+      });
+      await notifyEscalation(io, alert, patient, doctorId);
+    } catch (error) {
+      logger.error(`Failed to send NEWS2 escalation for alert ${alert.id}: ${error.message}`);
+    }
+  }
+  if (emergencyCase) {
+    await broadcastBoard(io);
+  }
+
+  return { observation, alert };
+};
+
+const getObservations = async ({ patientId, emergencyCaseId, admissionId, from, to, limit = 100 }) => {
+  const where = {};
+  if (patientId) where.patient_id = patientId;
+  if (emergencyCaseId) where.emergency_case_id = emergencyCaseId;
+  if (admissionId) where.admission_id = admissionId;
+  if (from || to) {
+    where.observed_at = {};
+    if (from) where.observed_at[Op.gte] = new Date(from);
+    if (to) where.observed_at[Op.lte] = new Date(to);
+  }
+
+  // Latest `limit` observations, returned oldest first for charting
+  const observations = await VitalObservation.findAll({
+    where,
+    order: [['observed_at', 'DESC']],
+    limit
+  });
+
+  return observations.reverse();
+};
+
+const acknowledgeAlert = async (alertId, actorId, notes) => {
+  return sequelize.transaction(async (transaction) => {
+    const alert = await VitalAlert.findByPk(alertId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!alert) {
+      throw new ServiceError('Alert not found', 404);
+    }
+    if (alert.status !== 'open') {
+      throw new ServiceError(`Alert is already ${alert.status}`, 409);
+    }
+
+    await alert.update({
+      status: 'acknowledged',
+      acknowledged_by: actorId,
+      acknowledged_at: new Date(),
+      acknowledgement_notes: notes || null
+    }, { transaction });
+
+    return alert;
+  });
+};
+
+module.exports = {
+  ALERT_MIN_RISK,
+  recordObservation,
+  getObservations,
+  acknowledgeAlert
+};
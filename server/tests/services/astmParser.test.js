@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const astm = require('../../services/astmParser');
+
+const STX = 0x02;
+const ETX = 0x03;
+const ETB = 0x17;
+
+const loadSample = (accession) => fs
+  .readFileSync(path.join(__dirname, '../../scripts/analyzer-samples/cbc.astm'), 'utf8')
+  .replace(/\{\{ACCESSION\}\}/g, accession)
+  .replace(/\{\{TIMESTAMP\}\}/g, '20261019083015')
+  .split(/\r\n?|\n/)
+  .filter(Boolean);
+
+describe('checksum', () => {
+  test('is the byte sum modulo 256 as two upper-case hex digits', () => {
+    expect(astm.checksum([0x31, ETX])).toBe('34');
+    expect(astm.checksum([0xff, 0x02])).toBe('01');
+    expect(astm.checksum([0x31, 0x7a, ETX])).toBe('AE');
+  });
+});
+
+describe('decodeFrame / encodeFrames', () => {
+  test('round-trips each record of the sample in its own final frame', () => {
+    const records = loadSample('S26101900001');
+    const frames = astm.encodeFrames(records);
+
+    expect(frames).toHaveLength(records.length);
+    frames.forEach((frame, index) => {
+      expect(astm.decodeFrame(frame)).toEqual({
+        frameNumber: (index + 1) % 8,
+        text: `${records[index]}\r`,
+        final: true
+      });
+    });
+  });
+
+  test('splits a long record over ETB frames that join back together', () => {
+    const record = `R|1|^^^NOTE|${'x'.repeat(600)}`;
+    const frames = astm.encodeFrames([record]);
+    const decoded = frames.map(astm.decodeFrame);
+
+    expect(frames).toHaveLength(3);
+    expect(frames[0][frames[0].length - 5]).toBe(ETB);
+    expect(frames[2][frames[2].length - 5]).toBe(ETX);
+    expect(decoded.map((frame) => frame.final)).toEqual([false, false, true]);
+    expect(decoded.map((frame) => frame.text).join('')).toBe(`${record}\r`);
+  });
+
+  test('numbers frames 1-7 then 0', () => {
+    const frames = astm.encodeFrames(Array.from({ length: 9 }, (value, index) => `C|${index}`));
+    expect(frames.map((frame) => astm.decodeFrame(frame).frameNumber)).toEqual([1, 2, 3, 4, 5, 6, 7, 0, 1]);
+  });
+
+  test('rejects a frame whose checksum does not match', () => {
+    const [frame] = astm.encodeFrames(['L|1|N']);
+    const tampered = Buffer.from(frame);
+    tampered[3] = 'X'.charCodeAt(0);
+    expect(astm.decodeFrame(tampered)).toBeNull();
+
+    const badChecksum = Buffer.from(frame);
+    badChecksum[badChecksum.length - 4] = badChecksum[badChecksum.length - 4] === 0x30 ? 0x31 : 0x30;
+    expect(astm.decodeFrame(badChecksum)).toBeNull();
+  });
+
+  test('accepts a lower-case checksum', () => {
+    const body = Buffer.from([0x31, 0x7a, ETX]);
+    const frame = Buffer.concat([Buffer.from([STX]), body, Buffer.from('ae\r\n', 'latin1')]);
+    expect(astm.decodeFrame(frame)).toEqual({ frameNumber: 1, text: 'z', final: true });
+  });
+
+  test('rejects malformed frames', () => {
+    const [frame] = astm.encodeFrames(['L|1|N']);
+    expect(astm.decodeFrame(frame.slice(1))).toBeNull();
+    expect(astm.decodeFrame(frame.slice(0, frame.length - 1))).toBeNull();
+    expect(astm.decodeFrame(Buffer.from([STX, 0x31, ETX]))).toBeNull();
+  });
+});
+
+describe('parseMessage', () => {
+  test('reads the sender, specimen and results from the sample', () => {
+    const parsed = astm.parseMessage(`${loadSample('S26101900001').join('\r')}\r`);
+
+    expect(parsed.sender).toBe('SIM-ASTM');
+    expect(parsed.controlId).toBeNull();
+    expect(parsed.specimens).toHaveLength(1);
+
+    const [specimen] = parsed.specimens;
+    expect(specimen.accession).toBe('S26101900001');
+    expect(specimen.patientId).toBe('PAT001');
+    expect(specimen.results.map(({ code, value, unit, flag, status }) => ({ code, value, unit, flag, status }))).toEqual([
+      { code: 'HGB', value: '6.2', unit: 'g/dL', flag: 'LL', status: 'F' },
+      { code: 'WBC', value: '11.4', unit: 'x10E3/uL', flag: 'H', status: 'F' },
+      { code: 'PLT', value: '240', unit: 'x10E3/uL', flag: 'N', status: 'F' }
+    ]);
+    expect(specimen.results[0].completedAt).toEqual(new Date(2026, 9, 19, 8, 30, 15));
+  });
+
+  test('falls back to the instrument specimen ID in O-4', () => {
+    const parsed = astm.parseMessage([
+      'H|\\^&|||ANALYZER',
+      'O|1||INST-42|^^^GLU',
+      'R|1|^^^GLU|98|mg/dL',
+      'L|1|N'
+    ].join('\r'));
+    expect(parsed.specimens[0].accession).toBe('INST-42');
+  });
+
+  test('uses the header delimiters and escapes', () => {
+    const parsed = astm.parseMessage([
+      'H!~@$!!!LAB@1',
+      'O!1!ACC1',
+      'R!1!@@@CMT!see$F$note'
+    ].join('\r'));
+    expect(parsed.sender).toBe('LAB');
+    expect(parsed.specimens[0].results[0]).toMatchObject({ code: 'CMT', value: 'see!note' });
+  });
+
+  test('decodes the default escape sequences', () => {
+    const parsed = astm.parseMessage('H|\\^&|||LAB\rO|1|ACC1\rR|1|^^^CMT|a&F&b&S&c&E&d\r');
+    expect(parsed.specimens[0].results[0].value).toBe('a|b^c&d');
+  });
+
+  test('ignores results before any order record', () => {
+    const parsed = astm.parseMessage('H|\\^&|||LAB\rR|1|^^^GLU|98\rL|1|N\r');
+    expect(parsed.specimens).toEqual([]);
+  });
+
+  test('requires a header record', () => {
+    expect(() => astm.parseMessage('P|1|PAT001\r')).toThrow('header record');
+  });
+});
+
+describe('splitMessages', () => {
+  test('starts a new message at each header record', () => {
+    const messages = astm.splitMessages('H|\\^&|||A\rL|1|N\rH|\\^&|||B\rL|1|N\r');
+    expect(messages).toEqual(['H|\\^&|||A\rL|1|N\r', 'H|\\^&|||B\rL|1|N\r']);
+  });
+});
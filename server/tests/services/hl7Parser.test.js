@@ -0,0 +1,88 @@
+const fs = require('fs');
+const path = require('path');
+const hl7 = require('../../services/hl7Parser');
+
+const loadSample = (accession) => fs
+  .readFileSync(path.join(__dirname, '../../scripts/analyzer-samples/chemistry.hl7'), 'utf8')
+  .replace(/\{\{ACCESSION\}\}/g, accession)
+  .replace(/\{\{TIMESTAMP\}\}/g, '20261019083015')
+  .replace(/\{\{CONTROL_ID\}\}/g, 'SIM20261019083015')
+  .split(/\r\n?|\n/)
+  .filter(Boolean)
+  .join('\r');
+
+describe('frame', () => {
+  test('wraps a message in MLLP start and end blocks', () => {
+    const framed = hl7.frame('MSH|^~\\&|A\r');
+    expect(framed[0]).toBe(hl7.VT);
+    expect(framed.slice(-2)).toEqual(Buffer.from([hl7.FS, hl7.CR]));
+    expect(framed.slice(1, -2).toString('utf8')).toBe('MSH|^~\\&|A\r');
+  });
+});
+
+describe('parseMessage', () => {
+  test('reads the header, specimen and observations from the sample', () => {
+    const parsed = hl7.parseMessage(loadSample('S26101900001'));
+
+    expect(parsed).toMatchObject({
+      sender: 'SIM-HL7',
+      facility: 'LAB',
+      controlId: 'SIM20261019083015',
+      version: '2.5.1'
+    });
+    expect(parsed.specimens).toHaveLength(1);
+
+    const [specimen] = parsed.specimens;
+    expect(specimen.accession).toBe('S26101900001');
+    expect(specimen.patientId).toBe('PAT001');
+    expect(specimen.results.map(({ code, value, unit, flag, status }) => ({ code, value, unit, flag, status }))).toEqual([
+      { code: 'GLU', value: '105', unit: 'mg/dL', flag: 'H', status: 'F' },
+      { code: 'CREAT', value: '1.1', unit: 'mg/dL', flag: 'N', status: 'F' }
+    ]);
+    expect(specimen.results[0].completedAt).toEqual(new Date(2026, 9, 19, 8, 30, 15));
+  });
+
+  test('prefers SPM-2, then OBR-3, then OBR-2 for the specimen', () => {
+    const message = (obr, spm) => [
+      'MSH|^~\\&|LAB||||20261019||ORU^R01|1|P|2.5',
+      obr,
+      ...(spm ? [spm] : []),
+      'OBX|1|NM|GLU||98|mg/dL'
+    ].join('\r');
+
+    expect(hl7.parseMessage(message('OBR|1|PLACER|FILLER|GLU', 'SPM|1|SPECIMEN')).specimens[0].accession).toBe('SPECIMEN');
+    expect(hl7.parseMessage(message('OBR|1|PLACER|FILLER|GLU')).specimens[0].accession).toBe('FILLER');
+    expect(hl7.parseMessage(message('OBR|1|PLACER||GLU')).specimens[0].accession).toBe('PLACER');
+  });
+
+  test('unescapes delimiters in values', () => {
+    const parsed = hl7.parseMessage([
+      'MSH|^~\\&|LAB||||20261019||ORU^R01|1|P|2.5',
+      'OBR|1||ACC1|CMT',
+      'OBX|1|TX|CMT||A\\S\\B \\F\\ C'
+    ].join('\r'));
+    expect(parsed.specimens[0].results[0].value).toBe('A^B | C');
+  });
+
+  test('rejects messages other than ORU', () => {
+    expect(() => hl7.parseMessage('MSH|^~\\&|LAB||||20261019||ADT^A01|1|P|2.5\r')).toThrow('ADT^A01');
+  });
+
+  test('requires an MSH segment', () => {
+    expect(() => hl7.parseMessage('PID|1||PAT001\r')).toThrow('MSH segment');
+  });
+});
+
+describe('buildAck', () => {
+  test('acknowledges the message by its control ID', () => {
+    const parsed = hl7.parseMessage(loadSample('S26101900001'));
+    const segments = hl7.buildAck(parsed, 'AE', 'Sample|not found').split('\r');
+
+    expect(segments[0].split('|')).toEqual(expect.arrayContaining(['MSH', 'HMS', 'LAB', 'SIM-HL7', 'ACK^R01^ACK', '2.5.1']));
+    expect(segments[1]).toBe('MSA|AE|SIM20261019083015|Sample not found');
+  });
+
+  test('still builds a header when the message could not be parsed', () => {
+    expect(hl7.buildAck(null, 'AR', 'Unreadable')).toMatch(/\rMSA\|AR\|\|Unreadable\r$/);
+  });
+});
@@ -0,0 +1,68 @@
+const { DEFAULT_PERCENT, deltaCheck } = require('../../services/labDeltaCheck');
+
+const numeric = (value) => ({ value_numeric: value, value_text: null });
+const text = (value) => ({ value_numeric: null, value_text: value });
+
+describe('deltaCheck', () => {
+  test('returns null without a previous result', () => {
+    expect(deltaCheck(numeric(10), null)).toBeNull();
+  });
+
+  test('reports the change and percentage', () => {
+    expect(deltaCheck(numeric(12), numeric(10), { delta_percent: 25 })).toEqual({ change: 2, percent: 20, flagged: false });
+    expect(deltaCheck(numeric(7), numeric(10), { delta_percent: 25 })).toEqual({ change: -3, percent: -30, flagged: true });
+  });
+
+  test('reads values stored as decimal strings', () => {
+    expect(deltaCheck(numeric('13.5'), numeric('9.0'), { delta_percent: 40 })).toEqual({ change: 4.5, percent: 50, flagged: true });
+  });
+
+  test('falls back to the default percentage when no threshold is set', () => {
+    const under = 10 * (1 + (DEFAULT_PERCENT - 1) / 100);
+    const over = 10 * (1 + (DEFAULT_PERCENT + 1) / 100);
+    expect(deltaCheck(numeric(under), numeric(10)).flagged).toBe(false);
+    expect(deltaCheck(numeric(over), numeric(10)).flagged).toBe(true);
+  });
+
+  test('uses only the absolute threshold when no percentage is set', () => {
+    const thresholds = { delta_absolute: 1.5 };
+    // 100% change, but within the absolute limit
+    expect(deltaCheck(numeric(2), numeric(1), thresholds)).toEqual({ change: 1, percent: 100, flagged: false });
+    expect(deltaCheck(numeric(12), numeric(10), thresholds)).toEqual({ change: 2, percent: 20, flagged: true });
+  });
+
+  test('flags when either threshold is exceeded', () => {
+    const thresholds = { delta_percent: 50, delta_absolute: 5 };
+    expect(deltaCheck(numeric(100), numeric(90), thresholds).flagged).toBe(true);
+    expect(deltaCheck(numeric(3), numeric(1), thresholds).flagged).toBe(true);
+    expect(deltaCheck(numeric(1.2), numeric(1), thresholds).flagged).toBe(false);
+  });
+
+  describe('previous value of 0', () => {
+    test('has no percentage and flags any change under a percentage threshold', () => {
+      expect(deltaCheck(numeric(0.1), numeric(0))).toEqual({ change: 0.1, percent: null, flagged: true });
+      expect(deltaCheck(numeric(0), numeric(0))).toEqual({ change: 0, percent: null, flagged: false });
+    });
+
+    test('leaves the decision to the absolute threshold when one is set', () => {
+      const thresholds = { delta_percent: 50, delta_absolute: 1 };
+      expect(deltaCheck(numeric(0.5), numeric(0), thresholds)).toEqual({ change: 0.5, percent: null, flagged: false });
+      expect(deltaCheck(numeric(2), numeric(0), thresholds).flagged).toBe(true);
+    });
+  });
+
+  describe('text results', () => {
+    test('flags a changed value', () => {
+      expect(deltaCheck(text('B+'), text('O+'))).toEqual({ change: null, percent: null, flagged: true });
+    });
+
+    test('ignores case and surrounding whitespace', () => {
+      expect(deltaCheck(text(' negative'), text('Negative '))).toEqual({ change: null, percent: null, flagged: false });
+    });
+
+    test('returns null when only one side has a value to compare', () => {
+      expect(deltaCheck(text('Positive'), numeric(5))).toBeNull();
+      expect(deltaCheck(numeric(5), text('Positive'))).toBeNull();
+    });
+  });
+});
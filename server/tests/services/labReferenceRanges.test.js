@@ -0,0 +1,133 @@
+const { ageInDays, selectRange, parseRangeText, flagValue, isCriticalFlag } = require('../../services/labReferenceRanges');
+
+const range = (changes) => ({
+  sex: 'any',
+  age_min_days: 0,
+  age_max_days: null,
+  low_value: 70,
+  high_value: 100,
+  critical_low: null,
+  critical_high: null,
+  is_active: true,
+  ...changes
+});
+
+describe('ageInDays', () => {
+  test('counts whole days between birth and collection', () => {
+    expect(ageInDays('2026-10-01', new Date(2026, 9, 19, 23, 59))).toBe(18);
+  });
+
+  test('never goes below 0', () => {
+    expect(ageInDays('2026-10-20', new Date(2026, 9, 19))).toBe(0);
+  });
+});
+
+describe('selectRange', () => {
+  test('prefers a range for the patient\'s sex over an "any" range', () => {
+    const any = range({ id: 'any' });
+    const female = range({ id: 'female', sex: 'female' });
+    const male = range({ id: 'male', sex: 'male' });
+
+    expect(selectRange([any, female, male], { sex: 'female', ageDays: 10000 })).toBe(female);
+    expect(selectRange([any, male], { sex: 'female', ageDays: 10000 })).toBe(any);
+  });
+
+  test('prefers the narrower age band', () => {
+    const all = range({ id: 'all' });
+    const adult = range({ id: 'adult', age_min_days: 6570, age_max_days: 36500 });
+    const elderly = range({ id: 'elderly', age_min_days: 23725, age_max_days: 36500 });
+
+    expect(selectRange([all, adult], { sex: 'male', ageDays: 7000 })).toBe(adult);
+    expect(selectRange([all, adult, elderly], { sex: 'male', ageDays: 25000 })).toBe(elderly);
+    expect(selectRange([all, adult, elderly], { sex: 'male', ageDays: 40000 })).toBe(all);
+  });
+
+  test('treats age_max_days as exclusive and age_min_days as inclusive', () => {
+    const neonatal = range({ id: 'neonatal', age_min_days: 0, age_max_days: 28 });
+    const infant = range({ id: 'infant', age_min_days: 28, age_max_days: 365 });
+
+    expect(selectRange([neonatal, infant], { sex: 'male', ageDays: 27 })).toBe(neonatal);
+    expect(selectRange([neonatal, infant], { sex: 'male', ageDays: 28 })).toBe(infant);
+    expect(selectRange([neonatal, infant], { sex: 'male', ageDays: 365 })).toBeNull();
+  });
+
+  test('ignores inactive ranges', () => {
+    const retired = range({ id: 'retired', sex: 'male', is_active: false });
+    const any = range({ id: 'any' });
+
+    expect(selectRange([retired, any], { sex: 'male', ageDays: 10000 })).toBe(any);
+    expect(selectRange([retired], { sex: 'male', ageDays: 10000 })).toBeNull();
+  });
+});
+
+describe('parseRangeText', () => {
+  test.each([
+    ['70-100', { low_value: 70, high_value: 100 }],
+    ['3.5 – 5.1', { low_value: 3.5, high_value: 5.1 }],
+    ['0.6 to 1.2', { low_value: 0.6, high_value: 1.2 }],
+    ['-2 - 2', { low_value: -2, high_value: 2 }],
+    ['< 200', { low_value: null, high_value: 200 }],
+    ['≤5', { low_value: null, high_value: 5 }],
+    ['> 40', { low_value: 40, high_value: null }]
+  ])('reads "%s"', (text, expected) => {
+    expect(parseRangeText(text)).toEqual(expected);
+  });
+
+  test.each([null, '', 'Negative', '70-100 mg/dL'])('returns null for %p', (text) => {
+    expect(parseRangeText(text)).toBeNull();
+  });
+});
+
+describe('flagValue', () => {
+  const glucose = range({ critical_low: 40, critical_high: 400 });
+
+  test.each([
+    [39, 'critical_low'],
+    [40, 'low'],
+    [69, 'low'],
+    [70, 'normal'],
+    [100, 'normal'],
+    [101, 'high'],
+    [400, 'high'],
+    [401, 'critical_high']
+  ])('flags %d as %s', (value, expected) => {
+    expect(flagValue(value, glucose)).toBe(expected);
+  });
+
+  test('checks critical limits before high and low', () => {
+    const overlapping = range({ critical_low: 80, critical_high: 90 });
+    expect(flagValue(75, overlapping)).toBe('critical_low');
+    expect(flagValue(95, overlapping)).toBe('critical_high');
+  });
+
+  test('reads limits stored as decimal strings', () => {
+    expect(flagValue(5.2, range({ low_value: '3.50', high_value: '5.10' }))).toBe('high');
+  });
+
+  test('flags against a one-sided range', () => {
+    const cholesterol = range({ low_value: null, high_value: 200 });
+    expect(flagValue(10, cholesterol)).toBe('normal');
+    expect(flagValue(201, cholesterol)).toBe('high');
+  });
+
+  test('returns null with no range or no limits', () => {
+    expect(flagValue(5, null)).toBeNull();
+    expect(flagValue(5, range({ low_value: null, high_value: null }))).toBeNull();
+  });
+
+  test('compares text results with the expected text', () => {
+    const urine = range({ low_value: null, high_value: null, normal_text: 'Negative' });
+    expect(flagValue(' negative ', urine)).toBe('normal');
+    expect(flagValue('Trace', urine)).toBe('abnormal');
+    expect(flagValue('Trace', range({ normal_text: null }))).toBeNull();
+  });
+});
+
+describe('isCriticalFlag', () => {
+  test('is true only for critical flags', () => {
+    expect(isCriticalFlag('critical_low')).toBe(true);
+    expect(isCriticalFlag('critical_high')).toBe(true);
+    expect(isCriticalFlag('high')).toBe(false);
+    expect(isCriticalFlag(null)).toBe(false);
+  });
+});
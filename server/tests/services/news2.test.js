@@ -0,0 +1,160 @@
+const { calculateNews2, compareRisk } = require('../../services/news2');
+
+const NORMAL = {
+  respiratory_rate: 16,
+  oxygen_saturation: 97,
+  spo2_scale: 1,
+  on_supplemental_oxygen: false,
+  systolic_bp: 120,
+  heart_rate: 70,
+  temperature: 37,
+  consciousness: 'alert'
+};
+
+const scoreOf = (component, changes) => calculateNews2({ ...NORMAL, ...changes }).components[component];
+
+describe('calculateNews2', () => {
+  test('scores a normal set of observations as 0 and low risk', () => {
+    expect(calculateNews2(NORMAL)).toEqual({
+      score: 0,
+      risk: 'low',
+      components: {
+        respiratory_rate: 0,
+        oxygen_saturation: 0,
+        supplemental_oxygen: 0,
+        systolic_bp: 0,
+        heart_rate: 0,
+        temperature: 0,
+        consciousness: 0
+      },
+      single_red_score: false,
+      complete: true,
+      missing: []
+    });
+  });
+
+  test.each([
+    [8, 3], [9, 1], [11, 1], [12, 0], [20, 0], [21, 2], [24, 2], [25, 3]
+  ])('respiratory rate %d scores %d', (value, expected) => {
+    expect(scoreOf('respiratory_rate', { respiratory_rate: value })).toBe(expected);
+  });
+
+  test.each([
+    [91, 3], [92, 2], [93, 2], [94, 1], [95, 1], [96, 0]
+  ])('SpO2 %d on scale 1 scores %d', (value, expected) => {
+    expect(scoreOf('oxygen_saturation', { oxygen_saturation: value })).toBe(expected);
+  });
+
+  test.each([
+    [90, 3], [91, 2], [100, 2], [101, 1], [110, 1], [111, 0], [219, 0], [220, 3]
+  ])('systolic BP %d scores %d', (value, expected) => {
+    expect(scoreOf('systolic_bp', { systolic_bp: value })).toBe(expected);
+  });
+
+  test.each([
+    [40, 3], [41, 1], [50, 1], [51, 0], [90, 0], [91, 1], [110, 1], [111, 2], [130, 2], [131, 3]
+  ])('pulse %d scores %d', (value, expected) => {
+    expect(scoreOf('heart_rate', { heart_rate: value })).toBe(expected);
+  });
+
+  test.each([
+    [35.0, 3], [35.1, 1], [36.0, 1], [36.1, 0], [38.0, 0], [38.1, 1], [39.0, 1], [39.1, 2]
+  ])('temperature %d scores %d', (value, expected) => {
+    expect(scoreOf('temperature', { temperature: value })).toBe(expected);
+  });
+
+  test('scores any consciousness other than alert as 3', () => {
+    expect(scoreOf('consciousness', { consciousness: 'confusion' })).toBe(3);
+    expect(scoreOf('consciousness', { consciousness: 'unresponsive' })).toBe(3);
+  });
+
+  test('adds 2 for supplemental oxygen', () => {
+    const result = calculateNews2({ ...NORMAL, on_supplemental_oxygen: true });
+    expect(result.components.supplemental_oxygen).toBe(2);
+    expect(result.score).toBe(2);
+  });
+
+  test('treats the string "false" as breathing air', () => {
+    const result = calculateNews2({ ...NORMAL, on_supplemental_oxygen: 'false' });
+    expect(result.components.supplemental_oxygen).toBe(0);
+    expect(result.score).toBe(0);
+  });
+
+  describe('SpO2 scale 2', () => {
+    test.each([
+      [83, 3], [84, 2], [85, 2], [86, 1], [87, 1], [88, 0], [92, 0]
+    ])('SpO2 %d scores %d whether or not on oxygen', (value, expected) => {
+      expect(scoreOf('oxygen_saturation', { spo2_scale: 2, oxygen_saturation: value })).toBe(expected);
+      expect(scoreOf('oxygen_saturation', {
+        spo2_scale: 2,
+        oxygen_saturation: value,
+        on_supplemental_oxygen: true
+      })).toBe(expected);
+    });
+
+    test.each([93, 97, 100])('SpO2 %d on air scores 0', (value) => {
+      expect(scoreOf('oxygen_saturation', { spo2_scale: 2, oxygen_saturation: value })).toBe(0);
+    });
+
+    test.each([
+      [93, 1], [94, 1], [95, 2], [96, 2], [97, 3]
+    ])('SpO2 %d on oxygen scores %d', (value, expected) => {
+      expect(scoreOf('oxygen_saturation', {
+        spo2_scale: '2',
+        oxygen_saturation: value,
+        on_supplemental_oxygen: true
+      })).toBe(expected);
+    });
+
+    test('uses the on-air bands when on_supplemental_oxygen is "false"', () => {
+      expect(scoreOf('oxygen_saturation', {
+        spo2_scale: 2,
+        oxygen_saturation: 97,
+        on_supplemental_oxygen: 'false'
+      })).toBe(0);
+    });
+  });
+
+  describe('risk', () => {
+    test('raises a single parameter scoring 3 to low_medium', () => {
+      const result = calculateNews2({ ...NORMAL, respiratory_rate: 25 });
+      expect(result.score).toBe(3);
+      expect(result.single_red_score).toBe(true);
+      expect(result.risk).toBe('low_medium');
+    });
+
+    test('is low for an aggregate under 5 with no single 3', () => {
+      const result = calculateNews2({ ...NORMAL, respiratory_rate: 21, heart_rate: 111 });
+      expect(result.score).toBe(4);
+      expect(result.risk).toBe('low');
+    });
+
+    test('is medium from an aggregate of 5', () => {
+      const result = calculateNews2({ ...NORMAL, respiratory_rate: 21, heart_rate: 111, temperature: 38.1 });
+      expect(result.score).toBe(5);
+      expect(result.risk).toBe('medium');
+    });
+
+    test('is high from an aggregate of 7', () => {
+      const result = calculateNews2({ ...NORMAL, respiratory_rate: 25, systolic_bp: 91, heart_rate: 111 });
+      expect(result.score).toBe(7);
+      expect(result.risk).toBe('high');
+    });
+  });
+
+  test('scores a partial set and lists what is missing', () => {
+    const result = calculateNews2({ ...NORMAL, temperature: undefined, consciousness: '' });
+    expect(result.complete).toBe(false);
+    expect(result.missing).toEqual(['temperature', 'consciousness']);
+    expect(result.components).not.toHaveProperty('temperature');
+    expect(result.score).toBe(0);
+  });
+});
+
+describe('compareRisk', () => {
+  test('orders risks from low to high', () => {
+    expect(compareRisk('high', 'medium')).toBeGreaterThan(0);
+    expect(compareRisk('low', 'low_medium')).toBeLessThan(0);
+    expect(compareRisk('medium', 'medium')).toBe(0);
+  });
+});
@@ -0,0 +1,12 @@
+// Error raised by service-layer code when a request cannot be fulfilled.
+// Routes translate it into a JSON response using the attached status code.
+class ServiceError extends Error {
+  constructor(message, statusCode = 400, details = undefined) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+module.exports = ServiceError;